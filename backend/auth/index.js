@@ -0,0 +1,336 @@
+/**
+ * Accounts
+ *
+ * Accounts are optional. Guests chat exactly as before: the session ID is
+ * the only key to their conversation. Signing up (or signing in) claims the
+ * guest's current session, so the conversation carries over, and from then
+ * on that session's history, mood journal and exercises are only served to
+ * requests carrying the owner's token (see tokens.js).
+ *
+ * Stored in three namespaces, none of which are ever pruned:
+ * - users:          userId    -> { id, email, displayName, passwordHash, sessions, createdAt, updatedAt }
+ * - user_emails:    HMAC of the email -> { userId }   (keeps emails unique;
+ *                   the address itself is only kept, encrypted, in the user)
+ * - session_owners: sessionId -> { userId }   (who may open a session)
+ *
+ * Review roles (see review/) are granted by the operator, not stored:
+ * ADMIN_USER_IDS and COUNSELOR_USER_IDS list account IDs, because emails
+ * aren't verified and anyone could sign up with a reviewer's address.
+ */
+
+const crypto = require('crypto');
+const { createStore, hashRecordId, unkeyedRecordId } = require('../storage');
+const { hashPassword, verifyPassword, MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH } = require('./passwords');
+const { issueToken, verifyToken } = require('./tokens');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_DISPLAY_NAME_LENGTH = 60;
+const MAX_SESSIONS_PER_USER = 100;
+
+const idsFromEnv = (name) => new Set((process.env[name] || '').split(',').map((id) => id.trim()).filter(Boolean));
+const ADMIN_IDS = idsFromEnv('ADMIN_USER_IDS');
+const COUNSELOR_IDS = idsFromEnv('COUNSELOR_USER_IDS');
+const REVIEW_ROLES = ['admin', 'counselor'];
+
+let users = createStore({ namespace: 'users' });
+let emails = createStore({ namespace: 'user_emails' });
+let owners = createStore({ namespace: 'session_owners' });
+
+/**
+ * Swap the backing stores (e.g. in-memory stores in tests)
+ */
+function setStores(next) {
+  ({ users = users, emails = emails, owners = owners } = next);
+}
+
+/**
+ * A sign-up or sign-in the user has to fix (bad input, wrong password, ...)
+ * status is the HTTP status the route should answer with.
+ */
+class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// The email index is keyed by an HMAC of the normalised address, never the address itself
+const emailId = (address) => hashRecordId(address);
+
+// IDs an address may still be indexed under until upgradeEmailIndex() has moved it:
+// the address itself (before the IDs were hashed) and its unkeyed hash (before DATA_ENCRYPTION_KEY was set)
+const olderEmailIds = (address) => (address ? [address, unkeyedRecordId(address)].filter(Boolean) : []);
+
+/**
+ * The email index entry for an address, under its current ID or an older one
+ * @returns {Promise<object|null>} - { userId }
+ */
+async function findEmail(address) {
+  for (const id of [emailId(address), ...olderEmailIds(address)]) {
+    const entry = await emails.get(id);
+    if (entry) return entry;
+  }
+  return null;
+}
+
+async function moveEmailEntry(fromId, address, record) {
+  await emails.update(emailId(address), (current) => current || record);
+  await emails.delete(fromId);
+}
+
+/**
+ * Re-key email index entries written before the IDs were hashed, or before
+ * DATA_ENCRYPTION_KEY was set (found through the addresses kept in users)
+ * Run once at startup; entries already moved are skipped.
+ * Rejects with a StorageError if a store can't be used.
+ * @returns {Promise<number>} - How many entries were moved
+ */
+async function upgradeEmailIndex() {
+  let moved = 0;
+  for (const { id, record } of await emails.list()) {
+    if (!id.includes('@')) continue;
+    await moveEmailEntry(id, id, record);
+    moved += 1;
+  }
+  for (const { record: user } of await users.list()) {
+    const unkeyed = unkeyedRecordId(user.email);
+    if (!unkeyed) break; // no key set: the IDs are unkeyed already
+    const record = await emails.get(unkeyed);
+    if (!record) continue;
+    await moveEmailEntry(unkeyed, user.email, record);
+    moved += 1;
+  }
+  return moved;
+}
+
+/**
+ * An account's role: 'admin', 'counselor' or 'user'
+ */
+function roleOf(user) {
+  if (ADMIN_IDS.has(user.id)) return 'admin';
+  if (COUNSELOR_IDS.has(user.id)) return 'counselor';
+  return 'user';
+}
+
+/**
+ * Whether an account may open the review dashboard (admins and counselors alike)
+ */
+function canReview(user) {
+  return Boolean(user) && REVIEW_ROLES.includes(roleOf(user));
+}
+
+/**
+ * What clients get to see of an account (never the password hash)
+ * sessionId is the conversation to continue on this device.
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    displayName: user.displayName,
+    role: roleOf(user),
+    createdAt: user.createdAt,
+    sessionId: user.sessions[user.sessions.length - 1] || null,
+  };
+}
+
+// Hash compared against when an email is unknown, so a failed sign-in takes
+// as long whether or not the account exists
+let dummyHash;
+
+function getDummyHash() {
+  dummyHash = dummyHash || hashPassword(crypto.randomUUID());
+  return dummyHash;
+}
+
+/**
+ * Create an account
+ * Rejects with an AuthError for invalid input or a taken email, and with a
+ * StorageError if the stores can't be written.
+ * @param {object} details - { email, password, displayName? }
+ * @returns {Promise<object>} - The stored user
+ */
+async function createAccount({ email, password, displayName }) {
+  const address = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(address) || address.length > MAX_EMAIL_LENGTH) {
+    throw new AuthError('Please enter a valid email address.');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    throw new AuthError(`Passwords are limited to ${MAX_PASSWORD_LENGTH} characters.`);
+  }
+
+  const now = Date.now();
+  const user = {
+    id: crypto.randomUUID(),
+    email: address,
+    displayName: typeof displayName === 'string' ? displayName.trim().slice(0, MAX_DISPLAY_NAME_LENGTH) : '',
+    passwordHash: await hashPassword(password),
+    sessions: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  // Reserve the email first; update() is atomic, so two sign-ups with the
+  // same address can't both win
+  let taken = Boolean(await findEmail(address)); // also finds entries under an older ID
+  await emails.update(emailId(address), (current) => {
+    if (current || taken) {
+      taken = true;
+      return current;
+    }
+    return { userId: user.id, updatedAt: now };
+  });
+  if (taken) {
+    throw new AuthError('An account with this email already exists. Try signing in.', 409);
+  }
+
+  await users.update(user.id, () => user);
+  return user;
+}
+
+/**
+ * Check an email and password
+ * Rejects with an AuthError (401) when they don't match an account.
+ * @returns {Promise<object>} - The stored user
+ */
+async function signIn(email, password) {
+  const entry = await findEmail(normalizeEmail(email));
+  const user = entry ? await users.get(entry.userId) : null;
+  const hash = user ? user.passwordHash : await getDummyHash();
+  const valid = typeof password === 'string' && password.length <= MAX_PASSWORD_LENGTH
+    && await verifyPassword(password, hash);
+  if (!user || !valid) {
+    throw new AuthError('Email or password is incorrect.', 401);
+  }
+  return user;
+}
+
+/**
+ * Look up an account by ID
+ * @returns {Promise<object|null>}
+ */
+async function getUser(userId) {
+  return userId ? users.get(userId) : null;
+}
+
+/**
+ * Who owns a session
+ * @returns {Promise<string|null>} - The owner's user ID, or null for a guest session
+ */
+async function getSessionOwner(sessionId) {
+  const entry = await owners.get(sessionId);
+  return entry ? entry.userId : null;
+}
+
+/**
+ * Add a session to an account (upgrading a guest session)
+ * Sessions that belong to someone else are left alone. The claimed session
+ * becomes the account's current one.
+ * @returns {Promise<boolean>} - True if the session now belongs to the user
+ */
+async function claimSession(userId, sessionId) {
+  let owner = null;
+  await owners.update(sessionId, (current) => {
+    owner = current ? current.userId : userId;
+    return current || { userId, updatedAt: Date.now() };
+  });
+  if (owner !== userId) return false;
+
+  await users.update(userId, (user) => {
+    if (!user) return null;
+    const sessions = [...user.sessions.filter((id) => id !== sessionId), sessionId].slice(-MAX_SESSIONS_PER_USER);
+    return { ...user, sessions, updatedAt: Date.now() };
+  });
+  return true;
+}
+
+/**
+ * Take a session out of an account (the conversation was deleted)
+ * Only the owner can release a session; anyone else is ignored.
+ */
+async function releaseSession(userId, sessionId) {
+  if ((await getSessionOwner(sessionId)) !== userId) return;
+  await owners.delete(sessionId);
+  await users.update(userId, (user) => (user ? { ...user, sessions: user.sessions.filter((id) => id !== sessionId), updatedAt: Date.now() } : null));
+}
+
+/**
+ * Every session of an account: its list, plus sessions that dropped off
+ * the end of it (MAX_SESSIONS_PER_USER) but still belong to it
+ * @returns {Promise<Array<string>>}
+ */
+async function getAccountSessions(userId) {
+  const user = await getUser(userId);
+  const owned = (await owners.list()).filter(({ record }) => record.userId === userId).map(({ id }) => id);
+  return [...new Set([...(user ? user.sessions : []), ...owned])];
+}
+
+/**
+ * Delete an account: the user, its email and the ownership of its
+ * sessions (the sessions' data is deleted by the caller, see privacy/)
+ * Rejects with a StorageError if a store can't be written.
+ */
+async function deleteAccount(userId) {
+  const user = await getUser(userId);
+  for (const sessionId of await getAccountSessions(userId)) {
+    await owners.delete(sessionId);
+  }
+  if (!user) return;
+  for (const id of [emailId(user.email), user.email]) {
+    await emails.update(id, (current) => (current && current.userId === userId ? null : current));
+  }
+  await users.delete(userId);
+}
+
+/**
+ * Express middleware: reads "Authorization: Bearer <token>" into req.userId
+ * Missing, bad or expired tokens leave req.userId null (a guest), so chat
+ * keeps working; routes that need an account check req.userId themselves.
+ * A token whose account was deleted gets 401, so it can't claim sessions
+ * for an account that no longer exists.
+ */
+async function authenticate(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  const userId = match ? verifyToken(match[1]) : null;
+  req.userId = null;
+  if (!userId) return next();
+  try {
+    if (!(await users.get(userId))) {
+      return res.status(401).json({ error: 'This account no longer exists. Please sign in again.' });
+    }
+  } catch (error) {
+    console.error(`Account store error (${error.adapter || 'unknown'}/${error.operation || 'read'}):`, error.message);
+    return res.status(503).json({ error: 'Accounts are temporarily unavailable. Please try again.' });
+  }
+  req.userId = userId;
+  return next();
+}
+
+module.exports = {
+  AuthError,
+  createAccount,
+  signIn,
+  getUser,
+  toPublicUser,
+  roleOf,
+  canReview,
+  getSessionOwner,
+  claimSession,
+  releaseSession,
+  getAccountSessions,
+  deleteAccount,
+  upgradeEmailIndex,
+  authenticate,
+  issueToken,
+  verifyToken,
+  setStores,
+};
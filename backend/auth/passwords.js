@@ -0,0 +1,42 @@
+/**
+ * Password Hashing
+ *
+ * Passwords are never stored, only a salted scrypt hash (Node's built-in
+ * crypto, so no native add-on is needed):
+ *   scrypt$<salt hex>$<hash hex>
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200; // scrypt is slow on purpose; don't hash novels
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {Promise<string>} - 'scrypt$salt$hash'
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash (constant-time comparison)
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  return expectedBuffer.length === hash.length && crypto.timingSafeEqual(expectedBuffer, hash);
+}
+
+module.exports = { hashPassword, verifyPassword, MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH };
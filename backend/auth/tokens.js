@@ -0,0 +1,64 @@
+/**
+ * Sign-in Tokens
+ *
+ * Signed-in clients send a JSON Web Token (HS256) in the Authorization
+ * header: "Bearer <token>". Tokens are signed with AUTH_SECRET and expire
+ * after AUTH_TOKEN_DAYS.
+ *
+ * Without AUTH_SECRET a random secret is made at startup, which works for
+ * development but signs everyone out whenever the server restarts.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_TTL_SECONDS = (Number(process.env.AUTH_TOKEN_DAYS) || 7) * 24 * 60 * 60; // default 7 days
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️  AUTH_SECRET not set - using a random secret, so sign-ins will not survive a server restart.');
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Issue a token for a user
+ * @param {string} userId
+ * @returns {string}
+ */
+function issueToken(userId) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ sub: userId, iat: now, exp: now + TOKEN_TTL_SECONDS }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token
+ * @returns {string|null} - The user ID, or null for a bad or expired token
+ */
+function verifyToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (alg !== 'HS256' || typeof sub !== 'string' || !(exp * 1000 > Date.now())) return null;
+    return sub;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { issueToken, verifyToken, TOKEN_TTL_SECONDS };
@@ -0,0 +1,131 @@
+/**
+ * Conversations
+ *
+ * The app keeps a list of past conversations (one session each) that can
+ * be searched, renamed, deleted and switched between. The conversation
+ * itself is the session's transcript (see transcripts.js); this adds the
+ * title the person gave it, in its own "conversation_titles" namespace,
+ * keyed by session ID and never pruned:
+ *   { title, updatedAt }
+ *
+ * Conversations nobody renamed are titled after their first message, the
+ * same way the app titles them before they reach the server.
+ */
+
+const { createStore } = require('../storage');
+const { getTranscript, deleteTranscript } = require('../transcripts');
+const { clearSession } = require('../memory');
+const { deleteMoodHistory } = require('../moodHistory');
+const { stopExercise } = require('../exercises');
+const { forgetConversation } = require('../profile');
+const { deleteHandoff } = require('../handoff');
+const { deleteReview } = require('../review');
+
+const MAX_TITLE_LENGTH = 80;
+const AUTO_TITLE_WORDS = 6;
+const AUTO_TITLE_LENGTH = 48;
+
+let store = createStore({ namespace: 'conversation_titles' });
+
+/**
+ * Swap the backing store (e.g. an in-memory store in tests)
+ */
+function setStore(nextStore) {
+  store = nextStore;
+}
+
+/**
+ * A rename the user has to fix (empty or too long)
+ */
+class ConversationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ConversationError';
+    this.status = status;
+  }
+}
+
+/**
+ * Title for a conversation nobody renamed: the first few words of its
+ * first message (frontend/src/conversations.js does the same)
+ * @returns {string} - '' for an empty message
+ */
+function titleFromMessage(text) {
+  const words = String(text || '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+  let title = words.slice(0, AUTO_TITLE_WORDS).join(' ');
+  if (title.length > AUTO_TITLE_LENGTH) title = `${title.slice(0, AUTO_TITLE_LENGTH - 1).trimEnd()}…`;
+  else if (words.length > AUTO_TITLE_WORDS) title += '…';
+  return title;
+}
+
+/**
+ * Summaries of the given sessions, most recently active first
+ * Sessions with neither turns nor a title (deleted or expired) are left out.
+ * Rejects with a StorageError if a store can't be read.
+ * @param {Array<string>} sessionIds
+ * @returns {Promise<Array<object>>} - [{ sessionId, title, renamed, createdAt, updatedAt, turns, stressLevel }]
+ */
+async function listConversations(sessionIds) {
+  const summaries = await Promise.all([...new Set(sessionIds)].map(async (sessionId) => {
+    const [turns, named] = await Promise.all([getTranscript(sessionId), store.get(sessionId)]);
+    if (turns.length === 0 && !named) return null;
+    const first = turns[0];
+    const last = turns[turns.length - 1];
+    return {
+      sessionId,
+      title: named ? named.title : titleFromMessage(first.user),
+      renamed: Boolean(named),
+      createdAt: first ? first.ts : named.updatedAt,
+      updatedAt: Math.max(last ? last.ts : 0, named ? named.updatedAt : 0),
+      turns: turns.length,
+      stressLevel: last ? last.stressLevel : null,
+    };
+  }));
+  return summaries.filter(Boolean).sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Give a conversation a title of its own
+ * Rejects with a ConversationError for an empty or over-long title, or a
+ * StorageError if the store can't be written.
+ * @returns {Promise<string>} - The saved title
+ */
+async function renameConversation(sessionId, title) {
+  const trimmed = typeof title === 'string' ? title.replace(/\s+/g, ' ').trim() : '';
+  if (!trimmed) throw new ConversationError('A title is required.');
+  if (trimmed.length > MAX_TITLE_LENGTH) {
+    throw new ConversationError(`Titles are limited to ${MAX_TITLE_LENGTH} characters.`);
+  }
+  await store.update(sessionId, () => ({ title: trimmed, updatedAt: Date.now() }));
+  return trimmed;
+}
+
+/**
+ * Delete everything kept for a conversation: transcript, conversation
+ * memory and what was learned in it (see profile/), mood history and
+ * journal, any exercise in progress, its title, the counselor chat (see
+ * handoff/) and reviewers' notes on it (see review/)
+ * Rejects with a StorageError if a store can't be written.
+ */
+async function deleteConversation(sessionId) {
+  await Promise.all([
+    deleteTranscript(sessionId),
+    clearSession(sessionId),
+    forgetConversation(sessionId),
+    deleteMoodHistory(sessionId),
+    stopExercise(sessionId),
+    store.delete(sessionId),
+    deleteHandoff(sessionId),
+    deleteReview(sessionId),
+  ]);
+}
+
+module.exports = {
+  ConversationError,
+  titleFromMessage,
+  listConversations,
+  renameConversation,
+  deleteConversation,
+  setStore,
+  MAX_TITLE_LENGTH,
+};
@@ -0,0 +1,35 @@
+/**
+ * Emotion Analyzers
+ *
+ * Every analyzer exposes analyze(text) -> Promise<{ top_emotion, scores }>,
+ * where scores covers sadness, happiness, anger, fear, disgust, surprise,
+ * trust and anticipation. Pick one with EMOTION_ANALYZER:
+ *
+ *   EMOTION_ANALYZER=lexicon  In-process Node analyzer with a bundled lexicon (default)
+ *   EMOTION_ANALYZER=python   emotion_analyzer.py via python-shell (needs Python + nrclex)
+ */
+
+const { createLexiconAnalyzer } = require('./lexiconAnalyzer');
+const { createPythonAnalyzer } = require('./pythonAnalyzer');
+
+/**
+ * Build the configured analyzer (falls back to the EMOTION_ANALYZER variable)
+ * @param {object} [config]
+ * @param {string} [config.type] - 'lexicon' | 'python'
+ * @returns {object} - Analyzer implementing analyze(text)
+ */
+function createEmotionAnalyzer(config = {}) {
+  const type = (config.type || process.env.EMOTION_ANALYZER || 'lexicon').toLowerCase();
+  const lexicon = createLexiconAnalyzer();
+
+  switch (type) {
+    case 'lexicon':
+      return lexicon;
+    case 'python':
+      return createPythonAnalyzer({ fallback: lexicon });
+    default:
+      throw new Error(`Unknown EMOTION_ANALYZER "${type}" (expected lexicon or python)`);
+  }
+}
+
+module.exports = { createEmotionAnalyzer };
@@ -0,0 +1,90 @@
+/**
+ * Lexicon emotion analyzer (in-process, default)
+ *
+ * A Node port of emotion_analyzer.py: counts words from a bundled
+ * word → emotion lexicon (same eight NRC-style emotions) and returns the
+ * same { top_emotion, scores } shape, without spawning a Python process.
+ */
+
+const lexicon = require('./lexicon.json');
+
+// "joy" is reported as "happiness", as in emotion_analyzer.py. Order matters:
+// on a tie the first emotion in this list wins, matching Python's max().
+const EMOTION_KEYS = [
+  ['sadness', 'sadness'],
+  ['happiness', 'joy'],
+  ['anger', 'anger'],
+  ['fear', 'fear'],
+  ['disgust', 'disgust'],
+  ['surprise', 'surprise'],
+  ['trust', 'trust'],
+  ['anticipation', 'anticipation'],
+];
+
+// word -> [lexicon emotions]
+const WORD_INDEX = new Map();
+for (const [emotion, words] of Object.entries(lexicon)) {
+  for (const word of words) {
+    if (!WORD_INDEX.has(word)) WORD_INDEX.set(word, []);
+    WORD_INDEX.get(word).push(emotion);
+  }
+}
+
+// Try the word as written, then a few common suffixes stripped ("worrying" -> "worry")
+function lookup(word) {
+  if (WORD_INDEX.has(word)) return WORD_INDEX.get(word);
+  const stems = [
+    word.replace(/ies$/, 'y'),
+    word.replace(/(ing|ed|ly|s)$/, ''),
+    word.replace(/(ing|ed)$/, 'e'),
+  ];
+  for (const stem of stems) {
+    if (stem !== word && WORD_INDEX.has(stem)) return WORD_INDEX.get(stem);
+  }
+  return [];
+}
+
+/**
+ * Analyze the emotions in a piece of text
+ * @param {string} text - The user's message
+ * @returns {object} - { top_emotion, scores } (scores empty for empty text)
+ */
+function analyze(text) {
+  const clean = String(text || '').trim();
+  if (!clean) return { top_emotion: 'neutral', scores: {} };
+
+  const counts = {};
+  const words = clean.toLowerCase().replace(/[’]/g, "'").match(/[a-z']+/g) || [];
+  for (const word of words) {
+    for (const emotion of lookup(word.replace(/^'+|'+$/g, ''))) {
+      counts[emotion] = (counts[emotion] || 0) + 1;
+    }
+  }
+
+  const scores = {};
+  for (const [name, lexiconName] of EMOTION_KEYS) {
+    scores[name] = counts[lexiconName] || 0;
+  }
+
+  let topEmotion = 'neutral';
+  let topScore = 0;
+  for (const [name] of EMOTION_KEYS) {
+    if (scores[name] > topScore) {
+      topEmotion = name;
+      topScore = scores[name];
+    }
+  }
+
+  return { top_emotion: topEmotion, scores };
+}
+
+function createLexiconAnalyzer() {
+  return {
+    name: 'lexicon',
+    async analyze(text) {
+      return analyze(text);
+    },
+  };
+}
+
+module.exports = { createLexiconAnalyzer, analyze };
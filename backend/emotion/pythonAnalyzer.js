@@ -0,0 +1,53 @@
+/**
+ * Python emotion analyzer (optional)
+ *
+ * Runs emotion_analyzer.py (NRCLex) in a subprocess for each message.
+ * Slower than the lexicon analyzer and needs Python + nrclex on the host,
+ * so any failure falls back to the in-process analyzer instead of
+ * silently answering "neutral". A reported error (nrclex missing) or an
+ * answer without scores counts as a failure too; the first one is logged.
+ */
+
+const path = require('path');
+const { PythonShell } = require('python-shell');
+
+/**
+ * @param {object} options
+ * @param {object} options.fallback - Analyzer used whenever Python fails
+ * @param {function} [options.run] - Runs the script (PythonShell.run; replaced in tests)
+ */
+function createPythonAnalyzer({ fallback, run = PythonShell.run }) {
+  let warned = false;
+
+  return {
+    name: 'python',
+
+    async analyze(text) {
+      try {
+        const result = await run('emotion_analyzer.py', {
+          mode: 'text',
+          args: [text],
+          scriptPath: path.join(__dirname, '..'),
+          pythonOptions: ['-u'],
+        });
+        if (!Array.isArray(result) || result.length === 0) {
+          throw new Error('emotion_analyzer.py produced no output');
+        }
+        const analysis = JSON.parse(result[result.length - 1]);
+        if (analysis.error) throw new Error(analysis.error);
+        if (!analysis.scores || Object.keys(analysis.scores).length === 0) {
+          throw new Error('emotion_analyzer.py returned no scores');
+        }
+        return analysis;
+      } catch (error) {
+        if (!warned) {
+          console.warn(`Python emotion analyzer unavailable (${error.message}); using ${fallback.name} analyzer instead.`);
+          warned = true;
+        }
+        return fallback.analyze(text);
+      }
+    },
+  };
+}
+
+module.exports = { createPythonAnalyzer };
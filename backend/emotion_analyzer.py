@@ -13,8 +13,8 @@ def analyze(text: str):
         return {"top_emotion": "neutral", "scores": {}}
 
     if NRCLex is None:
-        # Fallback neutral if NRCLex isn't installed
-        return {"top_emotion": "neutral", "scores": {}}
+        # Reported as an error so the Node side falls back to its own analyzer
+        return {"error": "nrclex is not installed"}
 
     doc = NRCLex(text)
     scores = doc.raw_emotion_scores or {}
@@ -0,0 +1,196 @@
+/**
+ * Guided Exercise Engine
+ *
+ * Walks a session through one of the scripted exercises in scripts.js.
+ * While an exercise is running the session is in "exercise mode": chat
+ * messages answer the current step instead of going to the AI, until the
+ * exercise finishes or the user says "stop". Progress is stored in the
+ * "exercise_sessions" namespace and abandoned exercises expire after
+ * EXERCISE_IDLE_MINUTES. Exercises started with ephemeral: true (a
+ * conversation that isn't stored) stay in process memory instead.
+ *
+ * Every function returns a view of the current step for the client:
+ *   { id, title, stepIndex, totalSteps, step: { kind, text, ... }, completed, needsAnswer }
+ */
+
+const { createStore } = require('../storage');
+const { createMemoryStore } = require('../storage/memoryStore');
+const { format } = require('../i18n');
+const { EXERCISES } = require('./scripts');
+
+const IDLE_MS = (Number(process.env.EXERCISE_IDLE_MINUTES) || 30) * 60 * 1000; // default 30 minutes
+const MAX_ANSWER_LENGTH = 500;
+
+// Typed on its own, any of these leaves exercise mode
+const STOP_PHRASES = new Set([
+  'stop', 'stop exercise', 'stop the exercise', 'exit', 'quit', 'cancel', 'end exercise', 'i want to stop',
+  'bas', 'ruko', 'band karo', 'बस', 'रुको', 'बंद करो',
+]);
+
+let store = createStore({ namespace: 'exercise_sessions' });
+// Exercises in conversations the person chose not to store (and all of minors'): process memory only
+const ephemeralStore = createMemoryStore();
+
+/**
+ * Swap the backing store (e.g. an in-memory store in tests)
+ */
+function setStore(nextStore) {
+  store = nextStore;
+}
+
+function getExercise(id) {
+  return EXERCISES.find((exercise) => exercise.id === id) || null;
+}
+
+// Text in the requested language, else English
+function localize(texts, locale) {
+  return texts[locale] || texts.en;
+}
+
+/**
+ * Exercises on offer, for the exercise picker
+ * @returns {Array<object>} - [{ id, title, description, minutes }]
+ */
+function listExercises(locale) {
+  return EXERCISES.map((exercise) => ({
+    id: exercise.id,
+    title: localize(exercise.title, locale),
+    description: localize(exercise.description, locale),
+    minutes: exercise.minutes,
+  }));
+}
+
+/**
+ * Which exercise (if any) a chat message asks for
+ * @returns {string|null} - Exercise id
+ */
+function findExerciseRequest(message) {
+  const text = String(message || '').toLowerCase();
+  const match = EXERCISES.find((exercise) => exercise.triggers.some((pattern) => pattern.test(text)));
+  return match ? match.id : null;
+}
+
+/**
+ * Is this message asking to leave the current exercise?
+ */
+function isStopRequest(message) {
+  const text = String(message || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+  return STOP_PHRASES.has(text);
+}
+
+function buildView(exercise, stepIndex, answers, locale, extra = {}) {
+  const step = exercise.steps[stepIndex];
+  const text = localize(step.text, locale);
+  return {
+    id: exercise.id,
+    title: localize(exercise.title, locale),
+    stepIndex,
+    totalSteps: exercise.steps.length,
+    step: {
+      kind: step.kind,
+      text: step.kind === 'summary' ? format(text, answers) : text,
+      ...(step.phases ? { phases: step.phases, rounds: step.rounds } : {}),
+    },
+    completed: step.kind === 'summary',
+    needsAnswer: false,
+    ...extra,
+  };
+}
+
+/**
+ * Start (or restart) an exercise for a session
+ * Rejects with a StorageError if the store can't be written.
+ * @param {object} [options]
+ * @param {boolean} [options.ephemeral] - Keep the answers in process memory only, never on disk
+ * @returns {Promise<object|null>} - View of the first step, or null for an unknown exercise
+ */
+async function startExercise(sessionId, exerciseId, locale, { ephemeral = false } = {}) {
+  const exercise = getExercise(exerciseId);
+  if (!exercise) return null;
+  const now = Date.now();
+  const target = ephemeral ? ephemeralStore : store;
+  await Promise.all([store.delete(sessionId), ephemeralStore.delete(sessionId)]); // a restart may switch stores
+  await target.pruneIdle(now - IDLE_MS);
+  await target.update(sessionId, () => ({ exerciseId, stepIndex: 0, answers: {}, startedAt: now, updatedAt: now }));
+  return buildView(exercise, 0, {}, locale);
+}
+
+/**
+ * The session's running exercise and the store it is kept in
+ * @returns {Promise<object|null>} - { state, target }
+ */
+async function findExercise(sessionId) {
+  const kept = await ephemeralStore.get(sessionId);
+  const [state, target] = kept ? [kept, ephemeralStore] : [await store.get(sessionId), store];
+  if (!state || Date.now() - state.updatedAt > IDLE_MS || !getExercise(state.exerciseId)) return null;
+  return { state, target };
+}
+
+/**
+ * The session's running exercise state, or null when not in exercise mode
+ * Rejects with a StorageError if the store can't be read.
+ */
+async function getActiveExercise(sessionId) {
+  const found = await findExercise(sessionId);
+  return found ? found.state : null;
+}
+
+/**
+ * View of the session's current step, or null when not in exercise mode
+ */
+async function getCurrentStep(sessionId, locale) {
+  const state = await getActiveExercise(sessionId);
+  return state ? buildView(getExercise(state.exerciseId), state.stepIndex, state.answers, locale) : null;
+}
+
+/**
+ * Move to the next step, saving the answer to the current one
+ * Questions need an answer; without one the same step comes back with
+ * needsAnswer: true. Reaching the summary ends exercise mode.
+ * Rejects with a StorageError if the store can't be written.
+ * @param {string} [answer] - What the user typed for this step
+ * @returns {Promise<object|null>} - View of the new step, or null when not in exercise mode
+ */
+async function advanceExercise(sessionId, answer, locale) {
+  const found = await findExercise(sessionId);
+  if (!found) return null;
+  const { state, target } = found;
+  const exercise = getExercise(state.exerciseId);
+  const step = exercise.steps[state.stepIndex];
+  const text = typeof answer === 'string' ? answer.trim().slice(0, MAX_ANSWER_LENGTH) : '';
+
+  if (step.kind === 'question' && !text) {
+    return buildView(exercise, state.stepIndex, state.answers, locale, { needsAnswer: true });
+  }
+
+  const answers = step.key ? { ...state.answers, [step.key]: text } : state.answers;
+  const stepIndex = Math.min(state.stepIndex + 1, exercise.steps.length - 1);
+  const view = buildView(exercise, stepIndex, answers, locale);
+
+  if (view.completed) {
+    await target.delete(sessionId);
+  } else {
+    await target.update(sessionId, () => ({ ...state, stepIndex, answers, updatedAt: Date.now() }));
+  }
+  return view;
+}
+
+/**
+ * Leave exercise mode (nothing happens if no exercise is running)
+ * Rejects with a StorageError if the store can't be written.
+ */
+async function stopExercise(sessionId) {
+  await Promise.all([store.delete(sessionId), ephemeralStore.delete(sessionId)]);
+}
+
+module.exports = {
+  listExercises,
+  findExerciseRequest,
+  isStopRequest,
+  startExercise,
+  getActiveExercise,
+  getCurrentStep,
+  advanceExercise,
+  stopExercise,
+  setStore,
+};
@@ -0,0 +1,214 @@
+/**
+ * Guided Exercise Scripts
+ *
+ * Each exercise is a list of steps the user goes through one at a time:
+ * - info:      something to read; any reply moves on
+ * - breathing: timed breathing phases repeated for a number of rounds
+ *              (the app animates them; cues are inhale, hold and exhale)
+ * - prompt:    an invitation to notice or write something; the answer is optional
+ * - question:  needs an answer, saved under the step's key
+ * - summary:   the last step; {key} placeholders are filled from the answers
+ *
+ * Texts are given per language (see i18n); missing languages use English.
+ * triggers are matched against the lower-cased message to start an exercise
+ * from the chat.
+ */
+
+const BOX_BREATHING = {
+  id: 'box_breathing',
+  minutes: 2,
+  title: { en: 'Box breathing', hi: 'बॉक्स ब्रीदिंग' },
+  description: {
+    en: 'Breathe in, hold, out and hold for 4 seconds each to slow your body down.',
+    hi: '4-4 सेकंड साँस लें, रोकें, छोड़ें और रोकें, ताकि शरीर शांत हो सके।',
+  },
+  triggers: [
+    /\b(need|want|do|try|start|give me|show me|guide me through|let'?s do)\b.{0,20}\b(breathing|breath) (exercise|technique)\b/,
+    /\bbox breathing\b/,
+    /\bhelp me (breathe|calm down)\b/,
+    /\bsaans (ki|ka) (exercise|kasrat|abhyas)\b/,
+    /(साँस|सांस) (की|का) (एक्सरसाइज़|एक्सरसाइज|कसरत|अभ्यास)/,
+  ],
+  steps: [
+    {
+      kind: 'info',
+      text: {
+        en: "Let's do box breathing together 🌿 Sit comfortably, relax your shoulders and rest your hands in your lap. When you're ready, press Next (or type anything).",
+        hi: 'चलिए साथ में बॉक्स ब्रीदिंग करते हैं 🌿 आराम से बैठें, कंधे ढीले छोड़ें और हाथ गोद में रखें। तैयार हों तो आगे दबाएँ (या कुछ भी लिखें)।',
+      },
+    },
+    {
+      kind: 'breathing',
+      rounds: 4,
+      phases: [
+        { cue: 'inhale', seconds: 4 },
+        { cue: 'hold', seconds: 4 },
+        { cue: 'exhale', seconds: 4 },
+        { cue: 'hold', seconds: 4 },
+      ],
+      text: {
+        en: 'Follow the circle: breathe in for 4, hold for 4, breathe out for 4, hold for 4. Four rounds.',
+        hi: 'घेरे के साथ चलें: 4 तक साँस अंदर, 4 तक रोकें, 4 तक बाहर, 4 तक रोकें। चार बार।',
+      },
+    },
+    {
+      kind: 'prompt',
+      text: {
+        en: 'Well done 💚 How does your body feel now compared to before?',
+        hi: 'बहुत बढ़िया 💚 पहले के मुकाबले अब आपका शरीर कैसा महसूस कर रहा है?',
+      },
+    },
+    {
+      kind: 'summary',
+      text: {
+        en: 'Thank you for taking this pause for yourself. You can come back to box breathing any time things feel like too much. 🌿',
+        hi: 'अपने लिए यह ठहराव लेने के लिए शुक्रिया। जब भी सब कुछ ज़्यादा लगे, आप फिर से बॉक्स ब्रीदिंग कर सकते हैं। 🌿',
+      },
+    },
+  ],
+};
+
+const GROUNDING = {
+  id: 'grounding_54321',
+  minutes: 4,
+  title: { en: '5-4-3-2-1 grounding', hi: '5-4-3-2-1 ग्राउंडिंग' },
+  description: {
+    en: 'Use your five senses to come back to the present moment when anxiety spirals.',
+    hi: 'जब घबराहट बढ़े, तो अपनी पाँचों इंद्रियों से वर्तमान पल में लौटें।',
+  },
+  triggers: [
+    /\b5[- ]?4[- ]?3[- ]?2[- ]?1\b/,
+    /\bgrounding (exercise|technique)\b/,
+    /\b(need|want|do|try|start|help me)\b.{0,20}\bground(ing)?\b/,
+    /\bground me\b/,
+    /ग्राउंडिंग/,
+  ],
+  steps: [
+    {
+      kind: 'info',
+      text: {
+        en: "Let's ground ourselves in the here and now 🌱 We'll go through your senses one by one. Take your time; there are no wrong answers.",
+        hi: 'चलिए अभी और यहीं पर लौटते हैं 🌱 हम एक-एक करके आपकी इंद्रियों से गुज़रेंगे। आराम से करें, कोई जवाब गलत नहीं है।',
+      },
+    },
+    {
+      kind: 'prompt',
+      text: { en: '👀 Name 5 things you can SEE around you.', hi: '👀 अपने आसपास दिख रही 5 चीज़ों के नाम बताइए।' },
+    },
+    {
+      kind: 'prompt',
+      text: { en: '✋ Name 4 things you can FEEL or touch.', hi: '✋ 4 चीज़ें बताइए जिन्हें आप महसूस कर सकते हैं या छू सकते हैं।' },
+    },
+    {
+      kind: 'prompt',
+      text: { en: '👂 Name 3 things you can HEAR.', hi: '👂 3 आवाज़ें बताइए जो आप सुन सकते हैं।' },
+    },
+    {
+      kind: 'prompt',
+      text: { en: '👃 Name 2 things you can SMELL.', hi: '👃 2 चीज़ें बताइए जिनकी गंध आप ले सकते हैं।' },
+    },
+    {
+      kind: 'prompt',
+      text: { en: '👅 Name 1 thing you can TASTE.', hi: '👅 1 चीज़ बताइए जिसका स्वाद आप महसूस कर सकते हैं।' },
+    },
+    {
+      kind: 'summary',
+      text: {
+        en: "You're here, right now, and you got through it 💚 Notice your breathing for a moment before you carry on.",
+        hi: 'आप यहाँ हैं, इसी पल में, और आपने यह कर लिया 💚 आगे बढ़ने से पहले एक पल अपनी साँसों पर ध्यान दें।',
+      },
+    },
+  ],
+};
+
+const THOUGHT_RECORD = {
+  id: 'thought_record',
+  minutes: 8,
+  title: { en: 'Thought record', hi: 'विचार डायरी' },
+  description: {
+    en: 'A CBT exercise: write down a troubling thought, weigh the evidence and find a more balanced view.',
+    hi: 'एक CBT अभ्यास: परेशान करने वाला विचार लिखें, सबूतों को परखें और संतुलित नज़रिया खोजें।',
+  },
+  triggers: [
+    /\bthought record\b/,
+    /\bcbt (exercise|worksheet)\b/,
+    /\b(reframe|challenge) (my|this|a|these|negative) thoughts?\b/,
+    /विचार डायरी/,
+  ],
+  steps: [
+    {
+      kind: 'info',
+      text: {
+        en: "Let's look at a thought that's bothering you, step by step 📝 You can stop any time by typing 'stop'.",
+        hi: 'चलिए उस विचार को कदम-दर-कदम देखते हैं जो आपको परेशान कर रहा है 📝 आप कभी भी \'बस\' लिखकर रुक सकते हैं।',
+      },
+    },
+    {
+      kind: 'question',
+      key: 'situation',
+      text: {
+        en: 'What happened? Describe the situation briefly (where, when, who).',
+        hi: 'क्या हुआ था? स्थिति को संक्षेप में बताइए (कहाँ, कब, कौन)।',
+      },
+    },
+    {
+      kind: 'question',
+      key: 'thought',
+      text: {
+        en: 'What thought went through your mind? Write it the way it sounded in your head.',
+        hi: 'आपके मन में कौन-सा विचार आया? उसे वैसे ही लिखिए जैसे वह मन में सुनाई दिया।',
+      },
+    },
+    {
+      kind: 'question',
+      key: 'feeling',
+      text: {
+        en: 'What did you feel, and how strongly (0-100)?',
+        hi: 'आपने क्या महसूस किया, और कितनी तीव्रता से (0-100)?',
+      },
+    },
+    {
+      kind: 'question',
+      key: 'evidenceFor',
+      text: {
+        en: 'What facts support this thought?',
+        hi: 'कौन-से तथ्य इस विचार का समर्थन करते हैं?',
+      },
+    },
+    {
+      kind: 'question',
+      key: 'evidenceAgainst',
+      text: {
+        en: "What facts don't fit this thought? What would you tell a friend who thought this?",
+        hi: 'कौन-से तथ्य इस विचार से मेल नहीं खाते? अगर किसी दोस्त के मन में यही विचार होता, तो आप उससे क्या कहते?',
+      },
+    },
+    {
+      kind: 'question',
+      key: 'balanced',
+      text: {
+        en: 'Looking at both sides, what is a more balanced way to see it?',
+        hi: 'दोनों पहलुओं को देखकर, इसे देखने का ज़्यादा संतुलित तरीका क्या है?',
+      },
+    },
+    {
+      kind: 'question',
+      key: 'rerate',
+      text: {
+        en: 'How strong is the feeling now (0-100)?',
+        hi: 'अब वह भावना कितनी तीव्र है (0-100)?',
+      },
+    },
+    {
+      kind: 'summary',
+      text: {
+        en: 'Here is your thought record 💚\n• Situation: {situation}\n• Thought: {thought}\n• Feeling: {feeling}\n• For: {evidenceFor}\n• Against: {evidenceAgainst}\n• Balanced view: {balanced}\n• Feeling now: {rerate}\nWell done for slowing down and looking at it from another side.',
+        hi: 'यह रही आपकी विचार डायरी 💚\n• स्थिति: {situation}\n• विचार: {thought}\n• भावना: {feeling}\n• समर्थन में: {evidenceFor}\n• विरोध में: {evidenceAgainst}\n• संतुलित नज़रिया: {balanced}\n• अब भावना: {rerate}\nरुककर इसे दूसरे नज़रिए से देखने के लिए शाबाश।',
+      },
+    },
+  ],
+};
+
+const EXERCISES = [BOX_BREATHING, GROUNDING, THOUGHT_RECORD];
+
+module.exports = { EXERCISES };
@@ -0,0 +1,302 @@
+/**
+ * Human Handoff (live counselor chat)
+ *
+ * When a conversation reaches very high stress, the person can ask to talk
+ * to a human. Their session joins a queue, a counselor (any account with a
+ * review role, see auth/) picks it up from the console, and from then on
+ * their messages go to the counselor instead of the AI until either side
+ * ends the chat. The messages themselves travel over the real-time channel
+ * (see realtime/ and relay.js); this module only keeps the state.
+ *
+ * A session may ask for a counselor when any of its last RECENT_TURNS turns
+ * had very high stress or more (stress level 3-4) or got the crisis reply.
+ * Conversations the person chose not to store have no transcript; for them
+ * the exchanges kept in conversation memory are checked instead.
+ *
+ * Stored in the "handoffs" namespace, keyed by session ID, one handoff per
+ * session at a time (asking again after an ended chat starts a new one),
+ * and pruned HANDOFF_DAYS after the last message (handoffs of conversations
+ * the person chose not to store are kept in process memory instead):
+ *   { sessionId, status: 'waiting' | 'active' | 'ended', requestedAt, stressLevel, riskLevel,
+ *     counselor: { id, name } | null, acceptedAt, endedAt, endedBy: 'user' | 'counselor' | null,
+ *     messages: [{ id, ts, from: 'user' | 'counselor', name?, text, riskLevel? }], updatedAt }
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('../storage');
+const { getTranscript } = require('../transcripts');
+const { getRecentExchanges, isEphemeralSession } = require('../memory');
+const { createMemoryStore } = require('../storage/memoryStore');
+const { isCrisis } = require('../risk');
+
+const HANDOFF_MIN_STRESS = 3;
+const RECENT_TURNS = 5;
+const MAX_MESSAGES = 500;
+const OPEN_STATUSES = ['waiting', 'active'];
+const RISK_ORDER = ['none', 'low', 'moderate', 'high', 'critical'];
+const RETENTION_MS = (Number(process.env.HANDOFF_DAYS) || 90) * 24 * 60 * 60 * 1000; // default 90 days
+
+let store = createStore({ namespace: 'handoffs' });
+const ephemeralStore = createMemoryStore();
+
+/**
+ * Swap the backing store (e.g. an in-memory store in tests)
+ */
+function setStore(nextStore) {
+  store = nextStore;
+}
+
+/**
+ * A handoff action that isn't possible right now (not eligible, already
+ * taken, not active, ...). code is sent to the client; status is the HTTP
+ * equivalent.
+ */
+class HandoffError extends Error {
+  constructor(code, message, status = 409) {
+    super(message);
+    this.name = 'HandoffError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const isOpen = (record) => Boolean(record) && OPEN_STATUSES.includes(record.status);
+
+/**
+ * The store a session's handoff is kept in: process memory for
+ * conversations that aren't stored (see memory.isEphemeralSession)
+ */
+async function storeFor(sessionId) {
+  return (await ephemeralStore.get(sessionId)) || (await isEphemeralSession(sessionId)) ? ephemeralStore : store;
+}
+
+/**
+ * Highest stress and risk among a session's recent turns
+ * @returns {object} - { stressLevel, riskLevel, eligible }
+ */
+function assessTurns(turns) {
+  const recent = turns.slice(-RECENT_TURNS);
+  const stressLevel = Math.max(0, ...recent.map((turn) => (Number.isInteger(turn.stressLevel) ? turn.stressLevel : 0)));
+  const riskLevel = recent.reduce((highest, turn) => (
+    RISK_ORDER.indexOf(turn.riskLevel) > RISK_ORDER.indexOf(highest) ? turn.riskLevel : highest
+  ), 'none');
+  return { stressLevel, riskLevel, eligible: stressLevel >= HANDOFF_MIN_STRESS || isCrisis({ level: riskLevel }) };
+}
+
+/**
+ * A session's recent turns: the transcript, or conversation memory for an
+ * unsaved conversation
+ */
+async function recentTurns(sessionId) {
+  const transcript = await getTranscript(sessionId);
+  if (transcript.length) return transcript;
+  const exchanges = await getRecentExchanges(sessionId);
+  return exchanges.map((item) => ({ stressLevel: item.stressLevel, riskLevel: item.risk && item.risk.level }));
+}
+
+/**
+ * A session's handoff, if it has one (ended ones included)
+ * Rejects with a StorageError if the store can't be read.
+ * @returns {Promise<object|null>}
+ */
+async function getHandoff(sessionId) {
+  return (await storeFor(sessionId)).get(sessionId);
+}
+
+/**
+ * Put a session in the queue for a counselor
+ * Asking again while waiting or talking returns the open handoff unchanged.
+ * Rejects with a HandoffError (not_eligible) when recent stress is too low.
+ * @returns {Promise<object>} - The handoff record
+ */
+async function requestHandoff(sessionId) {
+  const target = await storeFor(sessionId);
+  await target.pruneIdle(Date.now() - RETENTION_MS);
+  const current = await target.get(sessionId);
+  if (isOpen(current)) return current;
+
+  const { stressLevel, riskLevel, eligible } = assessTurns(await recentTurns(sessionId));
+  if (!eligible) {
+    throw new HandoffError('not_eligible', 'A counselor can be requested when the conversation shows very high stress.', 403);
+  }
+
+  const now = Date.now();
+  return target.update(sessionId, (latest) => (isOpen(latest) ? latest : {
+    sessionId,
+    status: 'waiting',
+    requestedAt: now,
+    stressLevel,
+    riskLevel,
+    counselor: null,
+    acceptedAt: null,
+    endedAt: null,
+    endedBy: null,
+    messages: [],
+    updatedAt: now,
+  }));
+}
+
+/**
+ * Delete a session's handoff, messages included (the person deleted their data)
+ */
+async function deleteHandoff(sessionId) {
+  await Promise.all([store.delete(sessionId), ephemeralStore.delete(sessionId)]);
+}
+
+/**
+ * Pick up a waiting session
+ * Rejects with a HandoffError if it isn't waiting (e.g. another counselor
+ * was quicker), unless this counselor already has it.
+ * @param {object} counselor - { id, name }
+ * @returns {Promise<object>} - The handoff record
+ */
+async function acceptHandoff(sessionId, counselor) {
+  let refusal = null;
+  const record = await (await storeFor(sessionId)).update(sessionId, (current) => {
+    if (current && current.status === 'active' && current.counselor.id === counselor.id) return current;
+    if (!current || current.status !== 'waiting') {
+      refusal = current && current.status === 'active'
+        ? new HandoffError('taken', `${current.counselor.name} is already talking with this person.`)
+        : new HandoffError('not_waiting', 'This person is no longer waiting.');
+      return current;
+    }
+    const now = Date.now();
+    return { ...current, status: 'active', counselor, acceptedAt: now, updatedAt: now };
+  });
+  if (refusal) throw refusal;
+  return record;
+}
+
+/**
+ * End a handoff (the person leaves the queue or either side ends the chat)
+ * Ending one that isn't open is a no-op. Rejects with a HandoffError
+ * (not_assigned) when a counselor ends someone else's chat.
+ * @param {object} sender - { from: 'user' } or { from: 'counselor', id }
+ * @returns {Promise<object|null>} - The handoff record
+ */
+async function endHandoff(sessionId, sender) {
+  let refusal = null;
+  const record = await (await storeFor(sessionId)).update(sessionId, (current) => {
+    if (!isOpen(current)) return current;
+    if (sender.from === 'counselor' && current.status === 'active' && current.counselor.id !== sender.id) {
+      refusal = new HandoffError('not_assigned', 'Another counselor is handling this chat.', 403);
+      return current;
+    }
+    const now = Date.now();
+    return { ...current, status: 'ended', endedAt: now, endedBy: sender.from, updatedAt: now };
+  });
+  if (refusal) throw refusal;
+  return record;
+}
+
+/**
+ * Whether the session is talking with a counselor right now (the AI
+ * doesn't answer while it is)
+ * Rejects with a StorageError if the store can't be read.
+ */
+async function isLiveHandoff(sessionId) {
+  const record = await getHandoff(sessionId);
+  return Boolean(record) && record.status === 'active';
+}
+
+/**
+ * Add a message to an active handoff
+ * Rejects with a HandoffError (not_active) outside a live chat, or
+ * (not_assigned) when a counselor writes into someone else's chat.
+ * @param {object} sender - { from: 'user' } or { from: 'counselor', id, name }
+ * @param {string} text - Already trimmed and length-checked
+ * @param {object} [extra] - e.g. { riskLevel } for the person's messages
+ * @returns {Promise<object>} - The stored message
+ */
+async function addMessage(sessionId, sender, text, extra = {}) {
+  let refusal = null;
+  const message = {
+    id: crypto.randomUUID(),
+    ts: Date.now(),
+    from: sender.from,
+    ...(sender.from === 'counselor' ? { name: sender.name } : {}),
+    text,
+    ...extra,
+  };
+  await (await storeFor(sessionId)).update(sessionId, (current) => {
+    if (!current || current.status !== 'active') {
+      refusal = new HandoffError('not_active', 'This chat with a counselor is not active.');
+      return current;
+    }
+    if (sender.from === 'counselor' && current.counselor.id !== sender.id) {
+      refusal = new HandoffError('not_assigned', 'Another counselor is handling this chat.', 403);
+      return current;
+    }
+    return { ...current, messages: [...current.messages, message].slice(-MAX_MESSAGES), updatedAt: message.ts };
+  });
+  if (refusal) throw refusal;
+  return message;
+}
+
+/**
+ * Open handoffs for the counselor console: waiting ones first (longest
+ * wait first), then active ones
+ * Rejects with a StorageError if the store can't be read.
+ * @returns {Promise<Array<object>>} - Handoff records
+ */
+async function listQueue() {
+  const records = [...(await store.list()), ...(await ephemeralStore.list())];
+  const open = records.map(({ record }) => record).filter(isOpen);
+  const byStatus = (status) => open.filter((record) => record.status === status).sort((a, b) => a.requestedAt - b.requestedAt);
+  return [...byStatus('waiting'), ...byStatus('active')];
+}
+
+/**
+ * Queue entry as shown in the console (no messages)
+ * @param {number|null} position - 1-based place in the queue while waiting
+ */
+function summarizeHandoff(record, position = null) {
+  const last = record.messages[record.messages.length - 1];
+  return {
+    sessionId: record.sessionId,
+    status: record.status,
+    position,
+    requestedAt: record.requestedAt,
+    acceptedAt: record.acceptedAt,
+    stressLevel: record.stressLevel,
+    riskLevel: record.riskLevel,
+    counselor: record.counselor,
+    messages: record.messages.length,
+    lastMessageAt: last ? last.ts : null,
+  };
+}
+
+/**
+ * What the person sees of their own handoff (counselor's name only)
+ * @param {number|null} position - 1-based place in the queue while waiting
+ */
+function toPublicHandoff(record, position = null) {
+  if (!record) return null;
+  return {
+    status: record.status,
+    position,
+    requestedAt: record.requestedAt,
+    acceptedAt: record.acceptedAt,
+    endedAt: record.endedAt,
+    endedBy: record.endedBy,
+    counselor: record.counselor ? { name: record.counselor.name } : null,
+    messages: record.messages,
+  };
+}
+
+module.exports = {
+  HandoffError,
+  HANDOFF_MIN_STRESS,
+  assessTurns,
+  getHandoff,
+  requestHandoff,
+  acceptHandoff,
+  endHandoff,
+  isLiveHandoff,
+  addMessage,
+  deleteHandoff,
+  listQueue,
+  summarizeHandoff,
+  toPublicHandoff,
+  setStore,
+};
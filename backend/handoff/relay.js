@@ -0,0 +1,210 @@
+/**
+ * Handoff Relay
+ *
+ * Carries the live counselor chat over the real-time channel (see
+ * realtime/). The person's chat window and the counselor console both
+ * keep a WebSocket open; this file wires the handoff state (index.js) to
+ * those sockets.
+ *
+ * Rooms:
+ * - session:<id>    every open chat window of a session
+ * - sessions        every chat window (for counselor presence)
+ * - counselors      every open counselor console (the queue, without any messages)
+ * - counselor:<id>  the consoles of one counselor (the chats they accepted)
+ *
+ * From the chat window:
+ *   handoff:request            ask for a counselor (joins the queue)
+ *   handoff:cancel             leave the queue, or end the chat with the counselor
+ *   handoff:message { text }   message to the counselor (only while active)
+ * To the chat window:
+ *   handoff:state { handoff, counselorsOnline }   on connect and whenever the handoff changes
+ *   handoff:message { message }                   a new message from either side
+ *   typing { from: 'counselor', typing }          the counselor is typing
+ *   presence { counselorsOnline }                 a console opened or closed
+ *
+ * From the console (accounts with a review role):
+ *   counselor:accept { sessionId }          pick up a waiting person
+ *   counselor:open { sessionId }            load a chat again (after a reload; not another counselor's live chat)
+ *   counselor:message { sessionId, text }   reply in a chat this counselor has accepted
+ *   counselor:typing { sessionId, typing }  the counselor is (or stopped) typing
+ *   counselor:end { sessionId }             end a waiting request, or a chat this counselor has accepted
+ * To the console:
+ *   handoff:queue { queue, counselorsOnline }   on connect and whenever the queue changes
+ *   handoff:detail { handoff, turns }           full chat plus the AI conversation before it
+ *   handoff:message { sessionId, message }      a new message in a chat this counselor accepted
+ *   typing { sessionId, from: 'user', typing }  the person is typing, to the same (see realtime/chat.js)
+ */
+
+const { HandoffError, getHandoff, requestHandoff, acceptHandoff, endHandoff, addMessage, listQueue, summarizeHandoff, toPublicHandoff } = require('.');
+const { getTranscript } = require('../transcripts');
+const { assessRisk } = require('../risk');
+const { createRateLimiter } = require('../limits/rateLimiter');
+const { MAX_MESSAGE_LENGTH } = require('../limits');
+const { sessionRoom, counselorRoom, SESSIONS, COUNSELORS } = require('../realtime');
+
+const CONTEXT_TURNS = 10;
+
+// Live chat is typed by a person on each side, so this is generous
+const messageLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 30 });
+
+/**
+ * Check and trim a relayed message
+ * @returns {string}
+ */
+function readText(frame, key) {
+  const text = typeof frame.text === 'string' ? frame.text.trim() : '';
+  if (!text) throw new HandoffError('invalid_message', 'Message is required.', 400);
+  if (MAX_MESSAGE_LENGTH && text.length > MAX_MESSAGE_LENGTH) {
+    throw new HandoffError('message_too_long', `Messages are limited to ${MAX_MESSAGE_LENGTH} characters.`, 413);
+  }
+  const attempt = messageLimiter.hit(key);
+  if (!attempt.allowed) {
+    throw new HandoffError('rate_limited', `Please wait ${attempt.retryAfter} seconds before sending another message.`, 429);
+  }
+  return text;
+}
+
+function requireSession(socket) {
+  if (!socket.identity.sessionId) throw new HandoffError('no_session', 'Start a conversation first.', 400);
+  return socket.identity.sessionId;
+}
+
+function requireCounselor(socket) {
+  if (!socket.identity.reviewer) throw new HandoffError('forbidden', 'Only counselors can do this.', 403);
+  return socket.identity.reviewer;
+}
+
+function requireSessionId(frame) {
+  if (typeof frame.sessionId !== 'string' || !frame.sessionId) {
+    throw new HandoffError('invalid_session', 'sessionId is required.', 400);
+  }
+  return frame.sessionId;
+}
+
+/**
+ * Register the handoff message types on a real-time server
+ * @param {object} realtime - Result of createRealtimeServer()
+ */
+function attachHandoffRelay(realtime) {
+  const counselorsOnline = () => realtime.roomSize(COUNSELORS);
+
+  // Send the queue to every console and their place in line to everyone waiting
+  async function publishQueue() {
+    const queue = await listQueue();
+    let position = 0;
+    const summaries = queue.map((record) => summarizeHandoff(record, record.status === 'waiting' ? ++position : null));
+    realtime.sendToRoom(COUNSELORS, 'handoff:queue', { queue: summaries, counselorsOnline: counselorsOnline() });
+    queue.forEach((record, idx) => {
+      if (record.status !== 'waiting') return;
+      realtime.sendToRoom(sessionRoom(record.sessionId), 'handoff:state', {
+        handoff: toPublicHandoff(record, summaries[idx].position),
+        counselorsOnline: counselorsOnline(),
+      });
+    });
+  }
+
+  // Tell a session's chat windows about a handoff that isn't waiting (accepted or ended)
+  function publishState(record) {
+    realtime.sendToRoom(sessionRoom(record.sessionId), 'handoff:state', {
+      handoff: toPublicHandoff(record),
+      counselorsOnline: counselorsOnline(),
+    });
+  }
+
+  // Messages only exist in an active chat, so there is always an assigned counselor to send them to
+  function publishMessage(record, message) {
+    realtime.sendToRoom(sessionRoom(record.sessionId), 'handoff:message', { message });
+    realtime.sendToRoom(counselorRoom(record.counselor.id), 'handoff:message', { sessionId: record.sessionId, message });
+  }
+
+  async function sendDetail(socket, sessionId) {
+    const handoff = await getHandoff(sessionId);
+    if (!handoff) throw new HandoffError('not_found', 'No handoff for this conversation.', 404);
+    if (handoff.status === 'active' && handoff.counselor.id !== socket.identity.reviewer.id) {
+      throw new HandoffError('not_assigned', 'Another counselor is talking with this person.', 403);
+    }
+    const turns = (await getTranscript(sessionId)).slice(-CONTEXT_TURNS);
+    socket.send('handoff:detail', { handoff, turns });
+  }
+
+  realtime.onConnect(async (socket) => {
+    const { sessionId, reviewer } = socket.identity;
+    if (reviewer) {
+      realtime.sendToRoom(SESSIONS, 'presence', { counselorsOnline: counselorsOnline() });
+      await publishQueue();
+    }
+    if (sessionId) {
+      const record = await getHandoff(sessionId);
+      if (record && record.status === 'waiting') {
+        await publishQueue();
+      } else {
+        socket.send('handoff:state', { handoff: toPublicHandoff(record), counselorsOnline: counselorsOnline() });
+      }
+    }
+  });
+
+  realtime.onDisconnect((socket) => {
+    if (socket.identity.reviewer) {
+      realtime.sendToRoom(SESSIONS, 'presence', { counselorsOnline: counselorsOnline() });
+    }
+  });
+
+  realtime.on('handoff:request', async (socket) => {
+    await requestHandoff(requireSession(socket));
+    await publishQueue();
+  });
+
+  realtime.on('handoff:cancel', async (socket) => {
+    const record = await endHandoff(requireSession(socket), { from: 'user' });
+    if (record) publishState(record);
+    await publishQueue();
+  });
+
+  realtime.on('handoff:message', async (socket, frame) => {
+    const sessionId = requireSession(socket);
+    const text = readText(frame, `user:${sessionId}`);
+    // Counselors see how risky each message reads, the same way the AI turns are scored
+    const message = await addMessage(sessionId, { from: 'user' }, text, { riskLevel: assessRisk(text).level });
+    publishMessage(await getHandoff(sessionId), message);
+  });
+
+  realtime.on('counselor:accept', async (socket, frame) => {
+    const reviewer = requireCounselor(socket);
+    const sessionId = requireSessionId(frame);
+    const record = await acceptHandoff(sessionId, { id: reviewer.id, name: reviewer.name });
+    publishState(record);
+    await sendDetail(socket, sessionId);
+    await publishQueue();
+  });
+
+  realtime.on('counselor:open', async (socket, frame) => {
+    requireCounselor(socket);
+    await sendDetail(socket, requireSessionId(frame));
+  });
+
+  realtime.on('counselor:message', async (socket, frame) => {
+    const reviewer = requireCounselor(socket);
+    const sessionId = requireSessionId(frame);
+    const text = readText(frame, `counselor:${reviewer.id}`);
+    const message = await addMessage(sessionId, { from: 'counselor', id: reviewer.id, name: reviewer.name }, text);
+    publishMessage(await getHandoff(sessionId), message);
+  });
+
+  realtime.on('counselor:typing', async (socket, frame) => {
+    const reviewer = requireCounselor(socket);
+    const sessionId = requireSessionId(frame);
+    const record = await getHandoff(sessionId);
+    if (record && record.status === 'active' && record.counselor.id === reviewer.id) {
+      realtime.sendToRoom(sessionRoom(sessionId), 'typing', { from: 'counselor', typing: Boolean(frame.typing) });
+    }
+  });
+
+  realtime.on('counselor:end', async (socket, frame) => {
+    const reviewer = requireCounselor(socket);
+    const record = await endHandoff(requireSessionId(frame), { from: 'counselor', id: reviewer.id });
+    if (record) publishState(record);
+    await publishQueue();
+  });
+}
+
+module.exports = { attachHandoffRelay };
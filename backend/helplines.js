@@ -0,0 +1,216 @@
+/**
+ * Helpline Directory
+ *
+ * The single source of helpline numbers for the whole app: the crisis reply,
+ * the stress-level suffixes in /api/chat, the prompt, and (via
+ * GET /api/helplines) every number shown in the React app.
+ *
+ * Entries are grouped by region (ISO 3166 country code). The first entry of
+ * each region is its primary helpline, used wherever only one number fits.
+ * youth is the line for under-18s, shown to people who said they are minors
+ * during onboarding and named in their prompt.
+ * Check numbers against the official websites before changing them.
+ */
+
+const DEFAULT_REGION = 'IN';
+
+const HELPLINES = {
+  IN: {
+    name: 'India',
+    helplines: [
+      {
+        name: 'Tele-MANAS',
+        phone: '14416',
+        altPhone: '1-800-891-4416',
+        sms: null,
+        hours: '24/7',
+        languages: ['English', 'Hindi', 'Bengali', 'Tamil', 'Telugu', 'Marathi', 'Kannada', 'Malayalam', 'Gujarati', 'and more'],
+        website: 'https://telemanas.mohfw.gov.in/',
+        description: 'Government of India national mental health helpline',
+      },
+      {
+        name: 'iCall (TISS)',
+        phone: '9152987821',
+        sms: null,
+        hours: 'Mon–Sat, 10 AM – 8 PM',
+        languages: ['English', 'Hindi', 'Marathi', 'Gujarati', 'Tamil', 'Telugu'],
+        website: 'https://icallhelpline.org/',
+        description: 'Free counselling by trained professionals',
+      },
+      {
+        name: 'Vandrevala Foundation',
+        phone: '+91 9999666555',
+        sms: '+91 9999666555 (WhatsApp)',
+        hours: '24/7',
+        languages: ['English', 'Hindi', 'and more'],
+        website: 'https://www.vandrevalafoundation.com/',
+        description: 'Free crisis support by phone and WhatsApp',
+      },
+      {
+        name: 'AASRA',
+        phone: '+91 9820466726',
+        sms: null,
+        hours: '24/7',
+        languages: ['English', 'Hindi'],
+        website: 'http://www.aasra.info/',
+        description: 'Suicide prevention and crisis intervention',
+      },
+    ],
+    youth: {
+      name: 'CHILDLINE',
+      phone: '1098',
+      sms: null,
+      hours: '24/7',
+      languages: ['English', 'Hindi', 'and more'],
+      website: 'https://www.childlineindia.org/',
+      description: 'Free emergency helpline for children and young people',
+    },
+  },
+  US: {
+    name: 'United States',
+    helplines: [
+      {
+        name: '988 Suicide & Crisis Lifeline',
+        phone: '988',
+        sms: '988',
+        hours: '24/7',
+        languages: ['English', 'Spanish'],
+        website: 'https://988lifeline.org/',
+        description: 'Call or text 988 for free, confidential support',
+      },
+      {
+        name: 'Crisis Text Line',
+        phone: null,
+        sms: 'Text HOME to 741741',
+        hours: '24/7',
+        languages: ['English', 'Spanish'],
+        website: 'https://www.crisistextline.org/',
+        description: 'Text with a trained crisis counselor',
+      },
+    ],
+    youth: {
+      name: '988 Suicide & Crisis Lifeline',
+      phone: '988',
+      sms: '988',
+      hours: '24/7',
+      languages: ['English', 'Spanish'],
+      website: 'https://988lifeline.org/',
+      description: 'Call or text 988 - for young people too',
+    },
+  },
+  GB: {
+    name: 'United Kingdom',
+    helplines: [
+      {
+        name: 'Samaritans',
+        phone: '116 123',
+        sms: null,
+        hours: '24/7',
+        languages: ['English', 'Welsh'],
+        website: 'https://www.samaritans.org/',
+        description: 'Free to call from any phone',
+      },
+      {
+        name: 'Shout',
+        phone: null,
+        sms: 'Text SHOUT to 85258',
+        hours: '24/7',
+        languages: ['English'],
+        website: 'https://giveusashout.org/',
+        description: 'Free, confidential text support',
+      },
+    ],
+    youth: {
+      name: 'Childline',
+      phone: '0800 1111',
+      sms: null,
+      hours: '24/7',
+      languages: ['English', 'Welsh'],
+      website: 'https://www.childline.org.uk/',
+      description: 'Free, confidential support for anyone under 19',
+    },
+  },
+};
+
+/**
+ * Work out a region code from a region or locale string
+ * Accepts 'IN', 'en-IN', 'hi_IN' or an Accept-Language header; anything
+ * unknown falls back to India.
+ * @param {string} [value] - Region code, locale or Accept-Language header
+ * @returns {string} - A region code present in the directory
+ */
+function resolveRegion(value) {
+  if (!value || typeof value !== 'string') return DEFAULT_REGION;
+  const candidates = value.split(',').map((part) => part.split(';')[0].trim());
+  for (const candidate of candidates) {
+    const upper = candidate.toUpperCase();
+    if (HELPLINES[upper]) return upper;
+    const regionPart = upper.split(/[-_]/)[1];
+    if (regionPart && HELPLINES[regionPart]) return regionPart;
+  }
+  return DEFAULT_REGION;
+}
+
+/**
+ * All helplines for a region
+ * @param {string} [regionOrLocale]
+ * @returns {object} - { region, name, helplines, youth }
+ */
+function getHelplines(regionOrLocale) {
+  const region = resolveRegion(regionOrLocale);
+  const { name, helplines, youth } = HELPLINES[region];
+  return { region, name, helplines, youth };
+}
+
+/**
+ * The primary (first) helpline for a region
+ */
+function getPrimaryHelpline(regionOrLocale) {
+  return getHelplines(regionOrLocale).helplines[0];
+}
+
+/**
+ * Regions available in the directory, for the region picker
+ * @returns {Array<object>} - [{ code, name }]
+ */
+function listRegions() {
+  return Object.entries(HELPLINES).map(([code, entry]) => ({ code, name: entry.name }));
+}
+
+/**
+ * Domains of every helpline website, for the chat's link allow-list
+ * @returns {string[]} - e.g. ['telemanas.mohfw.gov.in', 'icallhelpline.org']
+ */
+function listLinkDomains() {
+  const domains = Object.values(HELPLINES)
+    .flatMap((entry) => [...entry.helplines, entry.youth])
+    .filter((helpline) => helpline.website)
+    .map((helpline) => new URL(helpline.website).hostname.replace(/^www\./, ''));
+  return [...new Set(domains)];
+}
+
+const ENGLISH_CONTACT = { contactCall: 'call {name} at {phone}', contactText: '{sms} ({name})' };
+
+/**
+ * How to reach a helpline, in words ("call 14416", "text HOME to 741741")
+ * @param {object} helpline
+ * @param {object} [templates] - { contactCall, contactText } from an i18n locale (English by default)
+ */
+function describeContact(helpline, templates = ENGLISH_CONTACT) {
+  const sms = helpline.sms ? `${helpline.sms.charAt(0).toLowerCase()}${helpline.sms.slice(1)}` : '';
+  const template = helpline.phone ? templates.contactCall : templates.contactText;
+  return template
+    .replace('{name}', helpline.name)
+    .replace('{phone}', helpline.phone || '')
+    .replace('{sms}', sms);
+}
+
+module.exports = {
+  DEFAULT_REGION,
+  getHelplines,
+  getPrimaryHelpline,
+  listRegions,
+  listLinkDomains,
+  resolveRegion,
+  describeContact,
+};
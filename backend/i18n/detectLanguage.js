@@ -0,0 +1,84 @@
+/**
+ * Language Detection
+ *
+ * Works out which language a message is written in, so the AI can be asked
+ * to reply in it:
+ * 1. Indian scripts are recognised by their Unicode block (Devanagari is
+ *    taken as Hindi, Bengali script as Bengali, and so on)
+ * 2. Latin-script messages are checked for common romanized Hindi words,
+ *    so Hinglish ("mujhe bahut tension ho raha hai") is told apart from English
+ *
+ * Short or ambiguous messages ("ok", "hmm", "😔") are not confident, and
+ * the caller falls back to the language the user picked in the app.
+ */
+
+const SCRIPTS = [
+  { code: 'hi', name: 'Hindi', script: 'Devanagari', pattern: /[ऀ-ॿ]/g },
+  { code: 'bn', name: 'Bengali', script: 'Bengali', pattern: /[ঀ-৿]/g },
+  { code: 'pa', name: 'Punjabi', script: 'Gurmukhi', pattern: /[਀-੿]/g },
+  { code: 'gu', name: 'Gujarati', script: 'Gujarati', pattern: /[઀-૿]/g },
+  { code: 'or', name: 'Odia', script: 'Odia', pattern: /[଀-୿]/g },
+  { code: 'ta', name: 'Tamil', script: 'Tamil', pattern: /[஀-௿]/g },
+  { code: 'te', name: 'Telugu', script: 'Telugu', pattern: /[ఀ-౿]/g },
+  { code: 'kn', name: 'Kannada', script: 'Kannada', pattern: /[ಀ-೿]/g },
+  { code: 'ml', name: 'Malayalam', script: 'Malayalam', pattern: /[ഀ-ൿ]/g },
+];
+
+const LATIN = /[a-z]/gi;
+
+// Romanized Hindi words that rarely appear in English text
+const HINGLISH_WORDS = new Set([
+  'hai', 'hain', 'hoon', 'hun', 'ho', 'tha', 'thi', 'nahi', 'nahin', 'nhi', 'mujhe', 'mujhko', 'mera', 'meri', 'mere',
+  'tum', 'tumhe', 'aap', 'aapko', 'kya', 'kyun', 'kyu', 'kaise', 'kaisa', 'kab', 'kahan', 'bahut', 'bohot', 'bht',
+  'accha', 'acha', 'theek', 'thik', 'yaar', 'dost', 'kuch', 'bhi', 'aur', 'lekin', 'par', 'raha', 'rahi', 'rahe',
+  'karna', 'karta', 'karti', 'kar', 'sakta', 'sakti', 'lag', 'lagta', 'lagti', 'dil', 'mann', 'zindagi', 'pata',
+  'koi', 'sab', 'abhi', 'ghar', 'log', 'udaas', 'pareshan', 'dukhi', 'akela', 'akeli', 'samajh', 'chahta', 'chahti',
+]);
+
+const MIN_LETTERS = 4;        // fewer letters than this is too little to judge
+const MIN_HINGLISH_HITS = 2;  // at least this many Hindi words...
+const MIN_HINGLISH_SHARE = 0.25; // ...making up this share of the words
+
+const ENGLISH = { code: 'en', name: 'English', script: 'Latin', romanized: false };
+const HINGLISH = { code: 'hi-Latn', name: 'Hinglish', script: 'Latin', romanized: true };
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * Detect the language of a message
+ * @param {string} message - The user's message
+ * @returns {object} - { code, name, script, romanized, confident }
+ */
+function detectLanguage(message) {
+  const text = String(message || '');
+
+  // The Indian script with the most letters wins
+  let best = null;
+  let bestCount = 0;
+  for (const entry of SCRIPTS) {
+    const count = countMatches(text, entry.pattern);
+    if (count > bestCount) {
+      best = entry;
+      bestCount = count;
+    }
+  }
+
+  const latinCount = countMatches(text, LATIN);
+  if (best && bestCount >= latinCount) {
+    const { code, name, script } = best;
+    return { code, name, script, romanized: false, confident: bestCount >= MIN_LETTERS };
+  }
+
+  const words = text.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  const hits = words.filter((word) => HINGLISH_WORDS.has(word)).length;
+  if (hits >= MIN_HINGLISH_HITS && hits / words.length >= MIN_HINGLISH_SHARE) {
+    return { ...HINGLISH, confident: true };
+  }
+
+  // A couple of words is too little to be sure it's English rather than the user's chosen language
+  return { ...ENGLISH, confident: latinCount >= MIN_LETTERS && words.length >= 3 };
+}
+
+module.exports = { detectLanguage };
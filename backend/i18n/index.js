@@ -0,0 +1,123 @@
+/**
+ * Internationalisation
+ *
+ * Everything WizCare says without the AI (greetings, demo replies, the
+ * crisis reply, helpline advice, exercise mode messages) lives in
+ * locales/<code>.json:
+ * - en:      English
+ * - hi:      Hindi in Devanagari
+ * - hi-Latn: Hinglish (romanized Hindi mixed with English)
+ *
+ * The reply language follows the user's message when it can be detected
+ * (including other Indian languages, which the AI is asked to reply in),
+ * otherwise the language picked in the app. Fixed replies fall back to the
+ * picked language, then English, when a language has no locale file.
+ */
+
+const { detectLanguage } = require('./detectLanguage');
+
+const DEFAULT_LOCALE = 'en';
+
+const LOCALES = {
+  en: require('./locales/en.json'),
+  hi: require('./locales/hi.json'),
+  'hi-Latn': require('./locales/hi-Latn.json'),
+};
+
+// How each locale is described when it's picked in the app rather than detected
+const LOCALE_LANGUAGES = {
+  en: { code: 'en', name: 'English', script: 'Latin', romanized: false },
+  hi: { code: 'hi', name: 'Hindi', script: 'Devanagari', romanized: false },
+  'hi-Latn': { code: 'hi-Latn', name: 'Hinglish', script: 'Latin', romanized: true },
+};
+
+/**
+ * Work out a supported locale from a locale string or Accept-Language header
+ * Accepts 'hi', 'hi-IN', 'hi-Latn' or 'hi-IN,en;q=0.8'; anything unknown is English.
+ * @param {string} [value]
+ * @returns {string} - A key of LOCALES
+ */
+function resolveLocale(value) {
+  if (!value || typeof value !== 'string') return DEFAULT_LOCALE;
+  const candidates = value.split(',').map((part) => part.split(';')[0].trim().toLowerCase());
+  for (const candidate of candidates) {
+    const exact = Object.keys(LOCALES).find((code) => code.toLowerCase() === candidate);
+    if (exact) return exact;
+    const language = candidate.split(/[-_]/)[0];
+    if (LOCALES[language]) return language;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Fixed strings for a locale (English if it has no locale file)
+ */
+function getStrings(locale) {
+  return LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+}
+
+/**
+ * Fill {placeholders} in a template
+ */
+function format(template, vars = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+}
+
+// Lower-cased words with punctuation turned into spaces (keeps Indic vowel signs)
+function normalizeWords(text) {
+  return ` ${String(text).toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim()} `;
+}
+
+const GREETINGS = Object.values(LOCALES).flatMap((strings) => strings.greetings.map(normalizeWords));
+
+/**
+ * Check if a message is a greeting, in any supported language
+ * Matches whole words, so "this" doesn't count as "hi".
+ * @param {string} message - The user's message
+ * @returns {boolean}
+ */
+function isGreeting(message) {
+  const words = normalizeWords(message);
+  return GREETINGS.some((greeting) => words.includes(greeting));
+}
+
+/**
+ * Language to reply in
+ * The message's own language wins when detection is confident; short or
+ * ambiguous messages follow the language picked in the app.
+ * @param {string} message - The user's message
+ * @param {string} preferredLocale - Locale picked in the app (see resolveLocale)
+ * @returns {object} - { code, name, script, romanized, locale } where locale picks the fixed strings
+ */
+function chooseReplyLanguage(message, preferredLocale) {
+  const detected = detectLanguage(message);
+  const source = detected.confident ? detected : LOCALE_LANGUAGES[preferredLocale] || LOCALE_LANGUAGES[DEFAULT_LOCALE];
+  const language = { code: source.code, name: source.name, script: source.script, romanized: source.romanized };
+  const locale = LOCALES[language.code] ? language.code : preferredLocale;
+  return { ...language, locale: LOCALES[locale] ? locale : DEFAULT_LOCALE };
+}
+
+/**
+ * Prompt instruction telling the AI which language to answer in
+ */
+function replyLanguageInstruction(language) {
+  if (language.code === 'hi-Latn') {
+    return 'The user writes in Hinglish. Reply in Hinglish: Hindi written in the Latin alphabet, mixing in English words the way the user does.';
+  }
+  if (language.code === 'en') {
+    return 'Reply in English.';
+  }
+  return `The user writes in ${language.name}. Reply in ${language.name}, using the ${language.script} script.`;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES: Object.keys(LOCALES),
+  resolveLocale,
+  getStrings,
+  format,
+  isGreeting,
+  chooseReplyLanguage,
+  replyLanguageInstruction,
+  detectLanguage,
+};
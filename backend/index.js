@@ -2,12 +2,12 @@
  * WizCare Mental Health Chatbot - Backend Server
  * 
  * This is the main backend server that powers your UCare chatbot.
- * It handles AI responses using Google Gemini AI and provides fallback responses.
+ * It handles AI responses using Google Gemini (or another configured LLM provider) and provides fallback responses.
  * 
  * Features:
- * - Google Gemini AI integration for intelligent responses
+ * - Pluggable AI providers: Gemini, OpenAI-compatible, Ollama, or mock demo mode
  * - Mental health focused conversation handling
- * - Indian mental health helpline integration
+ * - Region-aware helpline directory (India by default)
  * - Fallback demo responses if AI fails
  * - RESTful API endpoints
  */
@@ -18,265 +18,1326 @@ require('dotenv').config();
 // Import required packages
 const express = require('express');           // Web framework for Node.js
 const cors = require('cors');                // Enable cross-origin requests
-const { GoogleGenerativeAI } = require('@google/generative-ai'); // Google's AI service
 const path = require('path');
-const { PythonShell } = require('python-shell');
-const { addExchange, getImportantContext } = require('./memory');
+const { createProvider } = require('./providers');
+const { createEmotionAnalyzer } = require('./emotion');
+const { addExchange, getRecentExchanges, isEphemeralSession, createSessionId, isValidSessionId } = require('./memory');
+const { recordMood, addJournalEntry, deleteJournalEntry, getCombinedMoodHistory, MAX_JOURNAL_LENGTH } = require('./moodHistory');
+const { appendTurn, restoreTranscript, getTranscript } = require('./transcripts');
+const { EXPORT_FORMATS, parseTranscript, TranscriptFormatError } = require('./transcriptFormats');
+const { getHelplines, getPrimaryHelpline, listRegions, resolveRegion, describeContact } = require('./helplines');
+const { sanitizeMarkdown, LINK_DOMAINS } = require('./markdown');
+const { assessRisk, applyModelStress, stressLevelForRisk, isCrisis, summarizeRisk } = require('./risk');
+const { resolveLocale, getStrings, format, isGreeting, chooseReplyLanguage } = require('./i18n');
+const { buildChatPrompt, readChatReply, stressLevelFromLabel, createReplyStreamFilter, getReplyParseMetrics } = require('./prompts');
+const exercises = require('./exercises');
+const auth = require('./auth');
+const review = require('./review');
+const conversations = require('./conversations');
+const profile = require('./profile');
+const privacy = require('./privacy');
+const { createRealtimeServer } = require('./realtime');
+const { isLiveHandoff } = require('./handoff');
+const { attachHandoffRelay } = require('./handoff/relay');
+const { attachChatChannel } = require('./realtime/chat');
+const { chatGuard, authGuard, bodyErrorHandler } = require('./limits');
 
 // Create Express application
 const app = express();
 
+/**
+ * Browsers may only call the API from these origins: comma-separated
+ * CORS_ORIGINS, the React dev server by default, or * for any. The
+ * production build is served by this server itself, so it needs no entry.
+ */
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map((o) => o.trim()).filter(Boolean);
+
+/**
+ * Behind a reverse proxy (Render, nginx, ...) set TRUST_PROXY (e.g. 1, the
+ * number of proxies) so req.ip is the visitor's address; rate limits are
+ * counted per IP.
+ */
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY : hops);
+}
+
 // Middleware setup
-app.use(cors());                             // Allow frontend to communicate with backend
-app.use(express.json());                     // Parse JSON request bodies
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS })); // Allow the frontend to communicate with the backend
+app.use('/api/history/import', express.json({ limit: '2mb' }));          // Transcript imports can be large
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '100kb' })); // Everything else is small
+app.use(bodyErrorHandler);                   // 413/400 for bodies that are too large or not JSON
+app.use(auth.authenticate);                  // Signed-in users send a token; everyone else is a guest
 
 /**
- * Initialize Google Gemini AI with your API key
- * This connects your chatbot to Google's AI service for intelligent responses
+ * Initialize the AI provider
+ * This connects your chatbot to the configured LLM (Gemini by default).
+ * See providers/index.js for the available providers and settings.
  * 
- * SECURITY: API key is now loaded from environment variables (.env file)
+ * SECURITY: API keys are loaded from environment variables (.env file)
  * Never commit your .env file to version control!
+ * 
+ * Without an API key the server still starts, using the mock provider
+ * (demo mode) so it can run offline and in CI.
  */
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const llm = createProvider();
 
-// Validate that API key is present
-if (!process.env.GEMINI_API_KEY) {
-  console.error('❌ ERROR: GEMINI_API_KEY environment variable is not set!');
-  console.error('Please create a .env file in the backend folder with your API key.');
-  console.error('Example: GEMINI_API_KEY=your_api_key_here');
-  process.exit(1);
+if (llm.name === 'mock') {
+  console.warn('⚠️  No LLM configured (GEMINI_API_KEY / LLM_PROVIDER not set) - running in demo mode with mock replies.');
+  console.warn('Create a .env file in the backend folder with your API key to enable real AI responses.');
+} else {
+  console.log(`✅ AI provider loaded: ${llm.name} (${llm.model})`);
 }
 
-console.log('✅ Gemini AI API key loaded successfully');
-
 /**
- * Test function to verify Gemini AI connection
+ * Test function to verify the AI provider connection
  * This runs when the server starts to ensure AI is working
  */
-async function testGemini() {
+async function testProvider() {
+  if (llm.name === 'mock') return;
   try {
-    // Get the Gemini model (using the latest stable version)
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
     // Test with a simple message
-    const result = await model.generateContent("Hello, how are you today?");
-    const response = await result.response;
+    const text = await llm.generate("Hello, how are you today?");
     
-    console.log("Gemini AI test response:");
-    console.log(response.text());
+    console.log(`${llm.name} AI test response:`);
+    console.log(text);
   } catch (e) {
-    console.error("Error during Gemini test:", e);
+    console.error(`Error during ${llm.name} test:`, e.message);
   }
 }
 
 // Run the test when server starts
-testGemini();
+testProvider();
 
 /**
- * Indian Mental Health Helpline Information
- * This is displayed in the chatbot and included in AI responses when needed
+ * Emotion analyzer used to tune the prompt's tone
+ * In-process lexicon by default; set EMOTION_ANALYZER=python to use emotion_analyzer.py
  */
-const INDIAN_HELPLINE = {
-  phone: '9152987821',
-  website: 'https://manastha.com/',
-};
+const emotionAnalyzer = createEmotionAnalyzer();
 
 /**
  * Demo Mode Responses (Fallback System)
- * These are used when Gemini AI fails or is unavailable
- * Provides 15 different casual, supportive responses
- */
-const DEMO_REPLIES = [
-  "Hey there! 👋 How's your day going? Remember, it's totally okay to not be okay sometimes.",
-  "Hi friend! 🌟 I'm here to chat whenever you need someone to talk to. What's on your mind?",
-  "Hello! ✨ You know what? Taking care of your mental health is just as important as physical health. How are you feeling right now?",
-  "Hey! 🚀 Thanks for reaching out. Sometimes just talking about what's bothering us can make a huge difference. Want to share?",
-  "Hi there! 💫 I'm glad you're here. Remember, you're stronger than you think, and it's okay to ask for help when you need it.",
-  "Hello friend! 🌈 How about we take a moment to breathe together? Inhale for 4 counts, hold for 4, exhale for 4. How does that feel?",
-  "Hey! 🎯 Sometimes the best thing we can do is just be kind to ourselves. What's something nice you could do for yourself today?",
-  "Hi! 🌙 Remember, every day is a fresh start. What's one small thing you're looking forward to today?",
-  "Hey there! 🎨 You know what helps me? Writing down three things I'm grateful for. Want to try it together?",
-  "Hello! 🌟 It's totally normal to have ups and downs. The important thing is that you're here and you're trying. That's brave!",
-  "Hi friend! 🚀 Sometimes we all need a little reminder that we're doing better than we think. You're doing great!",
-  "Hey! 💝 Remember, you don't have to have it all figured out. It's okay to take things one step at a time.",
-  "Hello! ✨ You know what's amazing? The fact that you're reaching out for support. That takes courage!",
-  "Hi there! 🌈 How about we do a quick check-in? On a scale of 1-10, how are you feeling right now?",
-  "Hey! 🎯 Sometimes the best conversations start with 'I'm not okay.' It's totally fine to not be okay. Want to talk about it?"
-];
-
-/**
- * Special Greeting Responses
- * These are used when users say hello, hi, etc.
- * Provides 8 different welcoming responses
- */
-const GREETING_RESPONSES = [
-  "Hey there! 👋 Welcome to WizCare! I'm your AI mental health buddy. How are you feeling today?",
-  "Hi friend! 🌟 Great to see you here! I'm here to listen and chat whenever you need someone to talk to.",
-  "Hello! 🚀 Thanks for stopping by! How's your mental health journey going today?",
-  "Hey! ✨ Welcome! I'm here to support you through whatever you're going through. What's on your mind?",
-  "Hi there! 🌈 Nice to meet you! I'm your mental health companion. How can I help you today?",
-  "Hello! 💫 Welcome to the WizCare family! I'm here to chat, listen, and support you. How are you doing?",
-  "Hey! 🎯 Great to have you here! I'm your AI friend who's here to help with whatever's on your mind.",
-  "Hi! 🌙 Welcome! I'm here to be your mental health companion. What would you like to talk about today?"
-];
-
-/**
- * Check if a message is a greeting
- * This function identifies when users say hello, hi, etc.
+ * Used when the AI provider fails or is unavailable: 15 casual, supportive
+ * replies and 8 greeting replies per language, in i18n/locales/<code>.json
+ */
+
+/**
+ * Log a storage failure without its payload (which may hold user messages)
+ */
+function logStorageError(error, operation) {
+  console.error(`Memory store error (${error.adapter || 'unknown'}/${error.operation || operation}):`, error.message);
+}
+
+/**
+ * Save an exchange to conversation memory
+ * A storage failure shouldn't cost the user their reply, so the error is
+ * logged here and reported back as memorySaved: false instead of thrown.
+ * The message's own risk score is kept so later turns can detect escalation,
+ * and its stress level so an unsaved conversation can still ask for a
+ * counselor (see handoff/). Unsaved conversations stay in process memory
+ * and add nothing to long-term memory.
+ * @param {object} turn - Result of prepareTurn()
+ * @returns {Promise<boolean>} - True if the exchange was stored
+ */
+async function saveExchange(turn, reply, risk) {
+  const meta = risk ? { risk: { score: risk.messageScore, level: risk.level }, stressLevel: risk.stressLevel ?? stressLevelForRisk(risk.level) } : {};
+  try {
+    await addExchange(turn.sessionId, turn.message, reply, meta, { ephemeral: turn.ephemeral });
+    if (!turn.ephemeral) rememberInBackground(turn.sessionId, turn.rawMessage);
+    return true;
+  } catch (error) {
+    logStorageError(error, 'write');
+    return false;
+  }
+}
+
+/**
+ * Update long-term memory after a saved exchange (facts about the person,
+ * the rolling summary; see profile/) without holding up the reply.
+ * Failures are logged: the exchange itself is already saved.
+ */
+function rememberInBackground(sessionId, message) {
+  profile.rememberTurn(sessionId, message, { generate: (prompt) => llm.generate(prompt) })
+    .catch((error) => logStorageError(error, 'write'));
+}
+
+/**
+ * Pick a random fallback reply (greeting-aware)
+ * Used when the AI fails or returns nothing usable
+ * @param {string} message - The user's message
+ * @param {object} strings - Fixed strings for the reply language (see i18n)
+ * @returns {string} - A demo or greeting response
+ */
+function pickFallbackReply(message, strings) {
+  const replies = isGreeting(message) ? strings.greetingResponses : strings.demoReplies;
+  return replies[Math.floor(Math.random() * replies.length)];
+}
+
+/**
+ * Resolve the caller's session (or start a new one)
+ * Clients send back the sessionId they were given (in the body/query or the
+ * X-Session-Id header). Missing or malformed IDs get a fresh session, so one
+ * visitor's conversation never leaks into another's prompt.
+ */
+function resolveSessionId(req, params) {
+  const requestedSession = params.sessionId || req.get('X-Session-Id');
+  return isValidSessionId(requestedSession) ? requestedSession : createSessionId();
+}
+
+/**
+ * Make sure the caller may use a session
+ * Guest sessions are open to whoever holds the ID; sessions that belong to
+ * an account only to requests signed in as that account. A signed-in user's
+ * guest sessions are added to their account on first use.
+ * Sends the 403/503 itself and returns false when the route should stop.
+ */
+async function checkSessionAccess(req, res, sessionId) {
+  try {
+    const owner = await auth.getSessionOwner(sessionId);
+    if (owner && owner !== req.userId) {
+      res.status(403).json({ error: 'This conversation belongs to an account. Please sign in to open it.' });
+      return false;
+    }
+    if (!owner && req.userId) await auth.claimSession(req.userId, sessionId);
+    return true;
+  } catch (error) {
+    logStorageError(error, 'read');
+    res.status(503).json({ error: 'Your account could not be checked right now. Please try again.' });
+    return false;
+  }
+}
+
+/**
+ * Express middleware for the review dashboard routes
+ * Answers 401 without a sign-in and 403 for accounts without a review
+ * role; otherwise req.reviewer is the signed-in account (with its role).
+ */
+async function requireReviewer(req, res, next) {
+  if (!req.userId) {
+    return res.status(401).json({ error: 'Please sign in with a reviewer account.' });
+  }
+  let user;
+  try {
+    user = await auth.getUser(req.userId);
+  } catch (error) {
+    logStorageError(error, 'read');
+    return res.status(503).json({ error: 'Your account could not be checked right now. Please try again.' });
+  }
+  if (!auth.canReview(user)) {
+    return res.status(403).json({ error: 'This account does not have access to the review dashboard.' });
+  }
+  req.reviewer = { ...user, role: auth.roleOf(user) };
+  return next();
+}
+
+/**
+ * Who is opening a real-time connection (see realtime/)
+ * The chat window connects with its sessionId, the counselor console with
+ * a reviewer's token; the same access rules as the HTTP routes apply.
+ * @param {URLSearchParams} params - sessionId, token
+ * @param {http.IncomingMessage} rawRequest - The upgrade request
+ * @returns {Promise<object|null>} - { userId, sessionId, ip, reviewer: { id, name, role } | null },
+ *   or null to refuse (no usable session and no reviewer account)
+ */
+async function identifySocket(params, rawRequest) {
+  const token = params.get('token');
+  const userId = token ? auth.verifyToken(token) : null;
+  const user = await auth.getUser(userId);
+
+  let sessionId = params.get('sessionId');
+  if (!isValidSessionId(sessionId)) {
+    sessionId = null;
+  } else {
+    const owner = await auth.getSessionOwner(sessionId);
+    if (owner && owner !== userId) sessionId = null;
+  }
+
+  const reviewer = auth.canReview(user) ? { id: user.id, name: user.displayName || null, role: auth.roleOf(user) } : null;
+  if (!sessionId && !reviewer) return null;
+  return { userId: user ? user.id : null, sessionId, ip: clientIp(rawRequest), reviewer };
+}
+
+/**
+ * Client address of a request that never went through Express (a
+ * WebSocket upgrade), honouring TRUST_PROXY the same way req.ip does
+ */
+function clientIp(rawRequest) {
+  const request = Object.create(app.request, {
+    headers: { value: rawRequest.headers },
+    socket: { value: rawRequest.socket },
+  });
+  return request.ip;
+}
+
+/**
+ * Session for a chat turn
+ * Like resolveSessionId, but a session the caller may not use is swapped
+ * for a fresh one instead of refused: someone reaching out should always
+ * get a reply. New sessions of signed-in users go into their account.
+ */
+async function resolveChatSession(req, params) {
+  let sessionId = resolveSessionId(req, params);
+  try {
+    const owner = await auth.getSessionOwner(sessionId);
+    if (owner && owner !== req.userId) sessionId = createSessionId();
+    if (req.userId && owner !== req.userId) await auth.claimSession(req.userId, sessionId);
+    return sessionId;
+  } catch (error) {
+    logStorageError(error, 'read');
+    return createSessionId();
+  }
+}
+
+/**
+ * Whether the session is talking with a counselor, in which case the AI
+ * doesn't answer (the same check as the real-time chat, realtime/chat.js)
+ * If the handoff can't be read, the AI answers rather than nobody.
+ */
+async function isCounselorChat(sessionId) {
+  try {
+    return await isLiveHandoff(sessionId);
+  } catch (error) {
+    logStorageError(error, 'read');
+    return false;
+  }
+}
+
+// Refusal for a chat message sent while a counselor is on (shared error shape, see limits/)
+const HANDOFF_ACTIVE = { error: 'You are talking with a counselor right now.', code: 'handoff_active' };
+
+/**
+ * Helpline region for a request
+ * Uses an explicit region or locale from the client, else the browser's
+ * Accept-Language header, else India.
+ */
+function resolveRequestRegion(req, params) {
+  return resolveRegion(params.region || params.locale || req.get('Accept-Language'));
+}
+
+/**
+ * Language picked in the app for a request
+ * Uses the client's language setting, else the browser's Accept-Language
+ * header, else English. The message's own language can still override it.
+ */
+function resolveRequestLocale(req, params) {
+  return resolveLocale(params.language || req.get('Accept-Language'));
+}
+
+/**
+ * What the person chose about their data during onboarding
+ * consent: 'store' (the default, and what older clients get) or
+ * 'ephemeral' (nothing written to disk); age: 'adult' or 'minor'.
+ * Minors' conversations are never stored, whatever the consent says: we
+ * have no way to get a parent's consent, which storing a child's data
+ * would need.
+ * @returns {object} - { ephemeral, minor }
+ */
+function resolveDataChoices(params) {
+  const minor = params.age === 'minor';
+  return { ephemeral: minor || params.consent === 'ephemeral', minor };
+}
+
+/**
+ * Immediate safety reply for crisis messages (these are not sent to the AI)
+ * @param {object} helpline - Primary helpline for the user's region
+ * @param {object} strings - Fixed strings for the reply language
+ * @returns {string} - The crisis message with helpline details
+ */
+function buildCrisisReply(helpline, strings) {
+  return format(strings.crisisReply, { contact: describeContact(helpline, strings), website: helpline.website });
+}
+
+/**
+ * Emotion detection (in-process lexicon analyzer by default)
  * @param {string} message - The user's message
- * @returns {boolean} - True if it's a greeting, false otherwise
+ * @returns {Promise<object>} - { top_emotion, scores }; neutral with no scores if the analyzer fails
+ */
+async function detectEmotion(message) {
+  try {
+    const result = await emotionAnalyzer.analyze(message);
+    return { top_emotion: result.top_emotion || 'neutral', scores: result.scores || {} };
+  } catch (e) {
+    console.error(`Emotion analyzer (${emotionAnalyzer.name}) error:`, e.message);
+    return { top_emotion: 'neutral', scores: {} };
+  }
+}
+
+/**
+ * Guided exercise mode for a chat message
+ * Starts an exercise the message asks for, answers the current step of a
+ * running one, or leaves it on "stop". Storage failures are logged and the
+ * message goes to the AI as usual.
+ * @param {object} [options] - { ephemeral }: an exercise started here isn't stored
+ * @returns {Promise<object|null>} - { reply, exercise } (exercise is null once stopped),
+ *   or null when the message has nothing to do with an exercise
  */
-function isGreeting(message) {
-  const greetings = ['hi', 'hello', 'hey', 'good morning', 'good afternoon', 'good evening', 'sup', 'yo'];
-  return greetings.some(greeting => message.toLowerCase().includes(greeting));
+async function runExerciseStep(message, sessionId, locale, strings, { ephemeral = false } = {}) {
+  try {
+    if (await exercises.getActiveExercise(sessionId)) {
+      if (exercises.isStopRequest(message)) {
+        await exercises.stopExercise(sessionId);
+        return { reply: strings.exerciseStopped, exercise: null };
+      }
+      const view = await exercises.advanceExercise(sessionId, message, locale);
+      return { reply: view.needsAnswer ? `${strings.exerciseNeedsAnswer}\n\n${view.step.text}` : view.step.text, exercise: view };
+    }
+
+    const requested = exercises.findExerciseRequest(message);
+    if (requested) {
+      const view = await exercises.startExercise(sessionId, requested, locale, { ephemeral });
+      return { reply: view.step.text, exercise: view };
+    }
+  } catch (error) {
+    logStorageError(error, 'write');
+  }
+  return null;
 }
 
+/**
+ * Prepare one chat turn: language and risk assessment, emotion detection and memory lookup
+ * @param {string} region - Helpline region (see helplines.js)
+ * @param {string} locale - Language picked in the app (see i18n)
+ * @param {object} [choices] - From resolveDataChoices(): unsaved conversation, minor
+ * @returns {Promise<object>} - { message, rawMessage, sessionId, risk, emotion, helpline, language, strings, ephemeral, minor } plus
+ *   crisisReply for crisis messages, exerciseReply (and exercise) in exercise mode,
+ *   otherwise the prompt for the AI ({ system, user, json }, see prompts/)
+ */
+async function prepareTurn(rawMessage, sessionId, region, locale, { ephemeral = false, minor = false } = {}) {
+  // Phone numbers, emails, names and addresses never reach the stores or the AI (see privacy/);
+  // long-term memory gets the raw message to keep a name the person gave (see profile/)
+  const message = privacy.redactPII(rawMessage);
+  const helpline = getPrimaryHelpline(region);
+  const language = chooseReplyLanguage(message, locale);
+  const strings = getStrings(language.locale);
+
+  // Load this session's earlier turns (continue without them if the store fails)
+  let history = [];
+  let contextSnippet = '';
+  try {
+    history = await getRecentExchanges(sessionId);
+    contextSnippet = await profile.buildMemoryContext(sessionId, message, history);
+  } catch (error) {
+    logStorageError(error, 'read');
+  }
+
+  const emotion = await detectEmotion(message);
+  const turn = { message, rawMessage, sessionId, risk: null, emotion, helpline, language, strings, ephemeral, minor };
+
+  // Safety check first: crisis messages get the helpline reply, not the AI
+  turn.risk = assessRisk(message, history.map((item) => item.risk).filter(Boolean));
+  if (isCrisis(turn.risk)) {
+    // A crisis always ends exercise mode
+    await exercises.stopExercise(sessionId).catch((error) => logStorageError(error, 'write'));
+    return { ...turn, crisisReply: buildCrisisReply(helpline, strings) };
+  }
+
+  const exerciseTurn = await runExerciseStep(message, sessionId, language.locale, strings, { ephemeral });
+  if (exerciseTurn) {
+    return { ...turn, exerciseReply: exerciseTurn.reply, exercise: exerciseTurn.exercise };
+  }
+
+  // Minors get replies written for their age, pointing to a youth helpline
+  const audience = minor ? { youthHelpline: getHelplines(region).youth } : {};
+  return { ...turn, prompt: buildChatPrompt(message, emotion.top_emotion, contextSnippet, helpline, language, audience) };
+}
+
+/**
+ * Turn the model's parsed answer into the final reply
+ * Folds the stress level into the risk assessment, reduces the text to
+ * the safe Markdown subset (see markdown.js), falls back if it's empty and
+ * appends helpline advice for very high stress. The model's estimate can
+ * only add to the risk engine's own level, never lower it.
+ * @param {object} parsed - Result of readChatReply() (see prompts/)
+ * @param {object} strings - Fixed strings for the reply language
+ * @returns {object} - { text, stressLevel, stressLabel, concerns, suggestedExercise, risk, fallback }
+ */
+function finalizeReply(parsed, message, preliminaryRisk, helpline, strings) {
+  const { text, stressLabel, concerns, suggestedExercise } = parsed;
+  let stressLevel = stressLevelFromLabel(stressLabel);
+
+  // The risk engine may raise the level (e.g. repeated mentions of death)
+  const risk = applyModelStress(preliminaryRisk, stressLevel);
+  stressLevel = risk.stressLevel;
+
+  let botText = sanitizeMarkdown(text);
+
+  // Fallback if AI returned no usable text (prevents empty bubbles)
+  const fallback = !botText || botText.length < 3;
+  if (fallback) {
+    botText = pickFallbackReply(message, strings);
+  }
+
+  // If stress very high or ultra high, append helpline recommendation
+  const contact = { contact: describeContact(helpline, strings), website: helpline.website };
+  if (stressLevel === 3) {
+    botText += `\n\n${format(strings.helplineAdvice, contact)}`;
+  } else if (stressLevel === 4) {
+    const hours = helpline.hours === '24/7' ? strings.available247 : '';
+    botText += `\n\n${format(strings.criticalAdvice, { ...contact, hours })}`;
+  }
+
+  return { text: botText, stressLevel, stressLabel, concerns, suggestedExercise, risk, fallback };
+}
+
+/**
+ * The exercise the model suggested, with its title in the reply language
+ * (none while an exercise is already running)
+ * @returns {object|null} - { id, title }
+ */
+function describeSuggestedExercise(turn, exerciseId) {
+  if (!exerciseId || turn.exercise) return null;
+  const exercise = exercises.listExercises(turn.language.locale).find((item) => item.id === exerciseId);
+  return exercise ? { id: exercise.id, title: exercise.title } : null;
+}
+
+/**
+ * Shape a finished turn for the client (JSON response or the stream's done event)
+ * @param {object} turn - Result of prepareTurn()
+ * @param {object} reply - { text, stressLevel, stressLabel, concerns, suggestedExercise, risk, fallback, memorySaved }
+ */
+function buildChatPayload(turn, reply) {
+  return {
+    response: reply.text,
+    stressLevel: reply.stressLevel,
+    stressLabel: reply.stressLabel || null,
+    concerns: reply.concerns || [],
+    suggestedExercise: describeSuggestedExercise(turn, reply.suggestedExercise),
+    risk: summarizeRisk(reply.risk || turn.risk),
+    emotion: { label: turn.emotion.top_emotion, scores: turn.emotion.scores },
+    language: turn.language.code,
+    exercise: turn.exercise || null,
+    fallback: Boolean(reply.fallback),
+    sessionId: turn.sessionId,
+    memorySaved: Boolean(reply.memorySaved),
+  };
+}
+
+/**
+ * Add this turn to the session's mood timeline (failures are logged, not thrown;
+ * unsaved conversations have no timeline)
+ */
+async function saveMoodPoint(turn, payload) {
+  if (turn.ephemeral) return;
+  try {
+    await recordMood(payload.sessionId, {
+      stressLevel: payload.stressLevel,
+      emotion: payload.emotion.label,
+      riskLevel: payload.risk.level,
+    });
+  } catch (error) {
+    logStorageError(error, 'write');
+  }
+}
+
+/**
+ * Add this turn to the session's full transcript, for export (failures are logged, not thrown;
+ * unsaved conversations have no transcript)
+ */
+async function saveTranscriptTurn(turn, payload) {
+  if (turn.ephemeral) return;
+  try {
+    await appendTurn(payload.sessionId, {
+      user: turn.message,
+      bot: payload.response,
+      stressLevel: payload.stressLevel,
+      stressLabel: payload.stressLabel,
+      concerns: payload.concerns.length ? payload.concerns : undefined,
+      emotion: payload.emotion.label,
+      riskLevel: payload.risk.level,
+      fallback: payload.fallback,
+    });
+  } catch (error) {
+    logStorageError(error, 'write');
+  }
+}
+
+/**
+ * Finish a crisis turn: helpline reply, no AI involved
+ */
+async function completeCrisisTurn(turn) {
+  const memorySaved = await saveExchange(turn, turn.crisisReply, turn.risk);
+  const payload = buildChatPayload(turn, {
+    text: turn.crisisReply,
+    stressLevel: stressLevelForRisk(turn.risk.level),
+    memorySaved,
+  });
+  await saveMoodPoint(turn, payload);
+  await saveTranscriptTurn(turn, payload);
+  return payload;
+}
+
+/**
+ * Finish an exercise-mode turn: the next step, no AI involved
+ * (not added to the mood timeline, so a long exercise doesn't flood it)
+ */
+async function completeExerciseTurn(turn) {
+  const memorySaved = await saveExchange(turn, turn.exerciseReply, turn.risk);
+  const payload = buildChatPayload(turn, {
+    text: turn.exerciseReply,
+    stressLevel: stressLevelForRisk(turn.risk.level),
+    memorySaved,
+  });
+  await saveTranscriptTurn(turn, payload);
+  return payload;
+}
+
+/**
+ * Finish a turn from the AI's raw output
+ * An answer that doesn't match the reply schema gets a repair call to the
+ * same provider before the plain-text fallback (see prompts/).
+ */
+async function completeAiTurn(turn, aiResponse) {
+  const parsed = await readChatReply(aiResponse, { generate: (prompt) => llm.generate(prompt) });
+  const reply = finalizeReply(parsed, turn.message, turn.risk, turn.helpline, turn.strings);
+  const memorySaved = await saveExchange(turn, reply.text, reply.risk);
+  const payload = buildChatPayload(turn, { ...reply, memorySaved });
+  await saveMoodPoint(turn, payload);
+  await saveTranscriptTurn(turn, payload);
+  return payload;
+}
+
+/**
+ * Finish a turn whose AI call failed (demo reply, not saved to memory but
+ * kept in the transcript since the user saw it)
+ */
+async function completeFailedTurn(turn) {
+  const payload = buildChatPayload(turn, {
+    text: pickFallbackReply(turn.message, turn.strings),
+    stressLevel: stressLevelForRisk(turn.risk.level),
+    fallback: true,
+  });
+  await saveTranscriptTurn(turn, payload);
+  return payload;
+}
+
+/**
+ * Account Endpoints (accounts are optional; guests keep chatting as before)
+ * Route: POST /api/auth/signup  { email, password, displayName?, sessionId? }  -> 201 { token, user }
+ * Route: POST /api/auth/login   { email, password, sessionId? }                -> { token, user }
+ * Route: GET  /api/auth/me      (Authorization: Bearer <token>)               -> { user }
+ *
+ * Sending the guest's sessionId upgrades it: the conversation so far moves
+ * into the account. user.sessionId is the conversation to continue.
+ * Afterwards the client sends the token with every request.
+ */
+async function sendSignedIn(res, user, guestSessionId, status = 200) {
+  if (isValidSessionId(guestSessionId)) {
+    await auth.claimSession(user.id, guestSessionId);
+  }
+  const current = await auth.getUser(user.id);
+  return res.status(status).json({ token: auth.issueToken(user.id), user: auth.toPublicUser(current) });
+}
+
+function sendAuthError(res, error) {
+  if (error instanceof auth.AuthError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logStorageError(error, 'write');
+  return res.status(503).json({ error: 'Accounts are temporarily unavailable. You can keep chatting as a guest.' });
+}
+
+app.post('/api/auth/signup', authGuard, async (req, res) => {
+  const { email, password, displayName, sessionId } = req.body;
+  try {
+    const user = await auth.createAccount({ email, password, displayName });
+    return await sendSignedIn(res, user, sessionId, 201);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+});
+
+app.post('/api/auth/login', authGuard, async (req, res) => {
+  const { email, password, sessionId } = req.body;
+  try {
+    const user = await auth.signIn(email, password);
+    return await sendSignedIn(res, user, sessionId);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+});
+
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const user = await auth.getUser(req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Please sign in again.' });
+    }
+    return res.json({ user: auth.toPublicUser(user) });
+  } catch (error) {
+    logStorageError(error, 'read');
+    return res.status(503).json({ error: 'Accounts are temporarily unavailable. You can keep chatting as a guest.' });
+  }
+});
+
+// Most sessions a request may list (the mood timeline, the sidebar, deleting all data)
+const MAX_LISTED_SESSIONS = 100;
+
+/**
+ * Mood History Endpoints
+ * Route: GET /api/history/mood?sessionId=...&sessionIds=a,b&days=30
+ *   -> { sessionId, points: [{ ts, stressLevel, emotion, riskLevel }], journal: [{ id, sessionId, ts, text, stressLevel }] }
+ *   One timeline across the person's conversations: signed in, the
+ *   account's sessions; guests, the listed sessions that aren't an
+ *   account's (like /api/conversations), plus sessionId itself.
+ * Route: POST /api/history/journal  { sessionId, text, stressLevel? }  -> { sessionId, entry }
+ * Route: DELETE /api/history/journal/:id?sessionId=...  (the entry's sessionId)
+ *
+ * Points are recorded automatically by /api/chat; journal entries are
+ * written by the user. Like every session route, sessions that belong to an
+ * account answer 403 unless the request is signed in as that account.
+ */
+app.get('/api/history/mood', async (req, res) => {
+  const sessionId = req.query.sessionId || req.get('X-Session-Id');
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'A valid sessionId is required.' });
+  }
+  if (!(await checkSessionAccess(req, res, sessionId))) return;
+  const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 365);
+  const requested = String(req.query.sessionIds || '').split(',').filter(isValidSessionId).slice(0, MAX_LISTED_SESSIONS);
+
+  try {
+    const owners = await Promise.all(requested.map((id) => auth.getSessionOwner(id)));
+    const guestSessions = requested.filter((id, idx) => !owners[idx] || owners[idx] === req.userId);
+    const accountSessions = req.userId ? await auth.getAccountSessions(req.userId) : [];
+    const history = await getCombinedMoodHistory([sessionId, ...accountSessions, ...guestSessions], { days });
+    return res.json({ sessionId, ...history });
+  } catch (error) {
+    logStorageError(error, 'read');
+    return res.status(503).json({ error: 'Mood history is temporarily unavailable.' });
+  }
+});
+
+app.post('/api/history/journal', async (req, res) => {
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  if (!text) {
+    return res.status(400).json({ error: 'Journal text is required.' });
+  }
+  if (text.length > MAX_JOURNAL_LENGTH) {
+    return res.status(400).json({ error: `Journal entries are limited to ${MAX_JOURNAL_LENGTH} characters.` });
+  }
+
+  const sessionId = resolveSessionId(req, req.body);
+  if (!(await checkSessionAccess(req, res, sessionId))) return;
+  try {
+    const entry = await addJournalEntry(sessionId, { text: privacy.redactPII(text), stressLevel: req.body.stressLevel });
+    return res.status(201).json({ sessionId, entry });
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not save your journal entry. Please try again.' });
+  }
+});
+
+app.delete('/api/history/journal/:id', async (req, res) => {
+  const sessionId = req.query.sessionId || req.get('X-Session-Id');
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'A valid sessionId is required.' });
+  }
+  if (!(await checkSessionAccess(req, res, sessionId))) return;
+
+  try {
+    const found = await deleteJournalEntry(sessionId, req.params.id);
+    return found ? res.status(204).end() : res.status(404).json({ error: 'Journal entry not found.' });
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not delete the journal entry. Please try again.' });
+  }
+});
+
+/**
+ * Conversation Export / Import Endpoints
+ * Route: GET /api/history/transcript?sessionId=...&format=json|markdown|html&download=1
+ *   -> the session's full transcript (download=1 sends it as a file attachment)
+ * Route: POST /api/history/import?consent=...&age=...  <body of a JSON export>
+ *   -> { sessionId, turns }  (a new session, so the imported one is never overwritten)
+ *   The onboarding choices go in the query, since the body is the export. An
+ *   unsaved (or a minor's) import gets no transcript; only conversation
+ *   memory is seeded, in process memory.
+ *
+ * The HTML format is print-friendly; "Save as PDF" from the browser gives a PDF.
+ */
+app.get('/api/history/transcript', async (req, res) => {
+  const sessionId = req.query.sessionId || req.get('X-Session-Id');
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'A valid sessionId is required.' });
+  }
+  const format = EXPORT_FORMATS[req.query.format || 'json'];
+  if (!format) {
+    return res.status(400).json({ error: `Unknown format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+  }
+  if (!(await checkSessionAccess(req, res, sessionId))) return;
+
+  try {
+    const turns = await getTranscript(sessionId);
+    res.type(format.contentType);
+    if (req.query.download) {
+      const date = new Date().toISOString().slice(0, 10);
+      res.attachment(`wizcare-conversation-${date}.${format.extension}`);
+    }
+    return res.send(format.render(sessionId, turns));
+  } catch (error) {
+    logStorageError(error, 'read');
+    return res.status(503).json({ error: 'Your conversation could not be exported right now.' });
+  }
+});
+
+app.post('/api/history/import', async (req, res) => {
+  let turns;
+  try {
+    // The person's own words are redacted like new messages; bot replies hold helpline numbers
+    turns = parseTranscript(req.body).map((turn) => ({ ...turn, user: privacy.redactPII(turn.user) }));
+  } catch (error) {
+    if (error instanceof TranscriptFormatError) {
+      return res.status(400).json({ error: error.message });
+    }
+    // Anything else is a bug; a rethrow would leave the request hanging (Express 4 doesn't catch async errors)
+    console.error('Import error:', error.message);
+    return res.status(500).json({ error: 'Could not import the conversation. Please try again.' });
+  }
+
+  const sessionId = createSessionId();
+  const { ephemeral } = resolveDataChoices(req.query);
+  try {
+    if (req.userId) await auth.claimSession(req.userId, sessionId);
+    if (!ephemeral) await restoreTranscript(sessionId, turns);
+    // Seed conversation memory so the AI picks up where the conversation left off
+    // (memory only keeps the last few exchanges anyway)
+    for (const turn of turns.slice(-10)) {
+      await addExchange(sessionId, turn.user, turn.bot, {}, { ephemeral });
+    }
+    return res.status(201).json({ sessionId, turns });
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not import the conversation. Please try again.' });
+  }
+});
+
+/**
+ * Conversation List Endpoints (the app's sidebar)
+ * Route: GET /api/conversations?sessionIds=a,b
+ *   -> { conversations: [{ sessionId, title, renamed, createdAt, updatedAt, turns, stressLevel }] }
+ *   Signed in: the account's conversations plus any of the listed guest
+ *   sessions; guests: only the listed sessions that aren't an account's.
+ * Route: PUT /api/conversations/:sessionId  { title }  -> { sessionId, title }
+ * Route: POST /api/conversations/:sessionId/open  -> 204 (the account's current conversation from now on)
+ * Route: DELETE /api/conversations/:sessionId  -> 204 (transcript, memory, mood history and journal, counselor chat, review notes)
+ *
+ * Switching conversations in the app switches the sessionId it sends with
+ * every message, so the AI's conversation memory switches along.
+ */
+app.get('/api/conversations', async (req, res) => {
+  const requested = String(req.query.sessionIds || '').split(',').filter(isValidSessionId).slice(0, MAX_LISTED_SESSIONS);
+  try {
+    const user = await auth.getUser(req.userId);
+    const owners = await Promise.all(requested.map((sessionId) => auth.getSessionOwner(sessionId)));
+    const guestSessions = requested.filter((sessionId, idx) => !owners[idx] || owners[idx] === req.userId);
+    const list = await conversations.listConversations([...(user ? user.sessions : []), ...guestSessions]);
+    return res.json({ conversations: list });
+  } catch (error) {
+    logStorageError(error, 'read');
+    return res.status(503).json({ error: 'Your conversations could not be loaded right now.' });
+  }
+});
+
+/**
+ * The session in a /api/conversations/:sessionId route, once the caller may use it
+ * Sends the 400/403/503 itself and returns null when the route should stop.
+ */
+async function conversationSession(req, res) {
+  const { sessionId } = req.params;
+  if (!isValidSessionId(sessionId)) {
+    res.status(400).json({ error: 'A valid sessionId is required.' });
+    return null;
+  }
+  return (await checkSessionAccess(req, res, sessionId)) ? sessionId : null;
+}
+
+app.put('/api/conversations/:sessionId', async (req, res) => {
+  const sessionId = await conversationSession(req, res);
+  if (!sessionId) return;
+  try {
+    const title = await conversations.renameConversation(sessionId, privacy.redactPII(req.body.title));
+    return res.json({ sessionId, title });
+  } catch (error) {
+    if (error instanceof conversations.ConversationError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not rename the conversation. Please try again.' });
+  }
+});
+
+app.post('/api/conversations/:sessionId/open', async (req, res) => {
+  const sessionId = await conversationSession(req, res);
+  if (!sessionId) return;
+  try {
+    if (req.userId) await auth.claimSession(req.userId, sessionId);
+    return res.status(204).end();
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not switch conversations right now.' });
+  }
+});
+
+app.delete('/api/conversations/:sessionId', async (req, res) => {
+  const sessionId = await conversationSession(req, res);
+  if (!sessionId) return;
+  try {
+    await conversations.deleteConversation(sessionId);
+    if (req.userId) await auth.releaseSession(req.userId, sessionId);
+    return res.status(204).end();
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not delete the conversation. Please try again.' });
+  }
+});
+
+/**
+ * Long-term Memory Endpoints (what WizCare remembers; see profile/)
+ * Route: GET /api/memory?sessionId=...
+ *   -> { sessionId, facts: [{ id, kind, text, ts }], useName, summary: { text, updatedAt } | null }
+ * Route: PUT /api/memory/name?sessionId=...  { useName }  -> 204 (may the AI use the name they gave?)
+ * Route: DELETE /api/memory/facts/:id?sessionId=...  -> 204 (404 if there is no such fact)
+ * Route: DELETE /api/memory/summary?sessionId=...    -> 204
+ * Route: DELETE /api/memory?sessionId=...            -> 204 (every fact, the summary and the recent exchanges)
+ *
+ * Signed in, the facts are the account's (shared by all its conversations);
+ * the summary always belongs to the one conversation.
+ */
+async function memorySession(req, res) {
+  const sessionId = req.query.sessionId || req.get('X-Session-Id');
+  if (!isValidSessionId(sessionId)) {
+    res.status(400).json({ error: 'A valid sessionId is required.' });
+    return null;
+  }
+  return (await checkSessionAccess(req, res, sessionId)) ? sessionId : null;
+}
+
+app.get('/api/memory', async (req, res) => {
+  const sessionId = await memorySession(req, res);
+  if (!sessionId) return;
+  try {
+    return res.json({ sessionId, ...(await profile.getMemory(sessionId)) });
+  } catch (error) {
+    logStorageError(error, 'read');
+    return res.status(503).json({ error: 'What WizCare remembers could not be loaded right now.' });
+  }
+});
+
+app.put('/api/memory/name', async (req, res) => {
+  if (typeof req.body.useName !== 'boolean') {
+    return res.status(400).json({ error: 'useName must be true or false.' });
+  }
+  const sessionId = await memorySession(req, res);
+  if (!sessionId) return;
+  try {
+    await profile.setUseName(sessionId, req.body.useName);
+    return res.status(204).end();
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not save that right now. Please try again.' });
+  }
+});
+
+app.delete('/api/memory/facts/:id', async (req, res) => {
+  const sessionId = await memorySession(req, res);
+  if (!sessionId) return;
+  try {
+    if (!(await profile.forgetFact(sessionId, req.params.id))) {
+      return res.status(404).json({ error: 'That is not something WizCare remembers.' });
+    }
+    return res.status(204).end();
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not forget that right now. Please try again.' });
+  }
+});
+
+app.delete('/api/memory/summary', async (req, res) => {
+  const sessionId = await memorySession(req, res);
+  if (!sessionId) return;
+  try {
+    await profile.forgetSummary(sessionId);
+    return res.status(204).end();
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not forget that right now. Please try again.' });
+  }
+});
+
+app.delete('/api/memory', async (req, res) => {
+  const sessionId = await memorySession(req, res);
+  if (!sessionId) return;
+  try {
+    await profile.forgetAll(sessionId);
+    return res.status(204).end();
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not forget that right now. Please try again.' });
+  }
+});
+
+/**
+ * Delete All My Data
+ * Route: DELETE /api/data?sessionIds=a,b  -> { deleted } (how many conversations were deleted)
+ *
+ * Signed in: every conversation of the account, what WizCare remembers
+ * about it and the account itself (the token stops working). The listed
+ * guest sessions (the ones this browser holds) go too, unless they belong
+ * to someone else's account. See privacy/ for what is deleted.
+ */
+app.delete('/api/data', async (req, res) => {
+  const sessionIds = String(req.query.sessionIds || '').split(',').filter(isValidSessionId).slice(0, MAX_LISTED_SESSIONS);
+  if (!req.userId && !sessionIds.length) {
+    return res.status(400).json({ error: 'Sign in or send the sessionIds to delete.' });
+  }
+  try {
+    const deleted = await privacy.deleteAllData({ userId: req.userId, sessionIds });
+    return res.json({ deleted });
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Your data could not be deleted right now. Please try again.' });
+  }
+});
+
+/**
+ * Guided Exercise Endpoints (buttons in the app; typing in the chat works too)
+ * Route: GET /api/exercises?language=hi  -> { exercises: [{ id, title, description, minutes }] }
+ * Route: GET /api/exercises/current?sessionId=...  -> { sessionId, exercise }  (exercise is null outside exercise mode)
+ * Route: POST /api/exercises/:id/start  { sessionId?, language?, consent?, age? }  -> { sessionId, exercise }
+ *   (answers to an exercise in a conversation that isn't stored stay in process memory)
+ * Route: POST /api/exercises/next  { sessionId, answer?, language? }  -> { sessionId, exercise }
+ * Route: POST /api/exercises/stop  { sessionId }
+ */
+app.get('/api/exercises', (req, res) => {
+  res.json({ exercises: exercises.listExercises(resolveRequestLocale(req, req.query)) });
+});
+
+app.get('/api/exercises/current', async (req, res) => {
+  const sessionId = req.query.sessionId || req.get('X-Session-Id');
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'A valid sessionId is required.' });
+  }
+  if (!(await checkSessionAccess(req, res, sessionId))) return;
+
+  try {
+    const exercise = await exercises.getCurrentStep(sessionId, resolveRequestLocale(req, req.query));
+    return res.json({ sessionId, exercise });
+  } catch (error) {
+    logStorageError(error, 'read');
+    return res.status(503).json({ error: 'Exercises are temporarily unavailable.' });
+  }
+});
+
+app.post('/api/exercises/:id/start', async (req, res) => {
+  const sessionId = resolveSessionId(req, req.body);
+  if (!(await checkSessionAccess(req, res, sessionId))) return;
+  try {
+    const ephemeral = resolveDataChoices(req.body).ephemeral || await isEphemeralSession(sessionId);
+    const exercise = await exercises.startExercise(sessionId, req.params.id, resolveRequestLocale(req, req.body), { ephemeral });
+    if (!exercise) {
+      return res.status(404).json({ error: 'Exercise not found.' });
+    }
+    return res.json({ sessionId, exercise });
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not start the exercise. Please try again.' });
+  }
+});
+
+app.post('/api/exercises/next', async (req, res) => {
+  const sessionId = req.body.sessionId || req.get('X-Session-Id');
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'A valid sessionId is required.' });
+  }
+  if (!(await checkSessionAccess(req, res, sessionId))) return;
+
+  try {
+    // Answers are stored like chat messages, so personal details come out first (see privacy/)
+    const exercise = await exercises.advanceExercise(sessionId, privacy.redactPII(req.body.answer), resolveRequestLocale(req, req.body));
+    return res.json({ sessionId, exercise });
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not continue the exercise. Please try again.' });
+  }
+});
+
+app.post('/api/exercises/stop', async (req, res) => {
+  const sessionId = req.body.sessionId || req.get('X-Session-Id');
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'A valid sessionId is required.' });
+  }
+  if (!(await checkSessionAccess(req, res, sessionId))) return;
+
+  try {
+    await exercises.stopExercise(sessionId);
+    return res.status(204).end();
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not stop the exercise. Please try again.' });
+  }
+});
+
+/**
+ * Metrics Endpoint
+ * Route: GET /api/metrics
+ * How model answers were read since the server started (valid JSON,
+ * repaired, retried or plain-text fallback); counts only, no content.
+ */
+app.get('/api/metrics', (req, res) => {
+  res.json({ provider: llm.name, replyParsing: getReplyParseMetrics() });
+});
+
+/**
+ * Review Dashboard Endpoints (admin and counselor accounts only, see review/)
+ * Route: GET  /api/review/sessions?days=30&filter=all|flagged|open
+ *   -> { days, filter, stats, sessions, replyParsing }
+ * Route: GET  /api/review/sessions/:sessionId  -> { sessionId, summary, turns, review }
+ * Route: POST /api/review/sessions/:sessionId/notes  { text }  -> { sessionId, review }
+ * Route: PUT  /api/review/sessions/:sessionId/follow-up  { followedUp }  -> { sessionId, review }
+ */
+app.get('/api/review/sessions', requireReviewer, async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 365);
+  try {
+    const overview = await review.listSessions({ days, filter: req.query.filter });
+    return res.json({ ...overview, replyParsing: getReplyParseMetrics() });
+  } catch (error) {
+    logStorageError(error, 'read');
+    return res.status(503).json({ error: 'Conversations are temporarily unavailable.' });
+  }
+});
+
+app.get('/api/review/sessions/:sessionId', requireReviewer, async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'A valid sessionId is required.' });
+  }
+  try {
+    const detail = await review.getSessionReview(sessionId);
+    return detail ? res.json({ sessionId, ...detail }) : res.status(404).json({ error: 'Conversation not found.' });
+  } catch (error) {
+    logStorageError(error, 'read');
+    return res.status(503).json({ error: 'This conversation is temporarily unavailable.' });
+  }
+});
+
+app.post('/api/review/sessions/:sessionId/notes', requireReviewer, async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'A valid sessionId is required.' });
+  }
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  if (!text) {
+    return res.status(400).json({ error: 'Note text is required.' });
+  }
+  if (text.length > review.MAX_NOTE_LENGTH) {
+    return res.status(400).json({ error: `Notes are limited to ${review.MAX_NOTE_LENGTH} characters.` });
+  }
+  try {
+    return res.status(201).json({ sessionId, review: await review.addNote(sessionId, req.reviewer, text) });
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not save the note. Please try again.' });
+  }
+});
+
+app.put('/api/review/sessions/:sessionId/follow-up', requireReviewer, async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'A valid sessionId is required.' });
+  }
+  if (typeof req.body.followedUp !== 'boolean') {
+    return res.status(400).json({ error: 'followedUp must be true or false.' });
+  }
+  try {
+    return res.json({ sessionId, review: await review.setFollowedUp(sessionId, req.reviewer, req.body.followedUp) });
+  } catch (error) {
+    logStorageError(error, 'write');
+    return res.status(503).json({ error: 'Could not update the conversation. Please try again.' });
+  }
+});
+
+/**
+ * Helpline Directory Endpoint
+ * Route: GET /api/helplines?region=IN  (or ?locale=en-IN)
+ * Returns every helpline for the region plus the list of available regions,
+ * so the frontend never hard-codes a number, and the domains bot replies
+ * may link to (see markdown.js).
+ */
+app.get('/api/helplines', (req, res) => {
+  const region = resolveRegion(req.query.region || req.query.locale || req.get('Accept-Language'));
+  res.json({ ...getHelplines(region), regions: listRegions(), linkDomains: LINK_DOMAINS });
+});
+
 /**
  * Main Chat API Endpoint
  * This is where all chat messages are processed
  * Route: POST /api/chat
  * 
  * How it works:
- * 1. Receives user message from frontend
- * 2. Sends it to Gemini AI for intelligent response
- * 3. If AI fails, falls back to demo responses
- * 4. Returns response to frontend
+ * 1. Receives user message (and optional sessionId, region, language, and the
+ *    onboarding choices consent: 'store' | 'ephemeral' and age: 'adult' | 'minor') from frontend
+ * 2. Detects the message's language and sends it to the AI provider for intelligent response
+ * 3. If AI fails, falls back to demo responses in the same language
+ * 4. Returns the response with analysis details:
+ *    { response, stressLevel, stressLabel, concerns, suggestedExercise, risk,
+ *      emotion: { label, scores }, language, exercise, fallback, sessionId, memorySaved }
+ *    (exercise is the current guided exercise step, or null outside exercise mode;
+ *    concerns and suggestedExercise { id, title } come from the model's structured answer)
+ * 
+ * Messages that are too long (413) or sent too fast or repeatedly (429) are
+ * refused by chatGuard before any AI call; see limits/ for the error shape.
+ * While a counselor is talking with the person, messages are refused with
+ * 409 (handoff_active); that chat goes through handoff/relay.js.
  */
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', chatGuard, async (req, res) => {
   // Extract message from request body
   const { message } = req.body;
   
-  // Validate that message exists
-  if (!message) {
+  // Validate that message exists (and is text)
+  if (!message || typeof message !== 'string') {
     return res.status(400).json({ error: 'Message is required.' });
   }
 
-  // Crisis keyword safety check (do not send to AI)
-  const crisisKeywords = [
-    'suicide', 'kill myself', 'end my life', 'self-harm', 'hurt myself',
-    'take my life', 'i want to die', 'i want die', 'cut myself'
-  ];
-  const lower = message.toLowerCase();
-  if (crisisKeywords.some((k) => lower.includes(k))) {
-    const crisisMsg = `I hear your pain. If you are thinking about harming yourself, please know you don’t have to go through this alone. You can reach out to someone you trust, or call ${INDIAN_HELPLINE.phone} or visit ${INDIAN_HELPLINE.website} for immediate support.`;
-    addExchange(message, crisisMsg);
-    return res.json({ response: crisisMsg, stressLevel: 3 });
+  const params = req.body;
+  const sessionId = await resolveChatSession(req, params);
+  if (await isCounselorChat(sessionId)) {
+    return res.status(409).json(HANDOFF_ACTIVE);
   }
+  const turn = await prepareTurn(message, sessionId, resolveRequestRegion(req, params), resolveRequestLocale(req, params), resolveDataChoices(params));
 
-  // Emotion detection via Python (best-effort)
-  let emotion = 'neutral';
-  try {
-    const result = await PythonShell.run('emotion_analyzer.py', {
-      mode: 'text',
-      args: [message],
-      scriptPath: __dirname,
-      pythonOptions: ['-u']
-    });
-    if (Array.isArray(result) && result.length > 0) {
-      const parsed = JSON.parse(result[result.length - 1]);
-      emotion = parsed.top_emotion || 'neutral';
-    }
-  } catch (e) {
-    // If Python not available on host, continue with neutral
+  if (turn.crisisReply) {
+    return res.json(shareTurn(await completeCrisisTurn(turn)));
   }
 
-  try {
-    // PRIMARY: Use Gemini AI for intelligent responses
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
-    /**
-     * Create a detailed prompt for the AI
-     * This tells Gemini how to behave as UCare
-     */
-    const contextSnippet = getImportantContext();
-    const emotionInstruction = emotion === 'sadness'
-      ? 'The user feels sadness. Respond with empathy, validation, and warmth.'
-      : emotion === 'happiness'
-      ? 'The user feels happy. Respond with encouragement and positive energy.'
-      : emotion === 'anger'
-      ? 'The user may feel anger or frustration. Respond calmly, validate feelings, and suggest gentle coping.'
-      : emotion === 'fear'
-      ? 'The user feels fear or anxiety. Be soothing and offer a simple grounding tip.'
-      : 'Respond with a supportive, friendly tone.';
-
-    const prompt = `You are WizCare, a caring mental health companion for Indian users.\n${emotionInstruction}\nYour role is to:\n1. Gently detect signs of stress, anxiety, or burnout.\n2. Reply warmly in human, emotionally supportive language.\n3. Offer ONE short, practical suggestion (breathing, reframing, tiny step).\n4. Keep reply concise (25–45 words) with 1–2 fitting emojis.\n5. Be encouraging and personal; avoid robotic or clinical tone.\n6. If the user seems in distress or stress is very high, it is appropriate to suggest reaching ${INDIAN_HELPLINE.phone} or ${INDIAN_HELPLINE.website}.\n7. If the user mentions death, dying, or suicide multiple times, assess stress as "ultra high".\n\nRecent context (may help personalize):\n${contextSnippet || '(no recent context)'}\n\nUser message: "${message}"\n\nIMPORTANT: After your response, output a single line exactly as follows on a new line:\nStressLevel: low, mid, high, very high, or ultra high (your best estimate).`;
-
-    // Generate AI response
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const aiResponse = response.text();
-
-    // Helper: sanitize output (remove markdown images/HTML)
-    const sanitizeText = (txt) => {
-      if (!txt) return '';
-      return txt
-        // Remove markdown images ![alt](url)
-        .replace(/!\[[^\]]*\]\([^\)]*\)/g, '')
-        // Remove HTML tags
-        .replace(/<[^>]+>/g, '')
-        // Remove direct image URLs (http/https links ending with .jpg, .jpeg, .png, .gif, .webp, .svg)
-        .replace(/https?:\/\/(\S+\.(jpg|jpeg|png|gif|webp|svg))/gi, '')
-        // Remove markdown links [text](url) but keep the text
-        .replace(/\[([^\]]+)\]\(([^\)]+)\)/g, '$1')
-        // Remove any remaining markdown formatting
-        .replace(/[*_`#>\-]/g, '')
-        // Normalize whitespace
-        .replace(/[\t\r]+/g, ' ')
-        .replace(/\n{3,}/g, '\n\n')
-        .trim();
-    };
-
-    // Parse stress level and main text robustly
-    const stressMatch = aiResponse.match(/StressLevel\s*:\s*([^\n]+)/i);
-    let stressLevelText = stressMatch ? String(stressMatch[1]).toLowerCase() : '';
-    let stressLevel = 0; // default to low
-    if (stressLevelText.includes('ultra high')) stressLevel = 4;
-    else if (stressLevelText.includes('very high')) stressLevel = 3;
-    else if (stressLevelText.includes('high')) stressLevel = 2;
-    else if (stressLevelText.includes('mid')) stressLevel = 1;
-
-    // Remove the stress line from the message body
-    let botText = aiResponse.replace(/\n?\s*StressLevel\s*:\s*[^\n]+/i, '').trim();
-    botText = sanitizeText(botText);
-
-    // Fallback if AI returned no usable text (prevents empty bubbles)
-    if (!botText || botText.length < 3) {
-      let fallbackResponse;
-      if (isGreeting(message)) {
-        fallbackResponse = GREETING_RESPONSES[Math.floor(Math.random() * GREETING_RESPONSES.length)];
-      } else {
-        fallbackResponse = DEMO_REPLIES[Math.floor(Math.random() * DEMO_REPLIES.length)];
-      }
-      botText = fallbackResponse;
-    }
+  if (turn.exerciseReply) {
+    return res.json(shareTurn(await completeExerciseTurn(turn)));
+  }
 
-    // If stress very high or ultra high, append helpline recommendation
-    let finalBotText = botText;
-    if (stressLevel === 3) {
-      finalBotText += `\n\nIf you feel overwhelmed, consider calling ${INDIAN_HELPLINE.phone} or visiting ${INDIAN_HELPLINE.website} for professional support.`;
-    } else if (stressLevel === 4) {
-      finalBotText += `\n\n🚨 CRITICAL: Please call the Indian Mental Health Helpline IMMEDIATELY at ${INDIAN_HELPLINE.phone} or visit ${INDIAN_HELPLINE.website}. Professional help is available 24/7.`;
-    }
+  try {
+    // PRIMARY: Use the configured AI provider for intelligent responses
+    const aiResponse = await llm.generate(turn.prompt);
 
-    // Send both response and stressLevel
-    addExchange(message, finalBotText);
-    return res.json({ response: finalBotText, stressLevel });
+    // Send response, stressLevel, emotion and the risk assessment
+    return res.json(shareTurn(await completeAiTurn(turn, aiResponse)));
     
   } catch (error) {
     // FALLBACK: If AI fails, use demo responses
-    console.error('Gemini AI error:', error);
-    
-    let fallbackResponse;
-    if (isGreeting(message)) {
-      fallbackResponse = GREETING_RESPONSES[Math.floor(Math.random() * GREETING_RESPONSES.length)];
-    } else {
-      fallbackResponse = DEMO_REPLIES[Math.floor(Math.random() * DEMO_REPLIES.length)];
-    }
-    
-    return res.json({ response: fallbackResponse });
+    console.error(`${llm.name} AI error:`, error.message);
+    return res.json(shareTurn(await completeFailedTurn(turn)));
   }
 });
 
+/**
+ * Streaming Chat API Endpoint (Server-Sent Events)
+ * Route: POST /api/chat/stream  (JSON body { message, sessionId, region })
+ *        GET  /api/chat/stream?message=...&sessionId=...&region=...  (for EventSource)
+ *
+ * Events sent to the client:
+ * - token: { text }  partial reply text as it is generated
+ * - done:  same payload as POST /api/chat
+ *          the final, sanitized reply (replaces the streamed text)
+ *
+ * Crisis messages, exercise steps and AI failures skip straight to a single done event.
+ * Refused like POST /api/chat (409) while a counselor is talking with the person.
+ */
+async function handleChatStream(req, res) {
+  const params = req.method === 'GET' ? req.query : req.body;
+  const message = typeof params.message === 'string' ? params.message : '';
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required.' });
+  }
+
+  const sessionId = await resolveChatSession(req, params);
+  if (await isCounselorChat(sessionId)) {
+    return res.status(409).json(HANDOFF_ACTIVE);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable proxy buffering (nginx, Render)
+  });
+  res.flushHeaders();
+
+  let clientGone = false;
+  res.on('close', () => { clientGone = true; });
+
+  const sendEvent = (event, data) => {
+    if (!clientGone) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const turn = await prepareTurn(message, sessionId, resolveRequestRegion(req, params), resolveRequestLocale(req, params), resolveDataChoices(params));
+  const payload = await streamChatTurn(turn, {
+    onToken: (text) => sendEvent('token', { text }),
+    isCancelled: () => clientGone,
+  });
+  sendEvent('done', shareTurn(payload));
+  return res.end();
+}
+
+app.post('/api/chat/stream', chatGuard, handleChatStream);
+app.get('/api/chat/stream', chatGuard, handleChatStream);
+
+/**
+ * Answer a prepared turn, handing out the reply text as it is generated
+ * Shared by the SSE stream above and the WebSocket chat (realtime/chat.js).
+ * Crisis messages, exercise steps and AI failures produce no tokens, just
+ * the finished payload.
+ * @param {object} turn - Result of prepareTurn()
+ * @param {object} options
+ * @param {function} options.onToken - Called with each piece of visible reply text
+ * @param {function} [options.isCancelled] - Stop reading the AI stream once this returns true
+ * @returns {Promise<object>} - Same payload as POST /api/chat
+ */
+async function streamChatTurn(turn, { onToken, isCancelled = () => false }) {
+  if (turn.crisisReply) return completeCrisisTurn(turn);
+  if (turn.exerciseReply) return completeExerciseTurn(turn);
+
+  try {
+    const filterReply = createReplyStreamFilter();
+    let aiResponse = '';
+
+    for await (const chunk of llm.stream(turn.prompt)) {
+      if (isCancelled()) break;
+      aiResponse += chunk;
+      const visible = filterReply(chunk);
+      if (visible) onToken(visible);
+    }
+
+    return await completeAiTurn(turn, aiResponse);
+  } catch (error) {
+    // FALLBACK: If AI fails mid-stream, replace whatever was sent with a demo response
+    console.error(`${llm.name} AI stream error:`, error.message);
+    return completeFailedTurn(turn);
+  }
+}
+
+/**
+ * Answer a message sent over the WebSocket (see realtime/chat.js)
+ * The channel has already checked the session, the limits and that no
+ * counselor chat is live; the client sends its region, language and
+ * onboarding choices with every message.
+ */
+async function answerRealtimeMessage({ message, sessionId, region, language, consent, age }, onToken) {
+  const turn = await prepareTurn(message, sessionId, resolveRegion(region || language), resolveLocale(language), resolveDataChoices({ consent, age }));
+  return streamChatTurn(turn, { onToken });
+}
+
+// The WebSocket chat channel, set up once the server is listening (below)
+let chatChannel = null;
+
+/**
+ * Tell a session's open chat windows about a turn answered over HTTP, so
+ * their stress meters stay in step and check-ins get scheduled
+ * @returns {object} - The payload, unchanged
+ */
+function shareTurn(payload) {
+  if (chatChannel) chatChannel.publishTurn(payload.sessionId, payload);
+  return payload;
+}
+
 /**
  * Server Configuration
  * Set the port (default: 5050) and start listening for requests
@@ -292,29 +1353,97 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Your WizCare chatbot is now live! 🚀`);
   console.log(`Frontend can connect at: http://localhost:${PORT}`);
 });
 
+// WebSockets on the same port (/api/ws): chat, typing indicators, check-ins and live counselor chat
+const realtime = createRealtimeServer({ server, identify: identifySocket });
+chatChannel = attachChatChannel(realtime, { answer: answerRealtimeMessage });
+attachHandoffRelay(realtime);
+
+// Move sign-in email index entries stored under older IDs (the address, or a hash made
+// before DATA_ENCRYPTION_KEY was set) to their current ID (see auth/)
+auth.upgradeEmailIndex()
+  .then((moved) => {
+    if (moved) console.log(`Moved ${moved} sign-in email(s) to their current IDs`);
+  })
+  .catch((error) => logStorageError(error, 'write'));
+
 /**
  * HOW TO USE THIS BACKEND:
  * 
  * 1. Start the server: node index.js
- * 2. The server will test Gemini AI connection
+ * 2. The server will test AI provider connection (skipped in demo mode)
  * 3. Frontend can send POST requests to /api/chat
  * 4. Each request gets an AI response or fallback response
  * 
  * API ENDPOINTS:
- * - POST /api/chat - Send message, get AI response
+ * - POST /api/chat - Send message (+ optional sessionId), get AI response and sessionId
+ * - POST/GET /api/chat/stream - Same, but streams the reply as Server-Sent Events
+ * - GET /api/helplines?region= - Helpline directory for a region or locale
+ * - GET /api/metrics - Reply parsing counts (schema failures, repairs, fallbacks)
+ * - GET /api/review/sessions[/:sessionId], POST .../notes, PUT .../follow-up - Review dashboard (admins, counselors)
+ * - WebSocket /api/ws?sessionId=&token= - Chat with typing indicators and check-ins (realtime/chat.js),
+ *   live counselor chat (handoff queue, handoff/relay.js)
+ * - GET /api/history/mood - Mood timeline + journal across a person's conversations
+ * - POST /api/history/journal, DELETE /api/history/journal/:id - Journal entries
+ * - GET /api/history/transcript?format= - Export the conversation (json, markdown, html)
+ * - POST /api/history/import - Restore a JSON export into a new session
+ * - GET /api/conversations, PUT|DELETE /api/conversations/:sessionId, POST .../open - Conversation list
+ * - GET|DELETE /api/memory, DELETE /api/memory/facts/:id|summary - What WizCare remembers
+ * - DELETE /api/data?sessionIds= - Delete all my data (and the account, when signed in)
+ * - GET /api/exercises, POST /api/exercises/:id/start|next|stop - Guided exercises
+ * - POST /api/auth/signup|login, GET /api/auth/me - Optional accounts (Bearer token)
+ * 
+ * ACCOUNTS:
+ * - Guests need no account; their session ID is the key to their history
+ * - Signing up or in moves the guest's conversation into the account, after
+ *   which that session's history is only served with the account's token
+ * 
+ * TALKING TO A COUNSELOR:
+ * - At very high stress (level 3-4) the chat offers a human counselor; the
+ *   session waits in a queue until a counselor accepts it on /admin, then
+ *   messages are relayed live until either side ends the chat
+ * 
+ * LONG-TERM MEMORY:
+ * - Each saved exchange notes lasting facts (name, stressors, what helped;
+ *   an account's facts follow it into every conversation), and older
+ *   exchanges are folded into a rolling summary by the AI
+ * - Each prompt gets the facts and exchanges relevant to the new message
+ *   plus the summary (profile/relevance.js)
+ * 
+ * PRIVACY:
+ * - Phone numbers, emails, names and addresses in messages, journal entries
+ *   and imports are replaced with placeholders before they are stored or
+ *   sent to the AI (REDACT_PII picks which; privacy/redact.js)
+ * - With DATA_ENCRYPTION_KEY set, stored records are encrypted (AES-256-GCM)
+ * - Logs carry error messages only, never message text
+ * - Every kind of record has a retention window (see .env.example)
+ * - First-run onboarding asks for consent: with consent: 'ephemeral' (and
+ *   always for age: 'minor') a conversation is kept in process memory only -
+ *   no transcript, mood timeline or long-term memory, and its exercise
+ *   answers and counselor chat never reach disk either
+ * - Minors get age-appropriate replies and a youth helpline
+ * 
+ * REAL-TIME CHAT:
+ * - With a WebSocket open, the chat window sends its messages over it and
+ *   sees the reply stream in; HTTP stays for the first message and as the
+ *   fallback when the socket is down
+ * - After a high-stress reply, a quiet spell of CHECKIN_MINUTES brings a
+ *   gentle check-in (0 turns check-ins off)
+ * - A window that reconnects asks for what it missed (chat:resume)
  * 
  * ERROR HANDLING:
- * - If Gemini AI fails, automatically uses demo responses
+ * - If the AI provider fails, automatically uses demo responses
+ * - Over-long messages get 413, too many or repeated messages 429
+ *   ({ error, code, retryAfter? }, limits configurable in .env)
  * - No downtime - chatbot always responds
  * 
  * CUSTOMIZATION:
- * - Add more demo responses to DEMO_REPLIES array
- * - Modify the AI prompt in the chat endpoint
+ * - Add more demo responses (or a new language) in i18n/locales/
+ * - Modify the AI prompt in prompts/templates.js
  * - Add new API endpoints for additional features
  */
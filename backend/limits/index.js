@@ -0,0 +1,149 @@
+/**
+ * Request Limits and Abuse Protection
+ *
+ * Every chat message costs an AI call, so /api/chat and /api/chat/stream go
+ * through chatGuard first (and messages on the real-time channel through
+ * checkChatMessage, the same checks):
+ * - message type:     text only (a number or an object is refused)          -> 400 invalid_message
+ * - message length:   at most CHAT_MAX_MESSAGE_LENGTH characters            -> 413 message_too_long
+ * - rate per IP:      CHAT_RATE_LIMIT_IP messages per window                 -> 429 rate_limited
+ * - rate per session: CHAT_RATE_LIMIT_SESSION messages per window            -> 429 rate_limited
+ * - spam:             the same message more than CHAT_REPEAT_LIMIT times per
+ *                     window, or one phrase repeated to fill a message       -> 429 spam
+ * The window is CHAT_RATE_WINDOW_SECONDS long. Sign-up and sign-in attempts
+ * are limited per IP by authGuard (AUTH_RATE_LIMIT per 15 minutes).
+ *
+ * Messages that sound like a crisis (see risk.js) skip the rate and spam
+ * checks, so the helpline reply (no AI call) reaches someone who was just
+ * refused. They are still stored, so they have higher caps of their own:
+ * CHAT_CRISIS_LIMIT_IP and CHAT_CRISIS_LIMIT_SESSION per window (429
+ * rate_limited), and the length limit applies as to any message.
+ *
+ * Every refusal has the same shape:
+ *   { error, code, retryAfter?, maxLength?, maxBytes? }
+ * with a Retry-After header on 429s. JSON bodies over the size limit get
+ * 413 payload_too_large from bodyErrorHandler.
+ */
+
+const { createRateLimiter } = require('./rateLimiter');
+const { fingerprint, isFlooding } = require('./spam');
+const { isValidSessionId } = require('../memory');
+const { assessRisk, isCrisis } = require('../risk');
+const { redactPII } = require('../privacy/redact');
+
+const limitFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const MAX_MESSAGE_LENGTH = limitFromEnv('CHAT_MAX_MESSAGE_LENGTH', 2000);
+const WINDOW_MS = (limitFromEnv('CHAT_RATE_WINDOW_SECONDS', 60) || 60) * 1000; // default 1 minute
+
+const ipLimiter = createRateLimiter({ windowMs: WINDOW_MS, max: limitFromEnv('CHAT_RATE_LIMIT_IP', 30) });
+const sessionLimiter = createRateLimiter({ windowMs: WINDOW_MS, max: limitFromEnv('CHAT_RATE_LIMIT_SESSION', 15) });
+const crisisIpLimiter = createRateLimiter({ windowMs: WINDOW_MS, max: limitFromEnv('CHAT_CRISIS_LIMIT_IP', 60) });
+const CRISIS_SESSION_LIMIT = limitFromEnv('CHAT_CRISIS_LIMIT_SESSION', 30);
+const crisisSessionLimiter = createRateLimiter({ windowMs: WINDOW_MS, max: CRISIS_SESSION_LIMIT });
+const repeatLimiter = createRateLimiter({ windowMs: WINDOW_MS, max: limitFromEnv('CHAT_REPEAT_LIMIT', 3) });
+const authLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: limitFromEnv('AUTH_RATE_LIMIT', 10) });
+
+/**
+ * Refuse a request with the shared error shape
+ */
+function reject(res, status, code, error, extra = {}) {
+  if (extra.retryAfter) res.set('Retry-After', String(extra.retryAfter));
+  return res.status(status).json({ error, code, ...extra });
+}
+
+// A refusal in the shared error shape, plus the HTTP status
+const refuse = (status, code, error, extra = {}) => ({ status, code, error, ...extra });
+
+function rateLimited(retryAfter) {
+  return refuse(429, 'rate_limited',
+    `You're sending messages faster than I can keep up. Please wait ${retryAfter} seconds and try again.`, { retryAfter });
+}
+
+/**
+ * Check one chat message against the limits (checks run cheapest first;
+ * a crisis message gets the crisis caps instead of the rate and spam checks)
+ * Shared by the HTTP chat routes and the real-time channel (see realtime/).
+ * @param {object} attempt - { message, sessionId, ip }
+ * @returns {object|null} - null if allowed, else { status, code, error, retryAfter?, maxLength? }
+ */
+function checkChatMessage({ message, sessionId, ip }) {
+  if (MAX_MESSAGE_LENGTH && message.length > MAX_MESSAGE_LENGTH) {
+    return refuse(413, 'message_too_long',
+      `Messages are limited to ${MAX_MESSAGE_LENGTH} characters. Please shorten yours a little, or send it in parts.`,
+      { maxLength: MAX_MESSAGE_LENGTH });
+  }
+
+  // Classify the redacted text, as prepareTurn does, so both agree on what is a crisis
+  const crisis = Boolean(message) && isCrisis(assessRisk(redactPII(message)));
+
+  const byIp = (crisis ? crisisIpLimiter : ipLimiter).hit(ip);
+  if (!byIp.allowed) return rateLimited(byIp.retryAfter);
+
+  if (isValidSessionId(sessionId)) {
+    const bySession = (crisis ? crisisSessionLimiter : sessionLimiter).hit(sessionId);
+    if (!bySession.allowed) return rateLimited(bySession.retryAfter);
+  }
+
+  if (message && !crisis) {
+    if (isFlooding(message)) {
+      return refuse(429, 'spam', 'That message looks like the same text repeated many times. Could you tell me in your own words?');
+    }
+    const repeat = repeatLimiter.hit(`${isValidSessionId(sessionId) ? sessionId : ip}:${fingerprint(message)}`);
+    if (!repeat.allowed) {
+      return refuse(429, 'spam',
+        "You've sent that same message a few times now. Try saying it another way, or wait a moment.", { retryAfter: repeat.retryAfter });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Express middleware for the chat routes
+ */
+function chatGuard(req, res, next) {
+  const params = (req.method === 'GET' ? req.query : req.body) || {};
+  // A number or an object would skip the checks below (and end up in the transcript)
+  if (params.message != null && typeof params.message !== 'string') {
+    return reject(res, 400, 'invalid_message', 'Message must be text.');
+  }
+  const refusal = checkChatMessage({
+    message: params.message || '',
+    sessionId: params.sessionId || req.get('X-Session-Id'),
+    ip: req.ip,
+  });
+  if (!refusal) return next();
+  const { status, code, error, ...extra } = refusal;
+  return reject(res, status, code, error, extra);
+}
+
+/**
+ * Express middleware for sign-up and sign-in (slows down password guessing)
+ */
+function authGuard(req, res, next) {
+  const attempt = authLimiter.hit(req.ip);
+  if (!attempt.allowed) {
+    return reject(res, 429, 'rate_limited',
+      `Too many sign-in attempts. Please wait ${Math.ceil(attempt.retryAfter / 60)} minutes and try again.`, { retryAfter: attempt.retryAfter });
+  }
+  return next();
+}
+
+/**
+ * Express error handler for bodies express.json() refused
+ */
+function bodyErrorHandler(err, req, res, next) {
+  if (err.type === 'entity.too.large') {
+    return reject(res, 413, 'payload_too_large', 'That request is too large.', { maxBytes: err.limit });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return reject(res, 400, 'invalid_json', 'The request body is not valid JSON.');
+  }
+  return next(err);
+}
+
+module.exports = { chatGuard, checkChatMessage, authGuard, bodyErrorHandler, MAX_MESSAGE_LENGTH, CRISIS_SESSION_LIMIT };
@@ -0,0 +1,47 @@
+/**
+ * Sliding-window Rate Limiter
+ *
+ * Counts hits per key (an IP address, a session ID, ...) over the last
+ * windowMs and refuses once a key reaches max. Kept in process memory,
+ * which is enough for a single server; counts reset on restart.
+ */
+
+/**
+ * @param {object} options
+ * @param {number} options.windowMs - Length of the window
+ * @param {number} options.max - Hits allowed per key in the window (0 turns the limiter off)
+ * @returns {object} - { hit(key) -> { allowed, remaining, retryAfter } }
+ */
+function createRateLimiter({ windowMs, max }) {
+  const hits = new Map(); // key -> timestamps inside the window, oldest first
+
+  // Forget keys that have gone quiet so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= cutoff) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    /**
+     * Record a hit for key
+     * @returns {object} - { allowed, remaining, retryAfter } (retryAfter in seconds when refused)
+     */
+    hit(key) {
+      if (!max) return { allowed: true, remaining: Infinity, retryAfter: 0 };
+      const now = Date.now();
+      const recent = (hits.get(key) || []).filter((ts) => now - ts < windowMs);
+      if (recent.length >= max) {
+        hits.set(key, recent);
+        return { allowed: false, remaining: 0, retryAfter: Math.max(1, Math.ceil((recent[0] + windowMs - now) / 1000)) };
+      }
+      recent.push(now);
+      hits.set(key, recent);
+      return { allowed: true, remaining: max - recent.length, retryAfter: 0 };
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,42 @@
+/**
+ * Spam Detection
+ *
+ * Messages that cost an AI call without being conversation:
+ * - repeats:  the same message sent again and again (counted by the chat
+ *             guard per fingerprint, see index.js)
+ * - flooding: one character or phrase repeated to fill the message, often
+ *             to push the real instructions out of the prompt
+ */
+
+const crypto = require('crypto');
+
+const MIN_FLOOD_LENGTH = 200;
+const MIN_FLOOD_WORDS = 20;
+const MIN_DISTINCT_WORD_SHARE = 0.15;
+const CHARACTER_RUN = /(.)\1{79,}/u; // the same character 80+ times in a row
+
+function normalize(message) {
+  return String(message).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Short, case- and spacing-insensitive fingerprint of a message
+ * (so repeat counting doesn't keep whole messages in memory)
+ */
+function fingerprint(message) {
+  return crypto.createHash('sha1').update(normalize(message)).digest('base64url');
+}
+
+/**
+ * Is this message mostly one thing repeated?
+ * Short messages never count: "no no no" is a feeling, not a flood.
+ */
+function isFlooding(message) {
+  const text = normalize(message);
+  if (text.length < MIN_FLOOD_LENGTH) return false;
+  if (CHARACTER_RUN.test(text)) return true;
+  const words = text.split(' ');
+  return words.length >= MIN_FLOOD_WORDS && new Set(words).size / words.length < MIN_DISTINCT_WORD_SHARE;
+}
+
+module.exports = { fingerprint, isFlooding };
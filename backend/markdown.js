@@ -0,0 +1,80 @@
+/**
+ * Safe Markdown
+ *
+ * Bot replies may use a small Markdown subset, which the React app renders
+ * (see frontend/src/MessageText.js):
+ * - **bold** and *italics* (or __bold__ and _italics_)
+ * - bullet (- item) and numbered (1. item) lists
+ * - [links](https://...) to allow-listed resource domains and tel: numbers
+ *
+ * Everything else is reduced to plain text before a reply is saved or sent:
+ * images and raw HTML are removed, headings and quotes lose their markers,
+ * code loses its backticks and links elsewhere keep only their text.
+ * Hyphens, underscores and minus signs in ordinary text are left alone.
+ *
+ * The allow-list is every helpline website (see helplines.js) plus any
+ * domains in SAFE_LINK_DOMAINS (comma-separated); subdomains are included.
+ */
+
+const { listLinkDomains } = require('./helplines');
+
+const LINK_DOMAINS = [
+  ...listLinkDomains(),
+  ...(process.env.SAFE_LINK_DOMAINS || '').split(',').map((domain) => domain.trim().toLowerCase()).filter(Boolean),
+];
+
+const IMAGE_URL = /https?:\/\/\S+\.(jpg|jpeg|png|gif|webp|svg)(\?\S*)?/gi;
+
+/**
+ * Whether a link may be shown as a link
+ * @param {string} url
+ * @param {string[]} [domains] - Allowed domains (LINK_DOMAINS by default)
+ */
+function isSafeLink(url, domains = LINK_DOMAINS) {
+  if (/^tel:\+?[\d\s-]{3,20}$/i.test(url)) return true;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+  if (parsed.username || parsed.password) return false;
+  const host = parsed.hostname.toLowerCase();
+  return domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Reduce AI output to the safe Markdown subset
+ * @param {string} text
+ * @returns {string}
+ */
+function sanitizeMarkdown(text) {
+  if (!text) return '';
+  return String(text)
+    // Remove markdown images ![alt](url)
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    // Remove HTML comments and tags (a lone "<" or "a < b" is kept)
+    .replace(/<!--[\s\S]*?(-->|$)/g, '')
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    // Remove direct image URLs
+    .replace(IMAGE_URL, '')
+    // Keep links to allowed domains; others keep only their text
+    .replace(/\[([^\]\n]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) => (
+      isSafeLink(url) ? `[${label}](${url})` : label
+    ))
+    // Code fences and inline code become plain text
+    .replace(/^ {0,3}(```|~~~).*$/gm, '')
+    .replace(/`([^`\n]+)`/g, '$1')
+    // Headings become a bold line, quotes and horizontal rules lose their markers
+    .replace(/^ {0,3}#{1,6}[ \t]+(.+?)[ \t#]*$/gm, '**$1**')
+    .replace(/^ {0,3}>[ \t]?/gm, '')
+    .replace(/^ {0,3}([-*_])([ \t]*\1){2,}[ \t]*$/gm, '')
+    // Normalize whitespace
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { LINK_DOMAINS, isSafeLink, sanitizeMarkdown };
@@ -1,39 +1,88 @@
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+const { createMemoryStore } = require('./storage/memoryStore');
 
-const MEMORY_FILE = path.join(__dirname, 'conversation_memory.json');
-const MAX_ITEMS = 10; // keep last 10 exchanges
+// Keep the last 10 exchanges per session; older ones live on in the summary (see profile/)
+const MAX_ITEMS = Number(process.env.MAX_EXCHANGES_PER_SESSION) || 10;
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_MINUTES) || 60 * 24) * 60 * 1000; // default 24h of inactivity
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
 
-function readMemory() {
-  try {
-    if (!fs.existsSync(MEMORY_FILE)) return [];
-    const data = JSON.parse(fs.readFileSync(MEMORY_FILE, 'utf8'));
-    return Array.isArray(data) ? data : [];
-  } catch (e) {
-    return [];
-  }
+// Backing store is picked by MEMORY_STORE (file, sqlite or memory); see storage/index.js
+let store = createStore();
+// Sessions of people who chose not to have their conversations stored (onboarding's
+// data-use choice, and always for minors) are kept here instead: in process memory only,
+// gone after SESSION_TTL_MINUTES of quiet or a restart
+const ephemeralStore = createMemoryStore();
+
+/**
+ * Swap the backing store (e.g. an in-memory store in tests)
+ * @param {object} nextStore - Any object implementing the storage interface
+ */
+function setStore(nextStore) {
+  store = nextStore;
+}
+
+function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
 }
 
-function writeMemory(items) {
-  try {
-    fs.writeFileSync(MEMORY_FILE, JSON.stringify(items.slice(-MAX_ITEMS), null, 2));
-  } catch (e) {
-    // ignore
-  }
+function createSessionId() {
+  return crypto.randomUUID();
 }
 
-function addExchange(userText, botText) {
-  const items = readMemory();
-  items.push({ user: userText, bot: botText, ts: Date.now() });
-  writeMemory(items);
+// Drop idle sessions; treated as expired even before the prune runs
+function isExpired(session, now = Date.now()) {
+  return !session || now - (session.updatedAt || 0) > SESSION_TTL_MS;
 }
 
-function getImportantContext() {
-  const items = readMemory();
-  // lightweight heuristic: last 3 turns
-  return items.slice(-3).map((it) => `User: ${it.user}\nBot: ${it.bot}`).join('\n');
+/**
+ * Append one user/bot exchange to a session
+ * Rejects with a StorageError if the store can't be written.
+ * @param {object} [meta] - Extra per-turn data kept with the exchange (e.g. risk)
+ * @param {object} [options]
+ * @param {boolean} [options.ephemeral] - Keep it in process memory only, never on disk
+ */
+async function addExchange(sessionId, userText, botText, meta = {}, { ephemeral = false } = {}) {
+  if (!isValidSessionId(sessionId)) return;
+  const now = Date.now();
+  const target = ephemeral ? ephemeralStore : store;
+  await target.pruneIdle(now - SESSION_TTL_MS);
+  await target.update(sessionId, (current) => {
+    const session = isExpired(current, now) ? { createdAt: now, items: [] } : current;
+    session.items.push({ ...meta, user: userText, bot: botText, ts: now });
+    session.items = session.items.slice(-MAX_ITEMS);
+    session.updatedAt = now;
+    return session;
+  });
 }
 
-module.exports = { addExchange, getImportantContext };
+/**
+ * Raw exchanges of this session, oldest first (empty if expired or unknown)
+ * Rejects with a StorageError if the store can't be read.
+ */
+async function getRecentExchanges(sessionId) {
+  if (!isValidSessionId(sessionId)) return [];
+  const kept = await ephemeralStore.get(sessionId);
+  const session = isExpired(kept) ? await store.get(sessionId) : kept;
+  return isExpired(session) ? [] : session.items;
+}
 
+/**
+ * Is this a conversation the person chose not to store? (its exchanges are
+ * kept in process memory; see addExchange)
+ */
+async function isEphemeralSession(sessionId) {
+  if (!isValidSessionId(sessionId)) return false;
+  return !isExpired(await ephemeralStore.get(sessionId));
+}
+
+/**
+ * Forget a session's exchanges (the conversation was deleted)
+ * Rejects with a StorageError if the store can't be written.
+ */
+async function clearSession(sessionId) {
+  if (!isValidSessionId(sessionId)) return;
+  await Promise.all([store.delete(sessionId), ephemeralStore.delete(sessionId)]);
+}
 
+module.exports = { addExchange, getRecentExchanges, isEphemeralSession, clearSession, createSessionId, isValidSessionId, setStore };
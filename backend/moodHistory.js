@@ -0,0 +1,137 @@
+/**
+ * Mood History
+ *
+ * Timeline of how the user was doing, kept much longer than conversation
+ * memory so it can be charted over days and weeks:
+ * - points:  recorded automatically for every /api/chat turn
+ *            { ts, stressLevel, emotion, riskLevel }
+ * - journal: free-text entries the user adds themselves
+ *            { id, ts, text, stressLevel }
+ *
+ * Stored per session in its own "mood_history" namespace, so conversation
+ * memory TTLs never prune it, and deleting a conversation deletes its part.
+ * Since every new conversation is a new session, the journal view reads all
+ * of a person's sessions at once (getCombinedMoodHistory).
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const RETENTION_MS = (Number(process.env.MOOD_HISTORY_DAYS) || 90) * 24 * 60 * 60 * 1000; // default 90 days
+const MAX_POINTS = 1000;
+const MAX_JOURNAL_ENTRIES = 500;
+const MAX_JOURNAL_LENGTH = 2000;
+
+let store = createStore({ namespace: 'mood_history' });
+
+/**
+ * Swap the backing store (e.g. an in-memory store in tests)
+ */
+function setStore(nextStore) {
+  store = nextStore;
+}
+
+// Drop anything older than the retention window
+function trim(record, now) {
+  const cutoff = now - RETENTION_MS;
+  return {
+    points: record.points.filter((p) => p.ts >= cutoff).slice(-MAX_POINTS),
+    journal: record.journal.filter((e) => e.ts >= cutoff).slice(-MAX_JOURNAL_ENTRIES),
+    updatedAt: now,
+  };
+}
+
+function emptyRecord() {
+  return { points: [], journal: [] };
+}
+
+/**
+ * Record the mood of one chat turn
+ * Rejects with a StorageError if the store can't be written.
+ */
+async function recordMood(sessionId, { stressLevel, emotion, riskLevel }) {
+  const now = Date.now();
+  await store.pruneIdle(now - RETENTION_MS);
+  await store.update(sessionId, (current) => {
+    const record = current || emptyRecord();
+    record.points.push({ ts: now, stressLevel, emotion, riskLevel });
+    return trim(record, now);
+  });
+}
+
+/**
+ * Add a free-text journal entry
+ * @param {object} entry - { text, stressLevel? } (stressLevel 0-4, optional)
+ * @returns {Promise<object>} - The stored entry
+ */
+async function addJournalEntry(sessionId, { text, stressLevel }) {
+  const now = Date.now();
+  const entry = {
+    id: crypto.randomUUID(),
+    ts: now,
+    text: String(text).trim().slice(0, MAX_JOURNAL_LENGTH),
+    stressLevel: Number.isInteger(stressLevel) && stressLevel >= 0 && stressLevel <= 4 ? stressLevel : null,
+  };
+  await store.update(sessionId, (current) => {
+    const record = current || emptyRecord();
+    record.journal.push(entry);
+    return trim(record, now);
+  });
+  return entry;
+}
+
+/**
+ * Delete one journal entry
+ * @returns {Promise<boolean>} - True if the entry existed
+ */
+async function deleteJournalEntry(sessionId, entryId) {
+  let found = false;
+  await store.update(sessionId, (current) => {
+    if (!current) return null;
+    found = current.journal.some((e) => e.id === entryId);
+    return { ...current, journal: current.journal.filter((e) => e.id !== entryId) };
+  });
+  return found;
+}
+
+/**
+ * Mood points and journal entries from the last `days` days, oldest first
+ */
+async function getMoodHistory(sessionId, { days } = {}) {
+  const record = (await store.get(sessionId)) || emptyRecord();
+  const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+  return {
+    points: record.points.filter((p) => p.ts >= since),
+    journal: record.journal.filter((e) => e.ts >= since),
+  };
+}
+
+/**
+ * Mood points and journal entries of several sessions (one person's
+ * conversations) as one timeline, oldest first
+ * Journal entries carry their sessionId, which deleting one needs.
+ * @param {Array<string>} sessionIds
+ */
+async function getCombinedMoodHistory(sessionIds, { days } = {}) {
+  const histories = await Promise.all([...new Set(sessionIds)].map(async (sessionId) => ({
+    sessionId,
+    ...(await getMoodHistory(sessionId, { days })),
+  })));
+  const byTime = (a, b) => a.ts - b.ts;
+  return {
+    points: histories.flatMap((h) => h.points).sort(byTime),
+    journal: histories.flatMap((h) => h.journal.map((e) => ({ ...e, sessionId: h.sessionId }))).sort(byTime),
+  };
+}
+
+/**
+ * Delete a session's mood points and journal (the conversation was deleted)
+ * Rejects with a StorageError if the store can't be written.
+ */
+async function deleteMoodHistory(sessionId) {
+  await store.delete(sessionId);
+}
+
+module.exports = {
+  recordMood, addJournalEntry, deleteJournalEntry, getMoodHistory, getCombinedMoodHistory, deleteMoodHistory, setStore, MAX_JOURNAL_LENGTH,
+};
@@ -0,0 +1,52 @@
+/**
+ * Privacy
+ *
+ * - redactPII(): personal details out of what people type, before it is
+ *   stored or sent to the AI (see redact.js)
+ * - deleteAllData(): "delete all my data" - every conversation of an
+ *   account (or the guest sessions a browser holds) with everything kept
+ *   about it, then the account itself
+ *
+ * Live counselor chats (handoff/) are not redacted, since a counselor may
+ * need the number to call someone back; like everything stored, they are
+ * encrypted when a key is set.
+ *
+ * Encryption at rest lives with the stores (see storage/encryption.js);
+ * retention windows are set per kind of record (TRANSCRIPT_DAYS,
+ * MOOD_HISTORY_DAYS, MEMORY_RETENTION_DAYS, HANDOFF_DAYS, ...).
+ */
+
+const auth = require('../auth');
+const { deleteConversation } = require('../conversations');
+const { forgetAccount } = require('../profile');
+const { redactPII, configuredCategories } = require('./redact');
+
+/**
+ * Delete everything kept about a person
+ * For each session: transcript, conversation memory, summary and facts,
+ * mood history and journal, exercise, title, counselor chat and reviewer
+ * notes. Signed in, all of the account's sessions go too, then its
+ * remembered facts and the account. Guest sessions that belong to someone
+ * else are left alone.
+ * Rejects with a StorageError if a store can't be written.
+ * @param {object} who
+ * @param {string|null} who.userId - The signed-in account, if any
+ * @param {Array<string>} who.sessionIds - Guest sessions the caller holds (already validated)
+ * @returns {Promise<number>} - How many conversations were deleted
+ */
+async function deleteAllData({ userId, sessionIds = [] }) {
+  const owners = await Promise.all(sessionIds.map((sessionId) => auth.getSessionOwner(sessionId)));
+  const guestSessions = sessionIds.filter((sessionId, idx) => !owners[idx] || owners[idx] === userId);
+  const sessions = [...new Set([...(userId ? await auth.getAccountSessions(userId) : []), ...guestSessions])];
+
+  for (const sessionId of sessions) {
+    await deleteConversation(sessionId);
+  }
+  if (userId) {
+    await forgetAccount(userId);
+    await auth.deleteAccount(userId);
+  }
+  return sessions.length;
+}
+
+module.exports = { deleteAllData, redactPII, configuredCategories };
@@ -0,0 +1,89 @@
+/**
+ * PII Redaction
+ *
+ * Takes personal details out of what people type before it is stored or
+ * sent to the AI provider, leaving a placeholder so the sentence still
+ * reads naturally:
+ * - phone:   "+91 98765 43210", "022-2345-6789"        -> [phone]
+ * - email:   "asha@example.com"                        -> [email]
+ * - name:    "my name is Asha", "my friend Rahul"      -> my name is [name], my friend [name]
+ * - address: "12 MG Road", "Flat 4B", "PIN 560001"     -> [address]
+ * Like the fact patterns (profile/facts.js) the name and address patterns
+ * only look where a name or address is introduced; catching every name in
+ * free text would also catch half the sentences people write.
+ *
+ * REDACT_PII picks the categories (comma-separated, default all) or turns
+ * redaction off. Profile facts (profile/) are read from redacted text too,
+ * except that a name someone gives is remembered; it only goes into prompts
+ * once they allow it.
+ */
+
+const CATEGORIES = ['email', 'phone', 'address', 'name']; // the order they are applied in
+
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.\p{L}{2,}/gu;
+// Digits with the usual separators; only 10-13 digits count as a phone number (not dates or amounts)
+const PHONE_PATTERN = /(?<![\p{L}\p{N}])\+?\d[\d\s().-]{7,18}\d(?![\p{L}\p{N}])/gu;
+const MIN_PHONE_DIGITS = 10;
+const MAX_PHONE_DIGITS = 13;
+
+// Street words in either case ("Road", "road"); the words before them must be capitalised, so
+// "5 km on the road" stays as it is
+const STREET_WORDS = ['road', 'rd', 'street', 'st', 'lane', 'marg', 'nagar', 'colony', 'avenue', 'ave', 'sector', 'block', 'layout', 'apartments?', 'society', 'chowk', 'gali']
+  .map((word) => `[${word[0]}${word[0].toUpperCase()}]${word.slice(1)}`)
+  .join('|');
+const ADDRESS_PATTERNS = [
+  // "12 MG Road", "221B Baker Street", "45, Sector 21"
+  new RegExp(`\\b\\d+[A-Za-z]?,?\\s+(?:[\\p{Lu}\\p{N}][\\p{L}.]*\\s+){0,3}(?:${STREET_WORDS})\\b(?:\\s+\\d+[A-Za-z]?\\b)?`, 'gu'),
+  // "Flat 4B", "House No. 12", "H.No 3/45", "Plot 7"
+  /\b(?:flat|house|h\.?\s?no|plot|door)\s*(?:no\.?|number|#)?\s*[\p{N}][\p{L}\p{N}/-]*/giu,
+  // "PIN 560001", "pincode: 110 001", "zip 94103"
+  /\b(?:pin|pincode|pin code|zip|zip code|postal code)\s*[:-]?\s*\d{3}\s?\d{2,3}\b/giu,
+  // "I live at 4 Park View, Pune"
+  /\b(?:i live at|my address is|i stay at)\s+([^.,!?;\n]{3,80})/giu,
+];
+
+const RELATIONS = 'friend|boss|manager|teacher|sister|brother|mother|father|mom|dad|wife|husband|boyfriend|girlfriend|partner|son|daughter|cousin|roommate|colleague|neighbour|neighbor|therapist|doctor';
+const NAME_PATTERNS = [
+  /\b((?:my name is|my name's|i am called|i'm called)\s+)(\p{L}[\p{L}'-]{1,30})/giu,
+  /\b([Cc]all me\s+)(\p{Lu}[\p{L}'-]{1,30})/gu, // capitalised only, like facts.js
+  /\b(mera naam\s+)(\p{L}[\p{L}'-]{1,30})/giu,
+  /\b((?:[Mm]rs?|[Mm]s|[Mm]iss|[Dd]r|[Pp]rof)\.?\s+)(\p{Lu}[\p{L}'-]{1,30})/gu,
+  new RegExp(`\\b((?:my|meri|mera)\\s+(?:${RELATIONS})\\s+)(\\p{Lu}[\\p{L}'-]{1,30})`, 'gu'),
+];
+
+/**
+ * Categories to redact, from REDACT_PII
+ * @returns {Set<string>}
+ */
+function configuredCategories(setting = process.env.REDACT_PII) {
+  const value = String(setting || '').trim().toLowerCase();
+  if (!value || value === 'on' || value === 'all') return new Set(CATEGORIES);
+  if (value === 'off' || value === 'none') return new Set();
+  return new Set(value.split(',').map((item) => item.trim()).filter((item) => CATEGORIES.includes(item)));
+}
+
+const REDACTORS = {
+  email: (text) => text.replace(EMAIL_PATTERN, '[email]'),
+  phone: (text) => text.replace(PHONE_PATTERN, (match) => {
+    const digits = match.replace(/\D/g, '').length;
+    return digits >= MIN_PHONE_DIGITS && digits <= MAX_PHONE_DIGITS ? '[phone]' : match;
+  }),
+  // "I live at ..." keeps its lead-in; the other patterns are the address itself
+  address: (text) => ADDRESS_PATTERNS.reduce((result, pattern) => result.replace(pattern, (match, rest) => (
+    typeof rest === 'string' ? `${match.slice(0, match.length - rest.length)}[address]` : '[address]'
+  )), text),
+  name: (text) => NAME_PATTERNS.reduce((result, pattern) => result.replace(pattern, (match, lead) => `${lead}[name]`), text),
+};
+
+/**
+ * Replace personal details in a text with placeholders
+ * @param {string} text
+ * @param {Set<string>} [categories] - Defaults to REDACT_PII
+ * @returns {string}
+ */
+function redactPII(text, categories = configuredCategories()) {
+  if (typeof text !== 'string' || !text) return text;
+  return CATEGORIES.reduce((result, category) => (categories.has(category) ? REDACTORS[category](result) : result), text);
+}
+
+module.exports = { redactPII, configuredCategories, CATEGORIES };
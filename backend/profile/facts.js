@@ -0,0 +1,94 @@
+/**
+ * Profile Facts
+ *
+ * Lasting things a person tells WizCare about themselves, picked out of
+ * their messages as they chat:
+ * - name:     "my name is Priya", "call me Sam", "mera naam Ravi hai"
+ * - stressor: "I'm worried about my exams", "work is stressing me out"
+ * - coping:   "going for a walk helped", "music calms me down"
+ * The summarizer (see index.js) adds facts the model noticed too, including
+ * "detail" facts these patterns can't find. Patterns are deliberately
+ * narrow: a missed fact costs little, a wrong one is repeated back to the
+ * person in every reply.
+ */
+
+const crypto = require('crypto');
+
+const MAX_FACT_LENGTH = 120;
+
+const NAME_PATTERNS = [
+  /\b(?:my name is|my name's|i am called|i'm called)\s+(\p{L}[\p{L}'-]{1,30})/iu,
+  /\b[Cc]all me\s+(\p{Lu}[\p{L}'-]{1,30})/u, // capitalised only: "call me later" is no name
+  /\bmera naam\s+(\p{L}[\p{L}'-]{1,30})\s+(?:hai|he)\b/iu,
+];
+
+const STRESSOR_PATTERNS = [
+  /\b(?:stressed|worried|anxious|nervous|scared|afraid|overwhelmed|upset|tense|panicking)\s+(?:out\s+)?(?:about|because of|over|by|with)\s+([^.,!?;\n]{3,80})/i,
+  /\b((?:my\s+)?[\p{L}\s]{3,40}?)\s+(?:is|are|has been|have been|keeps?)\s+stressing me(?:\s+out)?\b/iu,
+];
+
+const COPING_PATTERNS = [
+  /\b([^.,!?;\n]{3,60}?)\s+(?:really\s+|always\s+|usually\s+)?(?:helped|helps)(?:\s+me)?\b/i,
+  /\b([^.,!?;\n]{3,60}?)\s+(?:calms|calmed|relaxes|relaxed)\s+me\b/i,
+  /\b([^.,!?;\n]{3,60}?)\s+makes? me feel better\b/i,
+];
+
+// Words a captured phrase may start with that add nothing ("I think going for a walk")
+const LEADING_FILLER = /^(?:(?:i think|i guess|honestly|actually|so|and|but|yeah|well|maybe|that|the|just|like)\s+)+/i;
+// Captures that aren't a coping strategy or a stressor
+const NOT_A_FACT = /^(?:nothing|no one|nobody|none|it|this|that|everything|anything|something|what|which|who|you|thanks|thank you|ok|okay)\b/i;
+
+function cleanPhrase(text) {
+  return text.replace(/\s+/g, ' ').trim().replace(LEADING_FILLER, '').replace(/^(?:i|i'm|im|my)\s+/i, '').slice(0, MAX_FACT_LENGTH);
+}
+
+function firstMatch(patterns, message) {
+  for (const pattern of patterns) {
+    const match = pattern.exec(message);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Facts in one user message
+ * @param {string} message
+ * @returns {Array<object>} - [{ kind, text }]
+ */
+function extractFacts(message) {
+  const text = String(message || '');
+  const facts = [];
+
+  const name = firstMatch(NAME_PATTERNS, text);
+  if (name) facts.push({ kind: 'name', text: name.charAt(0).toUpperCase() + name.slice(1) });
+
+  for (const [kind, patterns] of [['stressor', STRESSOR_PATTERNS], ['coping', COPING_PATTERNS]]) {
+    const phrase = firstMatch(patterns, text);
+    const cleaned = phrase ? cleanPhrase(phrase) : '';
+    if (cleaned.length >= 3 && !NOT_A_FACT.test(cleaned)) facts.push({ kind, text: cleaned });
+  }
+  return facts;
+}
+
+const sameFact = (a, b) => a.kind === b.kind && a.text.toLowerCase() === b.text.toLowerCase();
+
+/**
+ * Add new facts to a list, newest last
+ * A fact said again moves to the end (it still matters), a new name
+ * replaces the old one, and the list keeps its newest `max` facts.
+ * @param {Array<object>} facts - [{ id, kind, text, sessionId, ts }]
+ * @param {Array<object>} found - [{ kind, text }]
+ * @param {object} origin - { sessionId, ts }
+ * @param {number} max - How many facts to keep
+ * @returns {Array<object>}
+ */
+function mergeFacts(facts, found, { sessionId, ts }, max) {
+  let merged = facts;
+  for (const fact of found) {
+    merged = merged.filter((existing) => !sameFact(existing, fact) && !(fact.kind === 'name' && existing.kind === 'name'));
+    merged.push({ id: crypto.randomUUID(), kind: fact.kind, text: fact.text.slice(0, MAX_FACT_LENGTH), sessionId, ts });
+  }
+  return merged.slice(-max);
+}
+
+module.exports = { extractFacts, mergeFacts };
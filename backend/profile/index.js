@@ -0,0 +1,283 @@
+/**
+ * Long-term Memory
+ *
+ * Conversation memory (memory.js) only keeps a session's last few
+ * exchanges. This keeps what should outlast them, in two namespaces whose
+ * records are pruned once nothing was added for MEMORY_RETENTION_DAYS:
+ * - "memory_summaries": a rolling summary per session. Once enough
+ *   exchanges have piled up behind the most recent ones, the AI folds them
+ *   into the summary (or, when it can't, a short local summary is kept):
+ *     { text, through (ts of the last exchange in it), updatedAt }
+ * - "memory_profiles": facts about the person (see facts.js), keyed by
+ *   "user:<id>" for accounts, so they follow the person into every
+ *   conversation, and "session:<id>" for guests:
+ *     { facts: [{ id, kind, text, sessionId, ts }], useName, updatedAt }
+ *   Facts are read from the message with personal details redacted, except
+ *   the name the person gave, which only goes into prompts once they turn
+ *   useName on (PUT /api/memory/name).
+ *
+ * buildMemoryContext() picks the relevant parts for each prompt (see
+ * relevance.js). People can see and delete all of it (GET/DELETE /api/memory).
+ */
+
+const { createStore } = require('../storage');
+const { getRecentExchanges, clearSession } = require('../memory');
+const { getSessionOwner } = require('../auth');
+const { buildMemoryPrompt, readMemoryUpdate } = require('../prompts');
+const { redactPII, configuredCategories } = require('../privacy/redact');
+const { extractFacts, mergeFacts } = require('./facts');
+const { selectFacts, selectExchanges } = require('./relevance');
+
+const KEEP_RECENT = 4; // exchanges left out of the summary (they're in the prompt as they are)
+const SUMMARY_BATCH = 4; // exchanges summarized at a time
+const MAX_SUMMARY_LENGTH = 1200;
+const MAX_FACTS = 40;
+const MAX_TOPIC_LENGTH = 80;
+const RETENTION_MS = (Number(process.env.MEMORY_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000; // default 90 days
+
+const FACT_LABELS = { name: 'Name', stressor: 'Stressed by', coping: 'Helped before', detail: 'Detail' };
+
+let summaries = createStore({ namespace: 'memory_summaries' });
+let profiles = createStore({ namespace: 'memory_profiles' });
+
+// Sessions being summarized right now (a second turn doesn't start another call)
+const summarizing = new Set();
+
+/**
+ * Swap the backing stores (e.g. in-memory stores in tests)
+ */
+function setStores(next) {
+  ({ summaries = summaries, profiles = profiles } = next);
+}
+
+/**
+ * Profiles a session's facts live in: the account's first (where new facts
+ * go), then the session's own (facts from before it was signed in)
+ */
+async function profileKeys(sessionId) {
+  const owner = await getSessionOwner(sessionId);
+  return owner ? [`user:${owner}`, `session:${sessionId}`] : [`session:${sessionId}`];
+}
+
+// Facts of all of a session's profiles; useName is the choice made in the first (see profileKeys)
+async function loadProfile(keys) {
+  const records = await Promise.all(keys.map((key) => profiles.get(key)));
+  return {
+    facts: records.flatMap((record) => (record ? record.facts : [])).sort((a, b) => a.ts - b.ts),
+    useName: Boolean(records[0] && records[0].useName),
+  };
+}
+
+async function addFacts(sessionId, found, ts = Date.now()) {
+  if (!found.length) return;
+  await profiles.pruneIdle(Date.now() - RETENTION_MS);
+  const [key] = await profileKeys(sessionId);
+  await profiles.update(key, (current) => ({
+    ...current,
+    facts: mergeFacts(current ? current.facts : [], found, { sessionId, ts }, MAX_FACTS),
+    updatedAt: ts,
+  }));
+}
+
+/**
+ * Drop facts from every profile of a session
+ * @param {function} matches - fact => true to drop it
+ * @returns {Promise<number>} - How many were dropped
+ */
+async function dropFacts(sessionId, matches) {
+  let dropped = 0;
+  for (const key of await profileKeys(sessionId)) {
+    await profiles.update(key, (current) => {
+      if (!current) return null;
+      const facts = current.facts.filter((fact) => !matches(fact));
+      dropped += current.facts.length - facts.length;
+      return facts.length ? { ...current, facts, updatedAt: Date.now() } : null;
+    });
+  }
+  return dropped;
+}
+
+// First sentence of a message, shortened, for the local summary
+function topicOf(text) {
+  const sentence = String(text || '').replace(/\s+/g, ' ').trim().split(/(?<=[.!?।])\s/)[0];
+  return sentence.length > MAX_TOPIC_LENGTH ? `${sentence.slice(0, MAX_TOPIC_LENGTH - 1).trimEnd()}…` : sentence;
+}
+
+/**
+ * Summary made without the AI (demo mode, or the AI's answer was unusable):
+ * what the user brought up, added to the summary so far
+ */
+function localSummary(previous, exchanges) {
+  const topics = exchanges.map((item) => topicOf(item.user)).filter(Boolean);
+  const text = [previous, `The user talked about: ${topics.join('; ')}`].filter(Boolean).join('\n');
+  return text.length > MAX_SUMMARY_LENGTH ? `…${text.slice(-(MAX_SUMMARY_LENGTH - 1))}` : text;
+}
+
+/**
+ * Fold exchanges that have dropped behind the most recent ones into the
+ * session's summary, once there are enough of them
+ * The AI's answer also adds facts it noticed. Rejects with a StorageError
+ * if a store can't be used; a failed AI call falls back to localSummary().
+ * @param {function} [generate] - prompt => Promise<string> (the chat's provider)
+ * @returns {Promise<boolean>} - True if the summary was updated
+ */
+async function summarizeIfDue(sessionId, generate) {
+  if (summarizing.has(sessionId)) return false;
+  summarizing.add(sessionId);
+  try {
+    const [exchanges, summary] = await Promise.all([getRecentExchanges(sessionId), summaries.get(sessionId)]);
+    const through = summary ? summary.through : 0;
+    const pending = exchanges.slice(0, -KEEP_RECENT).filter((item) => item.ts > through);
+    if (pending.length < SUMMARY_BATCH) return false;
+
+    let update = null;
+    if (generate) {
+      try {
+        update = readMemoryUpdate(await generate(buildMemoryPrompt(summary ? summary.text : '', pending)));
+      } catch (error) {
+        console.warn('Memory summary call failed:', error.message);
+      }
+    }
+
+    const last = pending[pending.length - 1];
+    await summaries.pruneIdle(Date.now() - RETENTION_MS);
+    const text = update && update.summary ? update.summary : localSummary(summary ? summary.text : '', pending);
+    await summaries.update(sessionId, () => ({ text, through: last.ts, updatedAt: Date.now() }));
+    if (update) await addFacts(sessionId, update.facts, last.ts);
+    return true;
+  } finally {
+    summarizing.delete(sessionId);
+  }
+}
+
+/**
+ * Facts in a message as typed, with personal details redacted (REDACT_PII)
+ * The name fact is read with only names left in, so a name given is kept;
+ * every other fact comes from the fully redacted message.
+ */
+function factsToRemember(message) {
+  const categories = configuredCategories();
+  const allButNames = new Set([...categories].filter((category) => category !== 'name'));
+  const names = extractFacts(redactPII(message, allButNames)).filter((fact) => fact.kind === 'name');
+  return [...names, ...extractFacts(redactPII(message, categories)).filter((fact) => fact.kind !== 'name')];
+}
+
+/**
+ * Remember what a user message says about them, and summarize if due
+ * Called after each saved exchange, off the reply's path, with the message
+ * as typed (see factsToRemember).
+ * Rejects with a StorageError if a store can't be used.
+ * @param {object} [options]
+ * @param {function} [options.generate] - For the summary (see summarizeIfDue)
+ */
+async function rememberTurn(sessionId, message, { generate } = {}) {
+  await addFacts(sessionId, factsToRemember(message));
+  await summarizeIfDue(sessionId, generate);
+}
+
+function describeFact(fact) {
+  return `- ${FACT_LABELS[fact.kind] || FACT_LABELS.detail}: ${fact.text}`;
+}
+
+/**
+ * Memory for a chat prompt: relevant facts, the summary and the relevant
+ * recent exchanges, as plain text ('' when there is nothing yet)
+ * Rejects with a StorageError if a store can't be read.
+ * @param {string} message - The new message (relevance is judged against it)
+ * @param {Array<object>} exchanges - The session's recent exchanges (from memory.js)
+ * @returns {Promise<string>}
+ */
+async function buildMemoryContext(sessionId, message, exchanges) {
+  const [{ facts, useName }, summary] = await Promise.all([loadProfile(await profileKeys(sessionId)), summaries.get(sessionId)]);
+  const sections = [];
+
+  // The name only reaches the AI once the person has said it may
+  const chosen = selectFacts(useName ? facts : facts.filter((fact) => fact.kind !== 'name'), message);
+  if (chosen.length) sections.push(`What you remember about them:\n${chosen.map(describeFact).join('\n')}`);
+  if (summary && summary.text) sections.push(`Earlier in this conversation:\n${summary.text}`);
+
+  const turns = selectExchanges(exchanges, message, summary ? summary.through : 0);
+  if (turns.length) sections.push(`Recent turns:\n${turns.map((it) => `User: ${it.user}\nBot: ${it.bot}`).join('\n')}`);
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Everything remembered for a session, for the person to look through
+ * Rejects with a StorageError if a store can't be read.
+ * @returns {Promise<object>} - { facts: [{ id, kind, text, ts }], useName, summary: { text, updatedAt } | null }
+ */
+async function getMemory(sessionId) {
+  const [{ facts, useName }, summary] = await Promise.all([loadProfile(await profileKeys(sessionId)), summaries.get(sessionId)]);
+  return {
+    facts: facts.map(({ id, kind, text, ts }) => ({ id, kind, text, ts })),
+    useName,
+    summary: summary && summary.text ? { text: summary.text, updatedAt: summary.updatedAt } : null,
+  };
+}
+
+/**
+ * Let the AI use the person's name in replies, or stop it
+ * Rejects with a StorageError if the store can't be written.
+ */
+async function setUseName(sessionId, useName) {
+  const [key] = await profileKeys(sessionId);
+  await profiles.update(key, (current) => ({ facts: [], ...current, useName: Boolean(useName), updatedAt: Date.now() }));
+}
+
+/**
+ * Forget one fact
+ * @returns {Promise<boolean>} - False if there was no such fact
+ */
+async function forgetFact(sessionId, factId) {
+  return (await dropFacts(sessionId, (fact) => fact.id === factId)) > 0;
+}
+
+/**
+ * Forget a session's summary (the exchanges in it stay summarized, so
+ * they don't come back in the next one)
+ */
+async function forgetSummary(sessionId) {
+  await summaries.update(sessionId, (current) => (current ? { text: '', through: current.through, updatedAt: Date.now() } : null));
+}
+
+/**
+ * Forget everything remembered for a session: every fact (of the account
+ * too, when signed in), the summary and the recent exchanges
+ * The transcript stays; deleting the conversation removes that.
+ */
+async function forgetAll(sessionId) {
+  await dropFacts(sessionId, () => true);
+  await summaries.delete(sessionId);
+  await clearSession(sessionId);
+}
+
+/**
+ * Forget an account's facts (the account is being deleted; see privacy/)
+ */
+async function forgetAccount(userId) {
+  await profiles.delete(`user:${userId}`);
+}
+
+/**
+ * Forget what one conversation added: its summary and the facts learned
+ * in it (the conversation was deleted)
+ */
+async function forgetConversation(sessionId) {
+  await dropFacts(sessionId, (fact) => fact.sessionId === sessionId);
+  await summaries.delete(sessionId);
+}
+
+module.exports = {
+  rememberTurn,
+  summarizeIfDue,
+  buildMemoryContext,
+  getMemory,
+  setUseName,
+  forgetFact,
+  forgetSummary,
+  forgetAll,
+  forgetConversation,
+  forgetAccount,
+  setStores,
+};
@@ -0,0 +1,90 @@
+/**
+ * Memory Relevance
+ *
+ * Picks what goes into a chat prompt from everything remembered, so the
+ * prompt stays short however long someone has been talking to WizCare:
+ * - facts: the person's name always; then facts that share words with the
+ *   new message, then the most recent ones
+ * - exchanges: the last few always; older ones not summarized yet only when
+ *   they share words with the new message
+ * Word overlap is crude but needs no model call and works the same for
+ * every language the chat supports.
+ */
+
+const MAX_PROMPT_FACTS = 6;
+const MAX_RELATED_FACTS = 4;
+const RECENT_EXCHANGES = 2;
+const MAX_RELATED_EXCHANGES = 2;
+
+// Common words that make two texts look related when they aren't
+const STOPWORDS = new Set([
+  'the', 'and', 'but', 'for', 'with', 'that', 'this', 'have', 'has', 'had', 'was', 'were', 'are', 'you',
+  'your', 'not', 'just', 'what', 'when', 'how', 'about', 'feel', 'feeling', 'really', 'very', 'much',
+  'from', 'they', 'them', 'there', 'been', 'being', 'will', 'would', 'can', 'could', 'like', 'its',
+  'hai', 'hain', 'nahi', 'main', 'mera', 'meri', 'mujhe', 'kya', 'aur', 'bhi', 'bahut',
+]);
+
+/**
+ * Words of a text worth comparing (lower-case, 3+ letters, no stopwords)
+ * @returns {Set<string>}
+ */
+function keywords(text) {
+  const words = String(text || '').toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u);
+  return new Set(words.filter((word) => word.length >= 3 && !STOPWORDS.has(word)));
+}
+
+function overlap(words, text) {
+  let count = 0;
+  for (const word of keywords(text)) {
+    // "exam" and "exams" count as the same word (not "mom" and "moment")
+    const related = (other) => Math.min(other.length, word.length) >= 4 && (other.startsWith(word) || word.startsWith(other));
+    if (words.has(word) || [...words].some(related)) count += 1;
+  }
+  return count;
+}
+
+/**
+ * Facts for the prompt, most relevant first
+ * @param {Array<object>} facts - [{ kind, text, ts }]
+ * @param {string} message - The new message
+ * @returns {Array<object>}
+ */
+function selectFacts(facts, message) {
+  const words = keywords(message);
+  const chosen = facts.filter((fact) => fact.kind === 'name').slice(-1);
+
+  const scored = facts
+    .filter((fact) => fact.kind !== 'name')
+    .map((fact) => ({ fact, score: overlap(words, fact.text) }))
+    .sort((a, b) => b.score - a.score || b.fact.ts - a.fact.ts);
+
+  chosen.push(...scored.filter((item) => item.score > 0).slice(0, MAX_RELATED_FACTS).map((item) => item.fact));
+  for (const { fact } of scored) {
+    if (chosen.length >= MAX_PROMPT_FACTS) break;
+    if (!chosen.includes(fact)) chosen.push(fact);
+  }
+  return chosen.slice(0, MAX_PROMPT_FACTS);
+}
+
+/**
+ * Exchanges for the prompt, oldest first
+ * @param {Array<object>} exchanges - [{ user, bot, ts }], oldest first
+ * @param {string} message - The new message
+ * @param {number} summarizedThrough - ts of the last exchange already in the summary
+ * @returns {Array<object>}
+ */
+function selectExchanges(exchanges, message, summarizedThrough = 0) {
+  const recent = exchanges.slice(-RECENT_EXCHANGES);
+  const words = keywords(message);
+  const related = exchanges
+    .slice(0, -RECENT_EXCHANGES)
+    .filter((item) => item.ts > summarizedThrough)
+    .map((item) => ({ item, score: overlap(words, item.user) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RELATED_EXCHANGES)
+    .map(({ item }) => item);
+  return exchanges.filter((item) => recent.includes(item) || related.includes(item));
+}
+
+module.exports = { selectFacts, selectExchanges, keywords };
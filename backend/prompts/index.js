@@ -0,0 +1,175 @@
+/**
+ * Prompts
+ *
+ * Builds what the AI provider is sent and reads back what it answers.
+ * Our instructions and the user's words never share a string: a rendered
+ * prompt is
+ *   { system, user, json }
+ * where system goes to the provider's system-instruction field (or system
+ * role) and user holds the escaped, tagged user content. The chat template
+ * asks for JSON ({ reply, stressLevel, concerns, suggestedExercise }, see
+ * schema.js) so the server never has to find a "StressLevel:" line the user
+ * could have typed themselves.
+ */
+
+const { TEMPLATES } = require('./templates');
+const { escapeUntrusted } = require('./untrusted');
+const { createReplyStreamFilter } = require('./streamFilter');
+const { STRESS_LABELS, CONCERNS } = require('./schema');
+const { readStructuredReply, readTextReply, readMemoryUpdate } = require('./structured');
+const { recordReplyParse, getReplyParseMetrics } = require('./metrics');
+const { replyLanguageInstruction } = require('../i18n');
+
+const retriesFromEnv = Number(process.env.LLM_REPAIR_RETRIES);
+const REPAIR_RETRIES = Number.isFinite(retriesFromEnv) && retriesFromEnv >= 0 ? retriesFromEnv : 1;
+
+const EMOTION_INSTRUCTIONS = {
+  sadness: 'The user feels sadness. Respond with empathy, validation, and warmth.',
+  happiness: 'The user feels happy. Respond with encouragement and positive energy.',
+  anger: 'The user may feel anger or frustration. Respond calmly, validate feelings, and suggest gentle coping.',
+  fear: 'The user feels fear or anxiety. Be soothing and offer a simple grounding tip.',
+};
+const DEFAULT_EMOTION_INSTRUCTION = 'Respond with a supportive, friendly tone.';
+
+// For people who said during onboarding that they are under 18
+const minorInstruction = (youthHelpline) => `The user is under 18. Keep your language simple and age-appropriate, gently encourage them to talk to a trusted adult (a parent, teacher or school counsellor), never discuss medication, and for anything serious point them to ${youthHelpline.name} (${youthHelpline.phone || youthHelpline.sms}).`;
+
+/**
+ * Fill a template
+ * Every placeholder must be given; untrusted ones are escaped. Values are
+ * inserted in one pass, so a value containing "{x}" is never filled again.
+ * @param {string} name - Key of TEMPLATES
+ * @param {object} vars - Placeholder values
+ * @returns {object} - { system, user, json }
+ */
+function renderPrompt(name, vars) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown prompt template "${name}"`);
+
+  const fill = (text) => text.replace(/\{(\w+)\}/g, (match, key) => {
+    if (!(key in vars)) throw new Error(`Prompt template "${name}" needs a value for {${key}}`);
+    return template.untrusted.includes(key) ? escapeUntrusted(vars[key]) : String(vars[key]);
+  });
+
+  return { system: fill(template.system), user: fill(template.user), json: Boolean(template.json) };
+}
+
+/**
+ * Prompt for a chat turn
+ * @param {string} message - The user's message (untrusted)
+ * @param {string} emotion - Detected top emotion
+ * @param {string} contextSnippet - Recent turns (untrusted: includes earlier user messages)
+ * @param {object} helpline - Primary helpline for the user's region
+ * @param {object} language - Reply language (see i18n.chooseReplyLanguage)
+ * @param {object} [audience]
+ * @param {object} [audience.youthHelpline] - Set for minors: the region's line for young people
+ * @returns {object} - { system, user, json }
+ */
+function buildChatPrompt(message, emotion, contextSnippet, helpline, language, { youthHelpline } = {}) {
+  return renderPrompt('chat', {
+    emotionInstruction: EMOTION_INSTRUCTIONS[emotion] || DEFAULT_EMOTION_INSTRUCTION,
+    languageInstruction: replyLanguageInstruction(language),
+    audienceInstruction: youthHelpline ? `\n${minorInstruction(youthHelpline)}` : '',
+    helplineName: helpline.name,
+    helplineContact: helpline.phone || helpline.sms,
+    helplineWebsite: helpline.website,
+    context: contextSnippet || '(no recent context)',
+    message,
+  });
+}
+
+/**
+ * Prompt that folds older exchanges into a conversation's rolling summary
+ * @param {string} summary - The summary so far (untrusted: written from user messages)
+ * @param {Array<object>} exchanges - [{ user, bot }] to add (untrusted)
+ * @returns {object} - { system, user, json }
+ */
+function buildMemoryPrompt(summary, exchanges) {
+  return renderPrompt('memory', {
+    summary: summary || '(nothing yet)',
+    exchanges: exchanges.map((item) => `User: ${item.user}\nBot: ${item.bot}`).join('\n'),
+  });
+}
+
+/**
+ * Read the model's answer to the chat template (no repair call)
+ * Valid JSON gives the reply, stress level, concerns and suggested
+ * exercise; anything else falls back to readTextReply().
+ * @param {string} raw - Full model output
+ * @returns {object} - { text, stressLabel, concerns, suggestedExercise, structured }
+ */
+function parseChatReply(raw) {
+  return toChatReply(readStructuredReply(raw).value, raw);
+}
+
+function toChatReply(value, raw) {
+  if (value) {
+    return {
+      text: value.reply,
+      stressLabel: value.stressLevel,
+      concerns: value.concerns,
+      suggestedExercise: value.suggestedExercise,
+      structured: true,
+    };
+  }
+  return { ...readTextReply(raw), concerns: [], suggestedExercise: null, structured: false };
+}
+
+/**
+ * Read the model's answer, asking it to fix an answer that doesn't match
+ * the schema (LLM_REPAIR_RETRIES times, default once) before falling back
+ * to plain-text parsing. Every answer is counted in the parse metrics.
+ * @param {string} raw - Full model output
+ * @param {object} options - { generate: prompt => Promise<string> } to allow repair calls
+ * @returns {Promise<object>} - Same as parseChatReply(), plus source (see metrics.js)
+ */
+async function readChatReply(raw, { generate, retries = REPAIR_RETRIES } = {}) {
+  const first = readStructuredReply(raw);
+  let result = first;
+  let source = first.repaired ? 'repaired' : 'json';
+
+  // Nothing to repair in an empty answer; the caller's fallback reply covers it
+  const canRetry = generate && String(raw || '').trim();
+  for (let attempt = 0; !result.value && canRetry && attempt < retries; attempt += 1) {
+    try {
+      const problems = result.problems.map((problem) => `- ${problem}`).join('\n');
+      result = readStructuredReply(await generate(renderPrompt('repair', { answer: raw, problems })));
+      source = 'retried';
+    } catch (error) {
+      console.warn('Reply repair call failed:', error.message);
+      break;
+    }
+  }
+
+  if (!result.value) source = 'fallback';
+  recordReplyParse(source, first.reasons);
+  if (source !== 'json') {
+    console.warn(`Model reply did not match the schema (${first.reasons.join(', ')}); read as ${source}`);
+  }
+
+  return { ...toChatReply(result.value, raw), source };
+}
+
+/**
+ * Stress level (0-4) for an exact label, or null when the model gave none
+ * (the risk engine's own level then stands alone)
+ */
+function stressLevelFromLabel(label) {
+  const level = STRESS_LABELS.indexOf(label);
+  return level === -1 ? null : level;
+}
+
+module.exports = {
+  STRESS_LABELS,
+  CONCERNS,
+  renderPrompt,
+  buildChatPrompt,
+  buildMemoryPrompt,
+  readMemoryUpdate,
+  parseChatReply,
+  readChatReply,
+  getReplyParseMetrics,
+  stressLevelFromLabel,
+  createReplyStreamFilter,
+  escapeUntrusted,
+};
@@ -0,0 +1,65 @@
+/**
+ * Reply Parsing Metrics
+ *
+ * Counts how each model answer was read since the server started, so a
+ * model or prompt change that breaks the JSON format shows up as a rising
+ * failure rate instead of silently wrong stress levels. Only counts and
+ * reason keys are kept, never reply text.
+ *
+ * Sources:
+ * - json:     valid on the first try
+ * - repaired: valid after the local fix-up (curly quotes, trailing commas)
+ * - retried:  valid after asking the model to fix its answer
+ * - fallback: never valid; read as plain text (see readTextReply)
+ */
+
+const SOURCES = ['json', 'repaired', 'retried', 'fallback'];
+
+let since = new Date().toISOString();
+let bySource = {};
+let failures = {};
+let lastFailure = null;
+
+function resetReplyParseMetrics() {
+  since = new Date().toISOString();
+  bySource = Object.fromEntries(SOURCES.map((source) => [source, 0]));
+  failures = {};
+  lastFailure = null;
+}
+resetReplyParseMetrics();
+
+/**
+ * Count one answer
+ * @param {string} source - One of SOURCES
+ * @param {string[]} reasons - Why the first try failed (empty if it didn't)
+ */
+function recordReplyParse(source, reasons = []) {
+  bySource[source] = (bySource[source] || 0) + 1;
+  for (const reason of reasons) {
+    failures[reason] = (failures[reason] || 0) + 1;
+  }
+  if (reasons.length) {
+    lastFailure = { at: new Date().toISOString(), source, reasons };
+  }
+}
+
+/**
+ * Snapshot for GET /api/metrics
+ * firstTryFailureRate: share of answers that didn't validate as sent;
+ * fallbackRate: share that never did (regex parsing was used)
+ */
+function getReplyParseMetrics() {
+  const total = Object.values(bySource).reduce((sum, count) => sum + count, 0);
+  const rate = (count) => (total ? Number((count / total).toFixed(3)) : 0);
+  return {
+    since,
+    total,
+    bySource: { ...bySource },
+    firstTryFailureRate: rate(total - bySource.json),
+    fallbackRate: rate(bySource.fallback),
+    failures: { ...failures },
+    lastFailure,
+  };
+}
+
+module.exports = { recordReplyParse, getReplyParseMetrics, resetReplyParseMetrics };
@@ -0,0 +1,150 @@
+/**
+ * Reply Schemas
+ *
+ * The shapes the chat and memory templates ask the model for, and a small validator for
+ * the subset of JSON Schema it uses (type, enum, required, minLength,
+ * maxLength, items, maxItems). A reply is only used once it validates;
+ * anything else goes through the repair steps in prompts/structured.js.
+ */
+
+const { EXERCISES } = require('../exercises/scripts');
+
+const STRESS_LABELS = ['low', 'mid', 'high', 'very high', 'ultra high']; // index = stress level 0-4
+
+// What the user is struggling with, as the model sees it (for the mood journal and reviewers)
+const CONCERNS = [
+  'stress',
+  'anxiety',
+  'low_mood',
+  'sleep',
+  'loneliness',
+  'anger',
+  'grief',
+  'relationships',
+  'family',
+  'work',
+  'studies',
+  'health',
+  'self_harm',
+];
+
+const EXERCISE_IDS = EXERCISES.map((exercise) => exercise.id);
+
+// Kinds of lasting facts kept about a person (see profile/)
+const FACT_KINDS = ['name', 'stressor', 'coping', 'detail'];
+
+const CHAT_REPLY_SCHEMA = {
+  type: 'object',
+  required: ['reply', 'stressLevel'],
+  properties: {
+    reply: { type: 'string', minLength: 1, maxLength: 1500 },
+    stressLevel: { type: 'string', enum: STRESS_LABELS },
+    concerns: { type: 'array', items: { type: 'string', enum: CONCERNS }, maxItems: 5 },
+    suggestedExercise: { type: ['string', 'null'], enum: [...EXERCISE_IDS, null] },
+  },
+};
+
+// Answer to the memory template: the rolling summary and facts worth keeping
+const MEMORY_UPDATE_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'facts'],
+  properties: {
+    summary: { type: 'string', maxLength: 1200 },
+    facts: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['kind', 'text'],
+        properties: {
+          kind: { type: 'string', enum: FACT_KINDS },
+          text: { type: 'string', minLength: 1, maxLength: 120 },
+        },
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema
+ * @param {object} schema - JSON Schema subset (see above)
+ * @param {*} value
+ * @param {string} path - Where the value sits, for error messages
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+function validate(schema, value, path = 'answer') {
+  const types = [].concat(schema.type || []);
+  const actual = typeOf(value);
+  if (types.length && !types.includes(actual)) {
+    return [`${path} should be ${types.join(' or ')}, not ${actual}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}`);
+  }
+  if (actual === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${path} is empty`);
+    if (schema.maxLength && value.length > schema.maxLength) errors.push(`${path} is longer than ${schema.maxLength} characters`);
+  }
+  if (actual === 'array') {
+    if (schema.maxItems && value.length > schema.maxItems) errors.push(`${path} has more than ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, idx) => errors.push(...validate(schema.items, item, `${path}[${idx}]`)));
+    }
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is missing`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Tidy the model's wording before validating: trimmed, lower-case labels,
+ * "low mood" for "low_mood", unknown concerns dropped (they're a hint, not
+ * worth a repair pass) and a missing exercise as null
+ * @param {object} data - Parsed JSON object
+ * @returns {object}
+ */
+function normalizeChatReply(data) {
+  const label = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+  const normalized = { ...data };
+
+  normalized.stressLevel = label(data.stressLevel);
+
+  if (Array.isArray(data.concerns)) {
+    const concerns = data.concerns
+      .map((concern) => (typeof concern === 'string' ? label(concern).replace(/[\s-]+/g, '_') : concern))
+      .filter((concern) => CONCERNS.includes(concern));
+    normalized.concerns = [...new Set(concerns)].slice(0, CHAT_REPLY_SCHEMA.properties.concerns.maxItems);
+  } else if (data.concerns === undefined || data.concerns === null) {
+    normalized.concerns = [];
+  }
+
+  const exercise = label(data.suggestedExercise);
+  normalized.suggestedExercise = exercise === undefined || exercise === '' || exercise === 'none' ? null : exercise;
+
+  return normalized;
+}
+
+module.exports = {
+  STRESS_LABELS,
+  CONCERNS,
+  EXERCISE_IDS,
+  CHAT_REPLY_SCHEMA,
+  FACT_KINDS,
+  MEMORY_UPDATE_SCHEMA,
+  validate,
+  normalizeChatReply,
+};
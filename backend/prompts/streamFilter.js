@@ -0,0 +1,120 @@
+/**
+ * Streaming Reply Filter
+ *
+ * While a reply streams in, only the text meant for the user should reach
+ * the browser. Models answer either with the JSON the chat template asks
+ * for ({"reply": "...", "stressLevel": "..."}), in which case just the
+ * decoded "reply" string is passed on, or, when they ignore the format,
+ * with plain text ending in a "StressLevel: ..." line, which is held back.
+ */
+
+const JSON_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+const REPLY_KEY = /"reply"\s*:\s*"/;
+
+/**
+ * Hold back the trailing "StressLevel: ..." line of a plain-text reply
+ * The line can arrive split across chunks. Text that might be the start of
+ * the marker is buffered until it is clearly not; everything from the
+ * marker on is dropped.
+ * @returns {function(string): string} - Feed a chunk, get the text safe to show
+ */
+function createStressLineFilter() {
+  const MARKER = 'stresslevel';
+  let pending = '';
+  let done = false;
+
+  return (chunk) => {
+    if (done) return '';
+    pending += chunk;
+    const markerIdx = pending.toLowerCase().indexOf(MARKER);
+    if (markerIdx !== -1) {
+      done = true;
+      return pending.slice(0, markerIdx).replace(/\s+$/, '');
+    }
+    // Keep back any suffix that could still grow into the marker
+    const lower = pending.toLowerCase();
+    let keep = 0;
+    for (let len = Math.min(MARKER.length - 1, lower.length); len > 0; len -= 1) {
+      if (MARKER.startsWith(lower.slice(-len))) {
+        keep = len;
+        break;
+      }
+    }
+    const safe = pending.slice(0, pending.length - keep);
+    pending = pending.slice(pending.length - keep);
+    return safe;
+  };
+}
+
+/**
+ * Pass on the decoded "reply" string of a streamed JSON object
+ * Escapes split across chunks are held until complete; everything after
+ * the closing quote (the stress level, ...) is dropped.
+ * @returns {function(string): string}
+ */
+function createJsonReplyFilter() {
+  let pending = '';
+  let inReply = false;
+  let done = false;
+
+  return (chunk) => {
+    if (done) return '';
+    pending += chunk;
+
+    if (!inReply) {
+      const match = REPLY_KEY.exec(pending);
+      if (!match) return '';
+      pending = pending.slice(match.index + match[0].length);
+      inReply = true;
+    }
+
+    let out = '';
+    let i = 0;
+    while (i < pending.length) {
+      const ch = pending[i];
+      if (ch === '"') {
+        done = true;
+        pending = '';
+        return out;
+      }
+      if (ch === '\\') {
+        const next = pending[i + 1];
+        if (next === undefined) break; // rest of the escape is in the next chunk
+        if (next === 'u') {
+          if (i + 6 > pending.length) break;
+          out += String.fromCharCode(parseInt(pending.slice(i + 2, i + 6), 16));
+          i += 6;
+        } else {
+          out += JSON_ESCAPES[next] || next;
+          i += 2;
+        }
+        continue;
+      }
+      out += ch;
+      i += 1;
+    }
+    pending = pending.slice(i);
+    return out;
+  };
+}
+
+/**
+ * Filter for a streamed chat reply; picks JSON or plain-text handling from
+ * the first visible character (a "{" or a ``` fence means JSON)
+ * @returns {function(string): string} - Feed a chunk, get the text safe to show
+ */
+function createReplyStreamFilter() {
+  let filter = null;
+  let head = '';
+
+  return (chunk) => {
+    if (filter) return filter(chunk);
+    head += chunk;
+    const first = head.trimStart()[0];
+    if (!first) return '';
+    filter = first === '{' || first === '`' ? createJsonReplyFilter() : createStressLineFilter();
+    return filter(head);
+  };
+}
+
+module.exports = { createReplyStreamFilter, createJsonReplyFilter, createStressLineFilter };
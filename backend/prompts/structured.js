@@ -0,0 +1,127 @@
+/**
+ * Structured Replies
+ *
+ * Reads the model's answer to the chat template. The JSON object is found
+ * (allowing for a ```json fence), given a light local repair if it doesn't
+ * parse (curly quotes, trailing commas), tidied and checked against
+ * CHAT_REPLY_SCHEMA. When that fails and no repair pass helped either,
+ * readTextReply() is the last resort: it keeps whatever reply text it can
+ * find and only accepts an exact stress label.
+ */
+
+const { STRESS_LABELS, CHAT_REPLY_SCHEMA, MEMORY_UPDATE_SCHEMA, validate, normalizeChatReply } = require('./schema');
+const { createReplyStreamFilter } = require('./streamFilter');
+
+// The JSON object in an answer, allowing for a ```json fence around it
+function extractJsonText(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start === -1 || end <= start ? null : text.slice(start, end + 1);
+}
+
+function tryParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// Common ways models break JSON: curly quotes as delimiters and trailing commas
+function repairJsonText(text) {
+  return text
+    .replace(/[“”]/g, '"')
+    .replace(/,\s*([}\]])/g, '$1');
+}
+
+// "answer.stressLevel should be ..." -> "invalid_stressLevel", for the parse metrics
+function fieldOf(problem) {
+  const match = /^answer\.(\w+)/.exec(problem);
+  return match ? `invalid_${match[1]}` : 'invalid_shape';
+}
+
+/**
+ * Read a JSON answer and check it against the schema
+ * @param {string} raw - Full model output
+ * @returns {object} - { value, problems, reasons, repaired }; value is null
+ *   unless the answer is valid. problems are sent back in a repair pass;
+ *   reasons are short keys for the metrics (set for a locally repaired
+ *   answer too)
+ */
+function readStructuredReply(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return { value: null, problems: ['the answer is empty'], reasons: ['empty'], repaired: false };
+
+  const jsonText = extractJsonText(text);
+  if (!jsonText) return { value: null, problems: ['the answer is not a JSON object'], reasons: ['not_json'], repaired: false };
+
+  let data = tryParse(jsonText);
+  let repaired = false;
+  if (data === undefined) {
+    data = tryParse(repairJsonText(jsonText));
+    repaired = data !== undefined;
+  }
+  if (data === undefined) {
+    return { value: null, problems: ['the answer is not valid JSON'], reasons: ['invalid_json'], repaired: false };
+  }
+
+  const value = data && typeof data === 'object' && !Array.isArray(data) ? normalizeChatReply(data) : data;
+  const problems = validate(CHAT_REPLY_SCHEMA, value);
+  if (problems.length) {
+    return { value: null, problems, reasons: [...new Set(problems.map(fieldOf))], repaired: false };
+  }
+  return { value: { ...value, reply: value.reply.trim() }, problems: [], reasons: repaired ? ['invalid_json'] : [], repaired };
+}
+
+/**
+ * Read an answer to the memory template ({ summary, facts })
+ * Same JSON handling as the chat answer, without the repair pass: a
+ * summary that can't be read is simply made locally instead (see profile/).
+ * @param {string} raw - Full model output
+ * @returns {object|null} - { summary, facts }, or null unless the answer is valid
+ */
+function readMemoryUpdate(raw) {
+  const jsonText = extractJsonText(String(raw || '').trim());
+  if (!jsonText) return null;
+  let data = tryParse(jsonText);
+  if (data === undefined) data = tryParse(repairJsonText(jsonText));
+  if (!data || validate(MEMORY_UPDATE_SCHEMA, data).length) return null;
+  return {
+    summary: data.summary.trim(),
+    facts: data.facts.map((fact) => ({ kind: fact.kind, text: fact.text.trim() })),
+  };
+}
+
+/**
+ * Exact stress label in loosely worded text ("High stress." -> "high");
+ * anything else ("not high", "medium-ish") gives null
+ */
+function matchStressLabel(text) {
+  const words = String(text || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+  const longestFirst = [...STRESS_LABELS].sort((a, b) => b.length - a.length);
+  return longestFirst.find((label) => words === label || words.startsWith(`${label} `)) || null;
+}
+
+/**
+ * Last resort for answers that never matched the schema
+ * A JSON answer cut off mid-way keeps whatever reply text arrived; a plain
+ * text answer loses its trailing "StressLevel: ..." line, whose value is
+ * only used when it is exactly one of the labels.
+ * @param {string} raw - Full model output
+ * @returns {object} - { text, stressLabel }
+ */
+function readTextReply(raw) {
+  const text = String(raw || '').trim();
+
+  if (/^(```\w*\s*)?\{/.test(text)) {
+    return { text: createReplyStreamFilter()(text).trim(), stressLabel: null };
+  }
+
+  const stressMatch = text.match(/StressLevel\s*:\s*([^\n]+)/i);
+  return {
+    text: text.replace(/\n?\s*StressLevel\s*:\s*[^\n]+/i, '').trim(),
+    stressLabel: stressMatch ? matchStressLabel(stressMatch[1]) : null,
+  };
+}
+
+module.exports = { readStructuredReply, readTextReply, readMemoryUpdate, matchStressLabel };
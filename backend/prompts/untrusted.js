@@ -0,0 +1,27 @@
+/**
+ * Untrusted Text
+ *
+ * User messages (and earlier turns quoted back as context) go into the
+ * prompt between tags. Escaping < and > means no user text can close those
+ * tags or open new ones, whatever spacing or case it uses; control and
+ * text-direction characters are dropped so nothing is hidden from a reader
+ * of the prompt.
+ */
+
+// C0 controls except tab and newline, DEL, and bidi embedding/override/isolate marks
+const HIDDEN_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u202A-\u202E\u2066-\u2069]/g;
+
+/**
+ * Make user-controlled text safe to place between prompt tags
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeUntrusted(text) {
+  return String(text ?? '')
+    .replace(HIDDEN_CHARACTERS, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+module.exports = { escapeUntrusted };
@@ -0,0 +1,16 @@
+/**
+ * Error raised by any LLM provider adapter.
+ * Carries the provider name (and HTTP status when there is one) so the chat
+ * route can log the failure and fall back to demo replies.
+ */
+class ProviderError extends Error {
+  constructor(message, { provider, status, cause } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+module.exports = { ProviderError };
@@ -0,0 +1,61 @@
+/**
+ * Google Gemini provider
+ * Wraps @google/generative-ai behind the common generate() contract.
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { ProviderError } = require('./errors');
+const { toPromptParts } = require('./prompt');
+
+function createGeminiProvider({ apiKey, model = 'gemini-1.5-flash' }) {
+  if (!apiKey) {
+    throw new ProviderError('GEMINI_API_KEY is required for the gemini provider', { provider: 'gemini' });
+  }
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const getModel = (parts, options) => genAI.getGenerativeModel({
+    model,
+    ...(parts.system ? { systemInstruction: parts.system } : {}),
+    generationConfig: {
+      temperature: options.temperature,
+      maxOutputTokens: options.maxTokens,
+      ...(parts.json ? { responseMimeType: 'application/json' } : {}),
+    },
+  });
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generate(prompt, options = {}) {
+      try {
+        const parts = toPromptParts(prompt);
+        const result = await getModel(parts, options).generateContent(parts.user);
+        const response = await result.response;
+        return response.text();
+      } catch (error) {
+        throw new ProviderError(`gemini request failed: ${error.message}`, { provider: 'gemini', status: error.status, cause: error });
+      }
+    },
+
+    async *stream(prompt, options = {}) {
+      let result;
+      try {
+        const parts = toPromptParts(prompt);
+        result = await getModel(parts, options).generateContentStream(parts.user);
+      } catch (error) {
+        throw new ProviderError(`gemini stream failed: ${error.message}`, { provider: 'gemini', status: error.status, cause: error });
+      }
+      try {
+        for await (const chunk of result.stream) {
+          const text = chunk.text();
+          if (text) yield text;
+        }
+      } catch (error) {
+        throw new ProviderError(`gemini stream failed: ${error.message}`, { provider: 'gemini', cause: error });
+      }
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
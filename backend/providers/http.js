@@ -0,0 +1,80 @@
+/**
+ * Small JSON-over-HTTP helpers shared by the HTTP-based providers
+ * Uses Node's built-in fetch (Node 18+) with a request timeout.
+ */
+
+const { ProviderError } = require('./errors');
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 30000;
+
+// POST a JSON body; rejects with a ProviderError on network errors and non-2xx statuses
+async function post(provider, url, body, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (error) {
+    throw new ProviderError(`${provider} request failed: ${error.message}`, { provider, cause: error });
+  }
+
+  if (!res.ok) {
+    // The body is left out: providers echo parts of the prompt (the user's words) in error details,
+    // and this message ends up in the logs
+    await res.body?.cancel().catch(() => {});
+    throw new ProviderError(`${provider} returned HTTP ${res.status}`, {
+      provider,
+      status: res.status,
+    });
+  }
+  return res;
+}
+
+/**
+ * POST a JSON body and parse the JSON response
+ */
+async function postJson(provider, url, body, options) {
+  const res = await post(provider, url, body, options);
+  try {
+    return await res.json();
+  } catch (error) {
+    throw new ProviderError(`${provider} returned invalid JSON`, { provider, cause: error });
+  }
+}
+
+/**
+ * POST a JSON body and return the raw response stream (for streaming APIs)
+ */
+async function postStream(provider, url, body, options) {
+  const res = await post(provider, url, body, options);
+  if (!res.body) {
+    throw new ProviderError(`${provider} returned an empty stream`, { provider });
+  }
+  return res.body;
+}
+
+/**
+ * Split a byte stream into non-empty, trimmed text lines
+ */
+async function* readLines(provider, body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) yield line.trim();
+      }
+    }
+  } catch (error) {
+    throw new ProviderError(`${provider} stream interrupted: ${error.message}`, { provider, cause: error });
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
+
+module.exports = { postJson, postStream, readLines };
@@ -0,0 +1,55 @@
+/**
+ * LLM Providers
+ *
+ * The chat route only ever calls provider.generate(prompt, options), so the
+ * model behind WizCare can be swapped through configuration:
+ *
+ *   LLM_PROVIDER=gemini  Google Gemini (needs GEMINI_API_KEY)
+ *   LLM_PROVIDER=openai  Any OpenAI-compatible /chat/completions endpoint
+ *   LLM_PROVIDER=ollama  Local Ollama-style server
+ *   LLM_PROVIDER=mock    Deterministic canned replies (demo / CI, no network)
+ *
+ * When LLM_PROVIDER is not set, Gemini is used if GEMINI_API_KEY exists,
+ * otherwise the server starts in mock/demo mode.
+ *
+ * Every provider returns { name, model, generate(prompt, options), stream(prompt, options) }:
+ * - prompt is a string or { system, user, json } (see prompt.js); the system
+ *   part always travels in the API's own system field, never in user text
+ * - generate resolves to the full reply text
+ * - stream is an async iterable of text chunks as they are generated
+ * options may hold { temperature, maxTokens }. Failures reject with a ProviderError.
+ */
+
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createOllamaProvider } = require('./ollama');
+const { createMockProvider } = require('./mock');
+const { ProviderError } = require('./errors');
+
+/**
+ * Build the configured provider (falls back to environment variables)
+ * @param {object} [config]
+ * @param {string} [config.type] - 'gemini' | 'openai' | 'ollama' | 'mock'
+ * @param {string} [config.model] - Model name override
+ * @returns {object} - Provider implementing generate(prompt, options)
+ */
+function createProvider(config = {}) {
+  const env = process.env;
+  const type = (config.type || env.LLM_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : 'mock')).toLowerCase();
+  const model = config.model || env.LLM_MODEL || undefined;
+
+  switch (type) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: config.apiKey || env.GEMINI_API_KEY, model });
+    case 'openai':
+      return createOpenAIProvider({ baseUrl: env.OPENAI_BASE_URL || undefined, apiKey: config.apiKey || env.OPENAI_API_KEY, model });
+    case 'ollama':
+      return createOllamaProvider({ baseUrl: env.OLLAMA_URL || undefined, model });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new ProviderError(`Unknown LLM_PROVIDER "${type}" (expected gemini, openai, ollama or mock)`, { provider: type });
+  }
+}
+
+module.exports = { createProvider, ProviderError };
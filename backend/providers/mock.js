@@ -0,0 +1,58 @@
+/**
+ * Mock provider (demo / offline mode)
+ * Returns canned supportive replies without any network access, so the
+ * server can run in CI or without an API key. The same prompt always gets
+ * the same reply and stress estimate, as JSON when the prompt asks for it.
+ */
+
+const { toPromptParts } = require('./prompt');
+
+const MOCK_REPLIES = [
+  "Thanks for sharing that with me 💚 Let's slow things down for a moment: breathe in for 4, hold for 4, and out for 6. What feels heaviest right now?",
+  "That sounds like a lot to carry 🌿 Try writing down one small thing you can do in the next ten minutes. I'm here with you.",
+  "I hear you ✨ It's okay to feel this way. How about a short stretch or a glass of water, then tell me more?",
+  "You're doing better than you think 🌟 Notice five things you can see around you right now; it can help you feel grounded.",
+];
+
+const MOCK_STRESS_LEVELS = ['low', 'mid', 'low', 'mid'];
+const MOCK_EXERCISES = ['box_breathing', null, null, 'grounding_54321'];
+
+// Simple deterministic string hash (djb2)
+function hash(text) {
+  let h = 5381;
+  for (let i = 0; i < text.length; i += 1) {
+    h = ((h << 5) + h + text.charCodeAt(i)) >>> 0;
+  }
+  return h;
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    async generate(prompt) {
+      const parts = toPromptParts(prompt || '');
+      const idx = hash(parts.user) % MOCK_REPLIES.length;
+      if (parts.json) {
+        return JSON.stringify({
+          reply: MOCK_REPLIES[idx],
+          stressLevel: MOCK_STRESS_LEVELS[idx],
+          concerns: ['stress'],
+          suggestedExercise: MOCK_EXERCISES[idx],
+        });
+      }
+      return `${MOCK_REPLIES[idx]}\nStressLevel: ${MOCK_STRESS_LEVELS[idx]}`;
+    },
+
+    // Emits the same reply word by word so streaming clients can be tested offline
+    async *stream(prompt) {
+      const text = await this.generate(prompt);
+      for (const piece of text.split(/(?<=\s)/)) {
+        yield piece;
+      }
+    },
+  };
+}
+
+module.exports = { createMockProvider };
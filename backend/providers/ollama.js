@@ -0,0 +1,62 @@
+/**
+ * Ollama provider
+ * Uses a local Ollama-style server (POST /api/generate) so the bot can run
+ * entirely on your own machine.
+ */
+
+const { postJson, postStream, readLines } = require('./http');
+const { ProviderError } = require('./errors');
+const { toPromptParts } = require('./prompt');
+
+// The user's turn as the prompt, our instructions in the system field
+function buildRequest(model, prompt, options, stream) {
+  const parts = toPromptParts(prompt);
+  return {
+    model,
+    prompt: parts.user,
+    ...(parts.system ? { system: parts.system } : {}),
+    ...(parts.json ? { format: 'json' } : {}),
+    stream,
+    options: {
+      temperature: options.temperature,
+      num_predict: options.maxTokens,
+    },
+  };
+}
+
+function createOllamaProvider({ baseUrl = 'http://localhost:11434', model = 'llama3' }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/api/generate`;
+
+  return {
+    name: 'ollama',
+    model,
+
+    async generate(prompt, options = {}) {
+      const data = await postJson('ollama', url, buildRequest(model, prompt, options, false));
+
+      if (typeof data?.response !== 'string') {
+        throw new ProviderError('ollama response had no text', { provider: 'ollama' });
+      }
+      return data.response;
+    },
+
+    async *stream(prompt, options = {}) {
+      const body = await postStream('ollama', url, buildRequest(model, prompt, options, true));
+
+      // Newline-delimited JSON: one { response, done } object per line
+      for await (const line of readLines('ollama', body)) {
+        let data;
+        try {
+          data = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+        if (data.error) throw new ProviderError(`ollama stream failed: ${data.error}`, { provider: 'ollama' });
+        if (data.response) yield data.response;
+        if (data.done) return;
+      }
+    },
+  };
+}
+
+module.exports = { createOllamaProvider };
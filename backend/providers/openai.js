@@ -0,0 +1,68 @@
+/**
+ * OpenAI-compatible provider
+ * Talks to any server implementing POST /chat/completions (OpenAI, Azure,
+ * OpenRouter, vLLM, LM Studio, ...). Point OPENAI_BASE_URL at it.
+ */
+
+const { postJson, postStream, readLines } = require('./http');
+const { ProviderError } = require('./errors');
+const { toPromptParts } = require('./prompt');
+
+// System instructions and the user's turn as separate chat messages
+function buildRequest(model, prompt, options) {
+  const parts = toPromptParts(prompt);
+  return {
+    model,
+    messages: [
+      ...(parts.system ? [{ role: 'system', content: parts.system }] : []),
+      { role: 'user', content: parts.user },
+    ],
+    ...(parts.json ? { response_format: { type: 'json_object' } } : {}),
+    temperature: options.temperature,
+    max_tokens: options.maxTokens,
+  };
+}
+
+function createOpenAIProvider({ baseUrl = 'https://api.openai.com/v1', apiKey, model = 'gpt-4o-mini' }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate(prompt, options = {}) {
+      const data = await postJson('openai', url, buildRequest(model, prompt, options), {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      });
+
+      const text = data?.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new ProviderError('openai response had no message content', { provider: 'openai' });
+      }
+      return text;
+    },
+
+    async *stream(prompt, options = {}) {
+      const body = await postStream('openai', url, { ...buildRequest(model, prompt, options), stream: true }, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      });
+
+      // Server-Sent Events: "data: {json}" lines, terminated by "data: [DONE]"
+      for await (const line of readLines('openai', body)) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+        let data;
+        try {
+          data = JSON.parse(payload);
+        } catch (error) {
+          continue;
+        }
+        const text = data?.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,18 @@
+/**
+ * Prompt parts shared by every provider
+ * A prompt is either a plain string (sent as the user turn) or the
+ * { system, user, json } built by prompts/: system goes to the provider's
+ * system-instruction field, user is the only user turn, and json asks for
+ * JSON output where the API supports it. LLM_JSON_MODE=off skips that
+ * request for servers that reject it (the template still asks for JSON).
+ */
+function toPromptParts(prompt) {
+  if (typeof prompt === 'string') return { system: '', user: prompt, json: false };
+  return {
+    system: prompt.system || '',
+    user: prompt.user || '',
+    json: Boolean(prompt.json) && process.env.LLM_JSON_MODE !== 'off',
+  };
+}
+
+module.exports = { toPromptParts };
@@ -0,0 +1,179 @@
+/**
+ * Chat over the Real-time Channel
+ *
+ * The chat window sends its messages over the WebSocket when it has one
+ * open; POST /api/chat and /api/chat/stream stay for older clients, for a
+ * dropped connection and for a visitor's very first message (which is what
+ * hands out the session the socket connects with). Either way a message
+ * goes through the same limits and the same turn pipeline.
+ *
+ * From the chat window:
+ *   chat:message { clientId, message, region?, language?, consent?, age? }   one message (clientId is picked by the client)
+ *   chat:typing { typing }                                   the person started or stopped typing
+ *   chat:resume { epoch, lastSeq }                           after a reconnect: what was missed
+ * To the chat window:
+ *   typing { from: 'bot', typing }                          a reply is being written
+ *   chat:token { clientId, text }                           partial reply text as it is generated
+ *   chat:reply { clientId, ...payload }                     the finished reply (payload as from POST /api/chat)
+ *   chat:refused { clientId, code, error, retryAfter?, maxLength? }   the message was not accepted (limits, live counselor chat)
+ *   chat:stress { stressLevel, stressLabel, risk, emotion }  after every turn, over any transport
+ *   chat:checkin { id, text }                               a check-in after a quiet spell (see checkIns.js)
+ *
+ * Every frame but chat:token and typing is numbered ({ seq, epoch }) and
+ * kept for a while (see replay.js), so a window that reconnects gets what
+ * it missed by sending chat:resume. A message is answered once per
+ * clientId: sending it again after a drop replays the answer instead of
+ * asking the AI twice.
+ */
+
+const { createReplayBuffer } = require('./replay');
+const { createCheckIns } = require('./checkIns');
+const { sessionRoom, counselorRoom } = require('.');
+const { checkChatMessage } = require('../limits');
+const { isLiveHandoff, getHandoff } = require('../handoff');
+const { getStrings, resolveLocale } = require('../i18n');
+
+const CHECK_IN_MIN_STRESS = 2; // high
+const CHECK_IN_MINUTES = Number(process.env.CHECKIN_MINUTES || 15); // 0 turns check-ins off
+const CHECK_IN_DELAY_MS = (Number.isFinite(CHECK_IN_MINUTES) && CHECK_IN_MINUTES >= 0 ? CHECK_IN_MINUTES : 15) * 60 * 1000;
+const MAX_CLIENT_ID_LENGTH = 64;
+const MAX_REMEMBERED_MESSAGES = 2000;
+
+/**
+ * An error the chat window should see as a refusal (no session, bad frame)
+ */
+class ChatError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'ChatError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Register the chat message types on a real-time server
+ * @param {object} realtime - Result of createRealtimeServer()
+ * @param {object} options
+ * @param {function} options.answer - async ({ message, sessionId, region, language, consent, age }, onToken) -> chat payload
+ * @returns {object} - { publishTurn(sessionId, payload) } for turns answered over HTTP
+ */
+function attachChatChannel(realtime, { answer }) {
+  const replay = createReplayBuffer();
+  const handled = new Map(); // `${sessionId}:${clientId}` -> true, oldest first
+
+  // Send a numbered frame to every window of the session
+  const publish = (sessionId, type, data) => {
+    realtime.sendToRoom(sessionRoom(sessionId), type, replay.record(sessionId, type, data));
+  };
+
+  const remember = (key) => {
+    handled.set(key, true);
+    if (handled.size > MAX_REMEMBERED_MESSAGES) handled.delete(handled.keys().next().value);
+  };
+
+  const checkIns = createCheckIns({
+    delayMs: CHECK_IN_DELAY_MS,
+    onDue: async (sessionId, { language }) => {
+      // Only while a window is open, and never into a live counselor chat
+      if (realtime.roomSize(sessionRoom(sessionId)) === 0) return;
+      try {
+        if (await isLiveHandoff(sessionId)) return;
+      } catch (error) {
+        return;
+      }
+      const lines = getStrings(resolveLocale(language)).checkIns;
+      publish(sessionId, 'chat:checkin', { id: `checkin-${Date.now()}`, text: lines[Math.floor(Math.random() * lines.length)] });
+    },
+  });
+
+  /**
+   * Share a finished turn with every window of the session (stress meter)
+   * and start the check-in timer after high stress
+   */
+  function publishTurn(sessionId, payload) {
+    publish(sessionId, 'chat:stress', {
+      stressLevel: payload.stressLevel,
+      stressLabel: payload.stressLabel,
+      risk: payload.risk,
+      emotion: payload.emotion,
+    });
+    if (payload.stressLevel >= CHECK_IN_MIN_STRESS) {
+      checkIns.schedule(sessionId, { language: payload.language });
+    } else {
+      checkIns.cancel(sessionId);
+    }
+  }
+
+  realtime.on('chat:message', async (socket, frame) => {
+    const { sessionId } = socket.identity;
+    if (!sessionId) throw new ChatError('no_session', 'Start a conversation first.');
+    const clientId = typeof frame.clientId === 'string' ? frame.clientId.slice(0, MAX_CLIENT_ID_LENGTH) : '';
+    if (!clientId) throw new ChatError('invalid_message', 'clientId is required.');
+
+    // Sent again after a drop: replay the answer (or let the one in progress arrive)
+    const key = `${sessionId}:${clientId}`;
+    const replayAnswer = () => {
+      replay.since(sessionId, replay.epoch, 0).filter((item) => item.clientId === clientId).forEach((item) => socket.send(item.type, item));
+    };
+    if (handled.has(key)) {
+      replayAnswer();
+      return;
+    }
+
+    // Refused messages aren't remembered, so sending one again is checked again
+    const message = typeof frame.message === 'string' ? frame.message : '';
+    if (!message.trim()) {
+      publish(sessionId, 'chat:refused', { clientId, code: 'invalid_message', error: 'Message is required.' });
+      return;
+    }
+    const refusal = checkChatMessage({ message, sessionId, ip: socket.identity.ip });
+    if (refusal) {
+      const { status, ...details } = refusal;
+      publish(sessionId, 'chat:refused', { clientId, ...details });
+      return;
+    }
+    if (await isLiveHandoff(sessionId)) {
+      publish(sessionId, 'chat:refused', { clientId, code: 'handoff_active', error: 'You are talking with a counselor right now.' });
+      return;
+    }
+    // The same message may have been accepted while the handoff was looked up
+    if (handled.has(key)) {
+      replayAnswer();
+      return;
+    }
+    remember(key);
+
+    checkIns.cancel(sessionId);
+    realtime.sendToRoom(sessionRoom(sessionId), 'typing', { from: 'bot', typing: true });
+    try {
+      const payload = await answer(
+        { message, sessionId, region: frame.region, language: frame.language, consent: frame.consent, age: frame.age },
+        (text) => realtime.sendToRoom(sessionRoom(sessionId), 'chat:token', { clientId, text }),
+      );
+      publish(sessionId, 'chat:reply', { clientId, ...payload });
+      publishTurn(sessionId, payload);
+    } finally {
+      realtime.sendToRoom(sessionRoom(sessionId), 'typing', { from: 'bot', typing: false });
+    }
+  });
+
+  realtime.on('chat:typing', async (socket, frame) => {
+    const { sessionId } = socket.identity;
+    // Only the counselor in a live chat with them is waiting to see it
+    const record = sessionId ? await getHandoff(sessionId) : null;
+    if (record && record.status === 'active') {
+      realtime.sendToRoom(counselorRoom(record.counselor.id), 'typing', { sessionId, from: 'user', typing: Boolean(frame.typing) });
+    }
+  });
+
+  realtime.on('chat:resume', (socket, frame) => {
+    const { sessionId } = socket.identity;
+    if (!sessionId) return;
+    replay.since(sessionId, frame.epoch, frame.lastSeq).forEach((item) => socket.send(item.type, item));
+  });
+
+  return { publishTurn };
+}
+
+module.exports = { attachChatChannel, ChatError };
@@ -0,0 +1,44 @@
+/**
+ * Check-ins
+ *
+ * After a reply that showed high stress, WizCare gently checks in if the
+ * person goes quiet for a while ("How are you feeling now?"). Each new
+ * message resets the timer, and at most one check-in is due per session.
+ * Timers live in process memory: a restart forgets them, which is fine
+ * for a nudge.
+ */
+
+/**
+ * @param {object} options
+ * @param {number} options.delayMs - Quiet time before checking in (0 turns check-ins off)
+ * @param {function} options.onDue - Called with (sessionId, data) when a check-in is due
+ * @returns {object} - { schedule(sessionId, data), cancel(sessionId) }
+ */
+function createCheckIns({ delayMs, onDue }) {
+  const timers = new Map(); // sessionId -> timeout
+
+  const cancel = (sessionId) => {
+    clearTimeout(timers.get(sessionId));
+    timers.delete(sessionId);
+  };
+
+  return {
+    /**
+     * (Re)start a session's timer
+     */
+    schedule(sessionId, data) {
+      cancel(sessionId);
+      if (!delayMs) return;
+      const timer = setTimeout(() => {
+        timers.delete(sessionId);
+        onDue(sessionId, data);
+      }, delayMs);
+      timer.unref();
+      timers.set(sessionId, timer);
+    },
+
+    cancel,
+  };
+}
+
+module.exports = { createCheckIns };
@@ -0,0 +1,194 @@
+/**
+ * Real-time Channel (WebSockets)
+ *
+ * One WebSocket endpoint, /api/ws, for whatever has to reach the browser
+ * without being asked for: chat replies, typing indicators, check-ins and
+ * stress updates (chat.js) and the live counselor chat (see handoff/).
+ * Frames are JSON objects in both directions: { type, ...data }.
+ *
+ * Connecting: ws(s)://<host>/api/ws?sessionId=<id>&token=<account token>
+ * Browsers can't set headers on a WebSocket, so the account token (if any)
+ * rides in the query string. identify() decides who is connecting and is
+ * passed in by index.js, which already knows the session access rules;
+ * connections it refuses are answered 403 before the upgrade.
+ *
+ * Each socket joins its rooms from what identify() returned: a chat window
+ * ({ sessionId }) joins "session:<id>" and "sessions", a counselor console
+ * ({ reviewer }) joins "counselors" and "counselor:<account id>".
+ *
+ * Handlers are registered per message type. A handler that throws an error
+ * with a code and a 4xx status (e.g. a HandoffError) answers
+ * { type: 'error', code, error, request }; anything else is logged and
+ * answered with code 'server_error'.
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const WS_PATH = '/api/ws';
+
+// Rooms shared by the chat channel and the handoff relay
+const SESSIONS = 'sessions';      // every chat window
+const COUNSELORS = 'counselors';  // every counselor console
+const sessionRoom = (sessionId) => `session:${sessionId}`; // every chat window of one session
+const counselorRoom = (userId) => `counselor:${userId}`;     // every console of one counselor
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_FRAME_BYTES = 16 * 1024;
+
+/**
+ * Attach the real-time channel to an HTTP server
+ * @param {object} options
+ * @param {object} options.server - The http.Server the app listens on
+ * @param {function} options.identify - async (params: URLSearchParams, req) -> identity object, or null to refuse
+ * @returns {object} - { on, onConnect, onDisconnect, sendToRoom, roomSize, close }
+ */
+function createRealtimeServer({ server, identify }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_FRAME_BYTES });
+  const rooms = new Map();     // room -> Set of sockets
+  const handlers = new Map();  // message type -> handler(socket, data)
+  const connectListeners = [];
+  const disconnectListeners = [];
+
+  const refuse = (socket, status, reason) => {
+    socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  };
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== WS_PATH) return refuse(socket, 404, 'Not Found');
+
+    let identity = null;
+    try {
+      identity = await identify(url.searchParams, req);
+    } catch (error) {
+      console.error('Real-time connection error:', error.message);
+      return refuse(socket, 503, 'Service Unavailable');
+    }
+    if (!identity) return refuse(socket, 403, 'Forbidden');
+
+    return wss.handleUpgrade(req, socket, head, (ws) => connect(ws, identity));
+  });
+
+  // Wrap a raw WebSocket in the small interface handlers see
+  function connect(ws, identity) {
+    const socket = {
+      id: crypto.randomUUID(),
+      identity,
+      rooms: new Set(),
+      send(type, data = {}) {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ ...data, type }));
+      },
+      join(room) {
+        if (!rooms.has(room)) rooms.set(room, new Set());
+        rooms.get(room).add(socket);
+        socket.rooms.add(room);
+      },
+      leave(room) {
+        const members = rooms.get(room);
+        if (members) {
+          members.delete(socket);
+          if (members.size === 0) rooms.delete(room);
+        }
+        socket.rooms.delete(room);
+      },
+    };
+
+    let alive = true;
+    ws.on('pong', () => { alive = true; });
+    const heartbeat = setInterval(() => {
+      if (!alive) return ws.terminate();
+      alive = false;
+      return ws.ping();
+    }, HEARTBEAT_MS);
+
+    ws.on('message', (raw) => handleFrame(socket, raw));
+    ws.on('close', () => {
+      clearInterval(heartbeat);
+      [...socket.rooms].forEach((room) => socket.leave(room));
+      disconnectListeners.forEach((listener) => run(socket, 'disconnect', () => listener(socket)));
+    });
+    ws.on('error', (error) => console.error('Real-time socket error:', error.message));
+
+    if (identity.sessionId) {
+      socket.join(sessionRoom(identity.sessionId));
+      socket.join(SESSIONS);
+    }
+    if (identity.reviewer) {
+      socket.join(COUNSELORS);
+      socket.join(counselorRoom(identity.reviewer.id));
+    }
+    connectListeners.forEach((listener) => run(socket, 'connect', () => listener(socket)));
+  }
+
+  // Run a handler, turning its failure into an error frame
+  async function run(socket, request, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      if (typeof error.code === 'string' && error.status >= 400 && error.status < 500) {
+        socket.send('error', { code: error.code, error: error.message, request });
+      } else {
+        console.error(`Real-time ${request} error:`, error.message);
+        socket.send('error', { code: 'server_error', error: 'Something went wrong. Please try again.', request });
+      }
+    }
+  }
+
+  function handleFrame(socket, raw) {
+    let frame;
+    try {
+      frame = JSON.parse(raw.toString());
+    } catch (error) {
+      return socket.send('error', { code: 'invalid_json', error: 'Frames must be JSON.' });
+    }
+    const handler = frame && typeof frame.type === 'string' ? handlers.get(frame.type) : null;
+    if (!handler) {
+      return socket.send('error', { code: 'unknown_type', error: 'Unknown message type.', request: frame && frame.type });
+    }
+    return run(socket, frame.type, () => handler(socket, frame));
+  }
+
+  return {
+    /**
+     * Handle one message type: handler(socket, frame), may be async
+     */
+    on(type, handler) {
+      handlers.set(type, handler);
+    },
+
+    /**
+     * Called with each new socket (join its rooms, send the initial state)
+     */
+    onConnect(listener) {
+      connectListeners.push(listener);
+    },
+
+    /**
+     * Called with each socket that went away (already out of its rooms)
+     */
+    onDisconnect(listener) {
+      disconnectListeners.push(listener);
+    },
+
+    /**
+     * Send a frame to every socket in a room
+     */
+    sendToRoom(room, type, data) {
+      (rooms.get(room) || new Set()).forEach((socket) => socket.send(type, data));
+    },
+
+    /**
+     * How many sockets are in a room
+     */
+    roomSize(room) {
+      return rooms.has(room) ? rooms.get(room).size : 0;
+    },
+
+    close() {
+      wss.clients.forEach((ws) => ws.terminate());
+      wss.close();
+    },
+  };
+}
+
+module.exports = { createRealtimeServer, sessionRoom, counselorRoom, SESSIONS, COUNSELORS, WS_PATH };
@@ -0,0 +1,64 @@
+/**
+ * Replay Buffer
+ *
+ * Keeps the last few frames sent to each session so a chat window that
+ * lost its connection can catch up: every frame gets the next sequence
+ * number for its session, and the client asks for everything after the
+ * last one it saw. Kept in process memory for a short while only; after a
+ * restart the epoch changes, telling clients their sequence numbers are
+ * from before (and the buffer starts empty).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.size] - Frames kept per session
+ * @param {number} [options.ttlMs] - How long a session's frames are kept after its last one
+ * @returns {object} - { epoch, record(sessionId, type, data) -> frame, since(sessionId, epoch, lastSeq) -> frames }
+ */
+function createReplayBuffer({ size = 50, ttlMs = 10 * 60 * 1000 } = {}) {
+  const epoch = crypto.randomBytes(4).toString('hex');
+  const sessions = new Map(); // sessionId -> { seq, updatedAt, frames }
+
+  // Forget sessions that have gone quiet so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - ttlMs;
+    for (const [sessionId, entry] of sessions) {
+      if (entry.updatedAt < cutoff) sessions.delete(sessionId);
+    }
+  }, ttlMs);
+  sweep.unref();
+
+  return {
+    epoch,
+
+    /**
+     * Number and keep a frame for a session
+     * @returns {object} - The frame to send: { ...data, type, seq, epoch }
+     */
+    record(sessionId, type, data = {}) {
+      const entry = sessions.get(sessionId) || { seq: 0, updatedAt: 0, frames: [] };
+      entry.seq += 1;
+      entry.updatedAt = Date.now();
+      const frame = { ...data, type, seq: entry.seq, epoch };
+      entry.frames = [...entry.frames, frame].slice(-size);
+      sessions.set(sessionId, entry);
+      return frame;
+    },
+
+    /**
+     * Frames a client missed
+     * A different epoch (the server restarted) means everything kept is new to it.
+     * @returns {Array<object>}
+     */
+    since(sessionId, clientEpoch, lastSeq) {
+      const entry = sessions.get(sessionId);
+      if (!entry) return [];
+      const after = clientEpoch === epoch && Number.isInteger(lastSeq) ? lastSeq : 0;
+      return entry.frames.filter((frame) => frame.seq > after);
+    },
+  };
+}
+
+module.exports = { createReplayBuffer };
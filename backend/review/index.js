@@ -0,0 +1,218 @@
+/**
+ * Conversation Review
+ *
+ * Backs the admin and counselor dashboard: what the bot has been saying,
+ * which conversations need a human to look at them, and what reviewers
+ * have done about it. Everything is read from the transcripts /api/chat
+ * already writes (stressLevel, emotion, riskLevel and fallback per turn),
+ * so nothing extra is recorded while people chat.
+ *
+ * A conversation is flagged when any turn:
+ * - got the crisis reply (risk level high or critical, see risk.js)
+ * - had very high stress or more (stress level 3-4)
+ *
+ * Reviewer notes and the follow-up mark live in their own "reviews"
+ * namespace, keyed by session ID and never pruned:
+ *   { notes: [{ id, ts, author: { id, name, role }, text }], followedUp, followedUpAt, followedUpBy, updatedAt }
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('../storage');
+const { listTranscripts, getTranscript } = require('../transcripts');
+const { isCrisis } = require('../risk');
+
+const HIGH_STRESS_LEVEL = 3;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_NOTES = 200;
+const FILTERS = ['all', 'flagged', 'open'];
+
+let store = createStore({ namespace: 'reviews' });
+
+/**
+ * Swap the backing store (e.g. an in-memory store in tests)
+ */
+function setStore(nextStore) {
+  store = nextStore;
+}
+
+function isCrisisTurn(turn) {
+  return isCrisis({ level: turn.riskLevel || 'none' });
+}
+
+function isHighStressTurn(turn) {
+  return Number.isInteger(turn.stressLevel) && turn.stressLevel >= HIGH_STRESS_LEVEL;
+}
+
+// How often each emotion label appears in a list of turns
+function countEmotions(turns, counts = {}) {
+  for (const turn of turns) {
+    if (turn.emotion) counts[turn.emotion] = (counts[turn.emotion] || 0) + 1;
+  }
+  return counts;
+}
+
+function topOf(counts) {
+  const entries = Object.entries(counts);
+  return entries.length ? entries.sort((a, b) => b[1] - a[1])[0][0] : null;
+}
+
+function toReviewState(review) {
+  return {
+    notes: review ? review.notes : [],
+    followedUp: Boolean(review && review.followedUp),
+    followedUpAt: review ? review.followedUpAt || null : null,
+    followedUpBy: review ? review.followedUpBy || null : null,
+  };
+}
+
+/**
+ * One row of the session list
+ * @param {object} transcript - { sessionId, createdAt, updatedAt, turns }
+ * @param {object|null} review - Stored review record
+ */
+function summarizeSession(transcript, review) {
+  const turns = transcript.turns || [];
+  const crisisTurns = turns.filter(isCrisisTurn).length;
+  const highStressTurns = turns.filter(isHighStressTurn).length;
+  const flags = [];
+  if (crisisTurns) flags.push('crisis');
+  if (highStressTurns) flags.push('very_high_stress');
+
+  return {
+    sessionId: transcript.sessionId,
+    createdAt: transcript.createdAt,
+    lastMessageAt: turns.length ? turns[turns.length - 1].ts : transcript.updatedAt,
+    turns: turns.length,
+    crisisTurns,
+    highStressTurns,
+    fallbackTurns: turns.filter((turn) => turn.fallback).length,
+    maxStressLevel: Math.max(0, ...turns.map((turn) => (Number.isInteger(turn.stressLevel) ? turn.stressLevel : 0))),
+    topEmotion: topOf(countEmotions(turns)),
+    flags,
+    followedUp: Boolean(review && review.followedUp),
+    notes: review ? review.notes.length : 0,
+  };
+}
+
+/**
+ * Totals across every conversation in the window
+ * fallbackRate is the share of non-crisis replies that were demo/fallback
+ * replies (the AI failed or answered with nothing usable).
+ */
+function buildStats(transcripts, summaries) {
+  const allTurns = transcripts.flatMap((transcript) => transcript.turns || []);
+  const crisisTurns = allTurns.filter(isCrisisTurn).length;
+  const fallbackTurns = allTurns.filter((turn) => turn.fallback).length;
+  const repliedByAi = allTurns.length - crisisTurns;
+  const stressLevels = [0, 0, 0, 0, 0];
+  allTurns.forEach((turn) => {
+    if (Number.isInteger(turn.stressLevel) && stressLevels[turn.stressLevel] !== undefined) stressLevels[turn.stressLevel] += 1;
+  });
+
+  return {
+    sessions: summaries.length,
+    turns: allTurns.length,
+    crisisTurns,
+    crisisSessions: summaries.filter((s) => s.flags.includes('crisis')).length,
+    highStressSessions: summaries.filter((s) => s.flags.includes('very_high_stress')).length,
+    fallbackTurns,
+    fallbackRate: repliedByAi ? Number((fallbackTurns / repliedByAi).toFixed(3)) : 0,
+    emotions: countEmotions(allTurns),
+    stressLevels,
+    needsFollowUp: summaries.filter((s) => s.flags.length && !s.followedUp).length,
+    followedUp: summaries.filter((s) => s.followedUp).length,
+  };
+}
+
+/**
+ * Conversations from the last `days` days, with totals
+ * Rejects with a StorageError if a store can't be read.
+ * @param {object} options - { days, filter: 'all' | 'flagged' | 'open' (flagged, not followed up) }
+ * @returns {Promise<object>} - { days, filter, stats, sessions } (stats cover every session in the window)
+ */
+async function listSessions({ days = 30, filter = 'all' } = {}) {
+  const transcripts = await listTranscripts({ days });
+  const reviews = new Map((await store.list()).map(({ id, record }) => [id, record]));
+  const summaries = transcripts.map((transcript) => summarizeSession(transcript, reviews.get(transcript.sessionId)));
+
+  const chosen = FILTERS.includes(filter) ? filter : 'all';
+  const sessions = summaries.filter((s) => (
+    chosen === 'all'
+    || (chosen === 'flagged' && s.flags.length > 0)
+    || (chosen === 'open' && s.flags.length > 0 && !s.followedUp)
+  ));
+
+  return { days, filter: chosen, stats: buildStats(transcripts, summaries), sessions };
+}
+
+/**
+ * One conversation in full, with its review
+ * Rejects with a StorageError if a store can't be read.
+ * @returns {Promise<object|null>} - { summary, turns, review }, or null if there is no transcript
+ */
+async function getSessionReview(sessionId) {
+  const turns = await getTranscript(sessionId);
+  if (turns.length === 0) return null;
+  const review = await store.get(sessionId);
+  return {
+    summary: summarizeSession({ sessionId, createdAt: turns[0].ts, updatedAt: turns[turns.length - 1].ts, turns }, review),
+    turns,
+    review: toReviewState(review),
+  };
+}
+
+// Who wrote a note or closed a conversation, as shown on the dashboard
+function describeReviewer(reviewer) {
+  return { id: reviewer.id, name: reviewer.displayName || reviewer.email, role: reviewer.role };
+}
+
+/**
+ * Add a reviewer note to a conversation
+ * Rejects with a StorageError if the store can't be written.
+ * @param {object} reviewer - { id, displayName, email, role }
+ * @param {string} text - Already trimmed, 1 to MAX_NOTE_LENGTH characters
+ * @returns {Promise<object>} - The conversation's review
+ */
+async function addNote(sessionId, reviewer, text) {
+  const now = Date.now();
+  const note = { id: crypto.randomUUID(), ts: now, author: describeReviewer(reviewer), text };
+  const review = await store.update(sessionId, (current) => {
+    const record = current || { notes: [], followedUp: false };
+    return { ...record, notes: [...record.notes, note].slice(-MAX_NOTES), updatedAt: now };
+  });
+  return toReviewState(review);
+}
+
+/**
+ * Mark a conversation as followed up (or reopen it)
+ * Rejects with a StorageError if the store can't be written.
+ * @returns {Promise<object>} - The conversation's review
+ */
+async function setFollowedUp(sessionId, reviewer, followedUp) {
+  const now = Date.now();
+  const review = await store.update(sessionId, (current) => ({
+    ...(current || { notes: [] }),
+    followedUp: Boolean(followedUp),
+    followedUpAt: followedUp ? now : null,
+    followedUpBy: followedUp ? describeReviewer(reviewer) : null,
+    updatedAt: now,
+  }));
+  return toReviewState(review);
+}
+
+/**
+ * Delete the notes and follow-up mark of a conversation (the person deleted their data)
+ */
+async function deleteReview(sessionId) {
+  await store.delete(sessionId);
+}
+
+module.exports = {
+  MAX_NOTE_LENGTH,
+  listSessions,
+  getSessionReview,
+  addNote,
+  setFollowedUp,
+  deleteReview,
+  setStore,
+};
@@ -0,0 +1,286 @@
+/**
+ * Risk Assessment Engine
+ *
+ * One place that decides how worried WizCare should be about a message.
+ * It replaces the old keyword lists (one here, a different one in the
+ * frontend) that used plain includes(), so "diet" matched "die" and
+ * "I don't want to die" counted as a crisis.
+ *
+ * Signals combined into a 0-100 score:
+ * 1. Phrase patterns (whole words only), each with a weight
+ * 2. Negation governing a phrase ("I would never hurt myself") and
+ *    quoted text ("the song 'I want to die'") heavily discount a match
+ * 3. Escalation: earlier risky messages in the same session add points
+ * 4. The model's stress estimate (0-4) adds points once the AI has replied
+ *
+ * Levels: none < low < moderate < high < critical
+ */
+
+const RISK_LEVELS = ['none', 'low', 'moderate', 'high', 'critical'];
+
+// Lowest score for each level (index matches RISK_LEVELS)
+const LEVEL_THRESHOLDS = [0, 15, 30, 50, 70];
+
+// Messages at or above this level get the crisis reply and never reach the AI
+const CRISIS_LEVEL = 'high';
+
+/**
+ * Phrase patterns grouped by signal
+ * Patterns are matched against lower-cased text with word boundaries.
+ * Hindi is covered in Devanagari and romanized (Hinglish); \b doesn't work
+ * for Devanagari, so those patterns match the phrase anywhere.
+ */
+const SIGNALS = [
+  {
+    id: 'suicidal_ideation',
+    reason: 'Talks about ending their life',
+    weight: 60,
+    patterns: [
+      /\bsuicid(e|al)\b/,
+      /\bkill(ing)? myself\b/,
+      /\bend(ing)? (my|it) (own )?life\b/,
+      /\btake my (own )?life\b/,
+      /\b(want|wanna|going|wish) (to )?die\b/,
+      /\bend it all\b/,
+      /\b(don'?t|do not) want to (live|be alive|exist)\b/,
+      /\bno reason to live\b/,
+      /\bbetter off dead\b/,
+      /\b(world|everyone|they) (would be |'?d be )?better (off )?without me\b/,
+      /\bworld without me\b/,
+      /\bnot worth living\b/,
+      /\b(khudkushi|khud ?kushi|aatmahatya|atmahatya)\b/,
+      /\bmar(na|ne|jaana|jana) (chahta|chahti|chahte)\b/,
+      /\b(jeena|jina|jeene) nahi (chahta|chahti|chahte)\b/,
+      /\b(zindagi|jindagi) khatam\b/,
+      /आत्महत्या|ख़ुदकुशी|खुदकुशी/,
+      /मरना चाहत[ाीे]|मर जाना चाहत[ाीे]/,
+      /जीना नहीं चाहत[ाीे]/,
+      /(ज़िंदगी|जिंदगी|ज़िन्दगी|जिन्दगी) (ख़त्म|खत्म)/,
+    ],
+  },
+  {
+    id: 'self_harm',
+    reason: 'Mentions hurting themselves',
+    weight: 50,
+    patterns: [
+      /\bself[- ]?harm(ing)?\b/,
+      /\b(hurt|harm|cut|cutting|burn|burning) myself\b/,
+      /\bkhud ko (chot|nuksaan|nuksan|kaat)\b/,
+      /खुद को (चोट|नुकसान|नुक़सान|काट)/,
+    ],
+  },
+  {
+    id: 'plan_or_means',
+    reason: 'Mentions a plan or means',
+    weight: 40,
+    patterns: [
+      /\boverdos(e|ing)\b/,
+      /\bhang(ing)? myself\b/,
+      /\bjump(ing)? off (a|the) (bridge|building|roof|terrace)\b/,
+      /\bsuicide note\b/,
+      /\b(goodbye|farewell) (letter|note)\b/,
+      /\bsay(ing)? goodbye to everyone\b/,
+    ],
+  },
+  {
+    id: 'hopelessness',
+    reason: 'Expresses hopelessness',
+    weight: 20,
+    patterns: [
+      /\bhopeless\b/,
+      /\bno way out\b/,
+      /\bcan'?t go on\b/,
+      /\bcan'?t (take|do) (it|this) any ?more\b/,
+      /\bgive up on (everything|life)\b/,
+      /\bnothing matters\b/,
+      /\b(i'?m|i am) (just )?a burden\b/,
+      /\bkoi (umeed|ummeed|ummid) nahi\b/,
+      /कोई (उम्मीद|आशा) नहीं/,
+    ],
+  },
+  {
+    id: 'death_mention',
+    reason: 'Mentions death or dying',
+    weight: 10,
+    patterns: [
+      /\b(die|dies|dying|death|dead)\b/,
+      /\b(maut|marna)\b/,
+      /मौत|मरना/,
+    ],
+  },
+];
+
+// Words that negate a phrase when they govern it
+const NEGATIONS = /^(not|never|no|dont|don't|won't|wont|wouldn't|wouldnt|cannot|can't|cant|didn't|didnt|nobody|nothing)$/;
+// Auxiliaries and adverbs that may sit between a negation and its phrase
+const NEGATION_BRIDGE = /^(do|does|did|will|would|could|should|shall|am|is|are|was|were|be|going|gonna|to|ever|really|even|actually)$/;
+const CLAUSE_BREAK = /[.,;:!?\n।]/;  // a negation never reaches past clause punctuation
+const NEGATED_FACTOR = 0.2;     // "I would never hurt myself"
+const QUOTED_FACTOR = 0.3;      // "that song 'I want to die' is stuck in my head"
+
+const ESCALATION_POINTS = 15;   // per earlier risky message in the session
+const ESCALATION_MAX = 30;
+const ESCALATION_MIN_SCORE = 10; // earlier messages below this don't count
+const ESCALATION_LOOKBACK = 10;
+
+const MODEL_STRESS_POINTS = 5;  // per model stress level (0-4)
+const STRESS_LABELS = ['low', 'mid', 'high', 'very high', 'ultra high'];
+
+/**
+ * Map a score to a risk level name
+ */
+function levelForScore(score) {
+  let level = RISK_LEVELS[0];
+  LEVEL_THRESHOLDS.forEach((threshold, idx) => {
+    if (score >= threshold) level = RISK_LEVELS[idx];
+  });
+  return level;
+}
+
+function isAtLeast(level, minimum) {
+  return RISK_LEVELS.indexOf(level) >= RISK_LEVELS.indexOf(minimum);
+}
+
+// Character ranges inside double/curly/single quotes
+function findQuotedRanges(text) {
+  const ranges = [];
+  const quotePattern = /"[^"]*"|“[^”]*”|‘[^’]*’|(?<![a-z])'[^']*'(?![a-z])/g;
+  let match;
+  while ((match = quotePattern.exec(text)) !== null) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+// A negation only counts when it governs the phrase: right before it ("don't want to die")
+// or joined by auxiliaries ("would never hurt myself"). "i cant sleep i want to die" is not negated.
+function isNegated(text, index) {
+  const clause = text.slice(0, index).split(CLAUSE_BREAK).pop();
+  const before = clause.split(/[^a-z']+/).filter(Boolean);
+  let i = before.length - 1;
+  while (i >= 0 && NEGATION_BRIDGE.test(before[i])) i--;
+  return i >= 0 && NEGATIONS.test(before[i]);
+}
+
+/**
+ * Score a single message on its own (no history, no model estimate)
+ * Each signal counts once, using its strongest match.
+ * @param {string} message - The user's message
+ * @returns {object} - { score, signals: [{ id, reason, weight, negated, quoted }] }
+ */
+function scoreMessage(message) {
+  const text = String(message || '').toLowerCase().replace(/[’]/g, "'");
+  const quoted = findQuotedRanges(text);
+  const signals = [];
+
+  for (const signal of SIGNALS) {
+    let best = null;
+    for (const pattern of signal.patterns) {
+      const globalPattern = new RegExp(pattern.source, 'g');
+      let match;
+      while ((match = globalPattern.exec(text)) !== null) {
+        const negated = isNegated(text, match.index);
+        const inQuotes = quoted.some(([start, end]) => match.index >= start && match.index < end);
+        let weight = signal.weight;
+        if (negated) weight *= NEGATED_FACTOR;
+        if (inQuotes) weight *= QUOTED_FACTOR;
+        if (!best || weight > best.weight) {
+          best = { id: signal.id, reason: signal.reason, weight, negated, quoted: inQuotes };
+        }
+      }
+    }
+    if (best) signals.push(best);
+  }
+
+  // A generic death mention adds nothing once a stronger signal is present
+  const strong = signals.filter((s) => s.id !== 'death_mention' && s.weight >= 10);
+  const counted = strong.length > 0 ? signals.filter((s) => s.id !== 'death_mention') : signals;
+  const score = Math.min(100, Math.round(counted.reduce((sum, s) => sum + s.weight, 0)));
+
+  return { score, signals: counted };
+}
+
+/**
+ * Assess a message in the context of the session
+ * @param {string} message - The user's message
+ * @param {Array<object>} [history] - Earlier assessments in this session ({ score })
+ * @returns {object} - { level, score, messageScore, reasons, signals }
+ */
+function assessRisk(message, history = []) {
+  const { score: messageScore, signals } = scoreMessage(message);
+  const reasons = signals
+    .filter((s) => s.weight >= 5)
+    .map((s) => s.reason + (s.negated ? ' (negated)' : '') + (s.quoted ? ' (quoted)' : ''));
+
+  let score = messageScore;
+
+  // Escalation only kicks in when this message is itself concerning
+  const earlier = history.slice(-ESCALATION_LOOKBACK).filter((h) => h && h.score >= ESCALATION_MIN_SCORE);
+  if (messageScore >= ESCALATION_MIN_SCORE && earlier.length > 0) {
+    score += Math.min(ESCALATION_MAX, earlier.length * ESCALATION_POINTS);
+    reasons.push(`Repeated concerning messages in this conversation (${earlier.length + 1})`);
+  }
+
+  score = Math.min(100, score);
+  return { level: levelForScore(score), score, messageScore, reasons, signals };
+}
+
+/**
+ * Fold the model's stress estimate into an assessment
+ * @param {object} assessment - Result of assessRisk()
+ * @param {number} stressLevel - Model stress estimate (0-4)
+ * @returns {object} - Updated assessment plus stressLevel raised to match the risk
+ */
+function applyModelStress(assessment, stressLevel) {
+  const modelLevel = Number.isInteger(stressLevel) ? Math.max(0, Math.min(4, stressLevel)) : 0;
+  const reasons = [...assessment.reasons];
+  let score = assessment.score;
+
+  if (modelLevel > 0) {
+    score = Math.min(100, score + modelLevel * MODEL_STRESS_POINTS);
+    reasons.push(`AI stress estimate: ${STRESS_LABELS[modelLevel]}`);
+  }
+
+  const level = levelForScore(score);
+  return {
+    ...assessment,
+    level,
+    score,
+    reasons,
+    stressLevel: Math.max(modelLevel, stressLevelForRisk(level)),
+  };
+}
+
+/**
+ * Lowest stress level (0-4) the meter should show for a risk level
+ */
+function stressLevelForRisk(level) {
+  if (level === 'critical') return 4;
+  if (level === 'high') return 3;
+  if (level === 'moderate') return 2;
+  return 0;
+}
+
+/**
+ * Should this assessment skip the AI and get the crisis reply?
+ */
+function isCrisis(assessment) {
+  return isAtLeast(assessment.level, CRISIS_LEVEL);
+}
+
+/**
+ * Shape sent to the client (internal signal details stay on the server)
+ */
+function summarizeRisk(assessment) {
+  return { level: assessment.level, score: assessment.score, reasons: assessment.reasons };
+}
+
+module.exports = {
+  RISK_LEVELS,
+  assessRisk,
+  applyModelStress,
+  stressLevelForRisk,
+  isCrisis,
+  summarizeRisk,
+  scoreMessage,
+};
@@ -0,0 +1,145 @@
+/**
+ * Encryption at rest
+ * Wraps a store so records are written encrypted (AES-256-GCM) when
+ * DATA_ENCRYPTION_KEY is set. The key is 32 bytes as 64 hex characters or
+ * base64, or any other passphrase (stretched with scrypt).
+ *
+ * Stored records become envelopes:
+ *   { updatedAt, enc: 'v1:<iv>:<tag>:<ciphertext>' }   (base64 parts)
+ * updatedAt stays readable so pruneIdle() and list() keep working, and
+ * record IDs are not encrypted: session and account IDs are random, and
+ * IDs made from personal details (the sign-in email index) go through
+ * hashRecordId() instead. Records written before the key was set are read
+ * as they are and encrypted in the background on startup (see
+ * encryptPlaintextRecords()).
+ */
+
+const crypto = require('crypto');
+const { StorageError } = require('./errors');
+
+const VERSION = 'v1';
+const KEY_SALT = 'wizcare-data-encryption'; // fixed: the same passphrase must give the same key on every start
+const ID_KEY_INFO = 'wizcare-record-ids'; // record IDs are hashed with a key of their own, derived from the data key
+// Without DATA_ENCRYPTION_KEY nothing is encrypted, so IDs are only hashed (still no email in a file name or key)
+const UNKEYED_ID_KEY = Buffer.from(ID_KEY_INFO);
+
+/**
+ * Turn the configured secret into a 32-byte key
+ * @param {string} secret
+ * @returns {Buffer|null} - null when no secret is configured
+ */
+function keyFromSecret(secret) {
+  if (!secret) return null;
+  if (/^[0-9a-f]{64}$/i.test(secret)) return Buffer.from(secret, 'hex');
+  const decoded = Buffer.from(secret, 'base64');
+  if (decoded.length === 32 && decoded.toString('base64').replace(/=+$/, '') === secret.replace(/=+$/, '')) return decoded;
+  return crypto.scryptSync(secret, KEY_SALT, 32);
+}
+
+function encrypt(key, record) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(record), 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), data].map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join(':');
+}
+
+function decrypt(key, enc) {
+  const [version, iv, tag, data] = String(enc).split(':');
+  if (version !== VERSION || !data) throw new Error(`unknown envelope format "${version}"`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * Encrypt the records of a store
+ * Without a key records are written as they are, but encrypted ones still
+ * fail loudly (a StorageError) instead of reaching the app as empty records.
+ * @param {object} store - Any store (see index.js)
+ * @param {Buffer|null} key - From keyFromSecret()
+ * @returns {object} - A store with the same interface
+ */
+function createEncryptedStore(store, key) {
+  const open = (record, operation) => {
+    if (!record || typeof record.enc !== 'string') return record; // plaintext (written before the key was set)
+    if (!key) {
+      throw new StorageError('Stored records are encrypted but DATA_ENCRYPTION_KEY is not set', { adapter: store.name, operation });
+    }
+    try {
+      return decrypt(key, record.enc);
+    } catch (error) {
+      throw new StorageError('Stored records could not be decrypted (has DATA_ENCRYPTION_KEY changed?)', {
+        adapter: store.name,
+        operation,
+        cause: error,
+      });
+    }
+  };
+  const seal = (record) => (key ? { updatedAt: record.updatedAt, enc: encrypt(key, record) } : record);
+
+  return {
+    name: store.name,
+
+    async get(id) {
+      return open(await store.get(id), 'get');
+    },
+
+    async update(id, updater) {
+      let next = null;
+      await store.update(id, (current) => {
+        next = updater(open(current, 'update'));
+        return next == null ? null : seal(next);
+      });
+      return next;
+    },
+
+    delete: (id) => store.delete(id),
+    pruneIdle: (cutoff) => store.pruneIdle(cutoff),
+
+    async list(since) {
+      return (await store.list(since)).map(({ id, record }) => ({ id, record: open(record, 'list') }));
+    },
+
+    close: () => store.close(),
+  };
+}
+
+/**
+ * Encrypt the records of a store that were written before the key was set
+ * Each one is rewritten through update(), so a write landing at the same
+ * time is never lost.
+ * @param {object} store - The underlying (unencrypted) store
+ * @param {Buffer|null} key - From keyFromSecret(); nothing happens without one
+ * @returns {Promise<number>} - How many records were encrypted
+ */
+async function encryptPlaintextRecords(store, key) {
+  if (!key) return 0;
+  const encrypted = createEncryptedStore(store, key);
+  let count = 0;
+  for (const { id, record } of await store.list()) {
+    if (!record || typeof record.enc === 'string') continue;
+    await encrypted.update(id, (current) => current);
+    count += 1;
+  }
+  return count;
+}
+
+const idKeys = new WeakMap();
+
+/**
+ * Record ID for a personal detail (e.g. an email address): an HMAC, so the
+ * detail itself is never stored as an ID
+ * @param {Buffer|null} key - From keyFromSecret()
+ * @param {string} value
+ * @returns {string} - 64 hex characters
+ */
+function hashRecordId(key, value) {
+  let idKey = UNKEYED_ID_KEY;
+  if (key) {
+    if (!idKeys.has(key)) idKeys.set(key, Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), ID_KEY_INFO, 32)));
+    idKey = idKeys.get(key);
+  }
+  return crypto.createHmac('sha256', idKey).update(String(value)).digest('hex');
+}
+
+module.exports = { createEncryptedStore, encryptPlaintextRecords, hashRecordId, keyFromSecret };
@@ -0,0 +1,24 @@
+/**
+ * Error raised by any storage adapter.
+ * Carries the adapter name and the operation that failed so the chat route
+ * can log something useful without leaking conversation content.
+ */
+class StorageError extends Error {
+  constructor(message, { adapter, operation, cause } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.adapter = adapter;
+    this.operation = operation;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Wrap an unknown error into a StorageError (leaves StorageErrors untouched)
+ */
+function toStorageError(error, adapter, operation) {
+  if (error instanceof StorageError) return error;
+  return new StorageError(`${adapter} store failed during ${operation}: ${error.message}`, { adapter, operation, cause: error });
+}
+
+module.exports = { StorageError, toStorageError };
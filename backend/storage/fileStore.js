@@ -0,0 +1,119 @@
+/**
+ * JSON file store
+ * Keeps all records of a namespace in one JSON file (for conversation memory
+ * that is the original conversation_memory.json).
+ *
+ * - Reads and writes use fs.promises, so the event loop is never blocked
+ * - Writes go to a temp file that is renamed over the original (atomic on POSIX)
+ * - All operations run through a single queue, so concurrent requests can't
+ *   read stale data and overwrite each other
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { toStorageError } = require('./errors');
+
+function createFileStore({ filePath }) {
+  let records = null;              // lazily loaded { [id]: record }
+  let queue = Promise.resolve();   // serializes every operation
+
+  // Run fn after all previously queued operations have finished
+  const enqueue = (operation, fn) => {
+    const run = queue.then(fn).catch((error) => {
+      throw toStorageError(error, 'file', operation);
+    });
+    // Keep the chain alive even if this operation fails
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const load = async () => {
+    if (records) return records;
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      // Older files held a single shared array; it can't be attributed to anyone, so drop it.
+      // Files written before namespaces existed keep their records under "sessions".
+      const stored = data && !Array.isArray(data) ? data.records || data.sessions : null;
+      records = stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      records = {};
+    }
+    return records;
+  };
+
+  const persist = async () => {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify({ records }, null, 2));
+    await fs.rename(tmpPath, filePath);
+  };
+
+  return {
+    name: 'file',
+
+    get(id) {
+      return enqueue('get', async () => {
+        const all = await load();
+        return all[id] ? structuredClone(all[id]) : null;
+      });
+    },
+
+    update(id, updater) {
+      return enqueue('update', async () => {
+        const all = await load();
+        const previous = all[id];
+        const next = updater(previous ? structuredClone(previous) : null);
+        if (next == null) delete all[id];
+        else all[id] = next;
+        try {
+          await persist();
+        } catch (error) {
+          // Roll back the cache so it matches what's on disk
+          if (previous) all[id] = previous;
+          else delete all[id];
+          throw error;
+        }
+        return next;
+      });
+    },
+
+    delete(id) {
+      return enqueue('delete', async () => {
+        const all = await load();
+        if (!(id in all)) return;
+        delete all[id];
+        await persist();
+      });
+    },
+
+    pruneIdle(cutoff) {
+      return enqueue('pruneIdle', async () => {
+        const all = await load();
+        const expired = Object.keys(all).filter((id) => (all[id].updatedAt || 0) < cutoff);
+        if (expired.length === 0) return 0;
+        expired.forEach((id) => delete all[id]);
+        await persist();
+        return expired.length;
+      });
+    },
+
+    list(since = 0) {
+      return enqueue('list', async () => {
+        const all = await load();
+        return Object.entries(all)
+          .filter(([, record]) => (record.updatedAt || 0) >= since)
+          .map(([id, record]) => ({ id, record: structuredClone(record) }))
+          .sort((a, b) => (b.record.updatedAt || 0) - (a.record.updatedAt || 0));
+      });
+    },
+
+    close() {
+      return enqueue('close', async () => {
+        records = null;
+      });
+    },
+  };
+}
+
+module.exports = { createFileStore };
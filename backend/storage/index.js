@@ -0,0 +1,120 @@
+/**
+ * Conversation Storage
+ *
+ * memory.js talks to storage only through the small async interface below,
+ * so the backing store can be swapped through configuration:
+ *
+ *   MEMORY_STORE=file    JSON file on disk (default)
+ *   MEMORY_STORE=sqlite  Embedded SQLite database (needs better-sqlite3)
+ *   MEMORY_STORE=memory  In-process Map, nothing persisted (tests, demos)
+ *
+ * Every adapter implements:
+ *   get(id)                -> Promise<record | null>
+ *   update(id, updater)    -> Promise<record | null>   updater(current) returns the next record, or null to delete
+ *   delete(id)             -> Promise<void>
+ *   pruneIdle(cutoff)      -> Promise<number>           removes records whose updatedAt is older than cutoff
+ *   list(since)            -> Promise<Array<{ id, record }>>  records updated at or after since (ms), newest first
+ *   close()                -> Promise<void>
+ *
+ * update() is atomic per adapter, so two requests landing together can't
+ * overwrite each other's exchanges.
+ *
+ * Each store holds one namespace of records ("sessions" for conversation
+ * memory, "mood_history" for the mood journal, ...), so pruning one kind of
+ * record never touches another. The file store keeps a namespace per JSON
+ * file; the SQLite store keeps one table per namespace in the same database.
+ *
+ * With DATA_ENCRYPTION_KEY set, file and SQLite records are encrypted at
+ * rest (see encryption.js), and records written before the key was set are
+ * encrypted when the store is created. IDs made from personal details go
+ * through hashRecordId().
+ */
+
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+const { createMemoryStore } = require('./memoryStore');
+const { createSqliteStore } = require('./sqliteStore');
+const { createEncryptedStore, encryptPlaintextRecords, hashRecordId: hashWithKey, keyFromSecret } = require('./encryption');
+const { StorageError } = require('./errors');
+
+// Namespaces double as SQLite table names and file names, so keep them simple
+const NAMESPACE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+let encryptionKey; // derived once (scrypt is slow on purpose)
+
+function getEncryptionKey() {
+  if (encryptionKey === undefined) encryptionKey = keyFromSecret(process.env.DATA_ENCRYPTION_KEY);
+  return encryptionKey;
+}
+
+/**
+ * Encrypt a file or SQLite store's records, including (in the background)
+ * the ones written before DATA_ENCRYPTION_KEY was set
+ */
+function sealStore(store, namespace) {
+  const key = getEncryptionKey();
+  encryptPlaintextRecords(store, key)
+    .then((count) => {
+      if (count) console.log(`Encrypted ${count} older ${namespace} record(s)`);
+    })
+    .catch((error) => console.error(`Could not encrypt older ${namespace} records:`, error.message));
+  return createEncryptedStore(store, key);
+}
+
+/**
+ * Record ID for a personal detail such as an email address (an HMAC keyed
+ * from DATA_ENCRYPTION_KEY; see encryption.js)
+ * @param {string} value
+ * @returns {string}
+ */
+function hashRecordId(value) {
+  return hashWithKey(getEncryptionKey(), value);
+}
+
+/**
+ * The ID hashRecordId() gave a value while DATA_ENCRYPTION_KEY was unset
+ * (to find, and re-key, records written before the key was set)
+ * @param {string} value
+ * @returns {string|null} - null when no key is set (hashRecordId() gives that ID already)
+ */
+function unkeyedRecordId(value) {
+  return getEncryptionKey() ? hashWithKey(null, value) : null;
+}
+
+/**
+ * Build a store from configuration (falls back to environment variables)
+ * @param {object} [config]
+ * @param {string} [config.type] - 'file' | 'sqlite' | 'memory'
+ * @param {string} [config.namespace] - Record namespace (default 'sessions')
+ * @param {string} [config.filePath] - JSON file path for the file store
+ * @param {string} [config.sqlitePath] - Database path for the SQLite store
+ * @returns {object} - A store implementing the interface above
+ */
+function createStore(config = {}) {
+  const type = (config.type || process.env.MEMORY_STORE || 'file').toLowerCase();
+  const namespace = config.namespace || 'sessions';
+
+  if (!NAMESPACE_PATTERN.test(namespace)) {
+    throw new StorageError(`Invalid storage namespace "${namespace}"`, { adapter: type, operation: 'init' });
+  }
+
+  switch (type) {
+    case 'file': {
+      // Other namespaces live next to the conversation memory file
+      const sessionsFile = process.env.MEMORY_FILE || path.join(__dirname, '..', 'conversation_memory.json');
+      const defaultPath = namespace === 'sessions' ? sessionsFile : path.join(path.dirname(sessionsFile), `${namespace}.json`);
+      return sealStore(createFileStore({ filePath: config.filePath || defaultPath }), namespace);
+    }
+    case 'sqlite':
+      return sealStore(createSqliteStore({
+        dbPath: config.sqlitePath || process.env.MEMORY_SQLITE_PATH || path.join(__dirname, '..', 'conversation_memory.db'),
+        table: namespace,
+      }), namespace);
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new StorageError(`Unknown MEMORY_STORE "${type}" (expected file, sqlite or memory)`, { adapter: type, operation: 'init' });
+  }
+}
+
+module.exports = { createStore, hashRecordId, unkeyedRecordId, StorageError };
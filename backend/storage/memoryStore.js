@@ -0,0 +1,57 @@
+/**
+ * In-memory store
+ * Keeps everything in a Map for the lifetime of the process.
+ * Handy for tests and offline demos; nothing survives a restart.
+ */
+
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(id) {
+      return records.has(id) ? structuredClone(records.get(id)) : null;
+    },
+
+    async update(id, updater) {
+      // Map operations are synchronous, so this is already atomic
+      const current = records.has(id) ? structuredClone(records.get(id)) : null;
+      const next = updater(current);
+      if (next == null) {
+        records.delete(id);
+        return null;
+      }
+      records.set(id, structuredClone(next));
+      return next;
+    },
+
+    async delete(id) {
+      records.delete(id);
+    },
+
+    async pruneIdle(cutoff) {
+      let removed = 0;
+      for (const [id, record] of records) {
+        if ((record.updatedAt || 0) < cutoff) {
+          records.delete(id);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+
+    async list(since = 0) {
+      return [...records]
+        .filter(([, record]) => (record.updatedAt || 0) >= since)
+        .map(([id, record]) => ({ id, record: structuredClone(record) }))
+        .sort((a, b) => (b.record.updatedAt || 0) - (a.record.updatedAt || 0));
+    },
+
+    async close() {
+      records.clear();
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
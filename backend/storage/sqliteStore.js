@@ -0,0 +1,81 @@
+/**
+ * SQLite store
+ * Embedded database via better-sqlite3 (an optional dependency, so hosts that
+ * can't build native modules can still run the file or memory store).
+ *
+ * Each record is one row in the namespace's table; the record itself is stored as JSON. better-sqlite3
+ * is synchronous, so each update runs inside a single transaction and can't
+ * interleave with another request.
+ */
+
+const { StorageError, toStorageError } = require('./errors');
+
+function createSqliteStore({ dbPath, table = 'sessions' }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new StorageError('MEMORY_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)', {
+      adapter: 'sqlite',
+      operation: 'init',
+      cause: error,
+    });
+  }
+
+  let db;
+  try {
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )`);
+  } catch (error) {
+    throw toStorageError(error, 'sqlite', 'init');
+  }
+
+  // table comes from a validated namespace (see storage/index.js), never from user input
+  const selectOne = db.prepare(`SELECT data FROM ${table} WHERE id = ?`);
+  const upsert = db.prepare(`INSERT INTO ${table} (id, data, updated_at) VALUES (@id, @data, @updatedAt)
+    ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`);
+  const deleteOne = db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+  const deleteIdle = db.prepare(`DELETE FROM ${table} WHERE updated_at < ?`);
+  const selectSince = db.prepare(`SELECT id, data FROM ${table} WHERE updated_at >= ? ORDER BY updated_at DESC`);
+
+  const read = (id) => {
+    const row = selectOne.get(id);
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  const updateTx = db.transaction((id, updater) => {
+    const next = updater(read(id));
+    if (next == null) {
+      deleteOne.run(id);
+      return null;
+    }
+    upsert.run({ id, data: JSON.stringify(next), updatedAt: next.updatedAt || Date.now() });
+    return next;
+  });
+
+  // Run a synchronous DB call and surface failures as StorageErrors
+  const run = async (operation, fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      throw toStorageError(error, 'sqlite', operation);
+    }
+  };
+
+  return {
+    name: 'sqlite',
+    get: (id) => run('get', () => read(id)),
+    update: (id, updater) => run('update', () => updateTx(id, updater)),
+    delete: (id) => run('delete', () => { deleteOne.run(id); }),
+    pruneIdle: (cutoff) => run('pruneIdle', () => deleteIdle.run(cutoff).changes),
+    list: (since = 0) => run('list', () => selectSince.all(since).map((row) => ({ id: row.id, record: JSON.parse(row.data) }))),
+    close: () => run('close', () => db.close()),
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,107 @@
+/**
+ * Account tests
+ *
+ * Passwords are only ever stored as scrypt hashes, tokens can't be forged,
+ * accounts are unique per email, and a guest's session moves into the
+ * account that signs up on it, but never into someone else's.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const auth = require('../auth');
+const { hashPassword, verifyPassword, MIN_PASSWORD_LENGTH } = require('../auth/passwords');
+const { resetStores } = require('./helpers/stores');
+
+const PASSWORD = 'long enough password';
+
+// Run the authenticate middleware with an Authorization header
+async function authenticateWith(header) {
+  const req = { get: () => header };
+  const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json() { return this; } };
+  let passed = false;
+  await auth.authenticate(req, res, () => { passed = true; });
+  return { passed, userId: req.userId, status: res.statusCode };
+}
+
+describe('passwords', () => {
+  test('are stored as salted scrypt hashes', async () => {
+    const first = await hashPassword(PASSWORD);
+    assert.match(first, /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+    assert.notEqual(first, await hashPassword(PASSWORD));
+    assert.equal(await verifyPassword(PASSWORD, first), true);
+    assert.equal(await verifyPassword('wrong password', first), false);
+    assert.equal(await verifyPassword(PASSWORD, 'plain text'), false);
+  });
+});
+
+describe('tokens', () => {
+  test('carry the user ID and cannot be altered', () => {
+    const token = auth.issueToken('user-1');
+    assert.equal(auth.verifyToken(token), 'user-1');
+
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'admin', exp: Date.now() })).toString('base64url');
+    assert.equal(auth.verifyToken(`${header}.${forged}.${signature}`), null);
+    for (const bad of [undefined, '', 'a.b', `${token}x`]) assert.equal(auth.verifyToken(bad), null);
+  });
+});
+
+describe('accounts', () => {
+  beforeEach(() => {
+    resetStores();
+  });
+
+  test('sign-up checks the email and the password length', async () => {
+    await assert.rejects(auth.createAccount({ email: 'not an email', password: PASSWORD }), { status: 400 });
+    await assert.rejects(auth.createAccount({ email: 'asha@example.com', password: 'x'.repeat(MIN_PASSWORD_LENGTH - 1) }), { status: 400 });
+  });
+
+  test('one account per email, whatever its case', async () => {
+    const user = await auth.createAccount({ email: ' Asha@Example.com ', password: PASSWORD, displayName: ' Asha ' });
+    assert.equal(user.email, 'asha@example.com');
+    assert.equal(user.displayName, 'Asha');
+    await assert.rejects(auth.createAccount({ email: 'ASHA@example.com', password: PASSWORD }), { status: 409 });
+  });
+
+  test('sign-in needs the right password, and says nothing about which part was wrong', async () => {
+    const user = await auth.createAccount({ email: 'asha@example.com', password: PASSWORD });
+    assert.equal((await auth.signIn('Asha@example.com', PASSWORD)).id, user.id);
+    const wrongPassword = await auth.signIn('asha@example.com', 'wrong password').catch((error) => error);
+    const unknownEmail = await auth.signIn('ravi@example.com', PASSWORD).catch((error) => error);
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(wrongPassword.message, unknownEmail.message);
+  });
+
+  test('clients never see the password hash', async () => {
+    const user = await auth.createAccount({ email: 'asha@example.com', password: PASSWORD });
+    const shown = auth.toPublicUser(user);
+    assert.equal('passwordHash' in shown, false);
+    assert.deepEqual([shown.email, shown.role, shown.sessionId], ['asha@example.com', 'user', null]);
+  });
+
+  test("a guest session moves into the account, but not into someone else's", async () => {
+    const asha = await auth.createAccount({ email: 'asha@example.com', password: PASSWORD });
+    const ravi = await auth.createAccount({ email: 'ravi@example.com', password: PASSWORD });
+
+    assert.equal(await auth.claimSession(asha.id, 'guest-session'), true);
+    assert.equal(await auth.getSessionOwner('guest-session'), asha.id);
+    assert.equal(auth.toPublicUser(await auth.getUser(asha.id)).sessionId, 'guest-session');
+    assert.equal(await auth.claimSession(ravi.id, 'guest-session'), false);
+
+    await auth.releaseSession(ravi.id, 'guest-session'); // ignored: not Ravi's
+    assert.equal(await auth.getSessionOwner('guest-session'), asha.id);
+    await auth.releaseSession(asha.id, 'guest-session');
+    assert.equal(await auth.getSessionOwner('guest-session'), null);
+    assert.deepEqual(await auth.getAccountSessions(asha.id), []);
+  });
+
+  test('authenticate reads the bearer token; guests go through without one', async () => {
+    const user = await auth.createAccount({ email: 'asha@example.com', password: PASSWORD });
+    assert.deepEqual(await authenticateWith(`Bearer ${auth.issueToken(user.id)}`), { passed: true, userId: user.id, status: 200 });
+    assert.deepEqual(await authenticateWith(undefined), { passed: true, userId: null, status: 200 });
+    assert.deepEqual(await authenticateWith('Bearer not-a-token'), { passed: true, userId: null, status: 200 });
+  });
+});
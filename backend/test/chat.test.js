@@ -0,0 +1,81 @@
+/**
+ * Chat payload tests
+ *
+ * POST /api/chat answers with the reply and the analysis behind it: stress
+ * level and label, risk, the emotion with its scores, whether a fallback
+ * reply was used, and the session. A name someone gives is remembered,
+ * though the stored message has it redacted.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+const chat = (body) => fetch(`${server.baseUrl}/api/chat`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ consent: 'ephemeral', ...body }),
+});
+
+describe('POST /api/chat', () => {
+  test('returns the reply with its analysis', async () => {
+    const res = await chat({ message: 'I feel so lonely and sad lately' });
+    assert.equal(res.status, 200);
+    const payload = await res.json();
+
+    assert.ok(payload.response.length > 0);
+    assert.ok(Number.isInteger(payload.stressLevel) && payload.stressLevel >= 0 && payload.stressLevel <= 4);
+    assert.equal(typeof payload.stressLabel, 'string');
+    assert.equal(typeof payload.risk.level, 'string');
+    assert.equal(payload.emotion.label, 'sadness');
+    assert.ok(payload.emotion.scores.sadness > 0);
+    assert.equal(payload.fallback, false);
+    assert.ok(payload.sessionId);
+  });
+
+  test('the session carries over to the next message', async () => {
+    const first = await (await chat({ message: 'Exams start next week' })).json();
+    const second = await (await chat({ message: 'I have not started revising', sessionId: first.sessionId })).json();
+    assert.equal(second.sessionId, first.sessionId);
+  });
+
+  test('a crisis message gets the helpline reply', async () => {
+    const payload = await (await chat({ message: 'I want to end my life', region: 'IN' })).json();
+    assert.match(payload.response, /14416/);
+    assert.ok(payload.stressLevel >= 3);
+  });
+
+  test('the message must be text', async () => {
+    assert.equal((await chat({})).status, 400);
+    assert.equal((await chat({ message: 123 })).status, 400);
+  });
+});
+
+describe('a name given in chat', () => {
+  test('is remembered as a fact but redacted from the transcript', async () => {
+    const { sessionId } = await (await chat({ message: 'hi, my name is Asha', consent: 'store' })).json();
+
+    // Facts are saved off the reply's path
+    let facts = [];
+    for (let i = 0; i < 20 && !facts.length; i += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 25));
+      ({ facts } = await (await fetch(`${server.baseUrl}/api/memory?sessionId=${sessionId}`)).json());
+    }
+    assert.deepEqual(facts.map((fact) => [fact.kind, fact.text]), [['name', 'Asha']]);
+
+    const transcript = await (await fetch(`${server.baseUrl}/api/history/transcript?sessionId=${sessionId}`)).text();
+    assert.match(transcript, /my name is \[name\]/);
+    assert.doesNotMatch(transcript, /Asha/);
+  });
+});
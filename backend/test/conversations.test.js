@@ -0,0 +1,82 @@
+/**
+ * Conversation list tests
+ *
+ * Conversations are titled after their first message until renamed, are
+ * listed most recently active first, and deleting one removes everything
+ * kept for its session.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const transcripts = require('../transcripts');
+const memory = require('../memory');
+const moodHistory = require('../moodHistory');
+const profile = require('../profile');
+const conversations = require('../conversations');
+const handoff = require('../handoff');
+const review = require('../review');
+const { createMemoryStore } = require('../storage/memoryStore');
+const { resetStores } = require('./helpers/stores');
+
+const pause = () => new Promise((resolve) => setTimeout(resolve, 5));
+const turn = (user, stressLevel = 1) => ({ user, bot: 'I hear you.', stressLevel, emotion: 'sadness', riskLevel: 'none' });
+
+describe('conversations', () => {
+  beforeEach(() => {
+    resetStores();
+  });
+
+  test('titles come from the first message', () => {
+    assert.equal(conversations.titleFromMessage('  exams   next week '), 'exams next week');
+    assert.equal(conversations.titleFromMessage('I cannot sleep because of my exams next week'), 'I cannot sleep because of my…');
+    assert.equal(conversations.titleFromMessage('x'.repeat(60)), `${'x'.repeat(47)}…`);
+    assert.equal(conversations.titleFromMessage(''), '');
+  });
+
+  test('lists known sessions, most recently active first, with renamed titles', async () => {
+    await transcripts.appendTurn('session-a', turn('work is stressful'));
+    await transcripts.appendTurn('session-b', turn('cannot sleep', 3));
+    await pause();
+    await conversations.renameConversation('session-a', '  Work  stuff ');
+
+    const list = await conversations.listConversations(['session-b', 'session-a', 'session-a', 'unknown-session']);
+    assert.deepEqual(list.map((item) => [item.sessionId, item.title, item.renamed]), [
+      ['session-a', 'Work stuff', true],
+      ['session-b', 'cannot sleep', false],
+    ]);
+    assert.equal(list[1].stressLevel, 3);
+    assert.equal(list[1].turns, 1);
+  });
+
+  test('refuses empty and over-long titles', async () => {
+    await assert.rejects(conversations.renameConversation('session-a', '   '), conversations.ConversationError);
+    await assert.rejects(
+      conversations.renameConversation('session-a', 'x'.repeat(conversations.MAX_TITLE_LENGTH + 1)),
+      conversations.ConversationError,
+    );
+  });
+
+  test('deleting a conversation removes its transcript, memory, mood history, counselor chat and notes', async () => {
+    const reviews = createMemoryStore();
+    resetStores({ reviews });
+    await transcripts.appendTurn('session-a', turn('I want to give up', 4));
+    await memory.addExchange('session-a', 'hello there', 'I hear you.');
+    await profile.rememberTurn('session-a', 'my name is Asha');
+    await moodHistory.addJournalEntry('session-a', { text: 'rough day' });
+    await conversations.renameConversation('session-a', 'Hello');
+    await handoff.requestHandoff('session-a');
+    await review.addNote('session-a', { id: 'counselor', displayName: 'Sam', role: 'counselor' }, 'Called back');
+
+    await conversations.deleteConversation('session-a');
+    assert.deepEqual(await transcripts.getTranscript('session-a'), []);
+    assert.deepEqual(await memory.getRecentExchanges('session-a'), []);
+    assert.deepEqual((await profile.getMemory('session-a')).facts, []);
+    assert.deepEqual((await moodHistory.getMoodHistory('session-a')).journal, []);
+    assert.deepEqual(await conversations.listConversations(['session-a']), []);
+    assert.equal(await handoff.getHandoff('session-a'), null);
+    assert.equal(await reviews.get('session-a'), null);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Emotion analyzer tests
+ *
+ * The in-process lexicon analyzer scores the eight emotions, and the
+ * optional Python analyzer falls back to it whenever Python can't give a
+ * real answer (not installed, nrclex missing, no scores).
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEmotionAnalyzer } = require('../emotion');
+const { createLexiconAnalyzer } = require('../emotion/lexiconAnalyzer');
+const { createPythonAnalyzer } = require('../emotion/pythonAnalyzer');
+
+const EMOTIONS = ['sadness', 'happiness', 'anger', 'fear', 'disgust', 'surprise', 'trust', 'anticipation'];
+
+describe('lexicon analyzer', () => {
+  const analyzer = createLexiconAnalyzer();
+
+  test('finds the strongest emotion, word forms included', async () => {
+    const sad = await analyzer.analyze('I feel so lonely and sad, crying every night');
+    assert.equal(sad.top_emotion, 'sadness');
+    assert.deepEqual(Object.keys(sad.scores).sort(), [...EMOTIONS].sort());
+    assert.equal((await analyzer.analyze("I'm worrying about everything")).top_emotion, 'fear');
+  });
+
+  test('neutral for empty or emotionless text', async () => {
+    assert.deepEqual(await analyzer.analyze(''), { top_emotion: 'neutral', scores: {} });
+    assert.equal((await analyzer.analyze('The bus leaves at nine')).top_emotion, 'neutral');
+  });
+
+  test('is the default', () => {
+    assert.equal(createEmotionAnalyzer({}).name, createLexiconAnalyzer().name);
+    assert.throws(() => createEmotionAnalyzer({ type: 'unknown' }), /EMOTION_ANALYZER/);
+  });
+});
+
+describe('python analyzer', () => {
+  const fallback = { name: 'lexicon', analyze: async () => ({ top_emotion: 'fear', scores: { fear: 1 } }) };
+  const answering = (...lines) => async () => lines;
+
+  test("uses Python's answer when it has scores", async () => {
+    const analyzer = createPythonAnalyzer({ fallback, run: answering(JSON.stringify({ top_emotion: 'anger', scores: { anger: 2 } })) });
+    assert.deepEqual(await analyzer.analyze('so angry'), { top_emotion: 'anger', scores: { anger: 2 } });
+  });
+
+  test('falls back when nrclex is missing, scores are empty or Python fails', async () => {
+    const runs = [
+      answering(JSON.stringify({ error: 'nrclex is not installed' })),
+      answering(JSON.stringify({ top_emotion: 'neutral', scores: {} })),
+      answering(),
+      async () => { throw new Error('spawn python ENOENT'); },
+    ];
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+      for (const run of runs) {
+        const analyzer = createPythonAnalyzer({ fallback, run });
+        assert.equal((await analyzer.analyze('scared')).top_emotion, 'fear');
+        await analyzer.analyze('scared again');
+      }
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(warnings.length, runs.length); // once per analyzer
+  });
+});
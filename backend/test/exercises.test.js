@@ -0,0 +1,99 @@
+/**
+ * Guided exercise tests
+ *
+ * Exercises start from the picker or a chat message, walk through their
+ * steps one at a time, insist on answers to questions, end with a summary
+ * of the answers, and can be left at any point.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../storage/memoryStore');
+const exercises = require('../exercises');
+const { EXERCISES } = require('../exercises/scripts');
+
+const THOUGHT_ANSWERS = ['Presentation at work', 'I will mess it up', 'Anxious, 8/10', 'I forgot a slide once', 'I practised a lot', 'I am prepared enough', 'Calmer, 5/10'];
+
+describe('exercise scripts', () => {
+  test('every exercise has English and Hindi texts and ends with a summary', () => {
+    for (const exercise of EXERCISES) {
+      for (const texts of [exercise.title, exercise.description, ...exercise.steps.map((step) => step.text)]) {
+        assert.ok(texts.en && texts.hi, exercise.id);
+      }
+      assert.equal(exercise.steps[exercise.steps.length - 1].kind, 'summary', exercise.id);
+      assert.ok(exercise.steps.slice(0, -1).every((step) => step.kind !== 'summary'), exercise.id);
+    }
+  });
+
+  test('the picker lists every exercise in the requested language', () => {
+    const listed = exercises.listExercises('hi');
+    assert.deepEqual(listed.map((exercise) => exercise.id), ['box_breathing', 'grounding_54321', 'thought_record']);
+    assert.equal(listed[0].title, 'बॉक्स ब्रीदिंग');
+    assert.equal(exercises.listExercises('ta')[0].title, 'Box breathing');
+  });
+});
+
+describe('chat requests', () => {
+  test('messages can start an exercise', () => {
+    assert.equal(exercises.findExerciseRequest('Can we try a breathing exercise?'), 'box_breathing');
+    assert.equal(exercises.findExerciseRequest('help me do the 5-4-3-2-1 thing'), 'grounding_54321');
+    assert.equal(exercises.findExerciseRequest('Can you help me reframe my thoughts?'), 'thought_record');
+    assert.equal(exercises.findExerciseRequest('I could not breathe at the gym'), null);
+  });
+
+  test('stop phrases leave, but only on their own', () => {
+    for (const message of ['stop', 'Stop!', 'band karo', 'बस']) assert.equal(exercises.isStopRequest(message), true, message);
+    assert.equal(exercises.isStopRequest('I cannot stop worrying'), false);
+  });
+});
+
+describe('exercise mode', () => {
+  beforeEach(() => {
+    exercises.setStore(createMemoryStore());
+  });
+
+  test('walks through the steps and fills the summary from the answers', async () => {
+    let view = await exercises.startExercise('s1', 'thought_record', 'en');
+    assert.deepEqual([view.stepIndex, view.step.kind, view.completed], [0, 'info', false]);
+
+    view = await exercises.advanceExercise('s1', '', 'en'); // anything moves past the info step
+    for (const answer of THOUGHT_ANSWERS) {
+      assert.equal(view.step.kind, 'question');
+      view = await exercises.advanceExercise('s1', answer, 'en');
+    }
+
+    assert.equal(view.completed, true);
+    assert.match(view.step.text, /Situation: Presentation at work/);
+    assert.match(view.step.text, /Feeling now: Calmer, 5\/10/);
+    assert.equal(await exercises.getActiveExercise('s1'), null); // the summary ends exercise mode
+  });
+
+  test('questions need an answer', async () => {
+    await exercises.startExercise('s1', 'thought_record', 'en');
+    await exercises.advanceExercise('s1', 'ok', 'en');
+    const view = await exercises.advanceExercise('s1', '   ', 'en');
+    assert.deepEqual([view.stepIndex, view.needsAnswer], [1, true]);
+    assert.equal((await exercises.getCurrentStep('s1', 'en')).stepIndex, 1);
+  });
+
+  test('steps come in the requested language', async () => {
+    const view = await exercises.startExercise('s1', 'box_breathing', 'hi');
+    assert.equal(view.title, 'बॉक्स ब्रीदिंग');
+    const breathing = await exercises.advanceExercise('s1', 'ok', 'hi');
+    assert.equal(breathing.step.kind, 'breathing');
+    assert.equal(breathing.step.rounds, 4);
+    assert.deepEqual(breathing.step.phases.map((phase) => phase.cue), ['inhale', 'hold', 'exhale', 'hold']);
+  });
+
+  test('stopping or an unknown exercise leaves exercise mode', async () => {
+    assert.equal(await exercises.startExercise('s1', 'unknown', 'en'), null);
+    await exercises.startExercise('s1', 'grounding_54321', 'en');
+    assert.equal((await exercises.getActiveExercise('s1')).exerciseId, 'grounding_54321');
+    await exercises.stopExercise('s1');
+    assert.equal(await exercises.getCurrentStep('s1', 'en'), null);
+    assert.equal(await exercises.advanceExercise('s1', 'hello', 'en'), null);
+  });
+});
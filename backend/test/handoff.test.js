@@ -0,0 +1,176 @@
+/**
+ * Human handoff tests
+ *
+ * Sessions with very high stress can queue for a counselor, one counselor
+ * picks each of them up, and only the live chat accepts relayed messages,
+ * which reach that counselor's consoles and no one else's.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../storage/memoryStore');
+const transcripts = require('../transcripts');
+const handoff = require('../handoff');
+const { attachHandoffRelay } = require('../handoff/relay');
+const { attachChatChannel } = require('../realtime/chat');
+const { sessionRoom, counselorRoom, SESSIONS, COUNSELORS } = require('../realtime');
+
+const ASHA = { id: 'c1', name: 'Asha' };
+const RAVI = { id: 'c2', name: 'Ravi' };
+
+const turn = (stressLevel, riskLevel = 'none') => ({ user: 'hi', bot: 'hello', stressLevel, emotion: 'sadness', riskLevel });
+
+describe('handoff', () => {
+  beforeEach(async () => {
+    transcripts.setStore(createMemoryStore());
+    handoff.setStore(createMemoryStore());
+    await transcripts.appendTurn('calm', turn(1));
+    await transcripts.appendTurn('stressed', turn(3, 'moderate'));
+    await transcripts.appendTurn('stressed', turn(1));
+    await transcripts.appendTurn('crisis', turn(2, 'critical'));
+  });
+
+  test('only sessions with recent very high stress or a crisis can ask', async () => {
+    await assert.rejects(handoff.requestHandoff('calm'), { code: 'not_eligible' });
+    const record = await handoff.requestHandoff('stressed');
+    assert.equal(record.status, 'waiting');
+    assert.equal(record.stressLevel, 3);
+    assert.equal((await handoff.requestHandoff('crisis')).riskLevel, 'critical');
+  });
+
+  test('stress from before the recent turns no longer counts', async () => {
+    for (let i = 0; i < 5; i += 1) await transcripts.appendTurn('stressed', turn(0));
+    await assert.rejects(handoff.requestHandoff('stressed'), { code: 'not_eligible' });
+  });
+
+  test('the queue lists waiting sessions first, longest wait first', async () => {
+    await handoff.requestHandoff('stressed');
+    await handoff.requestHandoff('crisis');
+    assert.equal((await handoff.requestHandoff('stressed')).status, 'waiting'); // asking twice keeps the place
+    await handoff.acceptHandoff('stressed', ASHA);
+
+    const queue = await handoff.listQueue();
+    assert.deepEqual(queue.map((record) => [record.sessionId, record.status]), [['crisis', 'waiting'], ['stressed', 'active']]);
+  });
+
+  test('a waiting session goes to one counselor only', async () => {
+    await handoff.requestHandoff('stressed');
+    const record = await handoff.acceptHandoff('stressed', ASHA);
+    assert.deepEqual(record.counselor, ASHA);
+    assert.equal((await handoff.acceptHandoff('stressed', ASHA)).status, 'active');
+    await assert.rejects(handoff.acceptHandoff('stressed', RAVI), { code: 'taken' });
+    await assert.rejects(handoff.acceptHandoff('calm', RAVI), { code: 'not_waiting' });
+  });
+
+  test('messages are relayed only while the chat is live', async () => {
+    await handoff.requestHandoff('stressed');
+    await assert.rejects(handoff.addMessage('stressed', { from: 'user' }, 'hello?'), { code: 'not_active' });
+
+    await handoff.acceptHandoff('stressed', ASHA);
+    await handoff.addMessage('stressed', { from: 'user' }, 'hello?', { riskLevel: 'none' });
+    await handoff.addMessage('stressed', { from: 'counselor', ...ASHA }, 'Hi, I am Asha.');
+    await assert.rejects(handoff.addMessage('stressed', { from: 'counselor', ...RAVI }, 'Hi'), { code: 'not_assigned' });
+
+    const ended = await handoff.endHandoff('stressed', { from: 'user' });
+    assert.equal(ended.endedBy, 'user');
+    assert.deepEqual(ended.messages.map((m) => [m.from, m.name, m.text]), [
+      ['user', undefined, 'hello?'],
+      ['counselor', 'Asha', 'Hi, I am Asha.'],
+    ]);
+    await assert.rejects(handoff.addMessage('stressed', { from: 'user' }, 'still there?'), { code: 'not_active' });
+    assert.deepEqual(await handoff.listQueue(), []);
+  });
+
+  test('only the counselor on the chat can end it', async () => {
+    await handoff.requestHandoff('stressed');
+    assert.equal(await handoff.isLiveHandoff('stressed'), false);
+    await handoff.acceptHandoff('stressed', ASHA);
+    assert.equal(await handoff.isLiveHandoff('stressed'), true);
+
+    await assert.rejects(handoff.endHandoff('stressed', { from: 'counselor', ...RAVI }), { code: 'not_assigned' });
+    assert.equal(await handoff.isLiveHandoff('stressed'), true);
+    assert.equal((await handoff.endHandoff('stressed', { from: 'counselor', ...ASHA })).endedBy, 'counselor');
+    assert.equal(await handoff.isLiveHandoff('stressed'), false);
+  });
+
+  test('the person sees the counselor by name only', async () => {
+    await handoff.requestHandoff('stressed');
+    const record = await handoff.acceptHandoff('stressed', ASHA);
+    assert.deepEqual(handoff.toPublicHandoff(record).counselor, { name: 'Asha' });
+    assert.equal(handoff.toPublicHandoff(null), null);
+  });
+});
+
+// Just enough of createRealtimeServer() to deliver frames to the sockets in each room
+function createFakeRealtime() {
+  const handlers = {};
+  const sockets = [];
+  const inRoom = (room) => sockets.filter((socket) => socket.rooms.includes(room));
+  return {
+    on: (type, handler) => { handlers[type] = handler; },
+    onConnect: () => {},
+    onDisconnect: () => {},
+    sendToRoom: (room, type, data) => inRoom(room).forEach((socket) => socket.send(type, data)),
+    roomSize: (room) => inRoom(room).length,
+    connect: ({ sessionId = null, reviewer = null }) => {
+      const received = [];
+      const rooms = sessionId ? [sessionRoom(sessionId), SESSIONS] : [COUNSELORS, counselorRoom(reviewer.id)];
+      const socket = { identity: { sessionId, ip: '127.0.0.1', reviewer }, rooms, received, send: (type, data) => received.push({ ...data, type }) };
+      sockets.push(socket);
+      return socket;
+    },
+    dispatch: (type, socket, frame = {}) => handlers[type](socket, frame),
+  };
+}
+
+describe('counselor relay', () => {
+  let realtime;
+  let asha;
+  let ravi;
+  let person;
+
+  beforeEach(async () => {
+    transcripts.setStore(createMemoryStore());
+    handoff.setStore(createMemoryStore());
+    await transcripts.appendTurn('stressed', turn(3, 'moderate'));
+    realtime = createFakeRealtime();
+    attachHandoffRelay(realtime);
+    attachChatChannel(realtime, { answer: async () => { throw new Error('not asked during a counselor chat'); } });
+    asha = realtime.connect({ reviewer: ASHA });
+    ravi = realtime.connect({ reviewer: RAVI });
+    person = realtime.connect({ sessionId: 'stressed' });
+  });
+
+  const received = (socket, type) => socket.received.filter((frame) => frame.type === type);
+
+  test('a waiting person shows up in every queue, but their typing reaches no one', async () => {
+    await realtime.dispatch('handoff:request', person);
+    await realtime.dispatch('chat:typing', person, { typing: true });
+
+    for (const counselor of [asha, ravi]) {
+      const [{ queue }] = received(counselor, 'handoff:queue');
+      assert.equal(queue[0].sessionId, 'stressed');
+      assert.deepEqual(received(counselor, 'typing'), []);
+    }
+  });
+
+  test('messages and typing go only to the counselor who accepted', async () => {
+    await realtime.dispatch('handoff:request', person);
+    await realtime.dispatch('counselor:accept', asha, { sessionId: 'stressed' });
+    await realtime.dispatch('chat:typing', person, { typing: true });
+    await realtime.dispatch('handoff:message', person, { text: 'I cannot stop crying' });
+    await realtime.dispatch('counselor:message', asha, { sessionId: 'stressed', text: 'I am here with you' });
+
+    assert.deepEqual(received(asha, 'typing').map((frame) => frame.typing), [true]);
+    assert.deepEqual(received(asha, 'handoff:message').map((frame) => frame.message.text), ['I cannot stop crying', 'I am here with you']);
+    assert.deepEqual(received(ravi, 'typing'), []);
+    assert.deepEqual(received(ravi, 'handoff:message'), []);
+    assert.doesNotMatch(JSON.stringify(ravi.received), /crying/);
+
+    await assert.rejects(realtime.dispatch('counselor:open', ravi, { sessionId: 'stressed' }), { code: 'not_assigned' });
+    assert.deepEqual(received(ravi, 'handoff:detail'), []);
+  });
+});
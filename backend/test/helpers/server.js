@@ -0,0 +1,47 @@
+/**
+ * Test helper: the real server in demo mode
+ *
+ * Starts index.js in a child process with the mock provider and nothing
+ * stored, on a random port:
+ *   const server = await startServer();
+ *   await fetch(`${server.baseUrl}/api/chat`, ...);
+ *   server.stop();
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const START_TIMEOUT_MS = 15000;
+
+/**
+ * @param {object} [env] - Extra environment variables
+ * @returns {Promise<object>} - { baseUrl, stop() }
+ */
+function startServer(env = {}) {
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'index.js')], {
+    env: { ...process.env, PORT: String(port), LLM_PROVIDER: 'mock', MEMORY_STORE: 'memory', NODE_ENV: 'test', ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const server = { baseUrl: `http://127.0.0.1:${port}`, stop: () => child.kill() };
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error('The server did not start'));
+    }, START_TIMEOUT_MS);
+    child.stdout.on('data', (data) => {
+      if (String(data).includes('Server running')) {
+        clearTimeout(timer);
+        resolve(server);
+      }
+    });
+    child.stderr.resume();
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`The server exited with code ${code}`));
+    });
+  });
+}
+
+module.exports = { startServer };
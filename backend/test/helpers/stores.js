@@ -0,0 +1,37 @@
+/**
+ * Test helper: fresh in-memory stores for every module that keeps data
+ *
+ * Call it from beforeEach so each test starts with nothing stored. Pass a
+ * store by name to look inside it from the test:
+ *   const emails = createMemoryStore();
+ *   resetStores({ emails });
+ *
+ * Names: transcripts, memory, moodHistory, exercises, conversations,
+ * handoff, reviews, users, emails, owners, summaries, profiles
+ */
+
+const { createMemoryStore } = require('../../storage/memoryStore');
+const transcripts = require('../../transcripts');
+const memory = require('../../memory');
+const moodHistory = require('../../moodHistory');
+const exercises = require('../../exercises');
+const conversations = require('../../conversations');
+const handoff = require('../../handoff');
+const review = require('../../review');
+const auth = require('../../auth');
+const profile = require('../../profile');
+
+function resetStores(stores = {}) {
+  const store = (name) => stores[name] || createMemoryStore();
+  transcripts.setStore(store('transcripts'));
+  memory.setStore(store('memory'));
+  moodHistory.setStore(store('moodHistory'));
+  exercises.setStore(store('exercises'));
+  conversations.setStore(store('conversations'));
+  handoff.setStore(store('handoff'));
+  review.setStore(store('reviews'));
+  auth.setStores({ users: store('users'), emails: store('emails'), owners: store('owners') });
+  profile.setStores({ summaries: store('summaries'), profiles: store('profiles') });
+}
+
+module.exports = { resetStores };
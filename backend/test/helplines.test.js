@@ -0,0 +1,64 @@
+/**
+ * Helpline directory tests
+ *
+ * Regions are worked out from region codes, locales and Accept-Language
+ * headers, every region has a reachable primary and youth line, and
+ * contacts read naturally in each language.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_REGION, getHelplines, getPrimaryHelpline, listRegions, resolveRegion, describeContact } = require('../helplines');
+const { getStrings } = require('../i18n');
+
+describe('resolveRegion', () => {
+  test('reads region codes, locales and Accept-Language headers', () => {
+    assert.equal(resolveRegion('US'), 'US');
+    assert.equal(resolveRegion('en-GB'), 'GB');
+    assert.equal(resolveRegion('hi_IN'), 'IN');
+    assert.equal(resolveRegion('fr-FR,en-US;q=0.8'), 'US');
+  });
+
+  test('falls back to India', () => {
+    for (const value of [undefined, '', 'fr-FR', 42]) {
+      assert.equal(resolveRegion(value), DEFAULT_REGION);
+    }
+    assert.equal(DEFAULT_REGION, 'IN');
+  });
+});
+
+describe('directory', () => {
+  test('every region has a primary line and a youth line that can be reached', () => {
+    for (const { code, name } of listRegions()) {
+      const entry = getHelplines(code);
+      assert.equal(entry.region, code);
+      assert.equal(entry.name, name);
+      assert.equal(getPrimaryHelpline(code), entry.helplines[0]);
+      for (const helpline of [...entry.helplines, entry.youth]) {
+        assert.ok(helpline.name, code);
+        assert.ok(helpline.phone || helpline.sms, `${code}: ${helpline.name}`);
+        if (helpline.website) assert.match(helpline.website, /^https?:\/\//);
+      }
+    }
+  });
+
+  test('India comes first with Tele-MANAS', () => {
+    assert.equal(listRegions()[0].code, 'IN');
+    assert.equal(getPrimaryHelpline('IN').phone, '14416');
+  });
+});
+
+describe('describeContact', () => {
+  test('calls when there is a number, texts otherwise', () => {
+    assert.equal(describeContact(getPrimaryHelpline('IN')), 'call Tele-MANAS at 14416');
+    const shout = getHelplines('GB').helplines.find((helpline) => !helpline.phone);
+    assert.equal(describeContact(shout), 'text SHOUT to 85258 (Shout)');
+  });
+
+  test('uses the locale templates', () => {
+    assert.equal(describeContact(getPrimaryHelpline('IN'), getStrings('hi')), 'Tele-MANAS को 14416 पर कॉल करें');
+  });
+});
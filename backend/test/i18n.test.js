@@ -0,0 +1,86 @@
+/**
+ * Internationalisation tests
+ *
+ * Locales are resolved from settings and headers, a message's own language
+ * wins when it can be told, short messages follow the app's language, and
+ * every locale file has every string English has.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SUPPORTED_LOCALES, resolveLocale, getStrings, format, isGreeting, chooseReplyLanguage, detectLanguage } = require('../i18n');
+
+describe('resolveLocale', () => {
+  test('reads locale settings and Accept-Language headers', () => {
+    assert.equal(resolveLocale('hi'), 'hi');
+    assert.equal(resolveLocale('hi-IN'), 'hi');
+    assert.equal(resolveLocale('HI-latn'), 'hi-Latn');
+    assert.equal(resolveLocale('fr-FR,hi;q=0.8'), 'hi');
+  });
+
+  test('anything unknown is English', () => {
+    for (const value of [undefined, '', 'fr', 7]) assert.equal(resolveLocale(value), 'en');
+  });
+});
+
+describe('detectLanguage', () => {
+  test('Indian scripts by their letters', () => {
+    assert.equal(detectLanguage('मुझे बहुत चिंता हो रही है').code, 'hi');
+    assert.equal(detectLanguage('எனக்கு மிகவும் கவலையாக இருக்கிறது').code, 'ta');
+  });
+
+  test('Hinglish apart from English', () => {
+    assert.equal(detectLanguage('mujhe bahut tension ho raha hai').code, 'hi-Latn');
+    const english = detectLanguage('I am worried about my exams');
+    assert.deepEqual([english.code, english.confident], ['en', true]);
+  });
+
+  test('short messages are not confident', () => {
+    for (const message of ['ok', 'hmm', '😔', 'ठीक']) assert.equal(detectLanguage(message).confident, false, message);
+  });
+});
+
+describe('chooseReplyLanguage', () => {
+  test("the message's language wins when it is clear", () => {
+    assert.equal(chooseReplyLanguage('मुझे बहुत चिंता हो रही है', 'en').locale, 'hi');
+    assert.equal(chooseReplyLanguage('I am worried about my exams', 'hi').code, 'en');
+  });
+
+  test('short messages follow the language picked in the app', () => {
+    assert.deepEqual([chooseReplyLanguage('ok', 'hi').code, chooseReplyLanguage('ok', 'hi').locale], ['hi', 'hi']);
+  });
+
+  test('languages without a locale file reply in their language, with fixed strings in the picked one', () => {
+    const language = chooseReplyLanguage('எனக்கு மிகவும் கவலையாக இருக்கிறது', 'hi');
+    assert.deepEqual([language.code, language.locale], ['ta', 'hi']);
+  });
+});
+
+describe('strings', () => {
+  test('every locale has every English string, with the same placeholders', () => {
+    const english = getStrings('en');
+    const placeholders = (value) => (JSON.stringify(value).match(/\{\w+\}/g) || []).sort();
+    for (const locale of SUPPORTED_LOCALES) {
+      const strings = getStrings(locale);
+      assert.deepEqual(Object.keys(strings).sort(), Object.keys(english).sort(), locale);
+      for (const key of Object.keys(english)) {
+        assert.deepEqual([...new Set(placeholders(strings[key]))], [...new Set(placeholders(english[key]))], `${locale}.${key}`);
+      }
+    }
+    assert.equal(getStrings('ta'), english);
+  });
+
+  test('format fills known placeholders only', () => {
+    assert.equal(format('call {name} at {phone}', { name: 'Tele-MANAS', phone: 14416 }), 'call Tele-MANAS at 14416');
+    assert.equal(format('{unknown} stays', {}), '{unknown} stays');
+  });
+
+  test('greetings in any language, as whole words', () => {
+    assert.equal(isGreeting('Hi there'), true);
+    assert.equal(isGreeting('नमस्ते'), true);
+    assert.equal(isGreeting('this is hard'), false);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Request limit tests
+ *
+ * Long, repeated and flooding messages are refused with the shared error
+ * shape, messages that aren't text never reach the chat, and a crisis
+ * message gets past the usual rate limits to a higher cap of its own, but
+ * is still held to the length limit.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkChatMessage, chatGuard, MAX_MESSAGE_LENGTH, CRISIS_SESSION_LIMIT } = require('../limits');
+const { createRateLimiter } = require('../limits/rateLimiter');
+
+// Each test uses its own session and IP, since the limiters live for the whole process
+const attempt = (message, n) => ({ message, sessionId: `limits-session-${n}`, ip: `10.0.0.${n}` });
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+describe('checkChatMessage', () => {
+  test('messages over the length limit', () => {
+    const refusal = checkChatMessage(attempt('a'.repeat(MAX_MESSAGE_LENGTH + 1), 1));
+    assert.equal(refusal.status, 413);
+    assert.equal(refusal.code, 'message_too_long');
+    assert.equal(refusal.maxLength, MAX_MESSAGE_LENGTH);
+  });
+
+  test('the same message sent again and again', () => {
+    const results = [1, 2, 3, 4].map(() => checkChatMessage(attempt('hello again', 2)));
+    assert.deepEqual(results.slice(0, 3), [null, null, null]);
+    assert.equal(results[3].status, 429);
+    assert.equal(results[3].code, 'spam');
+    assert.ok(results[3].retryAfter > 0);
+  });
+
+  test('one phrase repeated to fill a message', () => {
+    assert.equal(checkChatMessage(attempt('buy now '.repeat(40), 3)).code, 'spam');
+  });
+
+  test('a crisis message gets past the usual limits up to its own cap', () => {
+    for (let i = 0; i < CRISIS_SESSION_LIMIT; i += 1) {
+      assert.equal(checkChatMessage(attempt('I want to kill myself', 4)), null);
+    }
+    const refusal = checkChatMessage(attempt('I want to kill myself', 4));
+    assert.equal(refusal.status, 429);
+    assert.equal(refusal.code, 'rate_limited');
+  });
+
+  test('a crisis message over the length limit is still refused', () => {
+    const refusal = checkChatMessage(attempt(`${'a'.repeat(MAX_MESSAGE_LENGTH)} I want to die`, 5));
+    assert.equal(refusal.status, 413);
+    assert.equal(refusal.code, 'message_too_long');
+  });
+});
+
+describe('chatGuard', () => {
+  test('refuses a message that is not text', () => {
+    for (const message of [123, { a: 1 }, ['hi']]) {
+      const res = fakeResponse();
+      let called = false;
+      chatGuard({ method: 'POST', body: { message }, ip: '10.0.1.1', get: () => undefined }, res, () => { called = true; });
+      assert.equal(called, false);
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.code, 'invalid_message');
+    }
+  });
+
+  test('passes text on, and sets Retry-After on a 429', () => {
+    const req = { method: 'POST', body: { message: 'same words' }, ip: '10.0.1.2', get: () => undefined };
+    let passed = 0;
+    let res;
+    for (let i = 0; i < 4; i += 1) {
+      res = fakeResponse();
+      chatGuard(req, res, () => { passed += 1; });
+    }
+    assert.equal(passed, 3);
+    assert.equal(res.statusCode, 429);
+    assert.ok(res.headers['Retry-After']);
+  });
+});
+
+describe('createRateLimiter', () => {
+  test('allows max hits per key in the window', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 2 });
+    assert.equal(limiter.hit('a').allowed, true);
+    assert.equal(limiter.hit('a').allowed, true);
+    assert.equal(limiter.hit('a').allowed, false);
+    assert.equal(limiter.hit('b').allowed, true);
+  });
+
+  test('0 turns it off', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 0 });
+    for (let i = 0; i < 5; i += 1) assert.equal(limiter.hit('a').allowed, true);
+  });
+});
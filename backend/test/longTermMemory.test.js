@@ -0,0 +1,143 @@
+/**
+ * Long-term memory tests
+ *
+ * Facts are picked out of messages, older exchanges are folded into a
+ * rolling summary (by the AI, or locally when it can't), prompts get the
+ * relevant parts (the name only once allowed), and everything can be forgotten.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const memory = require('../memory');
+const auth = require('../auth');
+const profile = require('../profile');
+const { extractFacts } = require('../profile/facts');
+const { selectFacts, selectExchanges } = require('../profile/relevance');
+const { resetStores } = require('./helpers/stores');
+
+const SESSION = 'session-longterm';
+
+async function chat(messages) {
+  for (const message of messages) {
+    await memory.addExchange(SESSION, message, 'I hear you.');
+    await new Promise((resolve) => setTimeout(resolve, 2)); // distinct timestamps
+  }
+}
+
+describe('profile facts', () => {
+  test('finds names, stressors and what helped', () => {
+    assert.deepEqual(extractFacts('Hi, my name is priya and I am worried about my exams next week.'), [
+      { kind: 'name', text: 'Priya' },
+      { kind: 'stressor', text: 'exams next week' },
+    ]);
+    assert.deepEqual(extractFacts('mera naam Ravi hai'), [{ kind: 'name', text: 'Ravi' }]);
+    assert.deepEqual(extractFacts('I think going for a walk really helped'), [{ kind: 'coping', text: 'going for a walk' }]);
+    assert.deepEqual(extractFacts('Work is stressing me out'), [{ kind: 'stressor', text: 'Work' }]);
+  });
+
+  test('leaves out what is not a lasting fact', () => {
+    assert.deepEqual(extractFacts('Nothing helped at all'), []);
+    assert.deepEqual(extractFacts('thanks, that helps'), []);
+    assert.deepEqual(extractFacts('call me later please'), []);
+    assert.deepEqual(extractFacts('I am anxious about everything'), []);
+  });
+});
+
+describe('relevance', () => {
+  const fact = (kind, text, ts) => ({ id: text, kind, text, ts });
+
+  test('the name always, then facts related to the message, then the newest', () => {
+    const facts = [
+      fact('name', 'Priya', 1),
+      fact('stressor', 'exams next week', 2),
+      ...['a', 'b', 'c', 'd', 'e', 'f'].map((text, idx) => fact('detail', `likes ${text}${text}${text}`, 10 + idx)),
+    ];
+    const chosen = selectFacts(facts, 'My exam is tomorrow').map((item) => item.text);
+    assert.equal(chosen.length, 6);
+    assert.deepEqual(chosen.slice(0, 3), ['Priya', 'exams next week', 'likes fff']);
+  });
+
+  test('the last exchanges always, older ones only when related and not summarized', () => {
+    const exchanges = ['my sister visited', 'exams are close', 'slept badly', 'hello', 'okay'].map((user, idx) => ({ user, bot: '', ts: idx + 1 }));
+    assert.deepEqual(selectExchanges(exchanges, 'I keep thinking about the exams', 0).map((item) => item.user), ['exams are close', 'hello', 'okay']);
+    assert.deepEqual(selectExchanges(exchanges, 'I keep thinking about the exams', 2).map((item) => item.user), ['hello', 'okay']);
+  });
+});
+
+describe('long-term memory', () => {
+  beforeEach(() => {
+    resetStores();
+  });
+
+  test('older exchanges are summarized by the AI, with the facts it noticed', async () => {
+    await chat(['one', 'two', 'three', 'four', 'five', 'six', 'seven']);
+    const generate = async () => JSON.stringify({ summary: 'The user is worried about exams.', facts: [{ kind: 'detail', text: 'has a younger sister' }] });
+    assert.equal(await profile.summarizeIfDue(SESSION, generate), false); // only 3 behind the recent 4
+
+    await chat(['eight']);
+    assert.equal(await profile.summarizeIfDue(SESSION, generate), true);
+    const remembered = await profile.getMemory(SESSION);
+    assert.equal(remembered.summary.text, 'The user is worried about exams.');
+    assert.deepEqual(remembered.facts.map((item) => item.text), ['has a younger sister']);
+  });
+
+  test('an unusable AI answer gives a local summary', async () => {
+    await chat(['I failed my test. It was awful', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight']);
+    await profile.summarizeIfDue(SESSION, async () => 'not json');
+    const { summary } = await profile.getMemory(SESSION);
+    assert.equal(summary.text, 'The user talked about: I failed my test.; two; three; four');
+  });
+
+  test('prompts get the facts, the summary and the recent turns', async () => {
+    await chat(['one', 'two']);
+    await profile.rememberTurn(SESSION, 'my name is Asha and I am stressed about work');
+    await profile.setUseName(SESSION, true);
+    const context = await profile.buildMemoryContext(SESSION, 'work again', await memory.getRecentExchanges(SESSION));
+    assert.match(context, /- Name: Asha\n- Stressed by: work/);
+    assert.match(context, /Recent turns:\nUser: one\nBot: I hear you\.\nUser: two/);
+    assert.equal(await profile.buildMemoryContext('session-empty', 'hi', []), '');
+  });
+
+  test('facts are kept with personal details redacted, and the name stays out of prompts until allowed', async () => {
+    await profile.rememberTurn(SESSION, 'my name is Asha');
+    await profile.rememberTurn(SESSION, 'I am stressed about my ex who keeps calling me from 98765 43210 and asha@example.com');
+    const { facts, useName } = await profile.getMemory(SESSION);
+    assert.deepEqual(facts.map((item) => item.text), ['Asha', 'ex who keeps calling me from [phone] and [email]']);
+    assert.equal(useName, false);
+    assert.doesNotMatch(await profile.buildMemoryContext(SESSION, 'hi', []), /Asha/);
+
+    await profile.setUseName(SESSION, true);
+    assert.match(await profile.buildMemoryContext(SESSION, 'hi', []), /- Name: Asha/);
+  });
+
+  test("an account's facts follow it into its other conversations", async () => {
+    await auth.claimSession('user-1', SESSION);
+    await auth.claimSession('user-1', 'session-other');
+    await profile.rememberTurn(SESSION, 'call me Dev');
+    const { facts } = await profile.getMemory('session-other');
+    assert.deepEqual(facts.map((item) => item.text), ['Dev']);
+  });
+
+  test('facts and the summary can be forgotten', async () => {
+    await profile.rememberTurn(SESSION, 'my name is Asha');
+    await profile.rememberTurn(SESSION, 'music calms me down');
+    const { facts } = await profile.getMemory(SESSION);
+
+    assert.equal(await profile.forgetFact(SESSION, facts[0].id), true);
+    assert.equal(await profile.forgetFact(SESSION, facts[0].id), false);
+    assert.deepEqual((await profile.getMemory(SESSION)).facts.map((item) => item.text), ['music']);
+
+    await chat(['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight']);
+    await profile.summarizeIfDue(SESSION);
+    await profile.forgetSummary(SESSION);
+    assert.equal((await profile.getMemory(SESSION)).summary, null);
+    assert.equal(await profile.summarizeIfDue(SESSION), false); // those exchanges don't come back
+
+    await profile.forgetAll(SESSION);
+    assert.deepEqual(await profile.getMemory(SESSION), { facts: [], useName: false, summary: null });
+    assert.deepEqual(await memory.getRecentExchanges(SESSION), []);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Conversation memory tests
+ *
+ * Each session keeps its own last few exchanges, idle sessions expire,
+ * and IDs that don't look like a session ID are ignored.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../storage/memoryStore');
+const memory = require('../memory');
+
+describe('conversation memory', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = createMemoryStore();
+    memory.setStore(stored);
+  });
+
+  test('sessions never see each other', async () => {
+    await memory.addExchange('session-a', 'I feel low', 'I hear you.');
+    await memory.addExchange('session-b', 'Exams tomorrow', 'That sounds stressful.');
+
+    assert.deepEqual((await memory.getRecentExchanges('session-a')).map((item) => item.user), ['I feel low']);
+    assert.deepEqual((await memory.getRecentExchanges('session-b')).map((item) => item.user), ['Exams tomorrow']);
+    assert.deepEqual(await memory.getRecentExchanges('session-c'), []);
+  });
+
+  test('only the last 10 exchanges are kept, with their extra data', async () => {
+    for (let i = 1; i <= 12; i += 1) {
+      await memory.addExchange('session-a', `message ${i}`, 'ok', { riskLevel: 'none' });
+    }
+    const items = await memory.getRecentExchanges('session-a');
+    assert.equal(items.length, 10);
+    assert.equal(items[0].user, 'message 3');
+    assert.equal(items[9].riskLevel, 'none');
+  });
+
+  test('idle sessions expire', async () => {
+    await stored.update('session-old', () => ({ createdAt: 1, updatedAt: 1, items: [{ user: 'hi', bot: 'hello', ts: 1 }] }));
+    assert.deepEqual(await memory.getRecentExchanges('session-old'), []);
+
+    await memory.addExchange('session-old', 'back again', 'Welcome back.');
+    assert.deepEqual((await memory.getRecentExchanges('session-old')).map((item) => item.user), ['back again']);
+  });
+
+  test('invalid session IDs are ignored', async () => {
+    for (const id of [null, 'short', 'has spaces in it', '../../etc/passwd', 'x'.repeat(65)]) {
+      assert.equal(memory.isValidSessionId(id), false);
+      await memory.addExchange(id, 'hi', 'hello');
+      assert.deepEqual(await memory.getRecentExchanges(id), []);
+    }
+    assert.deepEqual(await stored.list(), []);
+    assert.equal(memory.isValidSessionId(memory.createSessionId()), true);
+  });
+
+  test('clearSession forgets a session', async () => {
+    await memory.addExchange('session-a', 'hi', 'hello');
+    await memory.clearSession('session-a');
+    assert.deepEqual(await memory.getRecentExchanges('session-a'), []);
+  });
+});
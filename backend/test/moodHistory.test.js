@@ -0,0 +1,112 @@
+/**
+ * Mood history tests
+ *
+ * Every chat turn adds a mood point, journal entries are kept with an
+ * optional stress level, anything past the retention window or the
+ * requested range is left out, and one person's conversations make one
+ * timeline.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../storage/memoryStore');
+const moodHistory = require('../moodHistory');
+const { startServer } = require('./helpers/server');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('mood history', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = createMemoryStore();
+    moodHistory.setStore(stored);
+  });
+
+  test('records a point for each turn', async () => {
+    await moodHistory.recordMood('s1', { stressLevel: 3, emotion: 'fear', riskLevel: 'moderate' });
+    await moodHistory.recordMood('s1', { stressLevel: 1, emotion: 'trust', riskLevel: 'none' });
+
+    const { points, journal } = await moodHistory.getMoodHistory('s1');
+    assert.deepEqual(points.map((point) => [point.stressLevel, point.emotion, point.riskLevel]), [[3, 'fear', 'moderate'], [1, 'trust', 'none']]);
+    assert.deepEqual(journal, []);
+    assert.deepEqual(await moodHistory.getMoodHistory('s2'), { points: [], journal: [] });
+  });
+
+  test('journal entries are trimmed and keep a valid stress level only', async () => {
+    const entry = await moodHistory.addJournalEntry('s1', { text: `  ${'a'.repeat(moodHistory.MAX_JOURNAL_LENGTH + 10)}  `, stressLevel: 2 });
+    assert.equal(entry.text.length, moodHistory.MAX_JOURNAL_LENGTH);
+    assert.equal(entry.stressLevel, 2);
+    for (const stressLevel of [undefined, 5, -1, 1.5, '2']) {
+      assert.equal((await moodHistory.addJournalEntry('s1', { text: 'ok', stressLevel })).stressLevel, null);
+    }
+  });
+
+  test('journal entries can be deleted', async () => {
+    const entry = await moodHistory.addJournalEntry('s1', { text: 'rough day' });
+    assert.equal(await moodHistory.deleteJournalEntry('s1', entry.id), true);
+    assert.equal(await moodHistory.deleteJournalEntry('s1', entry.id), false);
+    assert.equal(await moodHistory.deleteJournalEntry('unknown', entry.id), false);
+    assert.deepEqual((await moodHistory.getMoodHistory('s1')).journal, []);
+  });
+
+  test('only the requested days are returned, and old points are dropped', async () => {
+    const now = Date.now();
+    await stored.update('s1', () => ({
+      points: [{ ts: now - 200 * DAY_MS, stressLevel: 4 }, { ts: now - 10 * DAY_MS, stressLevel: 2 }],
+      journal: [{ id: 'j1', ts: now - 10 * DAY_MS, text: 'last week' }],
+      updatedAt: now,
+    }));
+    assert.equal((await moodHistory.getMoodHistory('s1', { days: 7 })).journal.length, 0);
+    assert.equal((await moodHistory.getMoodHistory('s1', { days: 30 })).points.length, 1);
+
+    await moodHistory.recordMood('s1', { stressLevel: 0, emotion: 'neutral', riskLevel: 'none' });
+    assert.deepEqual((await moodHistory.getMoodHistory('s1')).points.map((point) => point.stressLevel), [2, 0]);
+  });
+
+  test('several sessions make one timeline', async () => {
+    await moodHistory.recordMood('s1', { stressLevel: 3, emotion: 'fear', riskLevel: 'none' });
+    await new Promise((resolve) => setTimeout(resolve, 2)); // distinct timestamps
+    const entry = await moodHistory.addJournalEntry('s2', { text: 'better today' });
+    await moodHistory.recordMood('s2', { stressLevel: 1, emotion: 'joy', riskLevel: 'none' });
+
+    const { points, journal } = await moodHistory.getCombinedMoodHistory(['s2', 's1', 's2']);
+    assert.deepEqual(points.map((point) => point.stressLevel), [3, 1]);
+    assert.deepEqual(journal, [{ ...entry, sessionId: 's2' }]);
+  });
+
+  test('deleteMoodHistory forgets the session', async () => {
+    await moodHistory.recordMood('s1', { stressLevel: 1, emotion: 'neutral', riskLevel: 'none' });
+    await moodHistory.deleteMoodHistory('s1');
+    assert.deepEqual(await moodHistory.getMoodHistory('s1'), { points: [], journal: [] });
+  });
+});
+
+describe('GET /api/history/mood', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  const chat = async (message) => (await fetch(`${server.baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, consent: 'store' }),
+  })).json();
+
+  test('two conversations feed one timeline', async () => {
+    const first = await chat('Exams start next week');
+    const second = await chat('I slept well for once');
+    assert.notEqual(first.sessionId, second.sessionId);
+
+    const res = await fetch(`${server.baseUrl}/api/history/mood?sessionId=${second.sessionId}&sessionIds=${first.sessionId}`);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).points.length, 2);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Onboarding choice tests
+ *
+ * A conversation the person chose not to store stays in process memory
+ * only (and can still reach a counselor), even when imported, and minors
+ * get a prompt written for their age with their region's youth helpline.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../storage/memoryStore');
+const memory = require('../memory');
+const handoff = require('../handoff');
+const exercises = require('../exercises');
+const { getHelplines, listLinkDomains } = require('../helplines');
+const { buildChatPrompt } = require('../prompts');
+const { resetStores } = require('./helpers/stores');
+const { startServer } = require('./helpers/server');
+
+const ENGLISH = { code: 'en', name: 'English', script: 'Latin', romanized: false, locale: 'en' };
+
+describe('unsaved conversations', () => {
+  let stored;
+  let storedExercises;
+  let storedHandoffs;
+
+  beforeEach(() => {
+    stored = createMemoryStore();
+    storedExercises = createMemoryStore();
+    storedHandoffs = createMemoryStore();
+    resetStores({ memory: stored, exercises: storedExercises, handoff: storedHandoffs });
+  });
+
+  test('are kept for the conversation but never written to the store', async () => {
+    await memory.addExchange('session-unsaved', 'I feel low', 'I hear you.', {}, { ephemeral: true });
+    await memory.addExchange('session-saved', 'I feel low', 'I hear you.');
+
+    assert.equal((await memory.getRecentExchanges('session-unsaved')).length, 1);
+    assert.equal(await stored.get('session-unsaved'), null);
+    assert.equal((await stored.get('session-saved')).items.length, 1);
+
+    await memory.clearSession('session-unsaved');
+    assert.deepEqual(await memory.getRecentExchanges('session-unsaved'), []);
+  });
+
+  test('can still ask for a counselor after very high stress', async () => {
+    const meta = { risk: { score: 3, level: 'moderate' }, stressLevel: 3 };
+    await memory.addExchange('session-unsaved', "I can't cope", 'I hear you.', meta, { ephemeral: true });
+
+    const record = await handoff.requestHandoff('session-unsaved');
+    assert.equal(record.status, 'waiting');
+    assert.equal(record.stressLevel, 3);
+    assert.equal(record.riskLevel, 'moderate');
+  });
+
+  test('keep exercise answers out of the exercise store', async () => {
+    await exercises.startExercise('session-thoughts', 'thought_record', 'en', { ephemeral: true });
+    await exercises.advanceExercise('session-thoughts', '', 'en'); // past the introduction
+    const view = await exercises.advanceExercise('session-thoughts', 'My boss ignored me today', 'en');
+
+    assert.equal(view.stepIndex, 2);
+    assert.equal((await exercises.getActiveExercise('session-thoughts')).answers.situation, 'My boss ignored me today');
+    assert.equal(await storedExercises.get('session-thoughts'), null);
+
+    await exercises.stopExercise('session-thoughts');
+    assert.equal(await exercises.getActiveExercise('session-thoughts'), null);
+  });
+
+  test('keep a counselor chat out of the handoff store', async () => {
+    const meta = { risk: { score: 60, level: 'critical' }, stressLevel: 4 };
+    await memory.addExchange('session-counselor', 'I want to die', 'Please call 14416.', meta, { ephemeral: true });
+
+    await handoff.requestHandoff('session-counselor');
+    await handoff.acceptHandoff('session-counselor', { id: 'c1', name: 'Asha' });
+    await handoff.addMessage('session-counselor', { from: 'user' }, 'Thank you for being here');
+
+    assert.equal((await handoff.getHandoff('session-counselor')).messages.length, 1);
+    assert.ok((await handoff.listQueue()).some((record) => record.sessionId === 'session-counselor'));
+    assert.equal(await storedHandoffs.get('session-counselor'), null);
+
+    await handoff.deleteHandoff('session-counselor');
+    assert.equal(await handoff.getHandoff('session-counselor'), null);
+  });
+});
+
+describe('POST /api/history/import', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  const transcriptOf = async (sessionId) => (await fetch(`${server.baseUrl}/api/history/transcript?sessionId=${sessionId}`)).json();
+
+  test('honors the consent and age choices', async () => {
+    const chat = await (await fetch(`${server.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Exams start next week', consent: 'store' }),
+    })).json();
+    const exported = await transcriptOf(chat.sessionId);
+
+    const importWith = async (query) => (await fetch(`${server.baseUrl}/api/history/import${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(exported),
+    })).json();
+
+    assert.equal((await transcriptOf((await importWith('')).sessionId)).turns.length, 1);
+    for (const query of ['?consent=ephemeral', '?consent=store&age=minor']) {
+      const imported = await importWith(query);
+      assert.equal(imported.turns.length, 1, query);
+      assert.deepEqual((await transcriptOf(imported.sessionId)).turns, [], query);
+    }
+  });
+});
+
+describe('minors', () => {
+  test('every region has a youth helpline, and replies may link to it', () => {
+    for (const region of ['IN', 'US', 'GB']) {
+      const { youth } = getHelplines(region);
+      assert.ok(youth.name && (youth.phone || youth.sms));
+      assert.ok(listLinkDomains().includes(new URL(youth.website).hostname.replace(/^www\./, '')));
+    }
+  });
+
+  test('get an age-appropriate prompt naming the youth helpline', () => {
+    const { helplines, youth } = getHelplines('IN');
+    const adult = buildChatPrompt('hi', 'neutral', '', helplines[0], ENGLISH);
+    const minor = buildChatPrompt('hi', 'neutral', '', helplines[0], ENGLISH, { youthHelpline: youth });
+
+    assert.doesNotMatch(adult.system, /under 18/);
+    assert.match(minor.system, /under 18/);
+    assert.match(minor.system, /CHILDLINE \(1098\)/);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Privacy tests
+ *
+ * Personal details are redacted before anything is stored or sent to the
+ * AI, stores encrypt their records when a key is set (and accounts made
+ * before still sign in), and "delete all my data" leaves nothing of a
+ * person behind (and nothing of anyone else gone).
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMemoryStore } = require('../storage/memoryStore');
+const { createEncryptedStore, encryptPlaintextRecords, hashRecordId, keyFromSecret } = require('../storage/encryption');
+const { StorageError } = require('../storage/errors');
+const { redactPII, configuredCategories } = require('../privacy/redact');
+const transcripts = require('../transcripts');
+const memory = require('../memory');
+const moodHistory = require('../moodHistory');
+const auth = require('../auth');
+const profile = require('../profile');
+const handoff = require('../handoff');
+const review = require('../review');
+const privacy = require('../privacy');
+const { resetStores } = require('./helpers/stores');
+const { startServer } = require('./helpers/server');
+
+const turn = (user, stressLevel = 1) => ({ user, bot: 'I hear you.', stressLevel, emotion: 'sadness', riskLevel: 'none' });
+
+describe('PII redaction', () => {
+  test('phone numbers, emails, names and addresses', () => {
+    assert.equal(redactPII('Call me on +91 98765 43210 or mail asha.k@example.com'), 'Call me on [phone] or mail [email]');
+    assert.equal(redactPII('My name is Asha and I live at 12 MG Road, Bengaluru. PIN 560001'), 'My name is [name] and I live at [address], Bengaluru. [address]');
+    assert.equal(redactPII('my friend Rahul and Dr. Mehta'), 'my friend [name] and Dr. [name]');
+    assert.equal(redactPII('mera naam Ravi hai'), 'mera naam [name] hai');
+  });
+
+  test('leaves everyday numbers and words alone', () => {
+    for (const text of ['On 2024-10-19 I paid 1500', 'I slept 5 hours on the road', 'call me later', 'I am 17 and my exams are in 3 weeks']) {
+      assert.equal(redactPII(text), text);
+    }
+  });
+
+  test('REDACT_PII picks the categories', () => {
+    assert.deepEqual([...configuredCategories('')], ['email', 'phone', 'address', 'name']);
+    assert.deepEqual([...configuredCategories('off')], []);
+    const noNames = configuredCategories('phone, email');
+    assert.equal(redactPII('my name is Asha, 9876543210', noNames), 'my name is Asha, [phone]');
+  });
+});
+
+describe('encryption at rest', () => {
+  const key = keyFromSecret('a long passphrase');
+
+  test('keys: hex, base64 or a passphrase', () => {
+    const hex = 'ab'.repeat(32);
+    assert.deepEqual(keyFromSecret(hex), Buffer.from(hex, 'hex'));
+    assert.deepEqual(keyFromSecret(Buffer.alloc(32, 7).toString('base64')), Buffer.alloc(32, 7));
+    assert.equal(key.length, 32);
+    assert.deepEqual(keyFromSecret('a long passphrase'), key); // the same on every start
+    assert.equal(keyFromSecret(''), null);
+  });
+
+  test('records are stored encrypted and read back as they were', async () => {
+    const raw = createMemoryStore();
+    const store = createEncryptedStore(raw, key);
+    const record = { exchanges: [{ user: 'I feel hopeless', bot: 'I hear you.' }], updatedAt: 1000 };
+
+    assert.deepEqual(await store.update('session-a', () => record), record);
+    const stored = await raw.get('session-a');
+    assert.deepEqual(Object.keys(stored), ['updatedAt', 'enc']);
+    assert.doesNotMatch(JSON.stringify(stored), /hopeless/);
+
+    assert.deepEqual(await store.get('session-a'), record);
+    assert.deepEqual(await store.list(), [{ id: 'session-a', record }]);
+    assert.equal(await store.pruneIdle(2000), 1); // updatedAt stays readable for pruning
+  });
+
+  test('plaintext records from before the key are read, and encrypted when they change', async () => {
+    const raw = createMemoryStore();
+    await raw.update('session-a', () => ({ turns: [], updatedAt: 1 }));
+    const store = createEncryptedStore(raw, key);
+
+    assert.deepEqual(await store.get('session-a'), { turns: [], updatedAt: 1 });
+    await store.update('session-a', (current) => ({ ...current, updatedAt: 2 }));
+    assert.equal(typeof (await raw.get('session-a')).enc, 'string');
+  });
+
+  test('plaintext records from before the key are encrypted on startup', async () => {
+    const raw = createMemoryStore();
+    await raw.update('session-a', () => ({ turns: ['I feel hopeless'], updatedAt: 1 }));
+    await raw.update('session-b', () => ({ turns: [], updatedAt: 2 }));
+
+    assert.equal(await encryptPlaintextRecords(raw, key), 2);
+    assert.doesNotMatch(JSON.stringify(await raw.list()), /hopeless/);
+    assert.equal(await encryptPlaintextRecords(raw, key), 0); // already done
+    assert.deepEqual(await createEncryptedStore(raw, key).get('session-a'), { turns: ['I feel hopeless'], updatedAt: 1 });
+  });
+
+  test('IDs made from personal details are hashed', () => {
+    const id = hashRecordId(key, 'asha@example.com');
+    assert.match(id, /^[0-9a-f]{64}$/);
+    assert.equal(hashRecordId(key, 'asha@example.com'), id);
+    assert.notEqual(hashRecordId(keyFromSecret('another key'), 'asha@example.com'), id);
+    assert.notEqual(hashRecordId(null, 'asha@example.com'), id);
+  });
+
+  test('a wrong or missing key fails loudly', async () => {
+    const raw = createMemoryStore();
+    await createEncryptedStore(raw, key).update('session-a', () => ({ updatedAt: 1 }));
+
+    await assert.rejects(createEncryptedStore(raw, keyFromSecret('another key')).get('session-a'), StorageError);
+    await assert.rejects(createEncryptedStore(raw, null).get('session-a'), /DATA_ENCRYPTION_KEY is not set/);
+  });
+});
+
+describe('sign-in email index', () => {
+  let emails;
+
+  beforeEach(() => {
+    emails = createMemoryStore();
+    resetStores({ emails });
+  });
+
+  test('is keyed by a hash, never the address', async () => {
+    await auth.createAccount({ email: 'Asha@Example.com', password: 'long enough password' });
+    const ids = (await emails.list()).map(({ id }) => id);
+    assert.equal(ids.length, 1);
+    assert.doesNotMatch(ids[0], /asha|@/i);
+    await auth.signIn('asha@example.com', 'long enough password');
+    await assert.rejects(auth.createAccount({ email: 'asha@example.com', password: 'another long password' }), { status: 409 });
+  });
+
+  test('entries keyed by the address are moved to hashed IDs', async () => {
+    const user = await auth.createAccount({ email: 'ravi@example.com', password: 'long enough password' });
+    const [{ id }] = await emails.list();
+    await emails.delete(id);
+    await emails.update('ravi@example.com', () => ({ userId: user.id, updatedAt: 1 })); // as stored before
+
+    await auth.signIn('ravi@example.com', 'long enough password'); // still works before the move
+    assert.equal(await auth.upgradeEmailIndex(), 1);
+    assert.deepEqual((await emails.list()).map((entry) => entry.id), [id]);
+    await auth.signIn('ravi@example.com', 'long enough password');
+    assert.equal(await auth.upgradeEmailIndex(), 0);
+  });
+
+  test('accounts made before DATA_ENCRYPTION_KEY was set can still sign in once it is', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wizcare-keys-'));
+    const env = { MEMORY_STORE: 'file', MEMORY_FILE: path.join(dir, 'conversation_memory.json') };
+    const account = { email: 'meera@example.com', password: 'long enough password' };
+    const post = (server, route, body) => fetch(`${server.baseUrl}/api/auth/${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    let server = await startServer(env);
+    try {
+      assert.equal((await post(server, 'signup', account)).status, 201);
+    } finally {
+      server.stop();
+    }
+
+    server = await startServer({ ...env, DATA_ENCRYPTION_KEY: 'a long passphrase' });
+    try {
+      assert.equal((await post(server, 'login', account)).status, 200);
+      assert.equal((await post(server, 'signup', account)).status, 409);
+    } finally {
+      server.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('delete all my data', () => {
+  let reviews;
+
+  beforeEach(() => {
+    reviews = createMemoryStore();
+    resetStores({ reviews });
+  });
+
+  async function converse(sessionId) {
+    await transcripts.appendTurn(sessionId, turn('I want to give up', 4));
+    await memory.addExchange(sessionId, 'I want to give up', 'I hear you.');
+    await moodHistory.addJournalEntry(sessionId, { text: 'rough day' });
+    await profile.rememberTurn(sessionId, 'I am stressed about work');
+  }
+
+  test("an account's conversations, memory and the account itself", async () => {
+    const user = await auth.createAccount({ email: 'asha@example.com', password: 'long enough password' });
+    await auth.claimSession(user.id, 'session-a');
+    await converse('session-a');
+    await converse('session-guest');
+    await handoff.requestHandoff('session-a');
+    await review.addNote('session-a', { id: 'counselor', displayName: 'Sam', role: 'counselor' }, 'Called back');
+
+    assert.equal(await privacy.deleteAllData({ userId: user.id, sessionIds: ['session-guest'] }), 2);
+
+    for (const sessionId of ['session-a', 'session-guest']) {
+      assert.deepEqual(await transcripts.getTranscript(sessionId), []);
+      assert.deepEqual(await memory.getRecentExchanges(sessionId), []);
+      assert.deepEqual((await moodHistory.getMoodHistory(sessionId)).journal, []);
+      assert.deepEqual(await profile.getMemory(sessionId), { facts: [], useName: false, summary: null });
+    }
+    assert.equal(await handoff.getHandoff('session-a'), null);
+    assert.equal(await reviews.get('session-a'), null);
+    assert.equal(await auth.getUser(user.id), null);
+    assert.equal(await auth.getSessionOwner('session-a'), null);
+    await assert.rejects(auth.signIn('asha@example.com', 'long enough password'), auth.AuthError);
+  });
+
+  test("the deleted account's token stops working", async () => {
+    const user = await auth.createAccount({ email: 'mira@example.com', password: 'long enough password' });
+    const req = { get: () => `Bearer ${auth.issueToken(user.id)}` };
+    let status = null;
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+
+    await auth.authenticate(req, res, () => {});
+    assert.equal(req.userId, user.id);
+
+    await privacy.deleteAllData({ userId: user.id });
+    let passed = false;
+    await auth.authenticate(req, res, () => { passed = true; });
+    assert.equal(passed, false);
+    assert.equal(status, 401);
+    assert.equal(req.userId, null);
+  });
+
+  test("a guest can't delete a session that belongs to an account", async () => {
+    const user = await auth.createAccount({ email: 'ravi@example.com', password: 'long enough password' });
+    await auth.claimSession(user.id, 'session-owned');
+    await converse('session-owned');
+
+    assert.equal(await privacy.deleteAllData({ userId: null, sessionIds: ['session-owned'] }), 0);
+    assert.equal((await transcripts.getTranscript('session-owned')).length, 1);
+    assert.equal(await auth.getSessionOwner('session-owned'), user.id);
+  });
+});
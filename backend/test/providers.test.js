@@ -0,0 +1,136 @@
+/**
+ * LLM provider tests
+ *
+ * The HTTP providers are pointed at a local fake server: the system
+ * instructions travel apart from the user's words, replies and streams are
+ * read in each API's shape, and failures reject with a ProviderError that
+ * never carries the response body.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createProvider, ProviderError } = require('../providers');
+const { createOpenAIProvider } = require('../providers/openai');
+const { createOllamaProvider } = require('../providers/ollama');
+
+const PROMPT = { system: 'You are WizCare.', user: 'I feel stressed', json: true };
+
+// Answers each request with the next queued { status, body }, and keeps what was sent
+let server;
+let baseUrl;
+let requests;
+let answers;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(data) });
+      const { status = 200, body } = answers.shift();
+      res.writeHead(status);
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function answer(...queued) {
+  requests = [];
+  answers = queued;
+}
+
+async function collect(iterable) {
+  let text = '';
+  for await (const chunk of iterable) text += chunk;
+  return text;
+}
+
+describe('createProvider', () => {
+  test('mock needs nothing; unknown providers and missing keys are refused', () => {
+    assert.equal(createProvider({ type: 'mock' }).name, 'mock');
+    assert.throws(() => createProvider({ type: 'unknown' }), ProviderError);
+    assert.throws(() => createProvider({ type: 'gemini', apiKey: '' }), /GEMINI_API_KEY/);
+  });
+});
+
+describe('mock provider', () => {
+  const mock = createProvider({ type: 'mock' });
+
+  test('the same prompt gets the same reply, as JSON when asked', async () => {
+    const reply = JSON.parse(await mock.generate(PROMPT));
+    assert.deepEqual(JSON.parse(await mock.generate(PROMPT)), reply);
+    assert.ok(reply.reply && reply.stressLevel);
+    assert.match(await mock.generate('hello'), /StressLevel: \w+$/);
+  });
+
+  test('streams the same reply', async () => {
+    assert.equal(await collect(mock.stream(PROMPT)), await mock.generate(PROMPT));
+  });
+});
+
+describe('openai provider', () => {
+  test('sends system and user apart, and reads the reply', async () => {
+    const provider = createOpenAIProvider({ baseUrl: `${baseUrl}/v1/`, apiKey: 'sk-test', model: 'test-model' });
+    answer({ body: { choices: [{ message: { content: 'Hello there' } }] } });
+
+    assert.equal(await provider.generate(PROMPT, { temperature: 0.5 }), 'Hello there');
+    const [request] = requests;
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer sk-test');
+    assert.deepEqual(request.body.messages, [{ role: 'system', content: 'You are WizCare.' }, { role: 'user', content: 'I feel stressed' }]);
+    assert.deepEqual(request.body.response_format, { type: 'json_object' });
+    assert.equal(request.body.temperature, 0.5);
+  });
+
+  test('streams Server-Sent Events until [DONE]', async () => {
+    const provider = createOpenAIProvider({ baseUrl });
+    const event = (text) => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`;
+    answer({ body: `${event('Hel')}${event('lo')}: keep-alive\n\ndata: [DONE]\n\n${event('ignored')}` });
+
+    assert.equal(await collect(provider.stream('hi')), 'Hello');
+    assert.equal(requests[0].body.stream, true);
+  });
+
+  test('HTTP errors and empty replies reject with a ProviderError', async () => {
+    const provider = createOpenAIProvider({ baseUrl });
+    answer({ status: 500, body: { error: 'I feel stressed' } }, { body: { choices: [] } });
+
+    await assert.rejects(provider.generate('hi'), (error) => {
+      assert.ok(error instanceof ProviderError);
+      assert.equal(error.status, 500);
+      assert.doesNotMatch(error.message, /stressed/); // the body may echo the user's words
+      return true;
+    });
+    await assert.rejects(provider.generate('hi'), /no message content/);
+  });
+});
+
+describe('ollama provider', () => {
+  test('sends the system field and reads the reply', async () => {
+    const provider = createOllamaProvider({ baseUrl, model: 'llama3' });
+    answer({ body: { response: 'Hi from Ollama' } });
+
+    assert.equal(await provider.generate(PROMPT, { maxTokens: 100 }), 'Hi from Ollama');
+    const { body } = requests[0];
+    assert.deepEqual([body.prompt, body.system, body.format, body.stream, body.options.num_predict], ['I feel stressed', 'You are WizCare.', 'json', false, 100]);
+  });
+
+  test('streams newline-delimited JSON, and fails on an error line', async () => {
+    const provider = createOllamaProvider({ baseUrl });
+    answer(
+      { body: '{"response":"Hi "}\n{"response":"there"}\n{"done":true}\n' },
+      { body: '{"response":"Hi"}\n{"error":"model not found"}\n' },
+    );
+
+    assert.equal(await collect(provider.stream('hi')), 'Hi there');
+    await assert.rejects(collect(provider.stream('hi')), /model not found/);
+  });
+});
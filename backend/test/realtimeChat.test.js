@@ -0,0 +1,152 @@
+/**
+ * Real-time chat tests
+ *
+ * Messages sent over the WebSocket are answered once per clientId, go
+ * through the same limits as HTTP, and a window that reconnects gets what
+ * it missed.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../storage/memoryStore');
+const handoff = require('../handoff');
+const transcripts = require('../transcripts');
+const { attachChatChannel } = require('../realtime/chat');
+const { createReplayBuffer } = require('../realtime/replay');
+const { createCheckIns } = require('../realtime/checkIns');
+const { sessionRoom } = require('../realtime');
+const { MAX_MESSAGE_LENGTH } = require('../limits');
+
+// Just enough of createRealtimeServer() to drive the handlers
+function createFakeRealtime() {
+  const handlers = {};
+  const sent = [];
+  return {
+    sent,
+    on: (type, handler) => { handlers[type] = handler; },
+    sendToRoom: (room, type, data) => sent.push({ room, type, ...data }),
+    roomSize: () => 1,
+    socket: (sessionId) => {
+      const received = [];
+      return {
+        identity: { sessionId, ip: '127.0.0.1', reviewer: null },
+        received,
+        send: (type, data) => received.push({ ...data, type }),
+      };
+    },
+    dispatch: (type, socket, frame) => handlers[type](socket, frame),
+  };
+}
+
+const reply = (text, stressLevel = 1) => ({ response: text, stressLevel, stressLabel: null, risk: { level: 'none' }, emotion: null, language: 'en' });
+
+describe('chat channel', () => {
+  let realtime;
+  let asked;
+
+  beforeEach(() => {
+    handoff.setStore(createMemoryStore());
+    transcripts.setStore(createMemoryStore());
+    realtime = createFakeRealtime();
+    asked = [];
+    attachChatChannel(realtime, {
+      answer: async ({ message }, onToken) => {
+        asked.push(message);
+        onToken('Hi ');
+        return reply(`Hi, you said: ${message}`);
+      },
+    });
+  });
+
+  test('streams tokens and the reply to the session room', async () => {
+    const socket = realtime.socket('s1');
+    await realtime.dispatch('chat:message', socket, { clientId: 'm1', message: 'hello' });
+
+    const types = realtime.sent.map((frame) => frame.type);
+    assert.deepEqual(types, ['typing', 'chat:token', 'chat:reply', 'chat:stress', 'typing']);
+    assert.ok(realtime.sent.every((frame) => frame.room === sessionRoom('s1')));
+    const answer = realtime.sent.find((frame) => frame.type === 'chat:reply');
+    assert.equal(answer.clientId, 'm1');
+    assert.equal(answer.seq, 1);
+  });
+
+  test('a message sent again after a drop is answered only once', async () => {
+    const socket = realtime.socket('s1');
+    await realtime.dispatch('chat:message', socket, { clientId: 'm1', message: 'hello' });
+    await realtime.dispatch('chat:message', socket, { clientId: 'm1', message: 'hello' });
+
+    assert.deepEqual(asked, ['hello']);
+    assert.deepEqual(socket.received.map((frame) => frame.type), ['chat:reply']);
+  });
+
+  test('over-long messages are refused before the AI is asked', async () => {
+    const socket = realtime.socket('s1');
+    await realtime.dispatch('chat:message', socket, { clientId: 'm1', message: 'x'.repeat(MAX_MESSAGE_LENGTH + 1) });
+
+    assert.deepEqual(asked, []);
+    const refusal = realtime.sent.find((frame) => frame.type === 'chat:refused');
+    assert.equal(refusal.code, 'message_too_long');
+    assert.equal(refusal.status, undefined);
+  });
+
+  test('a message refused during a counselor chat is answered when sent again later', async () => {
+    // Its own session and words, since the repeat limiter lives for the whole process
+    const socket = realtime.socket('s-handoff');
+    await transcripts.appendTurn('s-handoff', { user: 'hi', bot: 'hello', stressLevel: 3, riskLevel: 'none' });
+    await handoff.requestHandoff('s-handoff');
+    await handoff.acceptHandoff('s-handoff', { id: 'c1', name: 'Asha' });
+    await realtime.dispatch('chat:message', socket, { clientId: 'm1', message: 'are you there?' });
+    assert.equal(realtime.sent.find((frame) => frame.type === 'chat:refused').code, 'handoff_active');
+
+    await handoff.endHandoff('s-handoff', { from: 'user' });
+    await realtime.dispatch('chat:message', socket, { clientId: 'm1', message: 'are you there?' });
+    assert.deepEqual(asked, ['are you there?']);
+  });
+
+  test('messages need a session and a clientId', async () => {
+    await assert.rejects(realtime.dispatch('chat:message', realtime.socket(null), { clientId: 'm1', message: 'hi' }), { code: 'no_session' });
+    await assert.rejects(realtime.dispatch('chat:message', realtime.socket('s1'), { message: 'hi' }), { code: 'invalid_message' });
+  });
+
+  test('a reconnecting window gets the frames after the last one it saw', async () => {
+    const socket = realtime.socket('s1');
+    await realtime.dispatch('chat:message', socket, { clientId: 'm1', message: 'one' });
+    await realtime.dispatch('chat:message', socket, { clientId: 'm2', message: 'two' });
+    const { epoch } = realtime.sent.find((frame) => frame.seq === 2);
+
+    const again = realtime.socket('s1');
+    await realtime.dispatch('chat:resume', again, { epoch, lastSeq: 2 });
+    assert.deepEqual(again.received.map((frame) => [frame.type, frame.seq]), [['chat:reply', 3], ['chat:stress', 4]]);
+  });
+});
+
+describe('replay buffer', () => {
+  test('a different epoch gets everything still kept', () => {
+    const replay = createReplayBuffer({ size: 2 });
+    ['a', 'b', 'c'].forEach((text) => replay.record('s1', 'chat:reply', { text }));
+
+    assert.deepEqual(replay.since('s1', replay.epoch, 1).map((frame) => frame.text), ['b', 'c']);
+    assert.deepEqual(replay.since('s1', 'restarted', 3).map((frame) => frame.text), ['b', 'c']);
+    assert.deepEqual(replay.since('other', replay.epoch, 0), []);
+  });
+});
+
+describe('check-ins', () => {
+  test('only the last scheduled check-in is due, and a delay of 0 turns them off', async () => {
+    const due = [];
+    const checkIns = createCheckIns({ delayMs: 10, onDue: (sessionId, data) => due.push([sessionId, data.language]) });
+    checkIns.schedule('s1', { language: 'en' });
+    checkIns.schedule('s1', { language: 'hi' });
+    checkIns.schedule('s2', { language: 'en' });
+    checkIns.cancel('s2');
+
+    const off = createCheckIns({ delayMs: 0, onDue: () => due.push('off') });
+    off.schedule('s3', {});
+
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.deepEqual(due, [['s1', 'hi']]);
+  });
+});
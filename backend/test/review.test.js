@@ -0,0 +1,71 @@
+/**
+ * Review dashboard tests
+ *
+ * Conversations are flagged from what /api/chat already records, and
+ * reviewer notes and follow-ups are kept per conversation.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../storage/memoryStore');
+const transcripts = require('../transcripts');
+const review = require('../review');
+
+const REVIEWER = { id: 'u1', email: 'counselor@example.com', displayName: 'Asha', role: 'counselor' };
+
+const turn = (overrides) => ({ user: 'hi', bot: 'hello', stressLevel: 0, emotion: 'neutral', riskLevel: 'none', fallback: false, ...overrides });
+
+describe('review', () => {
+  beforeEach(async () => {
+    transcripts.setStore(createMemoryStore());
+    review.setStore(createMemoryStore());
+    await transcripts.appendTurn('calm', turn({ emotion: 'happiness' }));
+    await transcripts.appendTurn('calm', turn({ fallback: true }));
+    await transcripts.appendTurn('crisis', turn({ stressLevel: 4, riskLevel: 'critical', emotion: 'sadness' }));
+    await transcripts.appendTurn('stressed', turn({ stressLevel: 3, riskLevel: 'moderate', emotion: 'fear' }));
+  });
+
+  test('flags crisis and very high stress conversations', async () => {
+    const { sessions } = await review.listSessions({ filter: 'flagged' });
+    const flags = Object.fromEntries(sessions.map((s) => [s.sessionId, s.flags]));
+    assert.deepEqual(flags, { crisis: ['crisis', 'very_high_stress'], stressed: ['very_high_stress'] });
+  });
+
+  test('totals cover every conversation in the window', async () => {
+    const { stats } = await review.listSessions({ filter: 'open' });
+    assert.equal(stats.sessions, 3);
+    assert.equal(stats.turns, 4);
+    assert.equal(stats.crisisSessions, 1);
+    assert.equal(stats.highStressSessions, 2);
+    assert.equal(stats.fallbackRate, Number((1 / 3).toFixed(3))); // crisis replies don't count
+    assert.deepEqual(stats.emotions, { happiness: 1, neutral: 1, sadness: 1, fear: 1 });
+    assert.deepEqual(stats.stressLevels, [2, 0, 0, 1, 1]);
+  });
+
+  test('notes and follow-ups are kept and close an open conversation', async () => {
+    await review.addNote('crisis', REVIEWER, 'Called back, user is safe.');
+    const state = await review.setFollowedUp('crisis', REVIEWER, true);
+    assert.equal(state.notes.length, 1);
+    assert.deepEqual(state.notes[0].author, { id: 'u1', name: 'Asha', role: 'counselor' });
+    assert.equal(state.followedUpBy.name, 'Asha');
+
+    const { sessions, stats } = await review.listSessions({ filter: 'open' });
+    assert.deepEqual(sessions.map((s) => s.sessionId), ['stressed']);
+    assert.equal(stats.needsFollowUp, 1);
+
+    const reopened = await review.setFollowedUp('crisis', REVIEWER, false);
+    assert.equal(reopened.followedUp, false);
+    assert.equal(reopened.notes.length, 1);
+  });
+
+  test('a conversation opens with its transcript and review', async () => {
+    const detail = await review.getSessionReview('crisis');
+    assert.equal(detail.turns.length, 1);
+    assert.equal(detail.summary.maxStressLevel, 4);
+    assert.deepEqual(detail.review, { notes: [], followedUp: false, followedUpAt: null, followedUpBy: null });
+    assert.equal(await review.getSessionReview('unknown'), null);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Risk assessment tests
+ *
+ * Crisis phrases are caught wherever they appear, a negation only softens
+ * a phrase it governs, and look-alike words never match.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { assessRisk, applyModelStress, isCrisis, stressLevelForRisk } = require('../risk');
+
+describe('assessRisk', () => {
+  test('crisis phrases get the crisis reply', () => {
+    for (const message of ['I want to die', 'I am going to kill myself', 'thinking about suicide']) {
+      assert.ok(isCrisis(assessRisk(message)), message);
+    }
+  });
+
+  test('a negation in an earlier clause does not cancel a crisis phrase', () => {
+    for (const message of ['Nobody cares, I want to die', 'Nothing helps. I want to die', 'No one listens; I want to die']) {
+      const risk = assessRisk(message);
+      assert.ok(isCrisis(risk), `${message} -> ${risk.level} (${risk.score})`);
+    }
+  });
+
+  test('a negation in an earlier unpunctuated clause does not cancel a crisis phrase', () => {
+    for (const message of ['i cant sleep i want to die', 'why does nobody care i want to die', 'nothing helps i want to end my life']) {
+      const risk = assessRisk(message);
+      assert.ok(isCrisis(risk), `${message} -> ${risk.level} (${risk.score})`);
+    }
+  });
+
+  test('a negation governing the phrase softens it', () => {
+    for (const message of ["I don't want to die", 'I would never hurt myself', "I'm not going to kill myself", 'I am not suicidal']) {
+      const risk = assessRisk(message);
+      assert.equal(isCrisis(risk), false, message);
+      assert.ok(risk.reasons.some((reason) => reason.endsWith('(negated)')), message);
+    }
+  });
+
+  test('look-alike words and quotes', () => {
+    assert.equal(assessRisk('I started a new diet today').level, 'none');
+    assert.equal(isCrisis(assessRisk("that song 'I want to die' is stuck in my head")), false);
+  });
+
+  test('repeated concerning messages escalate', () => {
+    const first = assessRisk('I feel hopeless');
+    const later = assessRisk('I feel hopeless', [{ score: first.messageScore }, { score: first.messageScore }]);
+    assert.ok(later.score > first.score);
+  });
+});
+
+describe('applyModelStress', () => {
+  test('only ever raises the risk', () => {
+    const risk = assessRisk('I had a long day');
+    const raised = applyModelStress(risk, 4);
+    assert.ok(raised.score > risk.score);
+    assert.equal(applyModelStress(risk, 0).score, risk.score);
+    assert.ok(raised.stressLevel >= stressLevelForRisk(raised.level));
+  });
+});
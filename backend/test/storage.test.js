@@ -0,0 +1,101 @@
+/**
+ * Storage adapter tests
+ *
+ * Every adapter (memory, JSON file, SQLite) behaves the same through the
+ * interface in storage/index.js, and concurrent updates never lose writes.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createStore, StorageError } = require('../storage');
+const { createMemoryStore } = require('../storage/memoryStore');
+const { createFileStore } = require('../storage/fileStore');
+const { createSqliteStore } = require('../storage/sqliteStore');
+
+let dir;
+before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wizcare-storage-')); });
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let hasSqlite = true;
+try {
+  require('better-sqlite3');
+} catch (error) {
+  hasSqlite = false;
+}
+
+const ADAPTERS = [
+  ['memory', () => createMemoryStore()],
+  ['file', (name) => createFileStore({ filePath: path.join(dir, `${name}.json`) })],
+  ['sqlite', (name) => createSqliteStore({ dbPath: path.join(dir, `${name}.db`) }), !hasSqlite && 'better-sqlite3 is not installed'],
+];
+
+for (const [type, create, skip] of ADAPTERS) {
+  describe(`${type} store`, { skip }, () => {
+    let n = 0;
+    const fresh = () => create(`store-${(n += 1)}`);
+
+    test('get, update and delete', async () => {
+      const store = fresh();
+      assert.equal(await store.get('a'), null);
+      assert.deepEqual(await store.update('a', () => ({ n: 1, updatedAt: 10 })), { n: 1, updatedAt: 10 });
+      assert.equal((await store.update('a', (current) => ({ ...current, n: current.n + 1 }))).n, 2);
+      assert.equal((await store.get('a')).n, 2);
+      await store.update('a', () => null); // null deletes
+      assert.equal(await store.get('a'), null);
+      await store.update('b', () => ({ updatedAt: 10 }));
+      await store.delete('b');
+      await store.delete('missing');
+      assert.deepEqual(await store.list(), []);
+      await store.close();
+    });
+
+    test('concurrent updates all land', async () => {
+      const store = fresh();
+      await Promise.all(Array.from({ length: 20 }, () => store.update('counter', (current) => ({ n: (current ? current.n : 0) + 1, updatedAt: 1 }))));
+      assert.equal((await store.get('counter')).n, 20);
+      await store.close();
+    });
+
+    test('list is newest first and pruneIdle drops old records', async () => {
+      const store = fresh();
+      await store.update('old', () => ({ updatedAt: 100 }));
+      await store.update('new', () => ({ updatedAt: 300 }));
+      await store.update('mid', () => ({ updatedAt: 200 }));
+      assert.deepEqual((await store.list()).map(({ id }) => id), ['new', 'mid', 'old']);
+      assert.deepEqual((await store.list(200)).map(({ id }) => id), ['new', 'mid']);
+      assert.equal(await store.pruneIdle(250), 2);
+      assert.deepEqual((await store.list()).map(({ id }) => id), ['new']);
+      await store.close();
+    });
+
+    test('a record read back is a copy', async () => {
+      const store = fresh();
+      await store.update('a', () => ({ items: [1], updatedAt: 1 }));
+      (await store.get('a')).items.push(2);
+      assert.deepEqual((await store.get('a')).items, [1]);
+      await store.close();
+    });
+  });
+}
+
+describe('file store', () => {
+  test('survives a restart', async () => {
+    const filePath = path.join(dir, 'restart.json');
+    await createFileStore({ filePath }).update('a', () => ({ n: 1, updatedAt: 1 }));
+    assert.deepEqual(await createFileStore({ filePath }).get('a'), { n: 1, updatedAt: 1 });
+  });
+});
+
+describe('createStore', () => {
+  test('refuses unknown adapters and unsafe namespaces', () => {
+    assert.throws(() => createStore({ type: 'mongo' }), StorageError);
+    assert.throws(() => createStore({ type: 'memory', namespace: 'drop table;' }), /Invalid storage namespace/);
+    assert.equal(createStore({ type: 'memory', namespace: 'mood_history' }).name, createMemoryStore().name);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Streaming chat tests
+ *
+ * Starts the server in demo mode (mock provider, nothing stored) and reads
+ * /api/chat/stream: the reply arrives as token events and ends with one
+ * done event carrying the same payload as POST /api/chat.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isCrisis } = require('../risk');
+const { startServer } = require('./helpers/server');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+// Split a Server-Sent Events body into [{ event, data }]
+function readEvents(body) {
+  return body.split('\n\n').filter(Boolean).map((block) => {
+    const lines = block.split('\n');
+    const field = (name) => lines.find((line) => line.startsWith(`${name}: `)).slice(name.length + 2);
+    return { event: field('event'), data: JSON.parse(field('data')) };
+  });
+}
+
+describe('/api/chat/stream', () => {
+  test('sends the reply as tokens, then done', async () => {
+    const res = await fetch(`${server.baseUrl}/api/chat/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Work has been really busy lately', consent: 'ephemeral' }),
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+    const events = readEvents(await res.text());
+    const done = events.pop();
+    assert.equal(done.event, 'done');
+    assert.ok(events.length > 1);
+    assert.ok(events.every(({ event }) => event === 'token'));
+
+    const streamed = events.map(({ data }) => data.text).join('');
+    assert.equal(streamed.trim(), done.data.response.trim());
+    assert.doesNotMatch(streamed, /stressLevel|"reply"/);
+    assert.equal(typeof done.data.stressLevel, 'number');
+    assert.ok(done.data.sessionId);
+  });
+
+  test('works as a GET for EventSource', async () => {
+    const res = await fetch(`${server.baseUrl}/api/chat/stream?message=${encodeURIComponent('Hello there')}&consent=ephemeral`);
+    const events = readEvents(await res.text());
+    assert.equal(events[events.length - 1].event, 'done');
+  });
+
+  test('a crisis message skips straight to done', async () => {
+    const res = await fetch(`${server.baseUrl}/api/chat/stream?message=${encodeURIComponent('I want to kill myself')}&consent=ephemeral`);
+    const events = readEvents(await res.text());
+    assert.deepEqual(events.map(({ event }) => event), ['done']);
+    assert.ok(isCrisis(events[0].data.risk));
+  });
+
+  test('a missing message is refused before streaming', async () => {
+    const res = await fetch(`${server.baseUrl}/api/chat/stream`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    assert.equal(res.status, 400);
+  });
+});
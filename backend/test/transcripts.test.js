@@ -0,0 +1,72 @@
+/**
+ * Conversation export / import tests
+ *
+ * A JSON export can be imported again without losing anything, every
+ * format escapes what it must, and uploads that aren't a WizCare export
+ * are refused with a TranscriptFormatError.
+ *
+ * Run with: npm test (from backend/)
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../storage/memoryStore');
+const transcripts = require('../transcripts');
+const { EXPORT_FORMATS, parseTranscript, TranscriptFormatError, toJson } = require('../transcriptFormats');
+
+const TURNS = [
+  { ts: 1700000000000, user: 'I feel <b>tired</b>', bot: 'That sounds hard.', stressLevel: 2, stressLabel: 'High', emotion: 'sadness', riskLevel: 'none', fallback: false },
+  { ts: 1700000060000, user: 'Thanks', bot: 'Any time.', stressLevel: 0, stressLabel: 'Low', emotion: null, riskLevel: 'none', fallback: false },
+];
+
+beforeEach(() => {
+  transcripts.setStore(createMemoryStore());
+});
+
+describe('transcripts', () => {
+  test('appends turns and restores an import', async () => {
+    await transcripts.appendTurn('s1', { user: 'hi', bot: 'hello' });
+    assert.deepEqual((await transcripts.getTranscript('s1')).map((turn) => turn.user), ['hi']);
+
+    await transcripts.restoreTranscript('s2', TURNS);
+    assert.deepEqual(await transcripts.getTranscript('s2'), TURNS);
+    assert.deepEqual(await transcripts.getTranscript('unknown'), []);
+  });
+});
+
+describe('export formats', () => {
+  test('a JSON export imports again unchanged', () => {
+    const exported = JSON.parse(EXPORT_FORMATS.json.render('s1', TURNS));
+    assert.deepEqual(parseTranscript(exported), TURNS);
+  });
+
+  test('HTML escapes user text, Markdown keeps it', () => {
+    const html = EXPORT_FORMATS.html.render('s1', TURNS);
+    assert.ok(html.includes('I feel &lt;b&gt;tired&lt;/b&gt;'));
+    assert.ok(!html.includes('<b>tired'));
+    assert.ok(EXPORT_FORMATS.markdown.render('s1', TURNS).includes('**You:** I feel <b>tired</b>'));
+  });
+});
+
+describe('parseTranscript', () => {
+  test('refuses files that are not an export', () => {
+    for (const data of [null, {}, { format: 'other', turns: [] }, { ...toJson('s1', TURNS), version: 99 }]) {
+      assert.throws(() => parseTranscript(data), TranscriptFormatError);
+    }
+  });
+
+  test('refuses turns without text', () => {
+    assert.throws(() => parseTranscript(toJson('s1', [{ ts: 1, user: 'hi' }])), /Turn 1 is missing "bot"/);
+  });
+
+  test('drops unknown fields, clamps values and sorts by time', () => {
+    const [first, second] = parseTranscript(toJson('s1', [
+      { ts: 20, user: 'later', bot: 'ok', stressLevel: 9, extra: 'dropped' },
+      { ts: 10, user: 'earlier', bot: 'ok' },
+    ]));
+    assert.equal(first.user, 'earlier');
+    assert.equal(second.stressLevel, 0);
+    assert.equal('extra' in second, false);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Transcript Export / Import Formats
+ *
+ * Turns a stored transcript into something a person can keep or share:
+ * - json:     the lossless format, and the only one that can be imported again
+ * - markdown: readable in any editor or notes app
+ * - html:     a self-contained, print-friendly page ("Save as PDF" from the browser)
+ *
+ * parseTranscript() validates an uploaded JSON export before it is restored.
+ */
+
+const FORMAT_NAME = 'wizcare-transcript';
+const FORMAT_VERSION = 1;
+
+const STRESS_LABELS = ['Low', 'Mid', 'High', 'Very High', 'Ultra High'];
+const MAX_TEXT_LENGTH = 10000;
+
+/**
+ * An uploaded transcript that can't be imported
+ */
+class TranscriptFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranscriptFormatError';
+  }
+}
+
+function formatTimestamp(ts) {
+  return new Date(ts).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+function describeMood(turn) {
+  const parts = [];
+  if (Number.isInteger(turn.stressLevel)) parts.push(`Stress: ${STRESS_LABELS[turn.stressLevel]}`);
+  if (turn.emotion) parts.push(`Emotion: ${turn.emotion}`);
+  return parts.join(' · ');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Lossless JSON export (the import format)
+ */
+function toJson(sessionId, turns) {
+  return {
+    format: FORMAT_NAME,
+    version: FORMAT_VERSION,
+    sessionId,
+    exportedAt: new Date().toISOString(),
+    turns,
+  };
+}
+
+/**
+ * Markdown export
+ */
+function toMarkdown(sessionId, turns) {
+  const lines = [
+    '# WizCare Conversation',
+    '',
+    `Exported ${formatTimestamp(Date.now())} · ${turns.length} messages from you`,
+    '',
+  ];
+  turns.forEach((turn) => {
+    const mood = describeMood(turn);
+    lines.push(`### ${formatTimestamp(turn.ts)}${mood ? ` · ${mood}` : ''}`, '');
+    lines.push(`**You:** ${turn.user}`, '');
+    lines.push(`**WizCare:** ${turn.bot}`, '');
+  });
+  lines.push('---', '', '_WizCare is a supportive companion, not a substitute for professional care._', '');
+  return lines.join('\n');
+}
+
+/**
+ * Print-friendly, self-contained HTML export
+ * Every piece of user or AI text is escaped.
+ */
+function toHtml(sessionId, turns) {
+  const rows = turns.map((turn) => {
+    const mood = describeMood(turn);
+    return `
+    <section class="turn">
+      <div class="meta">${escapeHtml(formatTimestamp(turn.ts))}${mood ? ` &middot; ${escapeHtml(mood)}` : ''}</div>
+      <p class="user"><strong>You:</strong> ${escapeHtml(turn.user)}</p>
+      <p class="bot"><strong>WizCare:</strong> ${escapeHtml(turn.bot)}</p>
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>WizCare Conversation</title>
+  <style>
+    body { font-family: Roboto, Arial, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #2c3e50; }
+    h1 { color: #4CAF50; font-size: 1.5rem; }
+    .turn { border-top: 1px solid #eee; padding: 0.5rem 0; page-break-inside: avoid; }
+    .meta { font-size: 0.8rem; color: #888; }
+    p { white-space: pre-line; margin: 0.4rem 0; }
+    .bot { color: #37474f; }
+    .hint { background: #f1f8e9; padding: 0.5rem 1rem; border-radius: 6px; }
+    @media print { .hint { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>WizCare Conversation</h1>
+  <p class="hint">Use your browser's Print option and choose "Save as PDF" to keep a copy.</p>
+  <p class="meta">Exported ${escapeHtml(formatTimestamp(Date.now()))} &middot; ${turns.length} messages from you</p>
+  ${rows}
+  <p class="meta">WizCare is a supportive companion, not a substitute for professional care.</p>
+</body>
+</html>
+`;
+}
+
+function cleanText(value, field, index) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new TranscriptFormatError(`Turn ${index + 1} is missing "${field}".`);
+  }
+  return value.slice(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Validate an uploaded JSON export and return its turns
+ * Unknown fields are dropped so nothing unexpected reaches the store.
+ * @param {object} data - Parsed JSON from toJson()
+ * @returns {Array<object>} - Turns, oldest first
+ * @throws {TranscriptFormatError} If the data isn't a WizCare transcript
+ */
+function parseTranscript(data) {
+  if (!data || data.format !== FORMAT_NAME || !Array.isArray(data.turns)) {
+    throw new TranscriptFormatError('This file is not a WizCare conversation export.');
+  }
+  if (data.version > FORMAT_VERSION) {
+    throw new TranscriptFormatError('This export was made by a newer version of WizCare.');
+  }
+
+  return data.turns
+    .map((turn, index) => {
+      if (!turn || typeof turn !== 'object') {
+        throw new TranscriptFormatError(`Turn ${index + 1} is not valid.`);
+      }
+      const ts = Number(turn.ts);
+      return {
+        ts: Number.isFinite(ts) && ts > 0 ? ts : Date.now(),
+        user: cleanText(turn.user, 'user', index),
+        bot: cleanText(turn.bot, 'bot', index),
+        stressLevel: Number.isInteger(turn.stressLevel) && turn.stressLevel >= 0 && turn.stressLevel <= 4 ? turn.stressLevel : 0,
+        stressLabel: typeof turn.stressLabel === 'string' ? turn.stressLabel.slice(0, 40) : null,
+        emotion: typeof turn.emotion === 'string' ? turn.emotion.slice(0, 40) : null,
+        riskLevel: typeof turn.riskLevel === 'string' ? turn.riskLevel.slice(0, 20) : null,
+        fallback: Boolean(turn.fallback),
+      };
+    })
+    .sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Export formats: content type, file extension and renderer
+ */
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json', render: (id, turns) => JSON.stringify(toJson(id, turns), null, 2) },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: toMarkdown },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: toHtml },
+};
+
+module.exports = { EXPORT_FORMATS, parseTranscript, TranscriptFormatError, toJson, toMarkdown, toHtml };
@@ -0,0 +1,87 @@
+/**
+ * Conversation Transcripts
+ *
+ * The full record of a session, turn by turn, so it can be exported (for
+ * example to share with a therapist) and imported again later. Conversation
+ * memory only keeps the last few exchanges for the prompt; this keeps every
+ * turn the user saw:
+ *   { ts, user, bot, stressLevel, stressLabel, emotion, riskLevel, fallback }
+ *
+ * Stored in its own "transcripts" namespace, so conversation memory TTLs
+ * never prune it.
+ */
+
+const { createStore } = require('./storage');
+
+const RETENTION_MS = (Number(process.env.TRANSCRIPT_DAYS) || 90) * 24 * 60 * 60 * 1000; // default 90 days
+const MAX_TURNS = 1000;
+
+let store = createStore({ namespace: 'transcripts' });
+
+/**
+ * Swap the backing store (e.g. an in-memory store in tests)
+ */
+function setStore(nextStore) {
+  store = nextStore;
+}
+
+/**
+ * Append one turn to the session's transcript
+ * Rejects with a StorageError if the store can't be written.
+ * @param {object} turn - { user, bot, stressLevel, stressLabel, emotion, riskLevel, fallback }
+ */
+async function appendTurn(sessionId, turn) {
+  const now = Date.now();
+  await store.pruneIdle(now - RETENTION_MS);
+  await store.update(sessionId, (current) => {
+    const record = current || { createdAt: now, turns: [] };
+    record.turns.push({ ts: now, ...turn });
+    record.turns = record.turns.slice(-MAX_TURNS);
+    record.updatedAt = now;
+    return record;
+  });
+}
+
+/**
+ * Replace a session's transcript with imported turns
+ * Rejects with a StorageError if the store can't be written.
+ * @param {Array<object>} turns - Already validated turns, oldest first
+ */
+async function restoreTranscript(sessionId, turns) {
+  const now = Date.now();
+  await store.update(sessionId, () => ({
+    createdAt: turns.length > 0 ? turns[0].ts : now,
+    updatedAt: now,
+    turns: turns.slice(-MAX_TURNS),
+  }));
+}
+
+/**
+ * Every turn of a session, oldest first (empty if unknown)
+ * Rejects with a StorageError if the store can't be read.
+ */
+async function getTranscript(sessionId) {
+  const record = await store.get(sessionId);
+  return record ? record.turns : [];
+}
+
+/**
+ * Every transcript updated in the last `days` days, most recent first
+ * (for the review dashboard). Rejects with a StorageError if the store
+ * can't be read.
+ * @returns {Promise<Array<object>>} - [{ sessionId, createdAt, updatedAt, turns }]
+ */
+async function listTranscripts({ days = 30 } = {}) {
+  const entries = await store.list(Date.now() - days * 24 * 60 * 60 * 1000);
+  return entries.map(({ id, record }) => ({ sessionId: id, ...record }));
+}
+
+/**
+ * Delete a session's transcript (the conversation was deleted)
+ * Rejects with a StorageError if the store can't be written.
+ */
+async function deleteTranscript(sessionId) {
+  await store.delete(sessionId);
+}
+
+module.exports = { appendTurn, restoreTranscript, getTranscript, listTranscripts, deleteTranscript, setStore, MAX_TURNS };
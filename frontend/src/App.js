@@ -9,12 +9,37 @@
  * - Quick reply buttons for common feelings
  * - Professional mental health app design
  * - Integration with backend AI service
- * - Stress meter with suicide detection
+ * - Stress meter driven by the backend risk assessment
+ * - English and Hindi UI (see ./i18n); replies follow the language the user writes in
+ * - Live chat with a human counselor at very high stress (see ./HandoffPanel)
  */
 
 // Import React hooks and components
 import React, { useState, useRef, useEffect } from 'react';
 import './App.css';
+import { stressLevels } from './moodScales';
+import MoodJournal from './MoodJournal';
+import ConversationMenu from './ConversationMenu';
+import ConversationSidebar from './ConversationSidebar';
+import MemoryDialog from './MemoryDialog';
+import OnboardingDialog from './OnboardingDialog';
+import ExercisePanel, { ExercisePicker, SuggestedExercise } from './ExercisePanel';
+import AuthDialog from './AuthDialog';
+import MessageText from './MessageText';
+import HelplineFooter, { helplineContact } from './HelplineFooter';
+import EmotionBreakdown, { EmotionBadge } from './EmotionBreakdown';
+import HandoffPanel, { counselorName } from './HandoffPanel';
+import useRealtimeChat from './useRealtimeChat';
+import { MAX_MESSAGE_LENGTH, isLimitStatus, readLimitError, isHandoffActiveStatus, handoffActiveError, streamChatReply } from './chatApi';
+import { queueMessage, clearOutbox, requestOutboxSync, listChats, deleteChat, addQueuedReply } from './offline';
+import useOfflineChat from './useOfflineChat';
+import useConversations from './useConversations';
+import { newConversationKey, messagesFromTurns, lastStressLevel } from './conversations';
+import { offlineReply } from './offlineReplies';
+import { loadAuth, storeAuth, authHeaders } from './auth';
+import { LOCALES, I18nContext, useTranslation, translate, loadLocale, storeLocale } from './i18n';
+import { dataChoices } from './onboarding';
+import useOnboarding from './useOnboarding';
 
 // Import Material-UI components for the user interface
 import { ThemeProvider, createTheme } from '@mui/material/styles';
@@ -31,15 +56,20 @@ import {
   Button, 
   Chip,
   Alert,
-  AlertTitle
+  AlertTitle,
+  Select,
+  MenuItem,
+  Menu
 } from '@mui/material';
 
 // Import Material-UI icons
 import SendIcon from '@mui/icons-material/Send';
 import PsychologyIcon from '@mui/icons-material/Psychology';
 import FavoriteIcon from '@mui/icons-material/Favorite';
-import EmojiEmotionsIcon from '@mui/icons-material/EmojiEmotions';
 import WarningIcon from '@mui/icons-material/Warning';
+import AccountCircleIcon from '@mui/icons-material/AccountCircle';
+import SupportAgentIcon from '@mui/icons-material/SupportAgent';
+import ForumIcon from '@mui/icons-material/Forum';
 
 /**
  * Material-UI Theme Configuration
@@ -61,14 +91,53 @@ const theme = createTheme({
 });
 
 /**
- * Indian Mental Health Helpline Information
- * This is displayed prominently in the chatbot interface
+ * Backend endpoints
+ * The JSON chat route answers in one piece; the stream route sends the reply
+ * as Server-Sent Events while it is being generated. Helpline numbers come
+ * from the backend directory so every part of the app shows the same ones.
  */
-const INDIAN_HELPLINE = {
-  phone: '8448-8448-45',
-  website: 'https://manastha.com/',
+const API_URL = process.env.REACT_APP_API_URL || "/api/chat";
+const STREAM_URL = `${API_URL}/stream`;
+const API_BASE = API_URL.replace(/\/chat\/?$/, '');
+const HELPLINES_URL = `${API_BASE}/helplines`;
+const HISTORY_URL = `${API_BASE}/history`;
+const MEMORY_URL = `${API_BASE}/memory`;
+const EXERCISES_URL = `${API_BASE}/exercises`;
+const AUTH_URL = `${API_BASE}/auth`;
+
+/**
+ * The backend session ID is kept in localStorage so mood history and
+ * conversation memory survive a page reload, along with the key of the
+ * conversation on screen (see ./offline)
+ */
+const SESSION_STORAGE_KEY = 'wizcare.sessionId';
+const CONVERSATION_STORAGE_KEY = 'wizcare.conversation';
+
+const loadStored = (storageKey) => {
+  try {
+    return window.localStorage.getItem(storageKey);
+  } catch (e) {
+    return null; // storage disabled (private mode, etc.)
+  }
+};
+
+const storeValue = (storageKey, value) => {
+  try {
+    if (value) {
+      window.localStorage.setItem(storageKey, value);
+    } else {
+      window.localStorage.removeItem(storageKey);
+    }
+  } catch (e) {
+    // storage disabled: the value just won't survive a reload
+  }
 };
 
+const loadSessionId = () => loadStored(SESSION_STORAGE_KEY);
+const storeSessionId = (id) => storeValue(SESSION_STORAGE_KEY, id);
+const loadConversationKey = () => loadStored(CONVERSATION_STORAGE_KEY);
+const storeConversationKey = (key) => storeValue(CONVERSATION_STORAGE_KEY, key);
+
 /**
  * Add wizard SVG as a React component (fallback)
  */
@@ -113,20 +182,15 @@ const DoctorAvatarFloating = ({ visible }) => (
 );
 
 /**
- * Enhanced stress meter component with suicide detection
+ * Enhanced stress meter component
+ * The level and risk come from the backend risk assessment engine
  */
-const stressLevels = [
-  { label: 'Low', emoji: '😊', color: '#4CAF50', description: 'Feeling good' },
-  { label: 'Mid', emoji: '😐', color: '#FFC107', description: 'Slightly stressed' },
-  { label: 'High', emoji: '😟', color: '#FF9800', description: 'Quite stressed' },
-  { label: 'Very High', emoji: '😫', color: '#F44336', description: 'Very stressed' },
-  { label: 'Ultra High', emoji: '🚨', color: '#9C27B0', description: 'Critical - Please seek help' },
-];
-
-const StressMeter = ({ level, deathMentions = 0 }) => {
-  // Show ultra high only if death mentions >= 3
-  const shouldShowUltra = deathMentions >= 3;
-  const currentLevel = shouldShowUltra && level === 3 ? 4 : level;
+const StressMeter = ({ level, risk, helpline }) => {
+  const { t } = useTranslation();
+  const levelText = t('stressLevels');
+  // Show ultra high only when the backend flags critical risk
+  const shouldShowUltra = level === 4 || risk?.level === 'critical';
+  const currentLevel = shouldShowUltra ? 4 : level;
   
   return (
     <Box sx={{ 
@@ -140,7 +204,7 @@ const StressMeter = ({ level, deathMentions = 0 }) => {
       border: '1px solid rgba(76,175,80,0.1)'
     }}>
       <Typography variant="subtitle1" sx={{ mb: 1, fontWeight: 'bold', color: '#2c3e50' }}>
-        Stress Level Indicator
+        {t('stressMeter.title')}
       </Typography>
       
       <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center', gap: 1 }}>
@@ -170,50 +234,38 @@ const StressMeter = ({ level, deathMentions = 0 }) => {
                 fontWeight: isActive ? 'bold' : 'normal',
                 fontSize: '0.75rem'
               }}>
-                {s.label}
+                {levelText[idx].label}
               </Typography>
             </Box>
           );
         })}
       </Box>
       
-      {currentLevel === 4 && (
+      {currentLevel === 4 && helpline && (
         <Alert severity="error" sx={{ mt: 1, width: '100%' }}>
-          <AlertTitle>⚠️ Critical Stress Level Detected</AlertTitle>
+          <AlertTitle>{t('stressMeter.criticalTitle')}</AlertTitle>
           <Typography variant="body2">
-            Please call the Indian Mental Health Helpline immediately: <strong>{INDIAN_HELPLINE.phone}</strong>
+            {t('stressMeter.criticalBody', { name: helpline.name })} <strong>{helplineContact(helpline)}</strong> ({helpline.hours})
           </Typography>
           <Button 
             variant="contained" 
             color="error" 
             size="small" 
             sx={{ mt: 1 }}
-            onClick={() => window.open(INDIAN_HELPLINE.website, '_blank')}
+            onClick={() => window.open(helpline.website, '_blank')}
           >
-            Visit Helpline Website
+            {t('stressMeter.visitWebsite')}
           </Button>
         </Alert>
       )}
       
       <Typography variant="caption" sx={{ mt: 1, color: '#666', textAlign: 'center' }}>
-        {stressLevels[currentLevel]?.description}
+        {levelText[currentLevel]?.description}
       </Typography>
     </Box>
   );
 };
 
-/**
- * Health-safety rotating tips
- */
-const HEALTH_TIPS = [
-  'Take 3 slow breaths — in 4, hold 2, out 6. 🌿',
-  'Sip some water and relax your shoulders. 💧',
-  'Step away for 2 minutes; stretch gently. 🧘',
-  'Write one worry down; park it for later. 📝',
-  'Text a friend or loved one to say hi. 💬',
-  'Notice 5 things you can see right now. 👀',
-];
-
 /**
  * Main App Component
  * This is the heart of your chatbot frontend
@@ -224,11 +276,35 @@ function App() {
    * These variables store the current state of your chatbot
    */
   
+  // UI language ('en' or 'hi'), remembered across visits
+  const [locale, setLocale] = useState(loadLocale);
+  const t = (key, vars) => translate(locale, key, vars);
+  
+  const changeLocale = (next) => {
+    setLocale(next);
+    storeLocale(next);
+  };
+  
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+  
+  // First-run choices (see ./useOnboarding): nothing is sent until they are made
+  const {
+    choices: onboarding,
+    ephemeral, // conversations aren't stored, here or on the server
+    dialogOpen: onboardingOpen,
+    openDialog: openOnboarding,
+    closeDialog: closeOnboarding,
+    complete: completeOnboarding,
+  } = useOnboarding();
+  
   // Store all chat messages (both user and bot)
+  // The welcome message is stored by key so it follows the UI language
   const [messages, setMessages] = useState([
     { 
       from: 'bot', 
-      text: 'Welcome to WizCare! I\'m your mental health companion. How are you feeling today? I\'m here to listen and support you. 💚' 
+      textKey: 'chat.welcome'
     },
   ]);
   
@@ -238,6 +314,9 @@ function App() {
   // Track if the bot is currently processing a message
   const [loading, setLoading] = useState(false);
   
+  // ID of the bot message currently being streamed in (hides the typing dots)
+  const [streamingId, setStreamingId] = useState(null);
+  
   // Reference to the bottom of the chat for auto-scrolling
   const chatEndRef = useRef(null);
   const messagesRef = useRef(null);
@@ -248,8 +327,155 @@ function App() {
   // Add state for stress level (0: Low, 1: Mid, 2: High, 3: Very High, 4: Ultra High)
   const [stressLevel, setStressLevel] = useState(0);
   
-  // Track death-related mentions for ultra-high stress detection
-  const [deathMentions, setDeathMentions] = useState(0);
+  // Latest risk assessment from the backend ({ level, score, reasons })
+  const [risk, setRisk] = useState(null);
+  
+  // Latest emotion analysis from the backend ({ label, scores })
+  const [emotion, setEmotion] = useState(null);
+
+  // Server-issued session ID so the backend keeps this conversation's memory separate
+  // (ref for sendMessage, state for the journal view)
+  const sessionIdRef = useRef(loadSessionId());
+  const [sessionId, setSessionId] = useState(sessionIdRef.current);
+  
+  const rememberSessionId = (id) => {
+    if (!id || id === sessionIdRef.current) return;
+    sessionIdRef.current = id;
+    setSessionId(id);
+    storeSessionId(id);
+  };
+
+  // Key of the conversation on screen (see ./offline); each conversation
+  // has a session of its own, so switching also switches the AI's memory
+  const conversationKeyRef = useRef(loadConversationKey() || newConversationKey());
+  const [conversationKey, setConversationKey] = useState(conversationKeyRef.current);
+  
+  // Which main view is showing: 'chat' or 'journal'
+  const [view, setView] = useState('chat');
+  
+  // Signed-in account ({ id, email, displayName, sessionId }), or null for guests
+  const [account, setAccount] = useState(() => loadAuth()?.user || null);
+  const [authOpen, setAuthOpen] = useState(false);
+  const [accountMenu, setAccountMenu] = useState(null);
+  
+  // Check a saved sign-in is still valid; an expired one falls back to guest mode
+  useEffect(() => {
+    const saved = loadAuth();
+    if (!saved) return;
+    fetch(`${AUTH_URL}/me`, { headers: authHeaders() })
+      .then((res) => {
+        if (res.status === 401) {
+          storeAuth(null);
+          setAccount(null);
+          return null;
+        }
+        return res.ok ? res.json() : null;
+      })
+      .then((data) => {
+        if (!data) return;
+        storeAuth({ ...saved, user: data.user });
+        setAccount(data.user);
+      })
+      .catch((e) => console.error('Account error:', e));
+  }, []);
+  
+  // Guided exercise the user is doing (current step from the backend), or null
+  const [exercise, setExercise] = useState(null);
+  const [exerciseBusy, setExerciseBusy] = useState(false);
+  
+  // Pick up an exercise left running before a reload (step text in the UI language)
+  useEffect(() => {
+    if (!sessionId) return;
+    fetch(`${EXERCISES_URL}/current?sessionId=${encodeURIComponent(sessionId)}&language=${locale}`, {
+      headers: authHeaders(),
+    })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (data) setExercise(data.exercise);
+      })
+      .catch((e) => console.error('Exercise error:', e));
+  }, [sessionId, locale]);
+
+  // Helpline directory for the selected region (null until loaded)
+  const [helplineRegion, setHelplineRegion] = useState(null);
+  const [helplineDirectory, setHelplineDirectory] = useState(null);
+  const primaryHelpline = helplineDirectory?.helplines[0];
+
+  // Load helplines: the chosen region, or whatever matches the browser locale
+  useEffect(() => {
+    const query = helplineRegion
+      ? `region=${encodeURIComponent(helplineRegion)}`
+      : `locale=${encodeURIComponent(navigator.language || '')}`;
+    fetch(`${HELPLINES_URL}?${query}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP error! status: ${res.status}`))))
+      .then(setHelplineDirectory)
+      .catch((e) => console.error('Helpline directory error:', e));
+  }, [helplineRegion]);
+
+  // Offline support (see ./useOfflineChat): the chat is kept on this device,
+  // and messages written without a connection wait in an outbox
+
+  // Take over the session a queued message started while there was none
+  const adoptSessionId = (id) => {
+    if (!id || sessionIdRef.current) return;
+    sessionIdRef.current = id;
+    setSessionId(id);
+    storeSessionId(id);
+  };
+
+  const { online, chatLoaded } = useOfflineChat({
+    conversationKeyRef,
+    sessionIdRef,
+    chat: { key: conversationKey, sessionId, messages, stressLevel, accountId: account?.id || null },
+    ephemeral,
+    onRestore: (saved) => {
+      adoptSessionId(saved.sessionId);
+      conversationKeyRef.current = saved.key;
+      setConversationKey(saved.key);
+      setMessages(saved.messages);
+      if (typeof saved.stressLevel === 'number') setStressLevel(saved.stressLevel);
+    },
+    onQueuedReply: (entry, payload) => {
+      adoptSessionId(payload.sessionId);
+      setMessages((msgs) => addQueuedReply(msgs, entry, payload));
+      if (typeof payload.stressLevel === 'number') setStressLevel(payload.stressLevel);
+      if (payload.risk) setRisk(payload.risk);
+      if (payload.emotion) setEmotion(payload.emotion);
+    },
+  });
+
+  // Open the same conversation after a reload
+  useEffect(() => {
+    if (chatLoaded) storeConversationKey(conversationKey);
+  }, [chatLoaded, conversationKey]);
+
+  const [memoryOpen, setMemoryOpen] = useState(false); // what WizCare remembers (MemoryDialog)
+
+  // Real-time channel (see ./useRealtimeChat): the chat itself when open,
+  // and the live chat with a counselor ({ status, position, counselor, messages, ... })
+  const {
+    handoff,
+    counselorsOnline,
+    handoffError,
+    realtimeOpen,
+    botTyping,
+    counselorTyping,
+    sendOverRealtime,
+    reportTyping,
+    sendToCounselor,
+    requestCounselor,
+    leaveCounselor,
+  } = useRealtimeChat({
+    apiBase: API_BASE,
+    sessionId,
+    accountId: account?.id || null,
+    setMessages,
+    onStress: (frame) => {
+      if (typeof frame.stressLevel === 'number') setStressLevel(frame.stressLevel);
+      if (frame.risk) setRisk(frame.risk);
+      if (frame.emotion) setEmotion(frame.emotion);
+    },
+  });
 
   useEffect(() => {
     // Auto-scroll to bottom when new messages arrive only if user is near bottom
@@ -274,7 +500,7 @@ function App() {
 
   // Rotate tips every 7 seconds
   useEffect(() => {
-    const id = setInterval(() => setTipIdx((i) => (i + 1) % HEALTH_TIPS.length), 7000);
+    const id = setInterval(() => setTipIdx((i) => i + 1), 7000);
     return () => clearInterval(id);
   }, []);
 
@@ -289,78 +515,278 @@ function App() {
   }, [messages]);
 
   /**
-   * Check for death-related keywords in user messages
+   * Add a bot message, or update it if it is already shown
+   * Used to grow a streamed reply and then swap in the final text
    */
-  const checkDeathKeywords = (message) => {
-    const deathKeywords = [
-      'death', 'die', 'dying', 'suicide', 'kill myself', 'end my life', 'self-harm',
-      'hurt myself', 'take my life', 'i want to die', 'i want die', 'cut myself',
-      'no reason to live', 'better off dead', 'world without me', 'end it all'
-    ];
-    
-    const lowerMessage = message.toLowerCase();
-    const hasDeathKeywords = deathKeywords.some(keyword => lowerMessage.includes(keyword));
-    
-    if (hasDeathKeywords) {
-      setDeathMentions(prev => prev + 1);
-      return true;
+  const upsertBotMessage = (id, text) => {
+    setMessages((msgs) => (msgs.some((m) => m.id === id)
+      ? msgs.map((m) => (m.id === id ? { ...m, text: text(m.text) } : m))
+      : [...msgs, { id, from: 'bot', text: text('') }]));
+  };
+
+  /**
+   * Put a conversation on screen, with its session
+   * @param {object} conversation - { key, sessionId, messages, stressLevel };
+   *   messages may be an updater, as for setMessages
+   */
+  const showConversation = ({ key, sessionId: nextSessionId, messages: nextMessages, stressLevel: nextStressLevel }) => {
+    conversationKeyRef.current = key;
+    setConversationKey(key);
+    sessionIdRef.current = nextSessionId || null;
+    setSessionId(nextSessionId || null);
+    storeSessionId(nextSessionId || null);
+    setMessages(nextMessages);
+    setStressLevel(nextStressLevel || 0);
+    setRisk(null);
+    setEmotion(null);
+    setExercise(null);
+    setView('chat');
+  };
+
+  /**
+   * Show an imported conversation as a new one in the list
+   * @param {object} data - { sessionId, turns } from the import endpoint
+   */
+  const restoreConversation = ({ sessionId: importedId, turns }) => {
+    showConversation({
+      key: newConversationKey(),
+      sessionId: importedId,
+      messages: messagesFromTurns(turns, 'import'),
+      stressLevel: lastStressLevel(turns),
+    });
+  };
+
+  // Conversation list (see ./useConversations and ConversationSidebar.js)
+  const {
+    sidebarOpen,
+    closeSidebar,
+    openSidebar,
+    conversations,
+    switching,
+    openConversation,
+    startConversation,
+    renameConversation,
+    deleteConversation,
+    deleteAllData,
+  } = useConversations({
+    apiBase: API_BASE,
+    account,
+    conversationKeyRef,
+    sessionIdRef,
+    busy: loading,
+    showConversation,
+    onAccountDeleted: () => {
+      storeAuth(null);
+      setAccount(null);
+    },
+  });
+
+  /**
+   * After signing in: keep the token and open the account's conversation
+   * (the guest conversation, if there was one, is now part of the account)
+   * @param {object} data - { token, user } from the accounts API
+   */
+  const handleSignedIn = async ({ token, user }) => {
+    storeAuth({ token, user });
+    setAccount(user);
+    setAuthOpen(false);
+    if (!user.sessionId || user.sessionId === sessionIdRef.current) return;
+    try {
+      const saved = (await listChats()).find((chat) => chat.sessionId === user.sessionId);
+      await openConversation(saved || { key: `session-${user.sessionId}`, sessionId: user.sessionId, remote: true });
+    } catch (e) {
+      console.error('Account error:', e);
+    }
+  };
+  
+  /**
+   * Sign out: forget the token, this device's session and the account's
+   * saved conversations, so none of them is left on screen (or in storage)
+   * for the next person
+   */
+  const signOut = () => {
+    const accountId = account?.id;
+    setAccountMenu(null);
+    storeAuth(null);
+    setAccount(null);
+    clearOutbox().catch((e) => console.error('Outbox error:', e));
+    listChats()
+      .then((chats) => Promise.all(chats.filter((chat) => chat.accountId === accountId).map((chat) => deleteChat(chat.key))))
+      .catch((e) => console.error('Saved chat error:', e));
+    showConversation({ key: newConversationKey(), sessionId: null, messages: (msgs) => [msgs[0]], stressLevel: 0 });
+  };
+
+  /**
+   * Call one of the exercise endpoints (start, next, stop)
+   * @returns {Promise<object|null>} - The new step, or null once the exercise is over
+   */
+  const exerciseRequest = async (path) => {
+    setExerciseBusy(true);
+    try {
+      const res = await fetch(`${EXERCISES_URL}/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ sessionId: sessionIdRef.current, language: locale, ...dataChoices(onboarding) }),
+      });
+      if (res.status === 204) return null;
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP error! status: ${res.status}`);
+      rememberSessionId(data.sessionId);
+      return data.exercise;
+    } finally {
+      setExerciseBusy(false);
+    }
+  };
+  
+  /**
+   * Exercise buttons: each new step is also shown in the chat
+   */
+  const showExerciseStep = (step) => {
+    setExercise(step);
+    if (step) upsertBotMessage(`exercise-${Date.now()}`, () => step.step.text);
+  };
+  
+  const startExercise = async (id) => {
+    try {
+      showExerciseStep(await exerciseRequest(`${encodeURIComponent(id)}/start`));
+    } catch (e) {
+      console.error('Exercise error:', e);
+      upsertBotMessage(`exercise-${Date.now()}`, () => t('exercises.error'));
+    }
+  };
+  
+  const nextExerciseStep = async () => {
+    try {
+      showExerciseStep(await exerciseRequest('next'));
+    } catch (e) {
+      console.error('Exercise error:', e);
+      upsertBotMessage(`exercise-${Date.now()}`, () => t('exercises.error'));
+    }
+  };
+  
+  const stopExercise = async () => {
+    try {
+      await exerciseRequest('stop');
+      setExercise(null);
+    } catch (e) {
+      console.error('Exercise error:', e);
+      upsertBotMessage(`exercise-${Date.now()}`, () => t('exercises.error'));
     }
-    
-    return false;
+  };
+
+  /**
+   * Friendly text for a refused message, with the helpline in case the
+   * person needs help while they wait
+   */
+  const describeLimit = ({ code, retryAfter, maxLength }) => {
+    let reason;
+    if (code === 'message_too_long' || code === 'payload_too_large') {
+      reason = t('chat.errorTooLong', { max: maxLength || MAX_MESSAGE_LENGTH });
+    } else if (code === 'spam') {
+      reason = t('chat.errorSpam');
+    } else {
+      reason = t('chat.errorRateLimited', { seconds: retryAfter || 60 });
+    }
+    return primaryHelpline ? `${reason} ${t('chat.limitHelpline', { contact: helplineContact(primaryHelpline) })}` : reason;
   };
 
   /**
    * Send Message Function
-   * This handles sending messages to the backend and receiving AI responses
+   * This handles sending messages to the backend and receiving AI responses.
+   * Replies are streamed when the backend supports it, otherwise the
+   * regular JSON route is used.
    */
   const sendMessage = async () => {
     // Don't send empty messages
     if (!input.trim()) return;
     
-    // Check for death-related keywords
-    const hasDeathKeywords = checkDeathKeywords(input);
+    // Talking to a counselor: the message goes to them, not the AI
+    // (it shows up in the chat once the backend has relayed it)
+    if (handoff?.status === 'active') {
+      if (sendToCounselor(input.trim())) setInput('');
+      return;
+    }
+    
+    const messageText = input;
     
     // Add user message to chat immediately
-    const userMsg = { from: 'user', text: input };
+    const userId = `user-${Date.now()}`;
+    const userMsg = { id: userId, from: 'user', text: messageText };
     setMessages((msgs) => [...msgs, userMsg]);
     
     // Clear input field and show loading state
     setInput('');
     setLoading(true);
     
+    const details = {
+      message: messageText,
+      region: helplineDirectory?.region,
+      language: locale,
+      ...dataChoices(onboarding),
+    };
+    const body = JSON.stringify({ ...details, sessionId: sessionIdRef.current });
+    const botId = `bot-${Date.now()}`;
+    const showToken = (token) => {
+      setStreamingId(botId);
+      upsertBotMessage(botId, (prev) => prev + token);
+    };
+    
     try {
-      // Send message to backend API
-      const API_URL = process.env.REACT_APP_API_URL || "/api/chat";
-      const res = await fetch(API_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ message: input }),
-      });
+      // Over the open WebSocket if there is one, else streamed over HTTP,
+      // so the reply appears as it is written
+      let data = await sendOverRealtime(details, showToken);
+      if (!data) data = await streamChatReply(STREAM_URL, body, showToken);
       
-      // Check if the request was successful
-      if (!res.ok) {
-        throw new Error(`HTTP error! status: ${res.status}`);
+      // Fall back to the JSON route when streaming isn't available
+      if (!data) {
+        const res = await fetch(API_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...authHeaders() },
+          body,
+        });
+        
+        // Check if the request was successful
+        if (isLimitStatus(res.status)) throw await readLimitError(res);
+        if (isHandoffActiveStatus(res.status)) throw handoffActiveError();
+        if (!res.ok) {
+          throw new Error(`HTTP error! status: ${res.status}`);
+        }
+        
+        // Parse the response from the backend
+        data = await res.json();
       }
       
-      // Parse the response from the backend
-      const data = await res.json();
-      
       // Check if backend returned an error
       if (data.error) {
         throw new Error(data.error);
       }
       
-      // Add bot response to chat
-      setMessages((msgs) => [...msgs, { from: 'bot', text: data.response }]);
+      // Remember the session the backend assigned us
+      rememberSessionId(data.sessionId);
+      
+      // Show the final bot response (replaces any streamed text)
+      upsertBotMessage(botId, () => data.response);
+      if (data.suggestedExercise) {
+        setMessages((msgs) => msgs.map((m) => (m.id === botId ? { ...m, suggestion: data.suggestedExercise } : m)));
+      }
+      
+      // Typing in the chat can start, move along or stop a guided exercise
+      setExercise(data.exercise || null);
+      
+      // Tag the user's message with the detected emotion and update the breakdown
+      if (data.emotion) {
+        setEmotion(data.emotion);
+        setMessages((msgs) => msgs.map((m) => (m.id === userId ? { ...m, emotion: data.emotion.label } : m)));
+      }
       
       // Set stress level from backend if available
       if (typeof data.stressLevel === 'number') {
         setStressLevel(data.stressLevel);
       }
       
-      // If death keywords detected, ensure stress level is set to ultra high
-      if (hasDeathKeywords && deathMentions >= 2) {
-        setStressLevel(4); // Ultra high
+      // Risk assessment (covers crisis phrases and repeated mentions across the session)
+      if (data.risk) {
+        setRisk(data.risk);
       }
       
     } catch (e) {
@@ -368,19 +794,56 @@ function App() {
       console.error('Chat error:', e);
       
       // Provide user-friendly error messages
-      let errorMessage = 'Sorry, I am having trouble responding right now.';
+      let errorMessage = t('chat.errorGeneric');
+      let answeredOffline = false;
       
-      if (e.message.includes('Failed to fetch') || e.message.includes('NetworkError')) {
-        errorMessage = 'Unable to connect to the server. Please make sure the backend is running.';
+      if (e.limit) {
+        errorMessage = describeLimit(e.limit);
+        // Too long: take the message back out of the chat so it can be shortened
+        if (e.limit.status === 413) {
+          setMessages((msgs) => msgs.filter((m) => m.id !== userId));
+          setInput(messageText);
+        }
+      } else if (e.handoffActive) {
+        // A counselor took over before this window heard: give the message
+        // back so it can go to them
+        errorMessage = t('chat.errorHandoffActive');
+        setMessages((msgs) => msgs.filter((m) => m.id !== userId));
+        setInput(messageText);
+      } else if (navigator.onLine === false || e.message.includes('Failed to fetch') || e.message.includes('NetworkError') || e.message.includes('Load failed')) {
+        // No connection: keep the message for later (unless nothing is to be
+        // stored) and answer from this device
+        try {
+          if (!ephemeral) {
+            await queueMessage({
+              id: userId,
+              chatId: conversationKeyRef.current,
+              url: API_URL,
+              accountId: account?.id || null,
+              body: { ...details, sessionId: sessionIdRef.current },
+            });
+            setMessages((msgs) => msgs.map((m) => (m.id === userId ? { ...m, queued: true } : m)));
+            requestOutboxSync();
+          }
+          errorMessage = offlineReply(messageText, locale, helplineContact(primaryHelpline));
+          answeredOffline = true;
+        } catch (queueError) {
+          console.error('Outbox error:', queueError);
+          errorMessage = t('chat.errorConnect');
+        }
       } else if (e.message.includes('HTTP error')) {
-        errorMessage = 'Server error. Please try again later.';
+        errorMessage = t('chat.errorServer');
       }
       
-      // Show error message in chat
-      setMessages((msgs) => [...msgs, { from: 'bot', text: errorMessage }]);
+      // Show error message in chat (replaces a half-streamed reply)
+      upsertBotMessage(botId, () => errorMessage);
+      if (answeredOffline) {
+        setMessages((msgs) => msgs.map((m) => (m.id === botId ? { ...m, offline: true } : m)));
+      }
     }
     
     // Hide loading state
+    setStreamingId(null);
     setLoading(false);
   };
 
@@ -397,16 +860,12 @@ function App() {
 
   /**
    * Quick Reply Buttons
-   * These provide common conversation starters for users
+   * These provide common conversation starters for users (in the UI language)
    */
-  const quickReplies = [
-    "I'm feeling anxious",
-    "I need motivation", 
-    "I'm stressed",
-    "I feel lonely",
-    "I need a breathing exercise",
-    "Tell me a positive quote"
-  ];
+  const quickReplies = t('quickReplies');
+  
+  // Health-safety rotating tips
+  const healthTips = t('healthTips');
 
   /**
    * Handle Quick Reply Button Click
@@ -424,6 +883,7 @@ function App() {
   return (
     // Wrap everything in the Material-UI theme
     <ThemeProvider theme={theme}>
+      <I18nContext.Provider value={{ locale, t }}>
       {/* Main container for the entire app */}
       <Box sx={{ 
         minHeight: '100vh',              // Full screen height
@@ -451,13 +911,58 @@ function App() {
               WizCare Chatbot
             </Typography>
             
-            {/* Helpline Number Display */}
-            <Chip 
-              label="Helpline: 9152987821" 
-              color="secondary" 
+            {/* Switch between chat and mood journal */}
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() => setView(view === 'chat' ? 'journal' : 'chat')}
+              sx={{ mr: 1, fontWeight: 'bold' }}
+            >
+              {view === 'chat' ? t('app.moodJournal') : t('app.backToChat')}
+            </Button>
+            
+            {/* Language picker */}
+            <Select
               size="small"
-              sx={{ fontWeight: 'bold', bgcolor: 'white' }}
-            />
+              value={locale}
+              onChange={(e) => changeLocale(e.target.value)}
+              inputProps={{ 'aria-label': t('app.language') }}
+              sx={{ mr: 1, color: 'white', fontSize: '0.85rem', height: 30, '& .MuiSvgIcon-root': { color: 'white' }, '& fieldset': { borderColor: 'rgba(255,255,255,0.6)' } }}
+            >
+              {Object.entries(LOCALES).map(([code, { name }]) => (
+                <MenuItem key={code} value={code}>{name}</MenuItem>
+              ))}
+            </Select>
+            
+            {/* Account: sign in, or who is signed in with a sign-out menu */}
+            {account ? (
+              <>
+                <IconButton color="inherit" size="small" aria-label={t('auth.account')} onClick={(e) => setAccountMenu(e.currentTarget)} sx={{ mr: 1 }}>
+                  <AccountCircleIcon />
+                </IconButton>
+                <Menu anchorEl={accountMenu} open={Boolean(accountMenu)} onClose={() => setAccountMenu(null)}>
+                  <MenuItem disabled>{t('auth.signedInAs', { name: account.displayName || account.email })}</MenuItem>
+                  <MenuItem onClick={signOut}>{t('auth.signOut')}</MenuItem>
+                </Menu>
+              </>
+            ) : (
+              <Button color="inherit" size="small" onClick={() => setAuthOpen(true)} sx={{ mr: 1, fontWeight: 'bold' }}>
+                {t('auth.signIn')}
+              </Button>
+            )}
+            
+            {/* Helpline Number Display */}
+            {primaryHelpline && (
+              <Chip 
+                label={t('app.helpline', { contact: helplineContact(primaryHelpline) })} 
+                color="secondary" 
+                size="small"
+                component="a"
+                href={primaryHelpline.phone ? `tel:${primaryHelpline.phone.replace(/[^+\d]/g, '')}` : primaryHelpline.website}
+                clickable
+                sx={{ fontWeight: 'bold', bgcolor: 'white' }}
+              />
+            )}
           </Toolbar>
         </AppBar>
 
@@ -468,18 +973,64 @@ function App() {
           flexDirection: 'column', 
           py: 0                           // No vertical padding - handled by CSS
         }}>
+          {view === 'journal' ? (
+          <Box sx={{ flex: 1, overflowY: 'auto' }}>
+            <MoodJournal historyUrl={HISTORY_URL} sessionId={sessionId} onSessionId={rememberSessionId} />
+          </Box>
+          ) : (
+          <>
           {/* Stress Meter OUTSIDE chat card */}
-          <StressMeter level={stressLevel} deathMentions={deathMentions} />
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', '& > *': { flex: '1 1 280px' } }}>
+            <StressMeter level={stressLevel} risk={risk} helpline={primaryHelpline} />
+            <EmotionBreakdown emotion={emotion} />
+          </Box>
           {/* Inline Chat Card - centered */}
           <Box sx={{ flex: 1, position: 'relative' }}>
             <Box className="chat-card fixed" sx={{ borderRadius: 3, boxShadow: 3, display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
-              <Box className="chat-card-header" sx={{ display: 'flex', alignItems: 'center', gap: 2, p: 2, bgcolor: 'primary.main', color: 'white' }}>
-                <img src="/codewizard.jpeg" alt="WizCare" style={{ width: 32, height: 32, borderRadius: 8 }} />
+              <Box className="chat-card-header" sx={{ display: 'flex', alignItems: 'center', gap: 2, p: 2, bgcolor: handoff?.status === 'active' ? 'secondary.main' : 'primary.main', color: 'white' }}>
+                {/* Who is answering: WizCare AI, or the counselor during a live chat */}
+                {handoff?.status === 'active' ? (
+                  <SupportAgentIcon sx={{ width: 32, height: 32 }} />
+                ) : (
+                  <img src="/codewizard.jpeg" alt="WizCare" style={{ width: 32, height: 32, borderRadius: 8 }} />
+                )}
                 <Box sx={{ flex: 1 }}>
-                  <Typography variant="h6" sx={{ m: 0 }}>WizCare Chat</Typography>
-                  <Typography variant="caption" sx={{ opacity: 0.9 }}>Online • Here to help</Typography>
+                  <Typography variant="h6" sx={{ m: 0 }}>
+                    {handoff?.status === 'active' ? counselorName(handoff.counselor, t) : t('chat.title')}
+                  </Typography>
+                  <Typography variant="caption" sx={{ opacity: 0.9 }}>
+                    {handoff?.status === 'active' ? t('handoff.liveStatus') : t('chat.status')}
+                  </Typography>
                 </Box>
+                {/* Saved conversations: switch, search, rename, delete */}
+                <IconButton color="inherit" size="small" aria-label={t('conversations.open')} onClick={openSidebar}>
+                  <ForumIcon />
+                </IconButton>
+                {/* Export / import this conversation */}
+                <ConversationMenu historyUrl={HISTORY_URL} sessionId={sessionId} onImported={restoreConversation} onShowMemory={() => setMemoryOpen(true)} onShowPrivacy={openOnboarding} choices={onboarding} />
               </Box>
+              {/* Guided exercise in progress */}
+              {exercise && (
+                <ExercisePanel
+                  exercise={exercise}
+                  onNext={nextExerciseStep}
+                  onStop={stopExercise}
+                  onClose={() => setExercise(null)}
+                  busy={exerciseBusy}
+                />
+              )}
+              {!online && <Alert severity="info" sx={{ borderRadius: 0 }}>{t('offline.banner')}</Alert>}
+              {/* Talk to a counselor: offer, queue position or live chat */}
+              <HandoffPanel
+                handoff={handoff}
+                stressLevel={stressLevel}
+                counselorsOnline={counselorsOnline}
+                connected={realtimeOpen}
+                error={handoffError}
+                contact={helplineContact(primaryHelpline)}
+                onRequest={requestCounselor}
+                onCancel={leaveCounselor}
+              />
               {/* Messages area: only this scrolls. */}
               <Box
                 className={`inline-chat-messages ${hasTop ? 'has-top' : ''} ${hasBottom ? 'has-bottom' : ''}`}
@@ -487,18 +1038,45 @@ function App() {
                 ref={messagesRef}
                 onScroll={handleMessagesScroll}
               >
-                {messages.map((msg, idx) => (
+                {messages.map((msg, idx) => (msg.from === 'system' ? (
+                  <Typography key={idx} variant="caption" component="p" sx={{ textAlign: 'center', color: 'text.secondary', mb: 2 }}>
+                    {t(msg.textKey, { name: counselorName(msg.counselor, t) })}
+                  </Typography>
+                ) : (
                   <Box key={idx} sx={{ display: 'flex', mb: 2, justifyContent: msg.from === 'user' ? 'flex-end' : 'flex-start' }}>
                     {/* REMOVE DoctorAvatarImage from bot replies */}
                     <Box sx={{ maxWidth: '75%' }}>
+                      {msg.counselor && (
+                        <Typography variant="caption" sx={{ color: 'secondary.main', fontWeight: 'bold' }}>
+                          {msg.counselor.name ? `${msg.counselor.name} · ${t('handoff.counselor')}` : t('handoff.counselor')}
+                        </Typography>
+                      )}
                       <Box className={`message-bubble ${msg.from === 'user' ? 'user-fill' : 'bot'}`} sx={{ p: 1.5 }}>
-                        <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>{msg.text}</Typography>
+                        {msg.from === 'user' ? (
+                          <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>{msg.text}</Typography>
+                        ) : (
+                          <MessageText text={msg.textKey ? t(msg.textKey) : msg.text} linkDomains={helplineDirectory?.linkDomains} />
+                        )}
                       </Box>
-                      <Typography variant="caption" sx={{ color: 'text.secondary', mt: 0.5 }}> </Typography>
+                      {msg.suggestion && (
+                        <SuggestedExercise suggestion={msg.suggestion} onStart={startExercise} disabled={loading || exerciseBusy || Boolean(exercise)} />
+                      )}
+                      {(msg.queued || msg.offline) && (
+                        <Typography variant="caption" component="p" sx={{ color: 'text.secondary', textAlign: msg.from === 'user' ? 'right' : 'left' }}>
+                          {msg.queued ? `⏳ ${t('offline.queued')}` : t('offline.replyNote')}
+                        </Typography>
+                      )}
+                      {msg.from === 'user' && msg.emotion ? (
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+                          <EmotionBadge label={msg.emotion} />
+                        </Box>
+                      ) : (
+                        <Typography variant="caption" sx={{ color: 'text.secondary', mt: 0.5 }}> </Typography>
+                      )}
                     </Box>
                   </Box>
-                ))}
-                {loading && (
+                )))}
+                {((loading && !streamingId) || (botTyping && !loading) || counselorTyping) && (
                   <Box sx={{ display: 'flex', mb: 2, alignItems: 'center' }}>
                     {/* REMOVE DoctorAvatarImage from typing indicator */}
                     <div className="typing-bubble" style={{ marginLeft: 12 }}>
@@ -506,6 +1084,11 @@ function App() {
                       <span className="dot"></span>
                       <span className="dot"></span>
                     </div>
+                    {counselorTyping && (
+                      <Typography variant="caption" sx={{ ml: 1, color: 'text.secondary' }}>
+                        {t('handoff.typing', { name: counselorName(handoff?.counselor, t) })}
+                      </Typography>
+                    )}
                   </Box>
                 )}
                 <div ref={chatEndRef} />
@@ -513,19 +1096,22 @@ function App() {
 
               <Box className="chat-card-footer" sx={{ p: 2, borderTop: '1px solid rgba(0,0,0,0.06)', display: 'flex', gap: 1, flexDirection: 'column' }}>
                 <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+                  <ExercisePicker exercisesUrl={EXERCISES_URL} onStart={startExercise} disabled={loading || exerciseBusy} />
                   {quickReplies.map((q, i) => (
                     <Button key={i} size="small" variant="outlined" onClick={() => handleQuickReply(q)} sx={{ borderRadius: 20, fontSize: '0.75rem', px: 1.5, py: 0.5, minHeight: 24, minWidth: 0, lineHeight: 1.1 }}>{q}</Button>
                   ))}
                 </Box>
                 <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
-                  <TextField fullWidth variant="outlined" placeholder="Type your message..." value={input} onChange={e => setInput(e.target.value)} onKeyDown={handleKeyDown} multiline minRows={1} maxRows={4} />
-                  <IconButton color="primary" onClick={sendMessage} disabled={loading || !input.trim()} sx={{ bgcolor: '#6d28d9', color: 'white' }}>
+                  <TextField fullWidth variant="outlined" placeholder={t('chat.placeholder')} value={input} onChange={e => { setInput(e.target.value); reportTyping(); }} onKeyDown={handleKeyDown} multiline minRows={1} maxRows={4} inputProps={{ maxLength: MAX_MESSAGE_LENGTH }} />
+                  <IconButton color="primary" aria-label={t('chat.send')} onClick={sendMessage} disabled={loading || !input.trim()} sx={{ bgcolor: '#6d28d9', color: 'white' }}>
                     <SendIcon />
                   </IconButton>
                 </Box>
               </Box>
             </Box>
           </Box>
+          </>
+          )}
         </Container>
 
         {/* Footer with Helpline Information */}
@@ -536,32 +1122,48 @@ function App() {
           borderTop: '1px solid #e0e0e0'  // Top border
         }}>
           
-          {/* Helpline Phone Number */}
-          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-            <EmojiEmotionsIcon sx={{ mr: 1, verticalAlign: 'middle', color: '#4CAF50' }} />
-            <strong>Indian Mental Health Helpline:</strong> {INDIAN_HELPLINE.phone}
-          </Typography>
-          
-          {/* Helpline Website Link */}
-          <Typography variant="body2" color="primary">
-            <a 
-              href={INDIAN_HELPLINE.website} 
-              target="_blank" 
-              rel="noopener noreferrer" 
-              style={{ 
-                color: '#4CAF50',
-                textDecoration: 'none',
-                fontWeight: 'bold'
-              }}
-            >
-              Visit Official Helpline Website
-            </a>
-          </Typography>
+          <HelplineFooter directory={helplineDirectory} onRegionChange={setHelplineRegion} />
         </Box>
         <DoctorAvatarFloating visible={doctorVisible} />
-        <div className="doctor-tip-bubble" key={tipIdx}>{HEALTH_TIPS[tipIdx]}</div>
+        <div className="doctor-tip-bubble" key={tipIdx}>{healthTips[tipIdx % healthTips.length]}</div>
+        {/* Saved conversations */}
+        <ConversationSidebar
+          open={sidebarOpen}
+          conversations={conversations}
+          activeKey={conversationKey}
+          busy={loading || switching}
+          onOpen={openConversation}
+          onNew={startConversation}
+          onRename={renameConversation}
+          onDelete={deleteConversation}
+          onDeleteAll={deleteAllData}
+          signedIn={Boolean(account)}
+          onClose={closeSidebar}
+        />
+        {/* What WizCare remembers */}
+        <MemoryDialog open={memoryOpen} memoryUrl={MEMORY_URL} sessionId={sessionId} onClose={() => setMemoryOpen(false)} />
+        {/* First run (and "Privacy choices" in the menu): language, disclaimer, age, data use */}
+        <OnboardingDialog
+          open={onboardingOpen}
+          choices={onboarding}
+          onLocaleChange={changeLocale}
+          helpline={primaryHelpline}
+          youthHelpline={helplineDirectory?.youth}
+          onComplete={completeOnboarding}
+          onClose={closeOnboarding}
+        />
+        {/* Sign in / create account (optional) */}
+        <AuthDialog
+          open={authOpen}
+          authUrl={AUTH_URL}
+          sessionId={sessionId}
+          onSignedIn={handleSignedIn}
+          onClose={() => setAuthOpen(false)}
+        />
+        
         {/* Floating chat removed per request */}
       </Box>
+      </I18nContext.Provider>
     </ThemeProvider>
   );
 }
@@ -576,16 +1178,41 @@ export default App;
  *    - AppBar: Top navigation with title and helpline
  *    - Chat Container: Main area for messages
  *    - Stress Meter: Visual indicator of user's stress level
+ *    - Emotion Breakdown: Per-emotion scores for the latest message
  *    - Quick Reply Buttons: Common conversation starters
  *    - Input Section: Text field and send button
- *    - Footer: Helpline information
+ *    - Footer: Helpline directory for the selected region
  * 
  * 2. STATE MANAGEMENT:
  *    - messages: Array of all chat messages
  *    - input: Current text being typed
  *    - loading: Whether bot is processing
  *    - stressLevel: Current stress level (0-4)
- *    - deathMentions: Count of death-related keywords
+ *    - risk: Latest backend risk assessment (level, score, reasons)
+ *    - emotion: Latest emotion analysis (label, scores)
+ *    - sessionId: Backend session ID, kept in localStorage (conversation memory + mood history)
+ *    - conversationKey: the conversation on screen; every conversation is
+ *      saved on the device (./offline) with its own session, and the
+ *      sidebar (ConversationSidebar, ./useConversations) switches, renames and deletes them
+ *      through /api/conversations; "Delete all my data" there removes every
+ *      one (and the account) through DELETE /api/data
+ *    - view: 'chat' or 'journal' (mood journal with stress timeline)
+ *    - exercise: current guided exercise step (breathing, grounding, thought
+ *      record); started from the Exercises menu or by asking in the chat
+ *    - account: signed-in user, or null for guests (accounts are optional);
+ *      the token is sent with every request and signing in carries the
+ *      guest conversation over into the account
+ *    - locale: UI language ('en' or 'hi'), shared through I18nContext and sent
+ *      to the backend, which also detects the language of each message
+ *    - onboarding: first-run choices (OnboardingDialog, ./useOnboarding): language,
+ *      the not-a-medical-service disclaimer, age and data use. They go out with
+ *      every message (consent, age); unsaved conversations aren't kept on the
+ *      device, in the outbox or on the server, and minors' never are
+ *    - The chat header menu exports the conversation (JSON, Markdown, print/PDF),
+ *      restores a JSON export as a new conversation and shows what WizCare
+ *      remembers (MemoryDialog: facts and summary, each deletable)
+ *    - handoff: live chat with a counselor (waiting or active), or null; while
+ *      active, messages go to the counselor and the header shows their name
  * 
  * 3. USER INTERACTION:
  *    - Type message and press Enter or click Send
@@ -594,13 +1221,23 @@ export default App;
  *    - Stress meter updates based on conversation
  * 
  * 4. BACKEND COMMUNICATION:
- *    - Sends POST requests to /api/chat
+ *    - Keeps a WebSocket (/api/ws, ./useRealtimeChat) open once there is a session; messages go
+ *      over it with replies streamed back, plus typing indicators, check-ins
+ *      after high stress, the counselor queue and live chat. After a
+ *      reconnect it catches up on what it missed (chat:resume)
+ *    - Without an open WebSocket (first message, connection down), streams
+ *      replies from /api/chat/stream (Server-Sent Events)
+ *    - Falls back to POST /api/chat when streaming isn't available
+ *    - Offline: messages wait in an IndexedDB outbox (./offline, ./useOfflineChat) until the
+ *      connection is back, and WizCare answers from the device meanwhile
+ *      (./offlineReplies); conversations are saved on the device too
  *    - Receives AI responses from Gemini API
  *    - Handles errors gracefully with fallback messages
  * 
  * 5. STRESS DETECTION:
- *    - Monitors for death-related keywords
- *    - Shows ultra-high stress level after 3+ mentions
+ *    - The backend risk engine scores each message (phrases, negation,
+ *      quotes, escalation across the session, AI stress estimate)
+ *    - Shows ultra-high stress level when the risk is critical
  *    - Provides immediate helpline contact information
  * 
  * 6. STYLING:
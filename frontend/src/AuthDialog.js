@@ -0,0 +1,121 @@
+/* WizCare Sign-in Dialog
+ *
+ * Sign in or create an account (email + password). Accounts are optional:
+ * closing the dialog keeps the user chatting as a guest. The guest's
+ * current session is sent along, so the conversation so far moves into
+ * the account.
+ */
+
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Tabs,
+  Tab,
+  TextField,
+  Button,
+  Alert,
+  Typography,
+  CircularProgress
+} from '@mui/material';
+import { useTranslation } from './i18n';
+
+/**
+ * Sign-in / sign-up dialog
+ * @param {boolean} open
+ * @param {string} authUrl - Base URL of the accounts API (e.g. /api/auth)
+ * @param {string|null} sessionId - Guest session to carry over into the account
+ * @param {function} onSignedIn - Called with { token, user }
+ * @param {function} onClose
+ */
+function AuthDialog({ open, authUrl, sessionId, onSignedIn, onClose }) {
+  const { t } = useTranslation();
+  const [mode, setMode] = useState('login'); // 'login' | 'signup'
+  const [form, setForm] = useState({ email: '', password: '', displayName: '' });
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const setField = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const res = await fetch(`${authUrl}/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, sessionId }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || t('auth.error'));
+      setForm({ email: '', password: '', displayName: '' });
+      onSignedIn(data);
+    } catch (err) {
+      console.error('Sign-in error:', err);
+      setError(err.message || t('auth.error'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <form onSubmit={submit}>
+        <DialogTitle sx={{ pb: 0 }}>
+          <Tabs value={mode} onChange={(e, next) => { setMode(next); setError(''); }} variant="fullWidth">
+            <Tab value="login" label={t('auth.signIn')} />
+            <Tab value="signup" label={t('auth.signUp')} />
+          </Tabs>
+        </DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="warning" sx={{ mt: 2 }}>{error}</Alert>}
+          {mode === 'signup' && (
+            <TextField
+              label={t('auth.displayName')}
+              value={form.displayName}
+              onChange={setField('displayName')}
+              fullWidth
+              margin="dense"
+              inputProps={{ maxLength: 60 }}
+            />
+          )}
+          <TextField
+            label={t('auth.email')}
+            type="email"
+            value={form.email}
+            onChange={setField('email')}
+            autoComplete="email"
+            required
+            fullWidth
+            margin="dense"
+          />
+          <TextField
+            label={t('auth.password')}
+            type="password"
+            value={form.password}
+            onChange={setField('password')}
+            autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+            helperText={mode === 'signup' ? t('auth.passwordHint') : ''}
+            required
+            fullWidth
+            margin="dense"
+          />
+          <Typography variant="caption" component="p" color="text.secondary" sx={{ mt: 1 }}>
+            {sessionId ? t('auth.keepConversation') : t('auth.guestNote')}
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose} color="inherit">{t('auth.cancel')}</Button>
+          <Button type="submit" variant="contained" disabled={busy} startIcon={busy ? <CircularProgress size={16} /> : null}>
+            {mode === 'signup' ? t('auth.signUp') : t('auth.signIn')}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+}
+
+export default AuthDialog;
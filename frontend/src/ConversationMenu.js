@@ -0,0 +1,167 @@
+/* WizCare Conversation Menu
+ *
+ * Save the current conversation (e.g. to share with a therapist) or bring
+ * back one saved earlier:
+ * - JSON: the full transcript, the only format that can be imported again
+ * - Markdown: readable in any notes app
+ * - Print / PDF: a print-friendly page; choose "Save as PDF" when printing
+ *
+ * It also opens the list of what WizCare remembers (see MemoryDialog.js)
+ * and the privacy choices made on first run (see OnboardingDialog.js).
+ *
+ * Exports come from GET /api/history/transcript, imports go to
+ * POST /api/history/import which answers with a new session. Both send the
+ * sign-in token, since an account's conversations are private; imports also
+ * send the onboarding choices, so an unsaved conversation stays unsaved.
+ */
+
+import React, { useState, useRef } from 'react';
+import {
+  IconButton,
+  Menu,
+  MenuItem,
+  Divider,
+  ListItemIcon,
+  ListItemText,
+  Snackbar,
+  Alert
+} from '@mui/material';
+import MoreVertIcon from '@mui/icons-material/MoreVert';
+import DownloadIcon from '@mui/icons-material/Download';
+import PrintIcon from '@mui/icons-material/Print';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import PsychologyIcon from '@mui/icons-material/Psychology';
+import PrivacyTipIcon from '@mui/icons-material/PrivacyTip';
+import { useTranslation } from './i18n';
+import { authHeaders } from './auth';
+import { dataChoices } from './onboarding';
+
+const EXTENSIONS = { json: 'json', markdown: 'md', html: 'html' };
+
+/**
+ * Conversation export/import menu
+ * @param {string} historyUrl - Base URL of the history API (e.g. /api/history)
+ * @param {string|null} sessionId - Current backend session (exports are disabled without one)
+ * @param {function} onImported - Called with { sessionId, turns } after a successful import
+ * @param {function} onShowMemory - Opens what WizCare remembers
+ * @param {function} onShowPrivacy - Opens the privacy choices (data use, age, language)
+ * @param {object|null} choices - Onboarding choices (see onboarding.js)
+ */
+function ConversationMenu({ historyUrl, sessionId, onImported, onShowMemory, onShowPrivacy, choices }) {
+  const { t } = useTranslation();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const fileInputRef = useRef(null);
+
+  /**
+   * Fetch an export (with the sign-in token, which a plain link can't send)
+   * and save it as a file, or open it in a new tab for printing
+   */
+  const exportAs = async (format, download) => {
+    setAnchorEl(null);
+    // Open the print tab right away; browsers block pop-ups opened after a fetch
+    const printWindow = download ? null : window.open('', '_blank');
+    try {
+      const res = await fetch(`${historyUrl}/transcript?sessionId=${encodeURIComponent(sessionId)}&format=${format}`, {
+        headers: authHeaders(),
+      });
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+      const url = URL.createObjectURL(await res.blob());
+      if (printWindow) {
+        printWindow.location.href = url;
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `wizcare-conversation-${new Date().toISOString().slice(0, 10)}.${EXTENSIONS[format]}`;
+        link.click();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (e) {
+      console.error('Export error:', e);
+      if (printWindow) printWindow.close();
+      setNotice({ severity: 'warning', text: t('conversation.exportError') });
+    }
+  };
+
+  /**
+   * Send a JSON export back to the backend and hand the restored turns to the chat
+   */
+  const importFile = async (file) => {
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (e) {
+        throw new Error(t('conversation.notAnExport'));
+      }
+      const res = await fetch(`${historyUrl}/import?${new URLSearchParams(dataChoices(choices))}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(data),
+      });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || `HTTP error! status: ${res.status}`);
+      onImported(result);
+      setNotice({ severity: 'success', text: t('conversation.restored', { count: result.turns.length }) });
+    } catch (e) {
+      console.error('Import error:', e);
+      setNotice({ severity: 'warning', text: e.message.includes('HTTP error') ? t('conversation.importError') : e.message });
+    }
+  };
+
+  const closeMenu = () => setAnchorEl(null);
+
+  return (
+    <>
+      <IconButton color="inherit" aria-label={t('conversation.options')} onClick={(e) => setAnchorEl(e.currentTarget)}>
+        <MoreVertIcon />
+      </IconButton>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={closeMenu}>
+        <MenuItem disabled={!sessionId} onClick={() => exportAs('json', true)}>
+          <ListItemIcon><DownloadIcon fontSize="small" /></ListItemIcon>
+          <ListItemText>{t('conversation.downloadJson')}</ListItemText>
+        </MenuItem>
+        <MenuItem disabled={!sessionId} onClick={() => exportAs('markdown', true)}>
+          <ListItemIcon><DownloadIcon fontSize="small" /></ListItemIcon>
+          <ListItemText>{t('conversation.downloadMarkdown')}</ListItemText>
+        </MenuItem>
+        <MenuItem disabled={!sessionId} onClick={() => exportAs('html', false)}>
+          <ListItemIcon><PrintIcon fontSize="small" /></ListItemIcon>
+          <ListItemText>{t('conversation.print')}</ListItemText>
+        </MenuItem>
+        <MenuItem onClick={() => { closeMenu(); fileInputRef.current.click(); }}>
+          <ListItemIcon><UploadFileIcon fontSize="small" /></ListItemIcon>
+          <ListItemText>{t('conversation.import')}</ListItemText>
+        </MenuItem>
+        <Divider />
+        <MenuItem disabled={!sessionId} onClick={() => { closeMenu(); onShowMemory(); }}>
+          <ListItemIcon><PsychologyIcon fontSize="small" /></ListItemIcon>
+          <ListItemText>{t('memory.open')}</ListItemText>
+        </MenuItem>
+        <MenuItem onClick={() => { closeMenu(); onShowPrivacy(); }}>
+          <ListItemIcon><PrivacyTipIcon fontSize="small" /></ListItemIcon>
+          <ListItemText>{t('onboarding.open')}</ListItemText>
+        </MenuItem>
+      </Menu>
+
+      {/* Hidden picker for JSON exports */}
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        hidden
+        onChange={(e) => {
+          const file = e.target.files[0];
+          e.target.value = ''; // allow picking the same file again
+          if (file) importFile(file);
+        }}
+      />
+
+      <Snackbar open={Boolean(notice)} autoHideDuration={4000} onClose={() => setNotice(null)}>
+        {notice ? <Alert severity={notice.severity} onClose={() => setNotice(null)}>{notice.text}</Alert> : <span />}
+      </Snackbar>
+    </>
+  );
+}
+
+export default ConversationMenu;
@@ -0,0 +1,224 @@
+/* WizCare Conversation Sidebar
+ *
+ * The list of saved conversations, opened from the chat header: search
+ * them (titles and messages), switch to one, start a new one, rename or
+ * delete one. Conversations are titled after their first message until
+ * renamed (see ./conversations). "Delete all my data" at the bottom
+ * removes every conversation, and the account when signed in. The list
+ * itself and the calls to the backend live in App.js; this only shows them.
+ */
+
+import React, { useState } from 'react';
+import {
+  Drawer,
+  Box,
+  Typography,
+  TextField,
+  Button,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  IconButton,
+  InputAdornment,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Alert
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import SearchIcon from '@mui/icons-material/Search';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
+import { useTranslation } from './i18n';
+import { matchesSearch } from './conversations';
+
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * Conversation list drawer
+ * @param {boolean} open
+ * @param {Array<object>} conversations - { key, sessionId, title, updatedAt, messages?, remote? }, most recent first
+ * @param {string} activeKey - Key of the conversation on screen
+ * @param {boolean} busy - A reply or a switch is under way (switching waits)
+ * @param {function} onOpen - Called with a conversation; rejects if it can't be loaded
+ * @param {function} onNew
+ * @param {function} onRename - Called with (conversation, title); rejects if refused
+ * @param {function} onDelete - Called with a conversation; rejects if refused
+ * @param {function} onDeleteAll - Deletes all of the person's data; rejects if refused
+ * @param {boolean} signedIn - The account goes too (the confirmation says so)
+ * @param {function} onClose
+ */
+function ConversationSidebar({ open, conversations, activeKey, busy, onOpen, onNew, onRename, onDelete, onDeleteAll, signedIn, onClose }) {
+  const { t, locale } = useTranslation();
+  const [query, setQuery] = useState('');
+  const [renaming, setRenaming] = useState(null); // { conversation, title }
+  const [deleting, setDeleting] = useState(null); // conversation
+  const [deletingAll, setDeletingAll] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const shown = conversations.filter((conversation) => matchesSearch(conversation, query));
+
+  /**
+   * Run one of the callbacks, showing an error if it fails
+   * @returns {Promise<boolean>} - Whether it worked
+   */
+  const attempt = async (action, errorKey) => {
+    setWorking(true);
+    setError('');
+    try {
+      await action();
+      return true;
+    } catch (e) {
+      console.error('Conversations error:', e);
+      setError(t(errorKey));
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const saveRename = async (e) => {
+    e.preventDefault();
+    if (await attempt(() => onRename(renaming.conversation, renaming.title.trim()), 'conversations.renameError')) setRenaming(null);
+  };
+
+  const confirmDelete = async () => {
+    if (await attempt(() => onDelete(deleting), 'conversations.deleteError')) setDeleting(null);
+  };
+
+  const confirmDeleteAll = async () => {
+    if (await attempt(onDeleteAll, 'conversations.deleteAllError')) setDeletingAll(false);
+  };
+
+  const formatDate = (ts) => (ts ? new Date(ts).toLocaleDateString(locale, { day: 'numeric', month: 'short' }) : '');
+
+  return (
+    <>
+      <Drawer anchor="left" open={open} onClose={onClose}>
+        <Box sx={{ width: 320, maxWidth: '85vw', p: 2, display: 'flex', flexDirection: 'column', gap: 1.5, height: '100%' }}>
+          <Typography variant="h6">{t('conversations.title')}</Typography>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={onNew} disabled={busy}>
+            {t('conversations.new')}
+          </Button>
+          <TextField
+            size="small"
+            placeholder={t('conversations.search')}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            inputProps={{ 'aria-label': t('conversations.search') }}
+            InputProps={{ startAdornment: <InputAdornment position="start"><SearchIcon fontSize="small" /></InputAdornment> }}
+          />
+          {error && <Alert severity="warning" onClose={() => setError('')}>{error}</Alert>}
+          <List dense sx={{ flex: 1, overflowY: 'auto' }}>
+            {shown.map((conversation) => (
+              <ListItem
+                key={conversation.key}
+                disablePadding
+                secondaryAction={(
+                  <>
+                    <IconButton
+                      edge="end"
+                      size="small"
+                      aria-label={t('conversations.rename')}
+                      onClick={() => setRenaming({ conversation, title: conversation.title || '' })}
+                    >
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton edge="end" size="small" aria-label={t('conversations.delete')} onClick={() => setDeleting(conversation)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </>
+                )}
+              >
+                <ListItemButton
+                  selected={conversation.key === activeKey}
+                  disabled={busy}
+                  onClick={() => attempt(() => onOpen(conversation), 'conversations.openError')}
+                  sx={{ pr: 10 }}
+                >
+                  <ListItemText
+                    primary={conversation.title || t('conversations.untitled')}
+                    secondary={formatDate(conversation.updatedAt)}
+                    primaryTypographyProps={{ noWrap: true }}
+                  />
+                </ListItemButton>
+              </ListItem>
+            ))}
+          </List>
+          {shown.length === 0 && (
+            <Typography variant="body2" color="text.secondary">
+              {query.trim() ? t('conversations.noMatches') : t('conversations.empty')}
+            </Typography>
+          )}
+          <Button color="error" size="small" startIcon={<DeleteForeverIcon />} onClick={() => setDeletingAll(true)} disabled={busy}>
+            {t('conversations.deleteAll')}
+          </Button>
+        </Box>
+      </Drawer>
+
+      {/* Rename */}
+      <Dialog open={Boolean(renaming)} onClose={() => setRenaming(null)} fullWidth maxWidth="xs">
+        <form onSubmit={saveRename}>
+          <DialogTitle>{t('conversations.renameTitle')}</DialogTitle>
+          <DialogContent>
+            <TextField
+              autoFocus
+              fullWidth
+              margin="dense"
+              label={t('conversations.titleLabel')}
+              value={renaming?.title || ''}
+              onChange={(e) => setRenaming((current) => ({ ...current, title: e.target.value }))}
+              inputProps={{ maxLength: MAX_TITLE_LENGTH }}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setRenaming(null)}>{t('conversations.cancel')}</Button>
+            <Button type="submit" variant="contained" disabled={working || !renaming?.title.trim()}>
+              {t('conversations.save')}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+
+      {/* Delete */}
+      <Dialog open={Boolean(deleting)} onClose={() => setDeleting(null)} fullWidth maxWidth="xs">
+        <DialogTitle>{t('conversations.deleteTitle')}</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {t('conversations.deleteConfirm', { title: deleting?.title || t('conversations.untitled') })}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleting(null)}>{t('conversations.cancel')}</Button>
+          <Button color="error" variant="contained" onClick={confirmDelete} disabled={working}>
+            {t('conversations.delete')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete all my data */}
+      <Dialog open={deletingAll} onClose={() => setDeletingAll(false)} fullWidth maxWidth="xs">
+        <DialogTitle>{t('conversations.deleteAllTitle')}</DialogTitle>
+        <DialogContent>
+          {error && deletingAll && <Alert severity="warning" sx={{ mb: 2 }}>{error}</Alert>}
+          <DialogContentText>
+            {t(signedIn ? 'conversations.deleteAllConfirmAccount' : 'conversations.deleteAllConfirm')}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeletingAll(false)}>{t('conversations.cancel')}</Button>
+          <Button color="error" variant="contained" onClick={confirmDeleteAll} disabled={working}>
+            {t('conversations.deleteAll')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default ConversationSidebar;
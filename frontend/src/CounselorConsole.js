@@ -0,0 +1,294 @@
+/* WizCare Counselor Console
+ *
+ * The "Live chats" tab of the review dashboard (/admin):
+ * - The queue: people waiting for a counselor (longest wait first) and chats
+ *   already in progress, with their stress and risk when they asked
+ * - Accepting a waiting person opens the chat: the AI conversation before
+ *   the handoff for context, then the live messages and a reply box
+ * - Ending the chat hands the person back to WizCare AI
+ *
+ * Everything goes over the real-time channel (see ./realtime and
+ * backend/handoff/relay.js), so the queue, messages and typing indicators
+ * update live.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Chip,
+  Grid,
+  List,
+  ListItemButton,
+  ListItemText,
+  TextField,
+  Alert,
+  Divider
+} from '@mui/material';
+import { connectRealtime, realtimeUrl } from './realtime';
+import { stressLevels } from './moodScales';
+import { useTranslation } from './i18n';
+
+const RISK_COLORS = { high: 'error', critical: 'error', moderate: 'warning' };
+
+// Typing stops counting after this long without a keystroke
+const TYPING_IDLE_MS = 3000;
+
+const formatTime = (ts, locale) => (ts ? new Date(ts).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' }) : '');
+
+/**
+ * Stress and risk chips for a queue entry or message
+ */
+const RiskChips = ({ stressLevel, riskLevel }) => {
+  const { t } = useTranslation();
+  return (
+    <Box component="span" sx={{ display: 'inline-flex', gap: 0.5, flexWrap: 'wrap' }}>
+      {Number.isInteger(stressLevel) && (
+        <Chip size="small" variant="outlined" label={`${stressLevels[stressLevel].emoji} ${t('stressLevels')[stressLevel].label}`} />
+      )}
+      {riskLevel && riskLevel !== 'none' && (
+        <Chip size="small" color={RISK_COLORS[riskLevel] || 'default'} label={t('review.risk', { level: riskLevel })} />
+      )}
+    </Box>
+  );
+};
+
+/**
+ * One open chat: context, live messages and the reply box
+ * @param {object} detail - { handoff, turns } from the backend
+ * @param {boolean} mine - Whether this counselor has accepted the chat
+ * @param {boolean} userTyping - Whether the person is typing right now
+ * @param {function} onTyping - Called with true/false as the counselor starts and stops typing; returns whether it was sent
+ */
+const ChatPanel = ({ detail, mine, userTyping, onAccept, onSend, onTyping, onEnd }) => {
+  const { locale, t } = useTranslation();
+  const [reply, setReply] = useState('');
+  const endRef = useRef(null);
+  const typingRef = useRef({ active: false, timer: null });
+  const { handoff, turns } = detail;
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [handoff.messages.length]);
+
+  const stopTyping = () => {
+    const typing = typingRef.current;
+    clearTimeout(typing.timer);
+    if (typing.active) onTyping(false);
+    typing.active = false;
+  };
+
+  const changeReply = (value) => {
+    setReply(value);
+    const typing = typingRef.current;
+    if (!typing.active) typing.active = onTyping(true);
+    clearTimeout(typing.timer);
+    typing.timer = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  const send = () => {
+    stopTyping();
+    if (reply.trim() && onSend(reply.trim())) setReply('');
+  };
+
+  return (
+    <Paper sx={{ p: 2, display: 'flex', flexDirection: 'column', height: '100%', minHeight: 420 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+        <Typography variant="subtitle2" sx={{ fontFamily: 'monospace', flex: 1 }}>{handoff.sessionId}</Typography>
+        <RiskChips stressLevel={handoff.stressLevel} riskLevel={handoff.riskLevel} />
+      </Box>
+
+      <Box sx={{ flex: 1, overflowY: 'auto', maxHeight: 480, pr: 1 }}>
+        <Typography variant="overline" sx={{ color: 'text.secondary' }}>{t('review.live.before')}</Typography>
+        {turns.map((turn, idx) => (
+          <Box key={idx} sx={{ mb: 1.5, color: 'text.secondary' }}>
+            <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}><strong>{t('review.user')}:</strong> {turn.user}</Typography>
+            <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}><strong>{t('review.bot')}:</strong> {turn.bot}</Typography>
+          </Box>
+        ))}
+        <Divider sx={{ my: 1 }}>
+          <Typography variant="caption">{t('review.live.liveChat')}</Typography>
+        </Divider>
+        {handoff.messages.map((message) => (
+          <Box key={message.id} sx={{ display: 'flex', justifyContent: message.from === 'counselor' ? 'flex-end' : 'flex-start', mb: 1 }}>
+            <Box sx={{ maxWidth: '80%', p: 1, borderRadius: 2, bgcolor: message.from === 'counselor' ? '#E3F2FD' : '#F1F8E9' }}>
+              <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                {message.from === 'counselor' ? message.name || t('review.roles.counselor') : t('review.user')} · {formatTime(message.ts, locale)}
+              </Typography>
+              {message.riskLevel && message.riskLevel !== 'none' && (
+                <Box><RiskChips riskLevel={message.riskLevel} /></Box>
+              )}
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>{message.text}</Typography>
+            </Box>
+          </Box>
+        ))}
+        {userTyping && handoff.status === 'active' && (
+          <Typography variant="caption" sx={{ color: 'text.secondary' }}>{t('review.live.userTyping')}</Typography>
+        )}
+        <div ref={endRef} />
+      </Box>
+
+      {handoff.status === 'waiting' && (
+        <Button variant="contained" onClick={() => onAccept(handoff.sessionId)} sx={{ mt: 2 }}>{t('review.live.accept')}</Button>
+      )}
+      {handoff.status === 'active' && !mine && (
+        <Alert severity="info" sx={{ mt: 2 }}>{t('review.live.takenBy', { name: handoff.counselor.name || t('review.roles.counselor') })}</Alert>
+      )}
+      {handoff.status === 'active' && mine && (
+        <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+          <TextField
+            fullWidth
+            multiline
+            maxRows={4}
+            size="small"
+            value={reply}
+            onChange={(e) => changeReply(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                send();
+              }
+            }}
+            placeholder={t('review.live.replyPlaceholder')}
+          />
+          <Button variant="contained" onClick={send} disabled={!reply.trim()}>{t('review.live.send')}</Button>
+          <Button color="error" onClick={() => onEnd(handoff.sessionId)}>{t('review.live.end')}</Button>
+        </Box>
+      )}
+      {handoff.status === 'ended' && <Alert severity="success" sx={{ mt: 2 }}>{t('review.live.ended')}</Alert>}
+    </Paper>
+  );
+};
+
+/**
+ * @param {string} apiBase - e.g. '/api'
+ * @param {object} account - The signed-in reviewer ({ id, ... })
+ * @param {function} onQueueChange - Called with the number of people waiting
+ */
+const CounselorConsole = ({ apiBase, account, onQueueChange }) => {
+  const { locale, t } = useTranslation();
+  const [queue, setQueue] = useState([]);
+  const [connected, setConnected] = useState(false);
+  const [error, setError] = useState(null); // error code
+  const [openId, setOpenId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [typing, setTyping] = useState({}); // sessionId -> whether the person is typing
+  const connectionRef = useRef(null);
+  const openIdRef = useRef(null);
+
+  useEffect(() => {
+    openIdRef.current = openId;
+  }, [openId]);
+
+  useEffect(() => {
+    const connection = connectRealtime({
+      url: () => realtimeUrl(apiBase),
+      onStatus: (status) => setConnected(status === 'open'),
+      onFrame: (frame) => {
+        if (frame.type === 'handoff:queue') {
+          setQueue(frame.queue);
+          onQueueChange(frame.queue.filter((entry) => entry.status === 'waiting').length);
+          // Keep the open chat's status in step (accepted by someone else, ended by the person)
+          setDetail((current) => {
+            if (!current) return current;
+            const entry = frame.queue.find((item) => item.sessionId === current.handoff.sessionId);
+            const next = entry
+              ? { ...current.handoff, status: entry.status, counselor: entry.counselor }
+              : { ...current.handoff, status: 'ended' };
+            return { ...current, handoff: next };
+          });
+        } else if (frame.type === 'handoff:detail') {
+          if (frame.handoff.sessionId === openIdRef.current) setDetail(frame);
+        } else if (frame.type === 'typing') {
+          setTyping((current) => ({ ...current, [frame.sessionId]: Boolean(frame.typing) }));
+        } else if (frame.type === 'handoff:message') {
+          if (frame.message.from === 'user') setTyping((current) => ({ ...current, [frame.sessionId]: false }));
+          setDetail((current) => (current && current.handoff.sessionId === frame.sessionId
+            && !current.handoff.messages.some((m) => m.id === frame.message.id)
+            ? { ...current, handoff: { ...current.handoff, messages: [...current.handoff.messages, frame.message] } }
+            : current));
+        } else if (frame.type === 'error') {
+          setError(frame.code);
+        }
+      },
+    });
+    connectionRef.current = connection;
+    return () => connection.close();
+  }, [apiBase, onQueueChange]);
+
+  const send = (type, data) => {
+    setError(null);
+    const sent = Boolean(connectionRef.current?.send(type, data));
+    if (!sent) setError('offline');
+    return sent;
+  };
+
+  const open = (sessionId) => {
+    setOpenId(sessionId);
+    openIdRef.current = sessionId;
+    setDetail(null);
+    send('counselor:open', { sessionId });
+  };
+
+  return (
+    <Box>
+      {!connected && <Alert severity="warning" sx={{ mb: 2 }}>{t('review.live.disconnected')}</Alert>}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {t(`review.live.errors.${['taken', 'not_waiting', 'not_assigned', 'offline'].includes(error) ? error : 'generic'}`)}
+        </Alert>
+      )}
+      <Grid container spacing={2}>
+        <Grid size={{ xs: 12, md: 4 }}>
+          <Paper>
+            <List dense disablePadding>
+              {queue.length === 0 && (
+                <Typography variant="body2" sx={{ p: 2, color: 'text.secondary' }}>{t('review.live.empty')}</Typography>
+              )}
+              {queue.map((entry) => (
+                <ListItemButton key={entry.sessionId} selected={entry.sessionId === openId} onClick={() => open(entry.sessionId)}>
+                  <ListItemText
+                    primary={(
+                      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                        <Chip
+                          size="small"
+                          color={entry.status === 'waiting' ? 'warning' : 'success'}
+                          label={entry.status === 'waiting'
+                            ? t('review.live.waiting', { position: entry.position })
+                            : t('review.live.withCounselor', { name: entry.counselor.name || t('review.roles.counselor') })}
+                        />
+                        <RiskChips stressLevel={entry.stressLevel} riskLevel={entry.riskLevel} />
+                      </Box>
+                    )}
+                    secondary={t('review.live.since', { time: formatTime(entry.requestedAt, locale) })}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          </Paper>
+        </Grid>
+        <Grid size={{ xs: 12, md: 8 }}>
+          {detail ? (
+            <ChatPanel
+              detail={detail}
+              mine={detail.handoff.counselor?.id === account.id}
+              userTyping={Boolean(typing[detail.handoff.sessionId])}
+              onAccept={(sessionId) => send('counselor:accept', { sessionId })}
+              onSend={(text) => send('counselor:message', { sessionId: detail.handoff.sessionId, text })}
+              onTyping={(isTyping) => Boolean(connectionRef.current?.send('counselor:typing', { sessionId: detail.handoff.sessionId, typing: isTyping }))}
+              onEnd={(sessionId) => send('counselor:end', { sessionId })}
+            />
+          ) : (
+            <Paper sx={{ p: 3, color: 'text.secondary' }}>
+              <Typography variant="body2">{t('review.live.pick')}</Typography>
+            </Paper>
+          )}
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default CounselorConsole;
@@ -0,0 +1,85 @@
+/* WizCare Emotion display
+ *
+ * The emotion analysis the backend returns with each reply ({ label, scores },
+ * see backend/emotion): a badge under each user message and a panel with
+ * the per-emotion scores for the latest one.
+ */
+
+import React from 'react';
+import { Box, Typography, Chip, LinearProgress } from '@mui/material';
+import { EMOTIONS } from './moodScales';
+import { useTranslation } from './i18n';
+
+/**
+ * Small emotion badge shown under each user message
+ */
+export const EmotionBadge = ({ label }) => {
+  const { t } = useTranslation();
+  const meta = EMOTIONS[label] || EMOTIONS.neutral;
+  return (
+    <Chip
+      size="small"
+      label={`${meta.emoji} ${t(`emotions.${label}`)}`}
+      sx={{ mt: 0.5, height: 20, fontSize: '0.7rem', bgcolor: 'rgba(255,255,255,0.85)', color: meta.color, border: `1px solid ${meta.color}` }}
+    />
+  );
+};
+
+/**
+ * Emotion breakdown panel
+ * Shows the analyzer's per-emotion scores for the latest message
+ */
+const EmotionBreakdown = ({ emotion }) => {
+  const { t } = useTranslation();
+  const scores = emotion?.scores || {};
+  const entries = Object.entries(scores);
+  const max = Math.max(1, ...entries.map(([, value]) => value));
+
+  return (
+    <Box sx={{ 
+      display: 'flex', 
+      flexDirection: 'column', 
+      mb: 2, 
+      p: 2,
+      bgcolor: 'rgba(255,255,255,0.9)',
+      borderRadius: 2,
+      border: '1px solid rgba(76,175,80,0.1)'
+    }}>
+      <Typography variant="subtitle1" sx={{ mb: 1, fontWeight: 'bold', color: '#2c3e50', textAlign: 'center' }}>
+        {t('emotionBreakdown.title')}
+      </Typography>
+      {entries.length === 0 ? (
+        <Typography variant="caption" sx={{ color: '#666', textAlign: 'center' }}>
+          {t('emotionBreakdown.empty')}
+        </Typography>
+      ) : (
+        entries.map(([name, value]) => (
+          <Box key={name} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+            <Typography variant="caption" sx={{ width: 110, color: '#444' }}>
+              {(EMOTIONS[name] || EMOTIONS.neutral).emoji} {t(`emotions.${name}`)}
+            </Typography>
+            <LinearProgress
+              variant="determinate"
+              value={(value / max) * 100}
+              sx={{
+                flex: 1,
+                height: 6,
+                borderRadius: 3,
+                bgcolor: 'rgba(0,0,0,0.06)',
+                '& .MuiLinearProgress-bar': { bgcolor: (EMOTIONS[name] || EMOTIONS.neutral).color },
+              }}
+            />
+            <Typography variant="caption" sx={{ width: 16, textAlign: 'right', color: '#666' }}>{value}</Typography>
+          </Box>
+        ))
+      )}
+      {emotion && (
+        <Typography variant="caption" sx={{ mt: 1, color: '#666', textAlign: 'center' }}>
+          {t('emotionBreakdown.strongest', { label: t(`emotions.${emotion.label}`) })}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default EmotionBreakdown;
@@ -0,0 +1,246 @@
+/* WizCare Guided Exercises
+ *
+ * Shows the step the user is on in a guided exercise (box breathing,
+ * 5-4-3-2-1 grounding, thought record):
+ * - Step progress and the step text
+ * - For breathing steps, an animated circle with the current cue and a countdown
+ * - Next / Stop buttons; answers to prompts and questions are typed in the chat
+ * - A "Try ..." button under bot replies that suggest an exercise
+ *
+ * The backend keeps track of the exercise (see backend/exercises); the chat
+ * and the buttons both move it along.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  LinearProgress,
+  Menu,
+  MenuItem,
+  ListItemText
+} from '@mui/material';
+import SelfImprovementIcon from '@mui/icons-material/SelfImprovement';
+import { useTranslation } from './i18n';
+
+const EXPANDED = 1;
+const CONTRACTED = 0.55;
+
+/**
+ * Circle size for a phase: inhale grows it, exhale shrinks it, hold keeps
+ * whatever the phase before it left
+ */
+const scaleForPhase = (phases, index) => {
+  for (let i = 0; i < phases.length; i += 1) {
+    const { cue } = phases[(index - i + phases.length) % phases.length];
+    if (cue === 'inhale') return EXPANDED;
+    if (cue === 'exhale') return CONTRACTED;
+  }
+  return CONTRACTED;
+};
+
+/**
+ * Animated breathing guide
+ * @param {Array<object>} phases - [{ cue: 'inhale' | 'hold' | 'exhale', seconds }]
+ * @param {number} rounds - How many times to go through the phases
+ */
+const BreathingGuide = ({ phases, rounds }) => {
+  const { t } = useTranslation();
+  const [running, setRunning] = useState(false);
+  const [tick, setTick] = useState({ round: 0, phase: 0, remaining: phases[0].seconds, done: false });
+
+  // Count down one second at a time, moving through phases and rounds
+  useEffect(() => {
+    if (!running) return undefined;
+    const id = setInterval(() => {
+      setTick((cur) => {
+        if (cur.remaining > 1) return { ...cur, remaining: cur.remaining - 1 };
+        const phase = (cur.phase + 1) % phases.length;
+        const round = phase === 0 ? cur.round + 1 : cur.round;
+        if (round >= rounds) return { ...cur, remaining: 0, done: true };
+        return { round, phase, remaining: phases[phase].seconds, done: false };
+      });
+    }, 1000);
+    return () => clearInterval(id);
+  }, [running, phases, rounds]);
+
+  useEffect(() => {
+    if (tick.done) setRunning(false);
+  }, [tick.done]);
+
+  const current = phases[tick.phase];
+  const scale = running ? scaleForPhase(phases, tick.phase) : CONTRACTED;
+  const animated = running && current.cue !== 'hold';
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', py: 1 }}>
+      <Box sx={{ width: 120, height: 120, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+        <Box
+          className="breathing-circle"
+          sx={{
+            transform: `scale(${scale})`,
+            transitionDuration: animated ? `${current.seconds}s` : '0.4s',
+          }}
+        >
+          <Typography variant="h5" sx={{ color: 'white', fontWeight: 'bold' }}>
+            {running ? tick.remaining : tick.done ? '✓' : ''}
+          </Typography>
+        </Box>
+      </Box>
+      <Typography variant="subtitle2" sx={{ mt: 1, color: '#2c3e50' }}>
+        {running ? t(`exercises.cues.${current.cue}`) : tick.done ? t('exercises.breathingDone') : ''}
+      </Typography>
+      {running && (
+        <Typography variant="caption" color="text.secondary">
+          {t('exercises.round', { current: tick.round + 1, total: rounds })}
+        </Typography>
+      )}
+      {!running && !tick.done && (
+        <Button size="small" variant="contained" onClick={() => setRunning(true)} sx={{ mt: 1 }}>
+          {t('exercises.start')}
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * Button + menu listing the available exercises
+ * @param {string} exercisesUrl - Base URL of the exercises API (e.g. /api/exercises)
+ * @param {function} onStart - Called with the chosen exercise id
+ * @param {boolean} disabled
+ */
+export const ExercisePicker = ({ exercisesUrl, onStart, disabled }) => {
+  const { locale, t } = useTranslation();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exercises, setExercises] = useState(null);
+
+  const openMenu = async (e) => {
+    setAnchorEl(e.currentTarget);
+    try {
+      const res = await fetch(`${exercisesUrl}?language=${locale}`);
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+      setExercises((await res.json()).exercises);
+    } catch (err) {
+      console.error('Exercises error:', err);
+      setExercises([]);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        variant="outlined"
+        startIcon={<SelfImprovementIcon />}
+        onClick={openMenu}
+        disabled={disabled}
+        sx={{ borderRadius: 20, fontSize: '0.75rem', px: 1.5, py: 0.5, minHeight: 24, lineHeight: 1.1 }}
+      >
+        {t('exercises.button')}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {exercises && exercises.length === 0 && (
+          <MenuItem disabled>{t('exercises.loadError')}</MenuItem>
+        )}
+        {(exercises || []).map((exercise) => (
+          <MenuItem
+            key={exercise.id}
+            onClick={() => {
+              setAnchorEl(null);
+              onStart(exercise.id);
+            }}
+            sx={{ maxWidth: 360, whiteSpace: 'normal' }}
+          >
+            <ListItemText
+              primary={`${exercise.title} · ${t('exercises.minutes', { count: exercise.minutes })}`}
+              secondary={exercise.description}
+            />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+/**
+ * Button under a bot reply offering the exercise the AI suggested
+ * @param {object} suggestion - { id, title } from the chat response
+ * @param {function} onStart - Called with the exercise id
+ * @param {boolean} disabled
+ */
+export const SuggestedExercise = ({ suggestion, onStart, disabled }) => {
+  const { t } = useTranslation();
+  if (!suggestion) return null;
+
+  return (
+    <Button
+      size="small"
+      variant="text"
+      startIcon={<SelfImprovementIcon />}
+      onClick={() => onStart(suggestion.id)}
+      disabled={disabled}
+      sx={{ mt: 0.5, borderRadius: 20, fontSize: '0.75rem', px: 1.5, py: 0.25, minHeight: 24, lineHeight: 1.1 }}
+    >
+      {t('exercises.suggested', { title: suggestion.title })}
+    </Button>
+  );
+};
+
+/**
+ * Current exercise step
+ * @param {object} exercise - Step view from the backend ({ id, title, stepIndex, totalSteps, step, completed, needsAnswer })
+ * @param {function} onNext - Move on without typing an answer
+ * @param {function} onStop - Leave the exercise
+ * @param {function} onClose - Hide a finished exercise
+ * @param {boolean} busy - A request is in flight
+ */
+function ExercisePanel({ exercise, onNext, onStop, onClose, busy }) {
+  const { t } = useTranslation();
+  const { step } = exercise;
+  const progress = ((exercise.stepIndex + 1) / exercise.totalSteps) * 100;
+
+  return (
+    <Box sx={{ p: 2, borderBottom: '1px solid rgba(0,0,0,0.06)', bgcolor: 'rgba(76,175,80,0.05)' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 0.5 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 'bold', color: '#2c3e50' }}>{exercise.title}</Typography>
+        <Typography variant="caption" color="text.secondary">
+          {t('exercises.stepOf', { current: exercise.stepIndex + 1, total: exercise.totalSteps })}
+        </Typography>
+      </Box>
+      <LinearProgress variant="determinate" value={progress} sx={{ height: 6, borderRadius: 3, mb: 1 }} />
+
+      <Typography variant="body2" sx={{ whiteSpace: 'pre-line', color: '#37474f' }}>{step.text}</Typography>
+
+      {step.kind === 'breathing' && (
+        <BreathingGuide key={`${exercise.id}-${exercise.stepIndex}`} phases={step.phases} rounds={step.rounds} />
+      )}
+
+      {exercise.needsAnswer && (
+        <Typography variant="caption" component="div" color="warning.main" sx={{ mt: 0.5 }}>{t('exercises.needsAnswer')}</Typography>
+      )}
+      {step.kind === 'question' && (
+        <Typography variant="caption" component="div" color="text.secondary" sx={{ mt: 0.5 }}>{t('exercises.answerInChat')}</Typography>
+      )}
+      {step.kind === 'prompt' && (
+        <Typography variant="caption" component="div" color="text.secondary" sx={{ mt: 0.5 }}>{t('exercises.optionalAnswer')}</Typography>
+      )}
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+        {exercise.completed ? (
+          <Button size="small" variant="contained" onClick={onClose}>{t('exercises.done')}</Button>
+        ) : (
+          <>
+            <Button size="small" color="inherit" onClick={onStop} disabled={busy}>{t('exercises.stop')}</Button>
+            {step.kind !== 'question' && (
+              <Button size="small" variant="contained" onClick={onNext} disabled={busy}>{t('exercises.next')}</Button>
+            )}
+          </>
+        )}
+      </Box>
+    </Box>
+  );
+}
+
+export default ExercisePanel;
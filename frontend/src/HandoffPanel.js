@@ -0,0 +1,96 @@
+/* WizCare Counselor Handoff (chat side)
+ *
+ * At very high stress the chat offers a human counselor:
+ * - An offer with a "Talk to a counselor" button (and the helpline, since
+ *   nobody may be online)
+ * - While waiting: the place in the queue and a way to leave it
+ * - While talking: who joined and a way to go back to WizCare AI
+ *
+ * The queue and the messages go over the real-time channel (see
+ * ./realtime and backend/handoff); App sends typed messages to the
+ * counselor instead of the AI while the chat is live.
+ */
+
+import React from 'react';
+import { Alert, Button, CircularProgress, Typography } from '@mui/material';
+import SupportAgentIcon from '@mui/icons-material/SupportAgent';
+import { useTranslation } from './i18n';
+
+// Same threshold as backend/handoff (very high stress)
+export const HANDOFF_MIN_STRESS = 3;
+
+// Error codes with their own message (see backend/handoff); others get a generic one
+const KNOWN_ERRORS = ['not_eligible', 'not_active', 'offline', 'rate_limited', 'message_too_long'];
+
+/**
+ * Name to show for a counselor ("Counselor" when they have no display name)
+ */
+export const counselorName = (counselor, t) => counselor?.name || t('handoff.counselor');
+
+/**
+ * Offer, queue position or live-chat banner above the messages
+ * @param {object|null} handoff - { status, position, counselor, ... } from the backend
+ * @param {number} stressLevel - Latest stress level (0-4)
+ * @param {number} counselorsOnline - Counselor consoles open right now
+ * @param {boolean} connected - Whether the real-time channel is open
+ * @param {string|null} error - Error code from the last handoff action
+ * @param {string} contact - Primary helpline number, for when nobody is online
+ */
+const HandoffPanel = ({ handoff, stressLevel, counselorsOnline, connected, error, contact, onRequest, onCancel }) => {
+  const { t } = useTranslation();
+  const status = handoff?.status;
+  const errorText = error && t(`handoff.errors.${KNOWN_ERRORS.includes(error) ? error : 'generic'}`);
+
+  if (status === 'active') {
+    return (
+      <Alert
+        severity="success"
+        icon={<SupportAgentIcon />}
+        sx={{ borderRadius: 0 }}
+        action={<Button color="inherit" size="small" onClick={onCancel}>{t('handoff.end')}</Button>}
+      >
+        {t('handoff.active', { name: counselorName(handoff.counselor, t) })}
+        {error && <Typography variant="caption" sx={{ display: 'block' }}>{errorText}</Typography>}
+      </Alert>
+    );
+  }
+
+  if (status === 'waiting') {
+    return (
+      <Alert
+        severity="info"
+        icon={<CircularProgress size={20} />}
+        sx={{ borderRadius: 0 }}
+        action={<Button color="inherit" size="small" onClick={onCancel}>{t('handoff.cancel')}</Button>}
+      >
+        {handoff.position ? t('handoff.waitingPosition', { position: handoff.position }) : t('handoff.waiting')}
+        {counselorsOnline === 0 && (
+          <Typography variant="caption" sx={{ display: 'block' }}>{t('handoff.noneOnline', { contact })}</Typography>
+        )}
+      </Alert>
+    );
+  }
+
+  if (stressLevel < HANDOFF_MIN_STRESS) return null;
+
+  return (
+    <Alert
+      severity="warning"
+      icon={<SupportAgentIcon />}
+      sx={{ borderRadius: 0 }}
+      action={(
+        <Button color="inherit" size="small" variant="outlined" onClick={onRequest} disabled={!connected}>
+          {t('handoff.connect')}
+        </Button>
+      )}
+    >
+      {t('handoff.offer')}
+      {counselorsOnline === 0 && (
+        <Typography variant="caption" sx={{ display: 'block' }}>{t('handoff.noneOnline', { contact })}</Typography>
+      )}
+      {error && <Typography variant="caption" sx={{ display: 'block' }}>{errorText}</Typography>}
+    </Alert>
+  );
+};
+
+export default HandoffPanel;
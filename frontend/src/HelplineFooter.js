@@ -0,0 +1,101 @@
+/* WizCare Helpline Footer
+ *
+ * The helplines at the bottom of the page, from the backend's directory
+ * (GET /api/helplines) so every part of the app shows the same numbers.
+ */
+
+import React, { useState } from 'react';
+import { Box, Typography, Button, Select, MenuItem } from '@mui/material';
+import EmojiEmotionsIcon from '@mui/icons-material/EmojiEmotions';
+import { useTranslation } from './i18n';
+
+/**
+ * How to contact a helpline: phone number if it has one, otherwise SMS text
+ */
+export const helplineContact = (helpline) => helpline?.phone || helpline?.sms || '';
+
+/**
+ * Helpline footer
+ * Shows the region's primary helpline, a region picker and (on demand) every
+ * helpline in the directory with hours, languages and SMS options.
+ * @param {object|null} directory - From /api/helplines (null while loading)
+ * @param {function} onRegionChange - Called with the region code picked
+ */
+const HelplineFooter = ({ directory, onRegionChange }) => {
+  const { t } = useTranslation();
+  const [showAll, setShowAll] = useState(false);
+
+  if (!directory) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        {t('helplines.loading')}
+      </Typography>
+    );
+  }
+
+  const [primary, ...others] = directory.helplines;
+
+  return (
+    <>
+      {/* Primary helpline */}
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        <EmojiEmotionsIcon sx={{ mr: 1, verticalAlign: 'middle', color: '#4CAF50' }} />
+        <strong>{primary.name}:</strong> {helplineContact(primary)} <span style={{ opacity: 0.8 }}>({primary.hours})</span>
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap' }}>
+        {/* Helpline Website Link */}
+        <Typography variant="body2" color="primary">
+          <a 
+            href={primary.website} 
+            target="_blank" 
+            rel="noopener noreferrer" 
+            style={{ 
+              color: '#4CAF50',
+              textDecoration: 'none',
+              fontWeight: 'bold'
+            }}
+          >
+            {t('helplines.visitWebsite')}
+          </a>
+        </Typography>
+
+        {others.length > 0 && (
+          <Button size="small" onClick={() => setShowAll((v) => !v)} sx={{ textTransform: 'none' }}>
+            {showAll ? t('helplines.hideOthers') : t('helplines.showOthers', { count: others.length })}
+          </Button>
+        )}
+
+        {/* Region picker */}
+        <Select
+          size="small"
+          value={directory.region}
+          onChange={(e) => onRegionChange(e.target.value)}
+          sx={{ fontSize: '0.8rem', height: 28 }}
+          inputProps={{ 'aria-label': t('helplines.region') }}
+        >
+          {directory.regions.map((r) => (
+            <MenuItem key={r.code} value={r.code}>{r.name}</MenuItem>
+          ))}
+        </Select>
+      </Box>
+
+      {showAll && (
+        <Box sx={{ mt: 1, textAlign: 'left', maxWidth: 560, mx: 'auto' }}>
+          {others.map((h) => (
+            <Typography key={h.name} variant="caption" component="div" color="text.secondary" sx={{ mb: 0.5 }}>
+              <strong>{h.name}</strong>
+              {h.phone && <> · {t('helplines.call', { phone: h.phone })}</>}
+              {h.sms && <> · {h.sms}</>}
+              {' · '}{h.hours}
+              {' · '}{h.languages.join(', ')}
+              {' · '}<a href={h.website} target="_blank" rel="noopener noreferrer">{t('helplines.website')}</a>
+            </Typography>
+          ))}
+        </Box>
+      )}
+    </>
+  );
+};
+
+export default HelplineFooter;
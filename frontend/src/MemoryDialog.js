@@ -0,0 +1,187 @@
+/* WizCare Memory Dialog
+ *
+ * Shows what WizCare remembers and lets the person delete any of it:
+ * - facts about them (name, what stresses them, what helped before), which
+ *   follow a signed-in account into all of its conversations
+ * - the summary of this conversation's earlier messages
+ * "Forget everything" also clears the recent messages WizCare keeps in
+ * mind; the conversation itself stays in the chat and the history.
+ * A remembered name is only used in replies once the person switches that on.
+ *
+ * Everything comes from GET/PUT/DELETE /api/memory.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Typography,
+  Alert,
+  CircularProgress,
+  FormControlLabel,
+  Switch,
+  Box
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { useTranslation } from './i18n';
+import { authHeaders } from './auth';
+
+const FACT_ORDER = ['name', 'stressor', 'coping', 'detail'];
+
+/**
+ * "What WizCare remembers" dialog
+ * @param {boolean} open
+ * @param {string} memoryUrl - Base URL of the memory API (e.g. /api/memory)
+ * @param {string|null} sessionId - Current backend session
+ * @param {function} onClose
+ */
+function MemoryDialog({ open, memoryUrl, sessionId, onClose }) {
+  const { t } = useTranslation();
+  const [memory, setMemory] = useState(null); // { facts, useName, summary }
+  const [error, setError] = useState(''); // i18n key
+  const [busy, setBusy] = useState(false);
+  const [confirmAll, setConfirmAll] = useState(false);
+
+  const query = `sessionId=${encodeURIComponent(sessionId || '')}`;
+
+  const load = useCallback(async () => {
+    setError('');
+    try {
+      const res = await fetch(`${memoryUrl}?${query}`, { headers: authHeaders() });
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+      setMemory(await res.json());
+    } catch (e) {
+      console.error('Memory error:', e);
+      setError('memory.loadError');
+    }
+  }, [memoryUrl, query]);
+
+  useEffect(() => {
+    if (!open || !sessionId) return;
+    setMemory(null);
+    setConfirmAll(false);
+    load();
+  }, [open, sessionId, load]);
+
+  /**
+   * Delete something remembered, then show what is left
+   * @param {string} path - '', '/summary' or '/facts/:id'
+   */
+  const forget = async (path) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await fetch(`${memoryUrl}${path}?${query}`, { method: 'DELETE', headers: authHeaders() });
+      if (!res.ok && res.status !== 404) throw new Error(`HTTP error! status: ${res.status}`);
+      await load();
+    } catch (e) {
+      console.error('Memory error:', e);
+      setError('memory.deleteError');
+    } finally {
+      setBusy(false);
+      setConfirmAll(false);
+    }
+  };
+
+  const setUseName = async (useName) => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await fetch(`${memoryUrl}/name?${query}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ useName }),
+      });
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+      setMemory((m) => ({ ...m, useName }));
+    } catch (e) {
+      console.error('Memory error:', e);
+      setError('memory.saveError');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const facts = memory
+    ? [...memory.facts].sort((a, b) => FACT_ORDER.indexOf(a.kind) - FACT_ORDER.indexOf(b.kind))
+    : [];
+  const empty = memory && !facts.length && !memory.summary;
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{t('memory.title')}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {t('memory.intro')}
+        </Typography>
+        {error && <Alert severity="warning" sx={{ mb: 2 }}>{t(error)}</Alert>}
+        {!memory && !error && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}><CircularProgress size={28} /></Box>
+        )}
+        {empty && <Typography variant="body2">{t('memory.empty')}</Typography>}
+
+        {facts.length > 0 && (
+          <>
+            <Typography variant="subtitle2">{t('memory.factsTitle')}</Typography>
+            <List dense>
+              {facts.map((fact) => (
+                <ListItem
+                  key={fact.id}
+                  secondaryAction={(
+                    <IconButton edge="end" size="small" aria-label={t('memory.forget')} disabled={busy} onClick={() => forget(`/facts/${encodeURIComponent(fact.id)}`)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  )}
+                >
+                  <ListItemText primary={fact.text} secondary={t(`memory.kinds.${fact.kind}`)} />
+                </ListItem>
+              ))}
+            </List>
+            {facts.some((fact) => fact.kind === 'name') && (
+              <FormControlLabel
+                control={<Switch size="small" checked={Boolean(memory.useName)} disabled={busy} onChange={(e) => setUseName(e.target.checked)} />}
+                label={<Typography variant="body2">{t('memory.useName')}</Typography>}
+              />
+            )}
+          </>
+        )}
+
+        {memory?.summary && (
+          <>
+            <Box sx={{ display: 'flex', alignItems: 'center', mt: 1 }}>
+              <Typography variant="subtitle2" sx={{ flex: 1 }}>{t('memory.summaryTitle')}</Typography>
+              <IconButton size="small" aria-label={t('memory.forget')} disabled={busy} onClick={() => forget('/summary')}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+            <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>{memory.summary.text}</Typography>
+          </>
+        )}
+
+        {confirmAll && <Alert severity="warning" sx={{ mt: 2 }}>{t('memory.forgetAllConfirm')}</Alert>}
+      </DialogContent>
+      <DialogActions>
+        {confirmAll ? (
+          <>
+            <Button onClick={() => setConfirmAll(false)}>{t('memory.cancel')}</Button>
+            <Button color="error" variant="contained" disabled={busy} onClick={() => forget('')}>{t('memory.forgetAll')}</Button>
+          </>
+        ) : (
+          <>
+            <Button color="error" disabled={busy || !memory} onClick={() => setConfirmAll(true)}>{t('memory.forgetAll')}</Button>
+            <Button onClick={onClose}>{t('memory.close')}</Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default MemoryDialog;
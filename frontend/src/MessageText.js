@@ -0,0 +1,160 @@
+/* WizCare Message Text
+ *
+ * Renders a bot reply's safe Markdown subset (see backend/markdown.js):
+ * - **bold** and *italics* (or __bold__ and _italics_)
+ * - bullet (- item) and numbered (1. item) lists
+ * - [links](https://...) and bare https:// addresses, only for allow-listed
+ *   domains (from GET /api/helplines) and tel: numbers
+ *
+ * Everything is built as React elements, never as HTML, so raw HTML in a
+ * reply shows up as text. The backend already strips it from finished
+ * replies; this also covers text while it streams in. Links to other
+ * domains show their text only.
+ */
+
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+
+// **bold** / __bold__, *italics* / _italics_, [label](url), bare URL
+const INLINE = /(\*\*|__)(\S(?:.*?\S)?)\1|([*_])([^\s*_](?:[^*_\n]*?[^\s*_])?)\3(?![\w*])|\[([^\]\n]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<>()]*[^\s<>().,!?;:'"])/g;
+
+const BULLET = /^\s*[-*•]\s+(.*)$/;
+const NUMBERED = /^\s*(\d{1,3})[.)]\s+(.*)$/;
+
+/**
+ * Whether a link may be rendered as a link (mirrors isSafeLink in backend/markdown.js)
+ */
+export const isSafeLink = (url, domains) => {
+  if (/^tel:\+?[\d\s-]{3,20}$/i.test(url)) return true;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+  if (parsed.username || parsed.password) return false;
+  const host = parsed.hostname.toLowerCase();
+  return domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+};
+
+const renderLink = (label, url, domains, key) => {
+  if (!isSafeLink(url, domains)) return label;
+  const external = !url.startsWith('tel:');
+  return (
+    <a key={key} href={url} {...(external ? { target: '_blank', rel: 'noopener noreferrer' } : {})}>
+      {label}
+    </a>
+  );
+};
+
+/**
+ * Inline formatting of one line or list item
+ * @returns {Array} - Strings and React elements
+ */
+const renderInline = (text, domains, keyPrefix) => {
+  const nodes = [];
+  let last = 0;
+  let match;
+  const pattern = new RegExp(INLINE.source, 'g');
+
+  while ((match = pattern.exec(text))) {
+    const [whole, strongMark, strongText, emMark, emText, linkLabel, linkUrl, bareUrl] = match;
+
+    // Italics need a non-word character before them, so snake_case and 2*3*4 stay as they are
+    if (emMark && match.index > 0 && /[\w*]/.test(text[match.index - 1])) {
+      pattern.lastIndex = match.index + 1;
+      continue;
+    }
+
+    if (match.index > last) nodes.push(text.slice(last, match.index));
+    const key = `${keyPrefix}-${match.index}`;
+
+    if (strongMark) {
+      nodes.push(<strong key={key}>{renderInline(strongText, domains, key)}</strong>);
+    } else if (emMark) {
+      nodes.push(<em key={key}>{emText}</em>);
+    } else if (linkLabel) {
+      nodes.push(renderLink(linkLabel, linkUrl, domains, key));
+    } else if (bareUrl) {
+      nodes.push(renderLink(bareUrl, bareUrl, domains, key));
+    } else {
+      nodes.push(whole);
+    }
+    last = match.index + whole.length;
+  }
+
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+};
+
+/**
+ * Group lines into paragraphs and lists
+ * @returns {Array<object>} - [{ type: 'p', lines } | { type: 'ul' | 'ol', items, start }]
+ */
+const parseBlocks = (text) => {
+  const blocks = [];
+  let current = null;
+
+  for (const line of text.split('\n')) {
+    const bullet = BULLET.exec(line);
+    const numbered = NUMBERED.exec(line);
+
+    if (bullet || numbered) {
+      const type = bullet ? 'ul' : 'ol';
+      if (!current || current.type !== type) {
+        current = { type, items: [], start: numbered ? Number(numbered[1]) : undefined };
+        blocks.push(current);
+      }
+      current.items.push(bullet ? bullet[1] : numbered[2]);
+    } else if (!line.trim()) {
+      current = null;
+    } else {
+      if (!current || current.type !== 'p') {
+        current = { type: 'p', lines: [] };
+        blocks.push(current);
+      }
+      current.lines.push(line);
+    }
+  }
+  return blocks;
+};
+
+/**
+ * A bot message's text
+ * @param {string} text - Reply text (safe Markdown subset)
+ * @param {string[]} linkDomains - Domains that may be linked to
+ */
+const MessageText = ({ text, linkDomains = [] }) => {
+  const blocks = parseBlocks(text || '');
+
+  return (
+    <Box sx={{ '& > :first-child': { mt: 0 }, '& > :last-child': { mb: 0 }, '& a': { color: 'inherit', fontWeight: 'bold' } }}>
+      {blocks.map((block, idx) => {
+        if (block.type === 'p') {
+          return (
+            <Typography key={idx} variant="body2" sx={{ whiteSpace: 'pre-line', my: 1 }}>
+              {renderInline(block.lines.join('\n'), linkDomains, idx)}
+            </Typography>
+          );
+        }
+        return (
+          <Box
+            key={idx}
+            component={block.type}
+            start={block.type === 'ol' ? block.start : undefined}
+            sx={{ pl: 2.5, my: 1 }}
+          >
+            {block.items.map((item, itemIdx) => (
+              <Typography key={itemIdx} component="li" variant="body2">
+                {renderInline(item, linkDomains, `${idx}-${itemIdx}`)}
+              </Typography>
+            ))}
+          </Box>
+        );
+      })}
+    </Box>
+  );
+};
+
+export default MessageText;
@@ -0,0 +1,286 @@
+/* WizCare Mood Journal
+ *
+ * Shows how the user has been feeling over the last week or month:
+ * - Stress points recorded automatically by the backend on every chat turn
+ * - A daily average line so trends are easy to spot
+ * - Free-text journal entries the user adds next to those points
+ *
+ * Data comes from GET /api/history/mood and POST/DELETE /api/history/journal.
+ * The chart covers every conversation saved on this device (and, signed in,
+ * the account's), since each new conversation starts a new session.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  Select,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { stressLevels, EMOTIONS } from './moodScales';
+import { useTranslation } from './i18n';
+import { authHeaders } from './auth';
+import { listChats } from './offline';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chart drawing area (SVG user units; the SVG scales to its container)
+const CHART = { width: 600, height: 220, left: 70, right: 12, top: 20, bottom: 30 };
+
+/**
+ * Average stress per calendar day, for the trend line
+ */
+const dailyAverages = (points) => {
+  const days = new Map();
+  points.forEach((p) => {
+    const day = new Date(p.ts);
+    day.setHours(12, 0, 0, 0); // plot at midday
+    const key = day.getTime();
+    const entry = days.get(key) || { total: 0, count: 0 };
+    entry.total += p.stressLevel;
+    entry.count += 1;
+    days.set(key, entry);
+  });
+  return [...days.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([ts, { total, count }]) => ({ ts, value: total / count }));
+};
+
+/**
+ * Mood chart: stress (0-4) over time, dots coloured by emotion,
+ * journal entries as diamonds along the top
+ */
+const MoodChart = ({ points, journal, rangeDays }) => {
+  const { locale, t } = useTranslation();
+  const levelText = t('stressLevels');
+  const end = Date.now();
+  const start = end - rangeDays * DAY_MS;
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const x = (ts) => CHART.left + ((ts - start) / (end - start)) * plotWidth;
+  const y = (level) => CHART.top + plotHeight - (level / 4) * plotHeight;
+
+  const averages = dailyAverages(points);
+  const tickEvery = rangeDays <= 7 ? 1 : 5;
+  const ticks = [];
+  for (let i = rangeDays; i >= 0; i -= tickEvery) {
+    ticks.push(end - i * DAY_MS);
+  }
+
+  return (
+    <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} width="100%" role="img" aria-label={t('journal.chart')}>
+      {/* Stress level grid */}
+      {stressLevels.map((s, level) => (
+        <g key={s.label}>
+          <line x1={CHART.left} x2={CHART.width - CHART.right} y1={y(level)} y2={y(level)} stroke="#eee" />
+          <text x={CHART.left - 6} y={y(level) + 4} textAnchor="end" fontSize="10" fill="#888">{levelText[level].label}</text>
+        </g>
+      ))}
+
+      {/* Day ticks */}
+      {ticks.map((ts) => (
+        <text key={ts} x={x(ts)} y={CHART.height - 8} textAnchor="middle" fontSize="10" fill="#888">
+          {new Date(ts).toLocaleDateString(locale, rangeDays <= 7 ? { weekday: 'short' } : { day: 'numeric', month: 'short' })}
+        </text>
+      ))}
+
+      {/* Daily average trend */}
+      {averages.length > 1 && (
+        <polyline
+          fill="none"
+          stroke="#4CAF50"
+          strokeWidth="2"
+          points={averages.map((a) => `${x(a.ts)},${y(a.value)}`).join(' ')}
+        />
+      )}
+
+      {/* Recorded chat turns */}
+      {points.map((p) => (
+        <circle key={p.ts} cx={x(p.ts)} cy={y(p.stressLevel)} r="4" fill={(EMOTIONS[p.emotion] || EMOTIONS.neutral).color} opacity="0.8">
+          <title>{`${new Date(p.ts).toLocaleString(locale)} · ${levelText[p.stressLevel]?.label} · ${t(`emotions.${p.emotion}`)}`}</title>
+        </circle>
+      ))}
+
+      {/* Journal entries */}
+      {journal.map((e) => {
+        const cx = x(e.ts);
+        const cy = e.stressLevel === null ? CHART.top - 8 : y(e.stressLevel);
+        return (
+          <path key={e.id} d={`M ${cx} ${cy - 6} L ${cx + 6} ${cy} L ${cx} ${cy + 6} L ${cx - 6} ${cy} Z`} fill="#2196F3" opacity="0.85">
+            <title>{`${new Date(e.ts).toLocaleString(locale)} · ${e.text}`}</title>
+          </path>
+        );
+      })}
+    </svg>
+  );
+};
+
+/**
+ * Mood Journal view
+ * @param {string} historyUrl - Base URL of the history API (e.g. /api/history)
+ * @param {string|null} sessionId - Current backend session
+ * @param {function} onSessionId - Called when the backend issues a session ID
+ */
+function MoodJournal({ historyUrl, sessionId, onSessionId }) {
+  const { locale, t } = useTranslation();
+  const levelText = t('stressLevels');
+  const [rangeDays, setRangeDays] = useState(7);
+  const [history, setHistory] = useState({ points: [], journal: [] });
+  const [text, setText] = useState('');
+  const [entryLevel, setEntryLevel] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadHistory = useCallback(async () => {
+    if (!sessionId) return;
+    let sessionIds = [];
+    try {
+      sessionIds = (await listChats()).map((chat) => chat.sessionId).filter((id) => id && id !== sessionId);
+    } catch (e) {
+      console.error('Saved chat error:', e);
+    }
+    try {
+      const query = `sessionId=${encodeURIComponent(sessionId)}&sessionIds=${encodeURIComponent(sessionIds.join(','))}`;
+      const res = await fetch(`${historyUrl}/mood?${query}&days=${rangeDays}`, {
+        headers: authHeaders(),
+      });
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+      const data = await res.json();
+      setHistory({ points: data.points, journal: data.journal });
+      setError('');
+    } catch (e) {
+      console.error('Mood history error:', e);
+      setError('journal.loadError');
+    }
+  }, [historyUrl, sessionId, rangeDays]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  /**
+   * Save a journal entry (optionally with how stressed the user feels)
+   */
+  const addEntry = async () => {
+    if (!text.trim()) return;
+    setSaving(true);
+    try {
+      const res = await fetch(`${historyUrl}/journal`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({
+          sessionId,
+          text,
+          stressLevel: entryLevel === '' ? undefined : entryLevel,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP error! status: ${res.status}`);
+      if (data.sessionId && data.sessionId !== sessionId) {
+        onSessionId(data.sessionId); // first entry before any chat: adopt the new session
+      }
+      setText('');
+      setEntryLevel('');
+      setHistory((h) => ({ ...h, journal: [...h.journal, { ...data.entry, sessionId: data.sessionId }] }));
+      setError('');
+    } catch (e) {
+      console.error('Journal error:', e);
+      setError(e.message.includes('HTTP error') ? 'journal.saveError' : e.message);
+    }
+    setSaving(false);
+  };
+
+  // Entries from other conversations are deleted from their own session
+  const deleteEntry = async ({ id, sessionId: entrySession = sessionId }) => {
+    try {
+      const res = await fetch(`${historyUrl}/journal/${encodeURIComponent(id)}?sessionId=${encodeURIComponent(entrySession)}`, {
+        method: 'DELETE',
+        headers: authHeaders(),
+      });
+      if (!res.ok && res.status !== 404) throw new Error(`HTTP error! status: ${res.status}`);
+      setHistory((h) => ({ ...h, journal: h.journal.filter((e) => e.id !== id) }));
+    } catch (e) {
+      console.error('Journal error:', e);
+      setError('journal.deleteError');
+    }
+  };
+
+  return (
+    <Box sx={{ p: 2, bgcolor: 'rgba(255,255,255,0.95)', borderRadius: 3, boxShadow: 3, mb: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1, flexWrap: 'wrap', gap: 1 }}>
+        <Typography variant="h6" sx={{ color: '#2c3e50' }}>{t('journal.title')}</Typography>
+        <ToggleButtonGroup size="small" exclusive value={rangeDays} onChange={(e, value) => value && setRangeDays(value)}>
+          <ToggleButton value={7}>{t('journal.week')}</ToggleButton>
+          <ToggleButton value={30}>{t('journal.month')}</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      {error && <Alert severity="warning" sx={{ mb: 1 }}>{t(error)}</Alert>}
+
+      {history.points.length === 0 && history.journal.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ my: 3, textAlign: 'center' }}>
+          {t('journal.empty')}
+        </Typography>
+      ) : (
+        <MoodChart points={history.points} journal={history.journal} rangeDays={rangeDays} />
+      )}
+
+      {/* New journal entry */}
+      <Box sx={{ display: 'flex', gap: 1, mt: 2, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+        <TextField
+          sx={{ flex: '1 1 260px' }}
+          size="small"
+          multiline
+          minRows={2}
+          maxRows={6}
+          placeholder={t('journal.placeholder')}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <Select
+          size="small"
+          displayEmpty
+          value={entryLevel}
+          onChange={(e) => setEntryLevel(e.target.value)}
+          sx={{ minWidth: 150 }}
+          inputProps={{ 'aria-label': t('journal.stressLevel') }}
+        >
+          <MenuItem value="">{t('journal.stressOptional')}</MenuItem>
+          {stressLevels.map((s, level) => (
+            <MenuItem key={s.label} value={level}>{s.emoji} {levelText[level].label}</MenuItem>
+          ))}
+        </Select>
+        <Button variant="contained" onClick={addEntry} disabled={saving || !text.trim()}>
+          {t('journal.add')}
+        </Button>
+      </Box>
+
+      {/* Journal entries, newest first */}
+      <Box sx={{ mt: 2 }}>
+        {[...history.journal].reverse().map((e) => (
+          <Box key={e.id} sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, py: 1, borderTop: '1px solid #eee' }}>
+            <Box sx={{ flex: 1 }}>
+              <Typography variant="caption" color="text.secondary">
+                {new Date(e.ts).toLocaleString(locale)}
+                {e.stressLevel !== null && ` · ${stressLevels[e.stressLevel].emoji} ${levelText[e.stressLevel].label}`}
+              </Typography>
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>{e.text}</Typography>
+            </Box>
+            <IconButton size="small" aria-label={t('journal.delete')} onClick={() => deleteEntry(e)}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+}
+
+export default MoodJournal;
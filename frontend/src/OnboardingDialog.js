@@ -0,0 +1,187 @@
+/* WizCare Onboarding Dialog
+ *
+ * Shown the first time the app opens, before the first message:
+ * 1. Language for the app and the replies
+ * 2. What WizCare is: support, not a medical service, and who to call in
+ *    an emergency
+ * 3. Age: adults go on; 13-17 year olds go on with replies written for
+ *    them and a youth helpline; under 13s are pointed to the youth
+ *    helpline and a trusted adult instead of the chat
+ * 4. Data use: keep conversations (history, memory, mood timeline) or
+ *    don't store them at all. Minors' conversations are never stored.
+ *
+ * The choices are saved on this device (see ./onboarding) and can be
+ * changed later from the conversation menu.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Alert,
+  Radio,
+  RadioGroup,
+  FormControlLabel,
+  MobileStepper,
+  Box
+} from '@mui/material';
+import { LOCALES, useTranslation } from './i18n';
+import { ONBOARDING_VERSION } from './onboarding';
+
+const STEPS = ['language', 'disclaimer', 'age', 'data'];
+
+/**
+ * How to reach a helpline, e.g. "CHILDLINE · 1098"
+ */
+function HelplineLine({ helpline }) {
+  const { t } = useTranslation();
+  if (!helpline) return null;
+  return (
+    <Typography variant="body2" sx={{ mt: 1 }}>
+      <strong>{helpline.name}</strong>
+      {helpline.phone && <> · {t('helplines.call', { phone: helpline.phone })}</>}
+      {helpline.website && (
+        <>{' · '}<a href={helpline.website} target="_blank" rel="noopener noreferrer">{t('helplines.website')}</a></>
+      )}
+    </Typography>
+  );
+}
+
+/**
+ * First-run onboarding
+ * @param {boolean} open
+ * @param {object|null} choices - Saved choices (null on first run, when the dialog can't be dismissed)
+ * @param {function} onLocaleChange - Called with a LOCALES key as soon as a language is picked
+ * @param {object} [helpline] - Primary helpline for the region
+ * @param {object} [youthHelpline] - The region's line for young people
+ * @param {function} onComplete - Called with the choices to save
+ * @param {function} onClose - Closes the dialog without changes (only when choices exist)
+ */
+function OnboardingDialog({ open, choices, onLocaleChange, helpline, youthHelpline, onComplete, onClose }) {
+  const { t, locale } = useTranslation();
+  const [step, setStep] = useState(0);
+  const [age, setAge] = useState(null); // 'adult' | 'minor' | 'child'
+  const [storage, setStorage] = useState(null); // 'store' | 'ephemeral'
+
+  // Start from the saved choices each time the dialog opens
+  useEffect(() => {
+    if (!open) return;
+    setStep(0);
+    setAge(choices?.age || null);
+    setStorage(choices?.storage || null);
+  }, [open, choices]);
+
+  const minor = age === 'minor';
+  const name = STEPS[step];
+  const canContinue = name === 'age' ? age === 'adult' || minor : name === 'data' ? Boolean(storage) : true;
+
+  const chooseAge = (value) => {
+    setAge(value);
+    // Minors' conversations are never stored
+    if (value === 'minor') setStorage('ephemeral');
+  };
+
+  const next = () => {
+    if (step < STEPS.length - 1) {
+      setStep(step + 1);
+      return;
+    }
+    onComplete({ version: ONBOARDING_VERSION, language: locale, age, storage: minor ? 'ephemeral' : storage, completedAt: new Date().toISOString() });
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={choices ? onClose : undefined}
+      disableEscapeKeyDown={!choices}
+      fullWidth
+      maxWidth="sm"
+      aria-labelledby="onboarding-title"
+    >
+      <DialogTitle id="onboarding-title">{t(`onboarding.${name}.title`)}</DialogTitle>
+      <DialogContent>
+        {name === 'language' && (
+          <>
+            <Typography variant="body2" sx={{ mb: 1 }}>{t('onboarding.language.intro')}</Typography>
+            <RadioGroup value={locale} onChange={(e) => onLocaleChange(e.target.value)}>
+              {Object.entries(LOCALES).map(([code, { name: label }]) => (
+                <FormControlLabel key={code} value={code} control={<Radio />} label={label} lang={code} />
+              ))}
+            </RadioGroup>
+          </>
+        )}
+
+        {name === 'disclaimer' && (
+          <>
+            <Typography variant="body2" sx={{ mb: 2 }}>{t('onboarding.disclaimer.body')}</Typography>
+            <Alert severity="warning">
+              {t('onboarding.disclaimer.emergency')}
+              <HelplineLine helpline={helpline} />
+            </Alert>
+          </>
+        )}
+
+        {name === 'age' && (
+          <>
+            <Typography variant="body2" sx={{ mb: 1 }}>{t('onboarding.age.intro')}</Typography>
+            <RadioGroup value={age || ''} onChange={(e) => chooseAge(e.target.value)}>
+              <FormControlLabel value="adult" control={<Radio />} label={t('onboarding.age.adult')} />
+              <FormControlLabel value="minor" control={<Radio />} label={t('onboarding.age.minor')} />
+              <FormControlLabel value="child" control={<Radio />} label={t('onboarding.age.child')} />
+            </RadioGroup>
+            {minor && (
+              <Alert severity="info" sx={{ mt: 1 }}>
+                {t('onboarding.age.minorNote')}
+                <HelplineLine helpline={youthHelpline} />
+              </Alert>
+            )}
+            {age === 'child' && (
+              <Alert severity="warning" sx={{ mt: 1 }}>
+                {t('onboarding.age.childNote')}
+                <HelplineLine helpline={youthHelpline} />
+              </Alert>
+            )}
+          </>
+        )}
+
+        {name === 'data' && (
+          <>
+            <Typography variant="body2" sx={{ mb: 1 }}>{t('onboarding.data.intro')}</Typography>
+            <RadioGroup value={storage || ''} onChange={(e) => setStorage(e.target.value)}>
+              <FormControlLabel
+                value="store"
+                disabled={minor}
+                control={<Radio />}
+                label={<Box><Typography variant="body2">{t('onboarding.data.store')}</Typography><Typography variant="caption" color="text.secondary">{t('onboarding.data.storeDetail')}</Typography></Box>}
+                sx={{ mb: 1 }}
+              />
+              <FormControlLabel
+                value="ephemeral"
+                control={<Radio />}
+                label={<Box><Typography variant="body2">{t('onboarding.data.ephemeral')}</Typography><Typography variant="caption" color="text.secondary">{t('onboarding.data.ephemeralDetail')}</Typography></Box>}
+              />
+            </RadioGroup>
+            {minor && <Alert severity="info" sx={{ mt: 1 }}>{t('onboarding.data.minorNote')}</Alert>}
+            <Typography variant="caption" color="text.secondary" component="p" sx={{ mt: 2 }}>
+              {t('onboarding.data.later')}
+            </Typography>
+          </>
+        )}
+      </DialogContent>
+      <MobileStepper variant="dots" steps={STEPS.length} position="static" activeStep={step} backButton={<span />} nextButton={<span />} sx={{ justifyContent: 'center' }} />
+      <DialogActions>
+        {choices && <Button onClick={onClose}>{t('onboarding.cancel')}</Button>}
+        <Button disabled={step === 0} onClick={() => setStep(step - 1)}>{t('onboarding.back')}</Button>
+        <Button variant="contained" disabled={!canContinue} onClick={next}>
+          {step < STEPS.length - 1 ? t('onboarding.next') : t('onboarding.start')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default OnboardingDialog;
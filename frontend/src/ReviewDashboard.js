@@ -0,0 +1,473 @@
+/* WizCare Review Dashboard
+ *
+ * A separate page (/admin) for admin and counselor accounts:
+ * - Totals for the chosen period: conversations, crisis replies, very high
+ *   stress, fallback replies and AI answers that couldn't be read
+ * - Emotion and stress level distributions across every message
+ * - Conversations, filtered to flagged ones or those still needing follow-up
+ * - A conversation's full transcript, reviewer notes and the follow-up mark
+ * - Live chats: the queue of people asking for a counselor (see ./CounselorConsole)
+ *
+ * Access is checked by the backend (see backend/review); any other account
+ * gets a 403 and is shown its account ID to pass on to the operator.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { ThemeProvider, createTheme } from '@mui/material/styles';
+import {
+  AppBar,
+  Toolbar,
+  Typography,
+  Box,
+  Button,
+  Paper,
+  Chip,
+  Grid,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  ToggleButton,
+  ToggleButtonGroup,
+  Select,
+  MenuItem,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  CircularProgress,
+  Divider,
+  Tabs,
+  Tab,
+  Badge
+} from '@mui/material';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import AuthDialog from './AuthDialog';
+import CounselorConsole from './CounselorConsole';
+import { loadAuth, storeAuth, authHeaders } from './auth';
+import { stressLevels, EMOTIONS } from './moodScales';
+import { I18nContext, translate, loadLocale, useTranslation } from './i18n';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api/chat';
+const API_BASE = API_URL.replace(/\/chat\/?$/, '');
+const REVIEW_URL = `${API_BASE}/review/sessions`;
+const AUTH_URL = `${API_BASE}/auth`;
+
+const PERIODS = [7, 30, 90];
+
+const theme = createTheme({
+  palette: {
+    mode: 'light',
+    primary: { main: '#4CAF50' },
+    secondary: { main: '#2196F3' },
+    background: { default: '#f5f5f5', paper: '#ffffff' },
+  },
+  typography: { fontFamily: 'Roboto, Arial, sans-serif' },
+});
+
+const formatDate = (ts, locale) => (ts ? new Date(ts).toLocaleString(locale) : '');
+const percent = (rate) => `${Math.round((rate || 0) * 1000) / 10}%`;
+
+/**
+ * One number in the totals row
+ */
+const StatCard = ({ label, value, color }) => (
+  <Paper sx={{ p: 2, textAlign: 'center', height: '100%' }}>
+    <Typography variant="h5" sx={{ fontWeight: 'bold', color: color || '#2c3e50' }}>{value}</Typography>
+    <Typography variant="caption" sx={{ color: 'text.secondary' }}>{label}</Typography>
+  </Paper>
+);
+
+/**
+ * Horizontal bars for a distribution
+ * @param {Array<object>} rows - [{ key, label, count, color }]
+ */
+const Distribution = ({ title, rows }) => {
+  const total = rows.reduce((sum, row) => sum + row.count, 0);
+  return (
+    <Paper sx={{ p: 2, height: '100%' }}>
+      <Typography variant="subtitle2" sx={{ mb: 1, color: '#2c3e50' }}>{title}</Typography>
+      {rows.map((row) => (
+        <Box key={row.key} sx={{ mb: 1 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+            <Typography variant="caption">{row.label}</Typography>
+            <Typography variant="caption" sx={{ color: 'text.secondary' }}>{row.count}</Typography>
+          </Box>
+          <LinearProgress
+            variant="determinate"
+            value={total ? (row.count / total) * 100 : 0}
+            sx={{ height: 6, borderRadius: 3, bgcolor: '#eee', '& .MuiLinearProgress-bar': { bgcolor: row.color } }}
+          />
+        </Box>
+      ))}
+    </Paper>
+  );
+};
+
+const FlagChips = ({ flags }) => {
+  const { t } = useTranslation();
+  return flags.map((flag) => (
+    <Chip
+      key={flag}
+      size="small"
+      label={t(`review.flags.${flag}`)}
+      color={flag === 'crisis' ? 'error' : 'warning'}
+      sx={{ mr: 0.5, height: 20, fontSize: '0.7rem' }}
+    />
+  ));
+};
+
+/**
+ * A conversation's transcript, notes and follow-up mark
+ */
+const SessionDialog = ({ sessionId, onClose, onChanged }) => {
+  const { locale, t } = useTranslation();
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState(null); // i18n key
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!sessionId) return;
+    setDetail(null);
+    setError(null);
+    fetch(`${REVIEW_URL}/${encodeURIComponent(sessionId)}`, { headers: authHeaders() })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+        return res.json();
+      })
+      .then(setDetail)
+      .catch((err) => {
+        console.error('Review error:', err);
+        setError('review.loadError');
+      });
+  }, [sessionId]);
+
+  const save = async (path, method, body) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await fetch(`${REVIEW_URL}/${encodeURIComponent(sessionId)}/${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+      const { review } = await res.json();
+      setDetail((current) => ({ ...current, review }));
+      onChanged();
+      return true;
+    } catch (err) {
+      console.error('Review error:', err);
+      setError('review.saveError');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const addNote = async () => {
+    if (note.trim() && (await save('notes', 'POST', { text: note.trim() }))) setNote('');
+  };
+
+  const review = detail?.review;
+
+  return (
+    <Dialog open={Boolean(sessionId)} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <Typography component="span" variant="h6" sx={{ fontFamily: 'monospace', fontSize: '1rem' }}>{sessionId}</Typography>
+        {detail && <FlagChips flags={detail.summary.flags} />}
+      </DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{t(error)}</Alert>}
+        {!detail && !error && <CircularProgress size={24} />}
+        {detail && (
+          <>
+            {detail.turns.map((turn, idx) => (
+              <Box key={idx} sx={{ mb: 2 }}>
+                <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                  {formatDate(turn.ts, locale)}
+                  {Number.isInteger(turn.stressLevel) && ` · ${stressLevels[turn.stressLevel].emoji} ${t('stressLevels')[turn.stressLevel].label}`}
+                  {turn.riskLevel && turn.riskLevel !== 'none' && ` · ${t('review.risk', { level: turn.riskLevel })}`}
+                  {turn.emotion && ` · ${(EMOTIONS[turn.emotion] || EMOTIONS.neutral).emoji} ${t(`emotions.${turn.emotion}`)}`}
+                  {turn.fallback && ` · ${t('review.fallback')}`}
+                </Typography>
+                <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}><strong>{t('review.user')}:</strong> {turn.user}</Typography>
+                <Typography variant="body2" sx={{ whiteSpace: 'pre-line', color: '#2c3e50' }}><strong>{t('review.bot')}:</strong> {turn.bot}</Typography>
+              </Box>
+            ))}
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" sx={{ mb: 1 }}>{t('review.notes')}</Typography>
+            {review.notes.length === 0 && (
+              <Typography variant="body2" sx={{ color: 'text.secondary', mb: 1 }}>{t('review.noNotes')}</Typography>
+            )}
+            {review.notes.map((item) => (
+              <Paper key={item.id} variant="outlined" sx={{ p: 1.5, mb: 1 }}>
+                <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                  {item.author.name} ({t(`review.roles.${item.author.role}`)}) · {formatDate(item.ts, locale)}
+                </Typography>
+                <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>{item.text}</Typography>
+              </Paper>
+            ))}
+            <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+              <TextField
+                fullWidth
+                multiline
+                size="small"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder={t('review.notePlaceholder')}
+                inputProps={{ maxLength: 2000 }}
+              />
+              <Button variant="outlined" onClick={addNote} disabled={saving || !note.trim()}>{t('review.addNote')}</Button>
+            </Box>
+            {review.followedUp && review.followedUpBy && (
+              <Typography variant="caption" sx={{ display: 'block', mt: 2, color: 'success.main' }}>
+                {t('review.followedUpBy', { name: review.followedUpBy.name, date: formatDate(review.followedUpAt, locale) })}
+              </Typography>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {review && (
+          <Button
+            variant={review.followedUp ? 'text' : 'contained'}
+            onClick={() => save('follow-up', 'PUT', { followedUp: !review.followedUp })}
+            disabled={saving}
+          >
+            {review.followedUp ? t('review.reopen') : t('review.markFollowedUp')}
+          </Button>
+        )}
+        <Button onClick={onClose}>{t('review.close')}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+function ReviewDashboard() {
+  const [locale] = useState(loadLocale);
+  const t = (key, vars) => translate(locale, key, vars);
+
+  const [account, setAccount] = useState(() => loadAuth()?.user || null);
+  const [authOpen, setAuthOpen] = useState(false);
+  const [days, setDays] = useState(30);
+  const [filter, setFilter] = useState('open');
+  const [overview, setOverview] = useState(null);
+  const [status, setStatus] = useState('idle'); // idle | loading | error | forbidden
+  const [openSession, setOpenSession] = useState(null);
+  const [tab, setTab] = useState('conversations'); // conversations | live
+  const [waiting, setWaiting] = useState(0);
+
+  const load = useCallback(async () => {
+    if (!account) return;
+    setStatus('loading');
+    try {
+      const res = await fetch(`${REVIEW_URL}?days=${days}&filter=${filter}`, { headers: authHeaders() });
+      if (res.status === 401) {
+        storeAuth(null);
+        setAccount(null);
+        return;
+      }
+      if (res.status === 403) {
+        setStatus('forbidden');
+        return;
+      }
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+      setOverview(await res.json());
+      setStatus('idle');
+    } catch (err) {
+      console.error('Review error:', err);
+      setStatus('error');
+    }
+  }, [account, days, filter]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.title = translate(locale, 'review.title');
+  }, [locale]);
+
+  const handleSignedIn = ({ token, user }) => {
+    storeAuth({ token, user });
+    setAccount(user);
+    setAuthOpen(false);
+  };
+
+  const stats = overview?.stats;
+
+  return (
+    <ThemeProvider theme={theme}>
+      <I18nContext.Provider value={{ locale, t }}>
+        <AppBar position="static" elevation={0} sx={{ background: 'linear-gradient(135deg, #4CAF50 0%, #2196F3 100%)' }}>
+          <Toolbar sx={{ gap: 1 }}>
+            <FactCheckIcon />
+            <Box sx={{ flexGrow: 1 }}>
+              <Typography variant="h6" sx={{ fontWeight: 'bold', lineHeight: 1.2 }}>{t('review.title')}</Typography>
+              <Typography variant="caption">{t('review.subtitle')}</Typography>
+            </Box>
+            {account && (
+              <Typography variant="body2" sx={{ display: { xs: 'none', sm: 'block' } }}>
+                {t('auth.signedInAs', { name: account.displayName || account.email })}
+              </Typography>
+            )}
+            <Button color="inherit" href="/">{t('review.backToChat')}</Button>
+          </Toolbar>
+        </AppBar>
+
+        <Box sx={{ p: { xs: 2, md: 3 }, maxWidth: 1200, mx: 'auto' }}>
+          {!account && (
+            <Paper sx={{ p: 3, textAlign: 'center' }}>
+              <Typography sx={{ mb: 2 }}>{t('review.signInPrompt')}</Typography>
+              <Button variant="contained" onClick={() => setAuthOpen(true)}>{t('auth.signIn')}</Button>
+            </Paper>
+          )}
+
+          {account && status === 'forbidden' && (
+            <Alert severity="warning">
+              {t('review.noAccess')} <strong style={{ fontFamily: 'monospace' }}>{account.id}</strong>
+            </Alert>
+          )}
+
+          {account && status === 'error' && <Alert severity="error" sx={{ mb: 2 }}>{t('review.loadError')}</Alert>}
+
+          {account && status !== 'forbidden' && (
+            <Tabs value={tab} onChange={(e, next) => setTab(next)} sx={{ mb: 2 }}>
+              <Tab value="conversations" label={t('review.tabs.conversations')} />
+              <Tab
+                value="live"
+                label={(
+                  <Badge color="error" badgeContent={waiting} sx={{ pr: waiting ? 1.5 : 0 }}>
+                    {t('review.tabs.live')}
+                  </Badge>
+                )}
+              />
+            </Tabs>
+          )}
+
+          {/* Stays connected on the other tab so the waiting count stays current */}
+          {account && status !== 'forbidden' && (
+            <Box sx={{ display: tab === 'live' ? 'block' : 'none' }}>
+              <CounselorConsole apiBase={API_BASE} account={account} onQueueChange={setWaiting} />
+            </Box>
+          )}
+
+          {account && status !== 'forbidden' && tab === 'conversations' && (
+            <>
+              <Box sx={{ display: 'flex', gap: 2, mb: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+                <ToggleButtonGroup size="small" exclusive value={filter} onChange={(e, next) => next && setFilter(next)}>
+                  {['open', 'flagged', 'all'].map((key) => (
+                    <ToggleButton key={key} value={key}>{t(`review.filters.${key}`)}</ToggleButton>
+                  ))}
+                </ToggleButtonGroup>
+                <Select size="small" value={days} onChange={(e) => setDays(e.target.value)}>
+                  {PERIODS.map((count) => (
+                    <MenuItem key={count} value={count}>{t('review.days', { count })}</MenuItem>
+                  ))}
+                </Select>
+                {status === 'loading' && <CircularProgress size={20} />}
+              </Box>
+
+              {stats && (
+                <>
+                  <Grid container spacing={2} sx={{ mb: 2 }}>
+                    {[
+                      { key: 'sessions', value: stats.sessions },
+                      { key: 'crisisSessions', value: stats.crisisSessions, color: '#F44336' },
+                      { key: 'highStressSessions', value: stats.highStressSessions, color: '#FF9800' },
+                      { key: 'needsFollowUp', value: stats.needsFollowUp, color: stats.needsFollowUp ? '#9C27B0' : undefined },
+                      { key: 'fallbackRate', value: percent(stats.fallbackRate) },
+                      { key: 'parseFallbackRate', value: percent(overview.replyParsing?.fallbackRate) },
+                    ].map((card) => (
+                      <Grid key={card.key} size={{ xs: 6, sm: 4, md: 2 }}>
+                        <StatCard label={t(`review.stats.${card.key}`)} value={card.value} color={card.color} />
+                      </Grid>
+                    ))}
+                  </Grid>
+
+                  <Grid container spacing={2} sx={{ mb: 2 }}>
+                    <Grid size={{ xs: 12, md: 6 }}>
+                      <Distribution
+                        title={t('review.emotions')}
+                        rows={Object.entries(stats.emotions)
+                          .sort((a, b) => b[1] - a[1])
+                          .map(([label, count]) => ({
+                            key: label,
+                            label: `${(EMOTIONS[label] || EMOTIONS.neutral).emoji} ${t(`emotions.${label}`)}`,
+                            count,
+                            color: (EMOTIONS[label] || EMOTIONS.neutral).color,
+                          }))}
+                      />
+                    </Grid>
+                    <Grid size={{ xs: 12, md: 6 }}>
+                      <Distribution
+                        title={t('review.stressLevels')}
+                        rows={stats.stressLevels.map((count, level) => ({
+                          key: level,
+                          label: `${stressLevels[level].emoji} ${t('stressLevels')[level].label}`,
+                          count,
+                          color: stressLevels[level].color,
+                        }))}
+                      />
+                    </Grid>
+                  </Grid>
+                </>
+              )}
+
+              {overview && (
+                <Paper sx={{ overflowX: 'auto' }}>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        {['lastMessage', 'turns', 'maxStress', 'flags', 'emotion', 'status'].map((key) => (
+                          <TableCell key={key}>{t(`review.columns.${key}`)}</TableCell>
+                        ))}
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {overview.sessions.length === 0 && (
+                        <TableRow>
+                          <TableCell colSpan={6} sx={{ color: 'text.secondary' }}>{t('review.noSessions')}</TableCell>
+                        </TableRow>
+                      )}
+                      {overview.sessions.map((session) => (
+                        <TableRow key={session.sessionId} hover sx={{ cursor: 'pointer' }} onClick={() => setOpenSession(session.sessionId)}>
+                          <TableCell>{formatDate(session.lastMessageAt, locale)}</TableCell>
+                          <TableCell>{session.turns}</TableCell>
+                          <TableCell sx={{ color: stressLevels[session.maxStressLevel].color, fontWeight: 'bold' }}>
+                            {stressLevels[session.maxStressLevel].emoji} {t('stressLevels')[session.maxStressLevel].label}
+                          </TableCell>
+                          <TableCell><FlagChips flags={session.flags} /></TableCell>
+                          <TableCell>
+                            {session.topEmotion && `${(EMOTIONS[session.topEmotion] || EMOTIONS.neutral).emoji} ${t(`emotions.${session.topEmotion}`)}`}
+                          </TableCell>
+                          <TableCell>
+                            {session.followedUp && <Chip size="small" color="success" label={t('review.status.followedUp')} />}
+                            {!session.followedUp && session.flags.length > 0 && <Chip size="small" variant="outlined" label={t('review.status.open')} />}
+                            {session.notes > 0 && ` 📝 ${session.notes}`}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </Paper>
+              )}
+            </>
+          )}
+        </Box>
+
+        <SessionDialog sessionId={openSession} onClose={() => setOpenSession(null)} onChanged={load} />
+        <AuthDialog open={authOpen} authUrl={AUTH_URL} sessionId={null} onSignedIn={handleSignedIn} onClose={() => setAuthOpen(false)} />
+      </I18nContext.Provider>
+    </ThemeProvider>
+  );
+}
+
+export default ReviewDashboard;
@@ -0,0 +1,44 @@
+/* WizCare Accounts (client side)
+ *
+ * Accounts are optional; without one the app works as a guest. After
+ * signing in, the token and profile from /api/auth are kept in
+ * localStorage and the token goes out with every API request through
+ * authHeaders(), so the backend serves the account's private history.
+ */
+
+const AUTH_STORAGE_KEY = 'wizcare.auth';
+
+/**
+ * Saved sign-in: { token, user } or null for guests
+ */
+export const loadAuth = () => {
+  try {
+    const saved = window.localStorage.getItem(AUTH_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (e) {
+    return null; // storage disabled or unreadable: treat as a guest
+  }
+};
+
+/**
+ * Save a sign-in, or forget it (sign out) with null
+ */
+export const storeAuth = (auth) => {
+  try {
+    if (auth) {
+      window.localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(auth));
+    } else {
+      window.localStorage.removeItem(AUTH_STORAGE_KEY);
+    }
+  } catch (e) {
+    // storage disabled: the sign-in just won't survive a reload
+  }
+};
+
+/**
+ * Headers that identify a signed-in user ({} for guests)
+ */
+export const authHeaders = () => {
+  const auth = loadAuth();
+  return auth?.token ? { Authorization: `Bearer ${auth.token}` } : {};
+};
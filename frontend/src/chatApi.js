@@ -0,0 +1,121 @@
+/* WizCare Chat Client
+ *
+ * Talking to the backend's chat routes: the streamed reply from
+ * /api/chat/stream (Server-Sent Events) and the errors for messages the
+ * backend refuses before answering. Used by App.js; the real-time channel
+ * (./realtime) reports refusals with the same error shapes.
+ */
+
+import { authHeaders } from './auth';
+
+/**
+ * Longest message the backend accepts by default (CHAT_MAX_MESSAGE_LENGTH);
+ * the input stops there so the limit is rarely hit
+ */
+export const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Messages the backend refuses before answering: 413 (too long) and 429
+ * (too many, or the same message repeated). The error carries the backend's
+ * { code, retryAfter, maxLength } as error.limit so the chat can explain it.
+ */
+export const isLimitStatus = (status) => status === 413 || status === 429;
+
+export const readLimitError = async (res) => {
+  const data = await res.json().catch(() => ({}));
+  const error = new Error(data.error || `HTTP error! status: ${res.status}`);
+  error.limit = { status: res.status, code: data.code, retryAfter: data.retryAfter, maxLength: data.maxLength };
+  return error;
+};
+
+/**
+ * Messages refused because a counselor is talking with the person: 409
+ * (handoff_active). They belong with the counselor, not the AI, so the error
+ * is marked error.handoffActive for the chat to say so.
+ */
+export const isHandoffActiveStatus = (status) => status === 409;
+
+export const handoffActiveError = (message) => {
+  const error = new Error(message || 'A counselor chat is live');
+  error.handoffActive = true;
+  return error;
+};
+
+/**
+ * The same for a message refused over the real-time channel (chat:refused),
+ * which carries the code but not the HTTP status
+ */
+export const refusalError = (frame) => {
+  if (frame.code === 'handoff_active') return handoffActiveError(frame.error);
+  const error = new Error(frame.error);
+  if (['message_too_long', 'rate_limited', 'spam'].includes(frame.code)) {
+    const status = frame.code === 'message_too_long' ? 413 : 429;
+    error.limit = { status, code: frame.code, retryAfter: frame.retryAfter, maxLength: frame.maxLength };
+  }
+  return error;
+};
+
+/**
+ * Stream a reply from the backend over Server-Sent Events
+ * Calls onToken(text) as text arrives and resolves with the final "done" event
+ * ({ response, stressLevel, sessionId, ... }).
+ * Resolves null when streaming isn't available (older backend, buffering proxy,
+ * browser without stream support) so the caller can use the JSON route instead.
+ * Rejects with a limit error (see readLimitError) when the message is refused,
+ * or a handoffActive one while a counselor chat is live.
+ * @param {string} streamUrl - The backend's /api/chat/stream
+ * @param {string} body - JSON request body
+ * @param {function} onToken - Called with each piece of the reply
+ */
+export async function streamChatReply(streamUrl, body, onToken) {
+  if (typeof ReadableStream === 'undefined' || typeof TextDecoder === 'undefined') return null;
+
+  let res;
+  try {
+    res = await fetch(streamUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...authHeaders() },
+      body,
+    });
+  } catch (e) {
+    return null;
+  }
+
+  if (isLimitStatus(res.status)) throw await readLimitError(res);
+  if (isHandoffActiveStatus(res.status)) throw handoffActiveError();
+
+  const contentType = res.headers.get('Content-Type') || '';
+  if (!res.ok || !res.body || !contentType.includes('text/event-stream')) return null;
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finalData = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const rawEvent of events) {
+      let eventName = 'message';
+      let dataText = '';
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataText += line.slice(5).trim();
+      }
+      if (!dataText) continue;
+      const data = JSON.parse(dataText);
+      if (eventName === 'token') onToken(data.text);
+      else if (eventName === 'done') finalData = data;
+    }
+  }
+
+  if (!finalData) {
+    throw new Error('Stream ended before the reply was complete');
+  }
+  return finalData;
+}
@@ -0,0 +1,84 @@
+/* WizCare Conversations
+ *
+ * Helpers for the list of saved conversations (see ConversationSidebar.js).
+ * Each conversation is kept on this device (see ./offline) and, once it has
+ * a session, on the backend too (GET/PUT/DELETE /api/conversations).
+ */
+
+const AUTO_TITLE_WORDS = 6;
+const AUTO_TITLE_LENGTH = 48;
+
+/**
+ * Title for a conversation nobody renamed: the first few words of its
+ * first message (backend/conversations does the same)
+ * @returns {string} - '' for an empty message
+ */
+export function titleFromMessage(text) {
+  const words = String(text || '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+  let title = words.slice(0, AUTO_TITLE_WORDS).join(' ');
+  if (title.length > AUTO_TITLE_LENGTH) title = `${title.slice(0, AUTO_TITLE_LENGTH - 1).trimEnd()}…`;
+  else if (words.length > AUTO_TITLE_WORDS) title += '…';
+  return title;
+}
+
+/**
+ * Title for a list of chat messages (their first user message)
+ */
+export const titleFromMessages = (messages) => titleFromMessage(messages.find((m) => m.from === 'user')?.text);
+
+/**
+ * A fresh key for a conversation kept on this device
+ */
+export const newConversationKey = () => `chat-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Does a conversation match a search? (title or any message, ignoring case)
+ * @param {object} conversation - { title, messages? }
+ * @param {string} query
+ */
+export const matchesSearch = (conversation, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  if (String(conversation.title || '').toLowerCase().includes(needle)) return true;
+  return (conversation.messages || []).some((m) => typeof m.text === 'string' && m.text.toLowerCase().includes(needle));
+};
+
+/**
+ * Merge this device's conversations with the backend's list
+ * Titles given on the backend (e.g. on another device) are used unless the
+ * conversation was renamed here too; conversations only the backend knows
+ * come back as { remote: true } stubs, opened from their transcript.
+ * @param {Array<object>} local - Records from listChats()
+ * @param {Array<object>} remote - Items from GET /api/conversations
+ * @returns {Array<object>} - Most recently active first
+ */
+export function mergeConversations(local, remote) {
+  const bySession = new Map(remote.map((item) => [item.sessionId, item]));
+  const merged = local.map((record) => {
+    const item = record.sessionId && bySession.get(record.sessionId);
+    if (!item) return record;
+    bySession.delete(record.sessionId);
+    return item.renamed && !record.renamed ? { ...record, title: item.title, renamed: true } : record;
+  });
+  bySession.forEach((item) => merged.push({ ...item, key: `session-${item.sessionId}`, remote: true }));
+  return merged.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+/**
+ * Chat messages for transcript turns, after the welcome message
+ * @param {Array<object>} turns - From the history API
+ * @param {string} source - Part of the message IDs (e.g. 'import')
+ * @returns {function} - An updater for setMessages
+ */
+export const messagesFromTurns = (turns, source) => (msgs) => [
+  msgs[0], // keep the welcome message
+  ...turns.flatMap((turn, idx) => [
+    { id: `user-${source}-${idx}`, from: 'user', text: turn.user, emotion: turn.emotion },
+    { id: `bot-${source}-${idx}`, from: 'bot', text: turn.bot },
+  ]),
+];
+
+/**
+ * Stress level of the last transcript turn (0 when there are none)
+ */
+export const lastStressLevel = (turns) => (turns.length ? turns[turns.length - 1].stressLevel : 0);
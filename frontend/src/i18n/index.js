@@ -0,0 +1,74 @@
+/* WizCare UI translations
+ *
+ * Every string the app shows lives in <locale>.json, looked up by a dotted
+ * key ('chat.placeholder'). Missing keys fall back to English, so a new
+ * language can be added one section at a time.
+ *
+ * Components read the current language with useTranslation(); App provides
+ * it through I18nContext and sends it to the backend with every message.
+ */
+
+import { createContext, useContext } from 'react';
+import en from './en.json';
+import hi from './hi.json';
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Languages offered in the locale picker (name is shown in its own language)
+ */
+export const LOCALES = {
+  en: { name: 'English', messages: en },
+  hi: { name: 'हिन्दी', messages: hi },
+};
+
+const LOCALE_STORAGE_KEY = 'wizcare.locale';
+
+/**
+ * Locale saved from an earlier visit, else the browser's language, else English
+ */
+export const loadLocale = () => {
+  try {
+    const saved = window.localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch (e) {
+    // storage disabled (private mode, etc.)
+  }
+  const browser = (navigator.language || '').split('-')[0];
+  return LOCALES[browser] ? browser : DEFAULT_LOCALE;
+};
+
+export const storeLocale = (locale) => {
+  try {
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (e) {
+    // storage disabled: the choice just won't survive a reload
+  }
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+
+/**
+ * Translate a key, filling {placeholders} from vars
+ * Arrays (quick replies, tips, stress levels) are returned as they are.
+ * @param {string} locale - A key of LOCALES
+ * @param {string} key - Dotted path into the locale file
+ * @param {object} [vars] - Placeholder values
+ */
+export function translate(locale, key, vars = {}) {
+  let value = lookup((LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).messages, key);
+  if (value === undefined) value = lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  if (value === undefined) return key;
+  if (typeof value !== 'string') return value;
+  return value.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  t: (key, vars) => translate(DEFAULT_LOCALE, key, vars),
+});
+
+/**
+ * Current locale and its t(key, vars) function
+ */
+export const useTranslation = () => useContext(I18nContext);
@@ -2,18 +2,22 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import ReviewDashboard from './ReviewDashboard';
 import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
+// /admin is the review dashboard for admin and counselor accounts; everything else is the chat
+const isReviewPage = window.location.pathname.replace(/\/+$/, '') === '/admin';
+
 root.render(
   <React.StrictMode>
-    <App />
+    {isReviewPage ? <ReviewDashboard /> : <App />}
   </React.StrictMode>
 );
 
-// If you want your app to work offline and load faster, you can change
-// unregister() to register() below. Note this comes with some pitfalls.
-// Learn more about service workers: https://cra.link/PWA
-serviceWorkerRegistration.unregister();
+// The service worker makes the app work offline: it caches the app and the
+// helplines, and sends messages written offline once the connection is back
+// (production builds only). Learn more about service workers: https://cra.link/PWA
+serviceWorkerRegistration.register();
 
 // Performance reporting disabled
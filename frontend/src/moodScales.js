@@ -0,0 +1,30 @@
+/**
+ * Mood scales shared by the chat view and the mood journal
+ */
+
+/**
+ * Stress levels (index = level reported by the backend, 0-4)
+ * Labels here are stable keys; shown text comes from stressLevels in ./i18n
+ */
+export const stressLevels = [
+  { label: 'Low', emoji: '😊', color: '#4CAF50' },
+  { label: 'Mid', emoji: '😐', color: '#FFC107' },
+  { label: 'High', emoji: '😟', color: '#FF9800' },
+  { label: 'Very High', emoji: '😫', color: '#F44336' },
+  { label: 'Ultra High', emoji: '🚨', color: '#9C27B0' },
+];
+
+/**
+ * Emotion display settings (labels match the backend analyzer)
+ */
+export const EMOTIONS = {
+  sadness: { emoji: '😢', color: '#5C6BC0' },
+  happiness: { emoji: '😊', color: '#4CAF50' },
+  anger: { emoji: '😠', color: '#E53935' },
+  fear: { emoji: '😨', color: '#FB8C00' },
+  disgust: { emoji: '🤢', color: '#8D6E63' },
+  surprise: { emoji: '😮', color: '#00ACC1' },
+  trust: { emoji: '🤝', color: '#26A69A' },
+  anticipation: { emoji: '🤞', color: '#AB47BC' },
+  neutral: { emoji: '😶', color: '#9E9E9E' },
+};
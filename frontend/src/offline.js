@@ -0,0 +1,239 @@
+/* WizCare Offline Storage
+ *
+ * Keeps the chat usable without a connection, in IndexedDB so the service
+ * worker can reach it too:
+ * - outbox: messages written while offline, sent to /api/chat once the
+ *   connection is back (by Background Sync in the service worker, or by
+ *   the page itself in browsers without it). Entries note which account
+ *   wrote them but never its token: that is looked up when they are sent.
+ * - chats: every conversation on this device, keyed by a local ID, so they
+ *   survive a reload, can be switched between (see ConversationSidebar.js)
+ *   and show replies to queued messages that arrived while the app was closed:
+ *     { key, sessionId, title, renamed, messages, stressLevel, accountId,
+ *       createdAt, updatedAt }
+ *
+ * Shared by App.js and service-worker.js, so nothing here may touch the
+ * DOM, React or localStorage.
+ */
+
+import { titleFromMessages } from './conversations';
+
+const DB_NAME = 'wizcare';
+const DB_VERSION = 1;
+const OUTBOX = 'outbox';
+const CHATS = 'chats';
+
+// Background Sync tag the service worker flushes the outbox on
+export const OUTBOX_SYNC_TAG = 'wizcare-outbox';
+// postMessage type for a reply to a queued message ({ type, entry, payload })
+export const OUTBOX_REPLY = 'wizcare:outbox-reply';
+// postMessage type the service worker asks a window who is signed in with
+// ({ type }, answered with the saved sign-in or null on the port sent along)
+export const OUTBOX_AUTH = 'wizcare:outbox-auth';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(CHATS)) db.createObjectStore(CHATS, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again (e.g. after private mode blocked it once)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run one request against a store
+ * @param {string} storeName
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} makeRequest - Called with the store, returns an IDBRequest
+ */
+const withStore = async (storeName, mode, makeRequest) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+/**
+ * Queue a message for when the connection is back
+ * @param {object} entry - { id (the user message's id), chatId (its conversation's key), url, body,
+ *   accountId (the signed-in account's ID, or null for guests) }
+ */
+export const queueMessage = (entry) => withStore(OUTBOX, 'readwrite', (store) => store.put({ ...entry, queuedAt: Date.now() }));
+
+/**
+ * Queued messages, oldest first
+ */
+export const listQueued = async () => {
+  const entries = await withStore(OUTBOX, 'readonly', (store) => store.getAll());
+  return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+};
+
+const removeQueued = (id) => withStore(OUTBOX, 'readwrite', (store) => store.delete(id));
+
+/**
+ * Drop every queued message (signing out: they were written by the account)
+ */
+export const clearOutbox = () => withStore(OUTBOX, 'readwrite', (store) => store.clear());
+
+/**
+ * Every conversation saved on this device, most recently active first
+ */
+export const listChats = async () => {
+  const chats = await withStore(CHATS, 'readonly', (store) => store.getAll());
+  return chats.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+};
+
+/**
+ * One saved conversation, or null
+ */
+export const loadChat = async (key) => {
+  const saved = await withStore(CHATS, 'readonly', (store) => store.get(key));
+  return saved || null;
+};
+
+// Chat writes run one after another, so a save still in flight can't bring
+// back a conversation deleted after it
+let chatWrites = Promise.resolve();
+const queueChatWrite = (write) => {
+  const next = chatWrites.then(write);
+  chatWrites = next.catch(() => {});
+  return next;
+};
+
+/**
+ * Save a conversation, merged into what is saved already
+ * Conversations nobody renamed are titled after their first message, and
+ * count as active again only when a message was added.
+ * @param {object} chat - { key, ...fields to change }
+ */
+export const saveChat = (chat) => queueChatWrite(async () => {
+  const saved = await loadChat(chat.key);
+  const next = { ...saved, ...chat };
+  const now = Date.now();
+  if (!next.renamed) next.title = titleFromMessages(next.messages || []);
+  next.createdAt = next.createdAt || now;
+  if (!saved || (chat.messages && chat.messages.length !== saved.messages.length)) next.updatedAt = now;
+  await withStore(CHATS, 'readwrite', (store) => store.put(next));
+  return next;
+});
+
+/**
+ * Give a saved conversation a title of its own
+ */
+export const renameChat = (key, title) => queueChatWrite(async () => {
+  const saved = await loadChat(key);
+  if (saved) await withStore(CHATS, 'readwrite', (store) => store.put({ ...saved, title, renamed: true }));
+});
+
+export const deleteChat = (key) => queueChatWrite(() => withStore(CHATS, 'readwrite', (store) => store.delete(key)));
+
+/**
+ * Show the reply to a queued message in a list of chat messages
+ * The message stops being marked as queued and the reply follows it
+ * (each reply once, however often it is delivered).
+ * @param {Array<object>} messages
+ * @param {object} entry - The outbox entry
+ * @param {object} payload - The backend's answer (as from POST /api/chat)
+ * @returns {Array<object>}
+ */
+export const addQueuedReply = (messages, entry, payload) => {
+  const replyId = `bot-${entry.id}`;
+  const updated = messages.map((m) => (m.id === entry.id ? { ...m, queued: false, emotion: payload.emotion?.label || m.emotion } : m));
+  if (updated.some((m) => m.id === replyId)) return updated;
+  const reply = { id: replyId, from: 'bot', text: payload.response, suggestion: payload.suggestedExercise || undefined };
+  const at = updated.findIndex((m) => m.id === entry.id);
+  return at === -1 ? [...updated, reply] : [...updated.slice(0, at + 1), reply, ...updated.slice(at + 1)];
+};
+
+/**
+ * Send every queued message, in order
+ * A message written before its conversation had a session goes out with
+ * the session the conversation's first reply hands out, so the whole
+ * offline stretch stays one conversation. Each reply is saved with its
+ * conversation and passed to onReply.
+ * A message an account wrote goes out with the token of whoever is signed
+ * in now, and is dropped unless that is still the same account (entries
+ * from older versions, which kept the token itself, are dropped too).
+ * Stops at the first network error or 429/5xx answer and rejects, so
+ * Background Sync tries again later.
+ * @param {object} [options]
+ * @param {function} [options.onReply] - Called with (entry, payload)
+ * @param {function} [options.getAuth] - Resolves to the saved sign-in ({ token, user }) or null;
+ *   asked once, and only when an account's message is queued
+ * @returns {Promise<number>} - How many messages were sent
+ */
+export const flushOutbox = async ({ onReply = () => {}, getAuth = async () => null } = {}) => {
+  const entries = await listQueued();
+  const sessions = new Map(); // conversation key -> session handed out while sending
+  let auth;
+  let sent = 0;
+
+  for (const entry of entries) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (entry.accountId || entry.headers?.Authorization) {
+      if (auth === undefined) auth = (await getAuth()) || null;
+      if (!entry.accountId || !auth?.token || auth.user?.id !== entry.accountId) {
+        await removeQueued(entry.id);
+        continue;
+      }
+      headers.Authorization = `Bearer ${auth.token}`;
+    }
+    const body = { ...entry.body, sessionId: entry.body.sessionId || sessions.get(entry.chatId) || null };
+    const res = await fetch(entry.url, { method: 'POST', headers, body: JSON.stringify(body) });
+    if (res.status === 429 || res.status >= 500) throw new Error(`Outbox paused: HTTP ${res.status}`);
+
+    await removeQueued(entry.id);
+    sent += 1;
+    if (!res.ok) continue; // refused for good (e.g. too long): nothing to show
+
+    const payload = await res.json();
+    if (payload.sessionId) sessions.set(entry.chatId, payload.sessionId);
+    const saved = entry.chatId ? await loadChat(entry.chatId) : null;
+    if (saved) {
+      await saveChat({
+        key: saved.key,
+        sessionId: saved.sessionId || payload.sessionId,
+        messages: addQueuedReply(saved.messages, entry, payload),
+        stressLevel: typeof payload.stressLevel === 'number' ? payload.stressLevel : saved.stressLevel,
+      });
+    }
+    await onReply(entry, payload);
+  }
+  return sent;
+};
+
+/**
+ * Ask the service worker to send the outbox when the connection is back
+ * @returns {Promise<boolean>} - false when Background Sync isn't available
+ *   (the page should then call flushOutbox() itself once online)
+ */
+export const requestOutboxSync = async () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return false;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.sync) return false;
+    await registration.sync.register(OUTBOX_SYNC_TAG);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
@@ -0,0 +1,38 @@
+/* WizCare Offline Replies
+ *
+ * What the chat answers while the backend can't be reached. The replies
+ * are the app's own copy of the backend's demo replies and greetings
+ * (backend/i18n/locales, "offline" in ./i18n), each followed by one of the
+ * grounding tips. Messages that sound like a crisis always get the
+ * helpline instead. The message itself still reaches WizCare once the
+ * connection is back (see ./offline).
+ */
+
+import { translate, DEFAULT_LOCALE } from './i18n';
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+// Same word splitting as the backend's greeting check
+const normalizeWords = (text) => ` ${String(text).toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim()} `;
+
+/**
+ * @param {string} message - What the person wrote
+ * @param {string} locale - UI language
+ * @param {string} [contact] - How to reach the primary helpline (phone or SMS), if known
+ * @returns {string}
+ */
+export function offlineReply(message, locale, contact) {
+  const t = (key, vars) => translate(locale, key, vars);
+  const words = normalizeWords(message);
+  // Crisis and greeting words of every language count, whatever the UI language
+  const crisisWords = [...t('offline.crisisWords'), ...translate(DEFAULT_LOCALE, 'offline.crisisWords')];
+  const greetings = [...t('offline.greetings'), ...translate(DEFAULT_LOCALE, 'offline.greetings')];
+
+  if (crisisWords.some((word) => words.includes(normalizeWords(word)))) {
+    return contact ? t('offline.crisisReply', { contact }) : t('offline.crisisReplyNoContact');
+  }
+  if (greetings.some((greeting) => words.includes(normalizeWords(greeting)))) {
+    return pick(t('offline.greetingResponses'));
+  }
+  return `${pick(t('offline.replies'))}\n\n${t('offline.tip', { tip: pick(t('healthTips')) })}`;
+}
@@ -0,0 +1,47 @@
+/* WizCare Onboarding choices (client side)
+ *
+ * What the person chose the first time they opened the app (see
+ * OnboardingDialog.js), kept in localStorage:
+ *   { version, language, age: 'adult' | 'minor', storage: 'store' | 'ephemeral', completedAt }
+ * The choices go out with every chat message (see dataChoices()) and the
+ * backend honors them: unsaved conversations are kept in its memory only,
+ * and minors get age-appropriate replies and are never stored.
+ */
+
+const ONBOARDING_STORAGE_KEY = 'wizcare.onboarding';
+
+// Bump when the disclaimer or the choices change, so everyone sees them again
+export const ONBOARDING_VERSION = 1;
+
+/**
+ * Saved choices, or null when onboarding hasn't been finished (or is outdated)
+ */
+export const loadOnboarding = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(ONBOARDING_STORAGE_KEY));
+    return saved && saved.version === ONBOARDING_VERSION ? saved : null;
+  } catch (e) {
+    return null; // storage disabled or unreadable: ask again
+  }
+};
+
+export const storeOnboarding = (choices) => {
+  try {
+    window.localStorage.setItem(ONBOARDING_STORAGE_KEY, JSON.stringify(choices));
+  } catch (e) {
+    // storage disabled: the choices just won't survive a reload
+  }
+};
+
+/**
+ * Whether conversations should be kept (minors' never are)
+ */
+export const isEphemeral = (choices) => !choices || choices.age === 'minor' || choices.storage === 'ephemeral';
+
+/**
+ * The choices as sent with a chat message (consent, age)
+ */
+export const dataChoices = (choices) => ({
+  consent: isEphemeral(choices) ? 'ephemeral' : 'store',
+  age: choices?.age === 'minor' ? 'minor' : 'adult',
+});
@@ -0,0 +1,85 @@
+/* WizCare Real-time Connection
+ *
+ * A WebSocket to the backend's /api/ws channel (see backend/realtime),
+ * used for the live counselor chat. Frames are JSON objects { type, ... }
+ * both ways. The connection reopens by itself after a drop, waiting a
+ * little longer each time (1s, 2s, 4s, ... up to 30s).
+ *
+ * By default the socket goes to the same host as the API; set
+ * REACT_APP_WS_URL when the backend is reached some other way.
+ */
+
+import { loadAuth } from './auth';
+
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+/**
+ * Address of the real-time channel
+ * The account token (if signed in) goes in the query string, because
+ * browsers can't send headers with a WebSocket.
+ * @param {string} apiBase - e.g. '/api' or 'https://example.com/api'
+ * @param {object} params - Extra query parameters (sessionId)
+ */
+export const realtimeUrl = (apiBase, params = {}) => {
+  const base = process.env.REACT_APP_WS_URL || new URL(`${apiBase}/ws`, window.location.href).toString().replace(/^http/, 'ws');
+  const url = new URL(base);
+  const token = loadAuth()?.token;
+  Object.entries({ ...params, token }).forEach(([key, value]) => {
+    if (value) url.searchParams.set(key, value);
+  });
+  return url.toString();
+};
+
+/**
+ * Open the real-time channel
+ * @param {object} options
+ * @param {function} options.url - Returns the address to connect to (called again on every reconnect)
+ * @param {function} options.onFrame - Called with each frame from the server
+ * @param {function} [options.onStatus] - Called with 'open' or 'closed'
+ * @returns {object} - { send(type, data) -> false while disconnected, close() }
+ */
+export const connectRealtime = ({ url, onFrame, onStatus = () => {} }) => {
+  let ws = null;
+  let retries = 0;
+  let retryTimer = null;
+  let closed = false;
+
+  const open = () => {
+    if (typeof WebSocket === 'undefined') return;
+    ws = new WebSocket(url());
+    ws.onopen = () => {
+      retries = 0;
+      onStatus('open');
+    };
+    ws.onmessage = (event) => {
+      let frame;
+      try {
+        frame = JSON.parse(event.data);
+      } catch (e) {
+        return; // not ours
+      }
+      onFrame(frame);
+    };
+    ws.onclose = () => {
+      onStatus('closed');
+      if (closed) return;
+      retryTimer = setTimeout(open, Math.min(MAX_RETRY_DELAY_MS, 1000 * 2 ** retries));
+      retries += 1;
+    };
+  };
+
+  open();
+
+  return {
+    send(type, data = {}) {
+      if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+      ws.send(JSON.stringify({ ...data, type }));
+      return true;
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (ws) ws.close();
+    },
+  };
+};
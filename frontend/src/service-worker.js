@@ -11,7 +11,8 @@ import { clientsClaim } from 'workbox-core';
 import { ExpirationPlugin } from 'workbox-expiration';
 import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
 import { registerRoute } from 'workbox-routing';
-import { StaleWhileRevalidate } from 'workbox-strategies';
+import { StaleWhileRevalidate, NetworkFirst } from 'workbox-strategies';
+import { OUTBOX_SYNC_TAG, OUTBOX_REPLY, OUTBOX_AUTH, flushOutbox } from './offline';
 
 clientsClaim();
 
@@ -61,6 +62,49 @@ registerRoute(
   })
 );
 
+// Helplines: always the latest when online, the last copy when offline, so
+// they can still be reached without a connection
+registerRoute(
+  ({ url }) => url.pathname.endsWith('/api/helplines'),
+  new NetworkFirst({
+    cacheName: 'helplines',
+    networkTimeoutSeconds: 5,
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+  })
+);
+
+const AUTH_ANSWER_MS = 5000;
+
+// Who is signed in lives in the page's localStorage, out of reach here: ask
+// an open window. With none open (or none answering), an account's messages
+// can't go out yet, so the sync fails and is tried again later.
+const askWindowForAuth = async () => {
+  const [client] = await self.clients.matchAll({ type: 'window' });
+  if (!client) throw new Error('Outbox paused: no window to ask who is signed in');
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => reject(new Error('Outbox paused: no answer about who is signed in')), AUTH_ANSWER_MS);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data);
+    };
+    client.postMessage({ type: OUTBOX_AUTH }, [channel.port2]);
+  });
+};
+
+// Messages written offline wait in the outbox (see ./offline); once the
+// connection is back, send them and hand the replies to any open window
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  event.waitUntil(flushOutbox({
+    getAuth: askWindowForAuth,
+    onReply: async (entry, payload) => {
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      windows.forEach((client) => client.postMessage({ type: OUTBOX_REPLY, entry, payload }));
+    },
+  }));
+});
+
 // This allows the web app to trigger skipWaiting via
 // registration.waiting.postMessage({type: 'SKIP_WAITING'})
 self.addEventListener('message', (event) => {
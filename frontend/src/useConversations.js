@@ -0,0 +1,179 @@
+/* WizCare Conversations hook
+ *
+ * The conversation list behind ConversationSidebar.js: this device's
+ * conversations (see ./offline), merged with the backend's list when
+ * online, and switching, starting, renaming and deleting them, here and
+ * on the backend (/api/conversations, DELETE /api/data).
+ */
+
+import { useState } from 'react';
+import { clearOutbox, listChats, loadChat, renameChat, deleteChat } from './offline';
+import { newConversationKey, mergeConversations, messagesFromTurns, lastStressLevel } from './conversations';
+import { loadAuth, authHeaders } from './auth';
+
+/**
+ * Saved conversations and what can be done with them
+ * @param {object} options
+ * @param {string} options.apiBase - e.g. '/api'
+ * @param {object|null} options.account - Signed-in user; other accounts' conversations on this device stay hidden
+ * @param {object} options.conversationKeyRef - Ref to the key of the conversation on screen
+ * @param {object} options.sessionIdRef - Ref to the backend session ID in use (or null)
+ * @param {boolean} options.busy - A reply is on its way; conversations aren't switched meanwhile
+ * @param {function} options.showConversation - Puts a conversation on screen ({ key, sessionId, messages, stressLevel })
+ * @param {function} options.onAccountDeleted - Called once "Delete all my data" has removed the account
+ */
+function useConversations({ apiBase, account, conversationKeyRef, sessionIdRef, busy, showConversation, onAccountDeleted }) {
+  const conversationsUrl = `${apiBase}/conversations`;
+  const historyUrl = `${apiBase}/history`;
+  const dataUrl = `${apiBase}/data`;
+
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [switching, setSwitching] = useState(false);
+
+  const refreshConversations = async () => {
+    let local = [];
+    try {
+      // Conversations of other accounts that signed in on this device stay hidden
+      local = (await listChats()).filter((chat) => !chat.accountId || chat.accountId === account?.id);
+    } catch (e) {
+      console.error('Saved chat error:', e);
+    }
+    setConversations(local);
+    if (navigator.onLine === false) return;
+    try {
+      const sessionIds = local.map((chat) => chat.sessionId).filter(Boolean);
+      const res = await fetch(`${conversationsUrl}?sessionIds=${encodeURIComponent(sessionIds.join(','))}`, {
+        headers: authHeaders(),
+      });
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+      const data = await res.json();
+      setConversations(mergeConversations(local, data.conversations));
+    } catch (e) {
+      console.error('Conversations error:', e);
+    }
+  };
+
+  const openSidebar = () => {
+    setSidebarOpen(true);
+    refreshConversations();
+  };
+
+  /**
+   * Switch to a conversation from the list
+   * Saved ones come from this device, the rest from their transcript. Signed
+   * in, the account then carries on with it on other devices too.
+   * @param {object} item - From refreshConversations()
+   */
+  const openConversation = async (item) => {
+    if (item.key === conversationKeyRef.current || busy || switching) return;
+    setSwitching(true);
+    try {
+      const saved = item.remote ? null : await loadChat(item.key);
+      if (saved) {
+        showConversation(saved);
+      } else {
+        const res = await fetch(`${historyUrl}/transcript?sessionId=${encodeURIComponent(item.sessionId)}&format=json`, {
+          headers: authHeaders(),
+        });
+        if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+        const data = await res.json();
+        showConversation({
+          key: item.key,
+          sessionId: item.sessionId,
+          messages: messagesFromTurns(data.turns, item.sessionId),
+          stressLevel: lastStressLevel(data.turns),
+        });
+      }
+      setSidebarOpen(false);
+      if (loadAuth() && item.sessionId) {
+        fetch(`${conversationsUrl}/${encodeURIComponent(item.sessionId)}/open`, { method: 'POST', headers: authHeaders() })
+          .catch((e) => console.error('Conversations error:', e));
+      }
+    } catch (e) {
+      console.error('Conversations error:', e);
+      throw e;
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  const startConversation = () => {
+    showConversation({ key: newConversationKey(), sessionId: null, messages: (msgs) => [msgs[0]], stressLevel: 0 });
+    setSidebarOpen(false);
+  };
+
+  /**
+   * Rename a conversation, here and (once it has a session) on the backend
+   * Rejects when the backend refuses, so the sidebar can say so.
+   */
+  const renameConversation = async (item, title) => {
+    let saved = title;
+    if (item.sessionId) {
+      const res = await fetch(`${conversationsUrl}/${encodeURIComponent(item.sessionId)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({ title }),
+      });
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+      saved = (await res.json()).title;
+    }
+    if (!item.remote) await renameChat(item.key, saved);
+    await refreshConversations();
+  };
+
+  /**
+   * Delete a conversation, here and on the backend (transcript, memory and
+   * mood history); deleting the one on screen starts a new one
+   */
+  const deleteConversation = async (item) => {
+    if (item.sessionId) {
+      const res = await fetch(`${conversationsUrl}/${encodeURIComponent(item.sessionId)}`, {
+        method: 'DELETE',
+        headers: authHeaders(),
+      });
+      if (!res.ok && res.status !== 404) throw new Error(`HTTP error! status: ${res.status}`);
+    }
+    if (item.key === conversationKeyRef.current) startConversation();
+    if (!item.remote) await deleteChat(item.key);
+    await refreshConversations();
+  };
+
+  /**
+   * Delete all my data: every conversation this device shows and the
+   * account's on the backend (with everything kept about them, and the
+   * account itself), then here; signed in, this also signs out
+   * Rejects when the backend refuses, so the sidebar can say so.
+   */
+  const deleteAllData = async () => {
+    const chats = (await listChats()).filter((chat) => !chat.accountId || chat.accountId === account?.id);
+    const sessionIds = [...new Set([sessionIdRef.current, ...chats.map((chat) => chat.sessionId)].filter(Boolean))];
+    if (account || sessionIds.length) {
+      const res = await fetch(`${dataUrl}?sessionIds=${encodeURIComponent(sessionIds.join(','))}`, {
+        method: 'DELETE',
+        headers: authHeaders(),
+      });
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+    }
+    await clearOutbox();
+    await Promise.all(chats.map((chat) => deleteChat(chat.key)));
+    if (account) onAccountDeleted();
+    startConversation();
+    setConversations([]);
+  };
+
+  return {
+    sidebarOpen,
+    closeSidebar: () => setSidebarOpen(false),
+    openSidebar,
+    conversations,
+    switching,
+    openConversation,
+    startConversation,
+    renameConversation,
+    deleteConversation,
+    deleteAllData,
+  };
+}
+
+export default useConversations;
@@ -0,0 +1,114 @@
+/* WizCare Offline Chat hook
+ *
+ * The page's side of offline support (see ./offline): brings back the
+ * conversation saved on this device after a reload, keeps the saved copy in
+ * step with the screen, shows replies to queued messages (sent by the
+ * service worker, or from here in browsers without Background Sync) and
+ * sends the outbox once the connection is back (telling the service worker
+ * who is signed in when it asks).
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { flushOutbox, requestOutboxSync, listChats, loadChat, saveChat, OUTBOX_REPLY, OUTBOX_AUTH } from './offline';
+import { loadAuth } from './auth';
+
+/**
+ * Offline support for the chat on screen
+ * @param {object} options
+ * @param {object} options.conversationKeyRef - Ref to the key of the conversation on screen
+ * @param {object} options.sessionIdRef - Ref to the backend session ID in use (or null)
+ * @param {object} options.chat - The conversation on screen as saved: { key, sessionId, messages, stressLevel, accountId }
+ * @param {boolean} options.ephemeral - Unsaved conversation: nothing is written to the device
+ * @param {function} options.onRestore - Called with the saved chat to show after a reload
+ * @param {function} options.onQueuedReply - Called with (entry, payload) for a reply to a queued
+ *   message of the conversation on screen
+ * @returns {{ online: boolean, chatLoaded: boolean }} chatLoaded turns true once
+ *   the saved conversation (if any) is on screen
+ */
+function useOfflineChat({ conversationKeyRef, sessionIdRef, chat, ephemeral, onRestore, onQueuedReply }) {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const [chatLoaded, setChatLoaded] = useState(false);
+
+  // The effect below runs once; it calls whatever handlers were passed last
+  const handlersRef = useRef();
+  handlersRef.current = { onRestore, onQueuedReply };
+
+  useEffect(() => {
+    // The conversation open last time, or (saved before there was a list of
+    // conversations) the one that belongs to this device's session
+    const findSavedChat = async () => {
+      const saved = await loadChat(conversationKeyRef.current);
+      if (saved) return saved;
+      const chats = await listChats();
+      return chats.find((item) => item.sessionId && item.sessionId === sessionIdRef.current) || null;
+    };
+
+    // Show it, unless it belongs to another session
+    findSavedChat()
+      .then((saved) => {
+        if (!saved || !saved.messages.length) return;
+        if (saved.sessionId && sessionIdRef.current && saved.sessionId !== sessionIdRef.current) return;
+        handlersRef.current.onRestore(saved);
+      })
+      .catch((e) => console.error('Saved chat error:', e))
+      .finally(() => setChatLoaded(true));
+
+    // Replies for another conversation are only saved with it (see flushOutbox)
+    const showQueuedReply = (entry, payload) => {
+      if (entry.chatId && entry.chatId !== conversationKeyRef.current) return;
+      handlersRef.current.onQueuedReply(entry, payload);
+    };
+
+    // Replies the service worker got for queued messages, and who is signed
+    // in when it is about to send them
+    const handleWorkerMessage = (event) => {
+      if (event.data?.type === OUTBOX_REPLY) showQueuedReply(event.data.entry, event.data.payload);
+      if (event.data?.type === OUTBOX_AUTH) event.ports[0]?.postMessage(loadAuth());
+    };
+
+    // Back online: let the service worker send the outbox, or send it from
+    // here in browsers without Background Sync
+    let flushing = false;
+    const sendOutbox = async () => {
+      if (flushing || navigator.onLine === false) return;
+      if (await requestOutboxSync()) return;
+      flushing = true;
+      try {
+        await flushOutbox({ onReply: showQueuedReply, getAuth: async () => loadAuth() });
+      } catch (e) {
+        console.error('Outbox error:', e);
+      } finally {
+        flushing = false;
+      }
+    };
+
+    const handleOnline = () => {
+      setOnline(true);
+      sendOutbox();
+    };
+    const handleOffline = () => setOnline(false);
+
+    navigator.serviceWorker?.addEventListener('message', handleWorkerMessage);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    sendOutbox();
+    return () => {
+      navigator.serviceWorker?.removeEventListener('message', handleWorkerMessage);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [conversationKeyRef, sessionIdRef]);
+
+  // Keep the saved copy in step with the screen (from the first message on;
+  // unsaved conversations are never written to the device)
+  const { key, sessionId, messages, stressLevel, accountId } = chat;
+  useEffect(() => {
+    if (!chatLoaded || ephemeral || !messages.some((m) => m.from === 'user')) return;
+    saveChat({ key, sessionId, messages, stressLevel, accountId })
+      .catch((e) => console.error('Saved chat error:', e));
+  }, [chatLoaded, ephemeral, key, sessionId, messages, stressLevel, accountId]);
+
+  return { online, chatLoaded };
+}
+
+export default useOfflineChat;
@@ -0,0 +1,37 @@
+/* WizCare Onboarding hook
+ *
+ * The first-run choices (see ./onboarding) and the dialog that asks for
+ * them (OnboardingDialog.js). The dialog shows until they are made, and
+ * can be opened again from the conversation menu ("Privacy choices").
+ */
+
+import { useState } from 'react';
+import { loadOnboarding, storeOnboarding, isEphemeral } from './onboarding';
+
+/**
+ * First-run choices and the onboarding dialog
+ * @returns {{ choices: object|null, ephemeral: boolean, dialogOpen: boolean,
+ *   openDialog: function, closeDialog: function, complete: function }}
+ *   ephemeral is true when conversations aren't stored, here or on the server
+ */
+function useOnboarding() {
+  const [choices, setChoices] = useState(loadOnboarding);
+  const [reopened, setReopened] = useState(false);
+
+  const complete = (next) => {
+    storeOnboarding(next);
+    setChoices(next);
+    setReopened(false);
+  };
+
+  return {
+    choices,
+    ephemeral: isEphemeral(choices),
+    dialogOpen: !choices || reopened,
+    openDialog: () => setReopened(true),
+    closeDialog: () => setReopened(false),
+    complete,
+  };
+}
+
+export default useOnboarding;
@@ -0,0 +1,239 @@
+/* WizCare Real-time Chat hook
+ *
+ * Keeps the real-time channel (see ./realtime and backend/realtime) open
+ * while there is a session. Over it go:
+ * - chat messages, with replies streamed back, when the channel is open
+ *   (see sendOverRealtime; App.js falls back to HTTP otherwise), plus
+ *   typing indicators, check-ins and stress updates from other tabs;
+ *   after a reconnect it catches up on what it missed (chat:resume)
+ * - the counselor handoff: queue, live chat and who is typing
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { connectRealtime, realtimeUrl } from './realtime';
+import { refusalError } from './chatApi';
+
+// How long to wait for a reply sent over the real-time channel
+const REALTIME_REPLY_TIMEOUT_MS = 90 * 1000;
+// Typing stops counting after this long without a keystroke
+const TYPING_IDLE_MS = 3000;
+
+/**
+ * Real-time chat and counselor handoff for a session
+ * @param {object} options
+ * @param {string} options.apiBase - e.g. '/api'
+ * @param {string|null} options.sessionId - No channel until there is a session
+ * @param {string|null} options.accountId - The channel reopens when it changes (the token goes with it)
+ * @param {function} options.setMessages - The chat's message setter; counselor
+ *   messages, handoff notes and check-ins are added through it
+ * @param {function} options.onStress - Called with each chat:stress frame ({ stressLevel, risk, emotion })
+ */
+function useRealtimeChat({ apiBase, sessionId, accountId, setMessages, onStress }) {
+  // Live chat with a counselor ({ status, position, counselor, messages, ... }), or null
+  const [handoff, setHandoff] = useState(null);
+  const [counselorsOnline, setCounselorsOnline] = useState(0);
+  const [handoffError, setHandoffError] = useState(null); // error code
+  const [realtimeOpen, setRealtimeOpen] = useState(false);
+  const realtimeRef = useRef(null);
+  const handoffStatusRef = useRef(null);
+
+  // Chat over the real-time channel (see backend/realtime/chat.js)
+  const [botTyping, setBotTyping] = useState(false); // a reply is being written, e.g. to a message from another tab
+  const [counselorTyping, setCounselorTyping] = useState(false);
+  const pendingChatRef = useRef(null); // { clientId, frame, onToken, settle } for the message waiting on its reply
+  const replayRef = useRef({ epoch: null, lastSeq: 0 }); // last numbered frame seen, for chat:resume
+  const typingRef = useRef({ active: false, timer: null });
+
+  // Read through a ref, so a new onStress on every render doesn't reopen the channel
+  const handlersRef = useRef();
+  handlersRef.current = { onStress };
+
+  // Keep the real-time channel open while there is a session (it carries the
+  // chat itself when open, and the counselor chat)
+  useEffect(() => {
+    if (!sessionId) return undefined;
+
+    /**
+     * Show counselor chat messages in the conversation (each one once)
+     */
+    const addHandoffMessages = (list) => {
+      setMessages((msgs) => {
+        const shown = new Set(msgs.map((m) => m.id));
+        const added = list
+          .filter((m) => !shown.has(`handoff-${m.id}`))
+          .map((m) => ({
+            id: `handoff-${m.id}`,
+            from: m.from === 'user' ? 'user' : 'bot',
+            text: m.text,
+            counselor: m.from === 'counselor' ? { name: m.name } : undefined,
+          }));
+        return added.length ? [...msgs, ...added] : msgs;
+      });
+    };
+
+    /**
+     * Handoff updates from the backend: notes in the chat when a counselor
+     * joins or the chat ends, plus live-chat messages not shown yet (after a reload)
+     */
+    const handleHandoffState = (next) => {
+      const previous = handoffStatusRef.current;
+      const status = next?.status || null;
+      handoffStatusRef.current = status;
+      setHandoff(next && next.status !== 'ended' ? next : null);
+      if (!next) return;
+
+      if (status !== 'active') setCounselorTyping(false);
+      if (status === 'active') {
+        if (previous !== 'active') {
+          setHandoffError(null);
+          setMessages((msgs) => [...msgs, { id: `handoff-joined-${next.acceptedAt}`, from: 'system', textKey: 'handoff.joined', counselor: next.counselor }]);
+        }
+        addHandoffMessages(next.messages);
+      } else if (status === 'ended' && (previous === 'active' || (previous === 'waiting' && next.endedBy === 'counselor'))) {
+        const textKey = next.endedBy === 'counselor' ? 'handoff.endedByCounselor' : 'handoff.ended';
+        setMessages((msgs) => [...msgs, { id: `handoff-ended-${next.endedAt}`, from: 'system', textKey }]);
+      }
+    };
+
+    /**
+     * After a reconnect: ask for what was missed while the connection was
+     * down, and send a message still waiting on its reply again (the
+     * backend answers each clientId once)
+     */
+    const handleOpen = () => {
+      const { epoch, lastSeq } = replayRef.current;
+      if (epoch) connection.send('chat:resume', { epoch, lastSeq });
+      if (pendingChatRef.current) connection.send('chat:message', pendingChatRef.current.frame);
+    };
+
+    const handleChatFrame = (frame) => {
+      if (frame.seq) {
+        const seen = replayRef.current;
+        replayRef.current = { epoch: frame.epoch, lastSeq: frame.epoch === seen.epoch ? Math.max(seen.lastSeq, frame.seq) : frame.seq };
+      }
+      const pending = pendingChatRef.current;
+      const mine = Boolean(pending) && frame.clientId === pending.clientId;
+
+      if (frame.type === 'chat:token') {
+        if (mine) pending.onToken(frame.text);
+      } else if (frame.type === 'chat:reply') {
+        if (mine) pending.settle(frame);
+      } else if (frame.type === 'chat:refused') {
+        if (mine) pending.settle(null, refusalError(frame));
+      } else if (frame.type === 'chat:stress') {
+        // Every turn, whichever tab or transport it came from
+        handlersRef.current.onStress(frame);
+      } else if (frame.type === 'chat:checkin') {
+        setMessages((msgs) => (msgs.some((m) => m.id === frame.id) ? msgs : [...msgs, { id: frame.id, from: 'bot', text: frame.text }]));
+      } else if (frame.type === 'typing') {
+        if (frame.from === 'counselor') setCounselorTyping(Boolean(frame.typing));
+        else setBotTyping(Boolean(frame.typing));
+      } else if (frame.type === 'error' && frame.request === 'chat:message' && pending) {
+        pending.settle(null, new Error(frame.error));
+      }
+    };
+
+    const connection = connectRealtime({
+      url: () => realtimeUrl(apiBase, { sessionId }),
+      onStatus: (status) => {
+        setRealtimeOpen(status === 'open');
+        if (status === 'open') {
+          handleOpen();
+        } else {
+          setBotTyping(false);
+          setCounselorTyping(false);
+        }
+      },
+      onFrame: (frame) => {
+        if (typeof frame.counselorsOnline === 'number') setCounselorsOnline(frame.counselorsOnline);
+        if (frame.type === 'handoff:state') handleHandoffState(frame.handoff);
+        else if (frame.type === 'handoff:message') addHandoffMessages([frame.message]);
+        else if (frame.type === 'error' && String(frame.request).startsWith('handoff:')) setHandoffError(frame.code);
+        else handleChatFrame(frame);
+      },
+    });
+    realtimeRef.current = connection;
+    return () => {
+      connection.close();
+      realtimeRef.current = null;
+      handoffStatusRef.current = null;
+      replayRef.current = { epoch: null, lastSeq: 0 };
+      setHandoff(null);
+    };
+  }, [apiBase, sessionId, accountId, setMessages]);
+
+  /**
+   * Send a chat message over the real-time channel
+   * Resolves with the reply (same payload as POST /api/chat), or with null
+   * when the channel isn't open so the caller can use HTTP instead.
+   * Rejects like streamChatReply when the message is refused.
+   */
+  const sendOverRealtime = (data, onToken) => {
+    const connection = realtimeRef.current;
+    const frame = { clientId: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, ...data };
+    if (!realtimeOpen || !connection?.send('chat:message', frame)) return Promise.resolve(null);
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const settle = (payload, error) => {
+        clearTimeout(timer);
+        pendingChatRef.current = null;
+        if (error) reject(error);
+        else resolve(payload);
+      };
+      timer = setTimeout(() => settle(null, new Error('No reply over the real-time channel')), REALTIME_REPLY_TIMEOUT_MS);
+      pendingChatRef.current = { clientId: frame.clientId, frame, onToken, settle };
+    });
+  };
+
+  /**
+   * Let the counselor see when the person is typing (only during a live chat)
+   */
+  const stopTyping = () => {
+    const typing = typingRef.current;
+    clearTimeout(typing.timer);
+    if (typing.active) realtimeRef.current?.send('chat:typing', { typing: false });
+    typing.active = false;
+  };
+
+  const reportTyping = () => {
+    if (handoff?.status !== 'active') return;
+    const typing = typingRef.current;
+    if (!typing.active) typing.active = Boolean(realtimeRef.current?.send('chat:typing', { typing: true }));
+    clearTimeout(typing.timer);
+    typing.timer = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  const sendHandoff = (type, data) => {
+    setHandoffError(null);
+    const sent = Boolean(realtimeRef.current?.send(type, data));
+    if (!sent) setHandoffError('offline');
+    return sent;
+  };
+
+  /**
+   * Send a message to the counselor of the live chat
+   * It shows up in the chat once the backend has relayed it.
+   * @returns {boolean} - false when the channel is down
+   */
+  const sendToCounselor = (text) => {
+    stopTyping();
+    return sendHandoff('handoff:message', { text });
+  };
+
+  return {
+    handoff,
+    counselorsOnline,
+    handoffError,
+    realtimeOpen,
+    botTyping,
+    counselorTyping,
+    sendOverRealtime,
+    reportTyping,
+    sendToCounselor,
+    requestCounselor: () => sendHandoff('handoff:request'),
+    leaveCounselor: () => sendHandoff('handoff:cancel'),
+  };
+}
+
+export default useRealtimeChat;